@@ -0,0 +1,81 @@
+import pool from '../db.js';
+import logAuditEvent from '../utils/logger.js';
+import { z } from 'zod';
+
+// --- Validation Schemas ---
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, { message: "Date must be in YYYY-MM-DD format." });
+
+const absenceSchema = z.object({
+    trello_member_id: z.string().min(1, { message: "A member is required." }),
+    member_name: z.string().optional().nullable(),
+    start_date: dateString,
+    end_date: dateString,
+    note: z.string().max(255).optional().nullable(),
+}).refine(data => data.end_date >= data.start_date, {
+    message: "The end date cannot be before the start date.",
+    path: ['end_date'],
+});
+
+const ABSENCE_COLUMNS = "id, trello_member_id, member_name, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, note, created_at";
+
+/**
+ * @description Gets all recorded member absences, ordered by start date.
+ * @route GET /api/absences
+ * @access Private
+ */
+export const getAllAbsences = async (req, res) => {
+    try {
+        const { rows } = await pool.query(`SELECT ${ABSENCE_COLUMNS} FROM member_absences ORDER BY start_date ASC, id ASC`);
+        res.status(200).json(rows);
+    } catch (err) {
+        console.error('Failed to load absences.', err);
+        res.status(500).json({ error: 'Failed to load absences.' });
+    }
+};
+
+/**
+ * @description Records that a member is away. Rotating schedules skip the member for cards
+ * that are due during the absence.
+ * @route POST /api/absences
+ * @access Private
+ */
+export const createAbsence = async (req, res) => {
+    const validationResult = absenceSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { trello_member_id, member_name, start_date, end_date, note } = validationResult.data;
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO member_absences (trello_member_id, member_name, start_date, end_date, note) VALUES ($1, $2, $3, $4, $5) RETURNING ${ABSENCE_COLUMNS}`,
+            [trello_member_id, member_name || null, start_date, end_date, note || null]
+        );
+        await logAuditEvent('INFO', `Absence added for ${member_name || trello_member_id}: ${start_date} to ${end_date}`, { absence: rows[0] }, req.user);
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        await logAuditEvent('ERROR', 'Failed to add absence.', { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Removes a recorded absence.
+ * @route DELETE /api/absences/:id
+ * @access Private
+ */
+export const deleteAbsence = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query(`DELETE FROM member_absences WHERE id = $1 RETURNING ${ABSENCE_COLUMNS}`, [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Absence not found' });
+        }
+        const absence = rows[0];
+        await logAuditEvent('INFO', `Absence deleted for ${absence.member_name || absence.trello_member_id}: ${absence.start_date} to ${absence.end_date}`, { deletedAbsence: absence }, req.user);
+        res.status(204).send();
+    } catch (err) {
+        await logAuditEvent('ERROR', `Failed to delete absence ${id}.`, { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
@@ -0,0 +1,59 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+  default: {
+    query: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: jest.fn(),
+}));
+
+const pool = (await import('../db.js')).default;
+const logAuditEvent = (await import('../utils/logger.js')).default;
+const { createAbsence, deleteAbsence } = await import('./absencesController.js');
+
+describe('Absences Controller', () => {
+  let res;
+  const user = { id: 1, username: 'testuser' };
+  const absence = { trello_member_id: 'ann', member_name: 'Ann Lee', start_date: '2024-08-12', end_date: '2024-08-16', note: 'Holiday' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe('createAbsence', () => {
+    it('should save the absence and return it', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, ...absence }] });
+
+      await createAbsence({ body: absence, user }, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO member_absences'), ['ann', 'Ann Lee', '2024-08-12', '2024-08-16', 'Holiday']);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(logAuditEvent).toHaveBeenCalledWith('INFO', expect.stringContaining('Ann Lee'), expect.any(Object), user);
+    });
+
+    it('should return 400 if the absence ends before it starts', async () => {
+      await createAbsence({ body: { ...absence, end_date: '2024-08-11' }, user }, res);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('deleteAbsence', () => {
+    it('should return 404 if the absence is not found', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await deleteAbsence({ params: { id: '99' }, user }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
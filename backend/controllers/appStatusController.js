@@ -1,5 +1,7 @@
 import pool from '../db.js';
 import logAuditEvent from '../utils/logger.js';
+import { loadPauseState, isSchedulerRunning } from '../services/schedulerService.js';
+import { INSTANCE_ID, isLeader, getLeader } from '../services/lockService.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -76,7 +78,8 @@ export const getAuditLogs = async (req, res) => {
 };
 
 /**
- * @description Fetches the current status of the cron scheduler.
+ * @description Fetches the current status of the cron scheduler, including whether it is paused
+ * and by whom, and which replica is the leader that runs it. A paused scheduler has no next run.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  */
@@ -87,21 +90,38 @@ export const getSchedulerStatus = async (req, res) => {
         return res.status(500).json({ error: "Scheduler not initialized." });
     }
     try {
-        const { rows } = await pool.query("SELECT details->>'runId' as run_id, timestamp FROM audit_logs WHERE message = 'Scheduler starting evaluation run.' ORDER BY timestamp DESC LIMIT 1");
+        // Another replica may have paused or resumed the scheduler.
+        const pauseState = await loadPauseState();
+        const controlStatus = {
+            paused: Boolean(pauseState),
+            pausedBy: pauseState?.pausedBy || null,
+            pausedAt: pauseState?.pausedAt || null,
+            running: isSchedulerRunning(),
+            nextRun: pauseState ? null : cronJob.nextDate().toISO(),
+            leader: await getLeader(),
+            instanceId: INSTANCE_ID,
+            isLeader: isLeader(),
+        };
+
+        // While a run is in progress, its cards are counted as they are created.
+        const { rows } = await pool.query(`
+            SELECT run_id, started_at, duration_ms,
+                   CASE WHEN finished_at IS NULL
+                        THEN (SELECT COUNT(*)::int FROM generated_cards WHERE generated_cards.run_id = scheduler_runs.run_id)
+                        ELSE cards_created END AS cards_created
+            FROM scheduler_runs ORDER BY started_at DESC LIMIT 1
+        `);
         if (rows.length === 0) {
-            return res.json({ lastRun: 'Never', duration: 'N/A', cardsCreated: 0, nextRun: cronJob.nextDate().toISO() });
+            return res.json({ lastRun: 'Never', duration: 'N/A', cardsCreated: 0, ...controlStatus });
         }
-        
-        const lastRunId = rows[0].run_id;
-        const lastRunTimestamp = rows[0].timestamp;
-        const { rows: finishLog } = await pool.query("SELECT details->'durationMs' as duration FROM audit_logs WHERE message = 'Scheduler run finished.' AND details->>'runId' = $1", [lastRunId]);
-        const { rows: createdCount } = await pool.query("SELECT COUNT(*) FROM audit_logs WHERE message LIKE 'Card creation successful%' AND details->>'runId' = $1", [lastRunId]);
-        
+
+        const [lastRun] = rows;
         res.json({
-            lastRun: lastRunTimestamp,
-            duration: finishLog.length > 0 ? `${finishLog[0].duration} ms` : 'In progress...',
-            cardsCreated: parseInt(createdCount[0].count, 10),
-            nextRun: cronJob.nextDate().toISO()
+            lastRunId: lastRun.run_id,
+            lastRun: lastRun.started_at,
+            duration: lastRun.duration_ms !== null ? `${lastRun.duration_ms} ms` : 'In progress...',
+            cardsCreated: lastRun.cards_created,
+            ...controlStatus
         });
     } catch (error) {
         await logAuditEvent('ERROR', 'Failed to fetch scheduler status.', { error: String(error) }, req.user);
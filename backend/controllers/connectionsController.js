@@ -0,0 +1,147 @@
+import pool from '../db.js';
+import logAuditEvent from '../utils/logger.js';
+import * as trelloService from '../services/trelloService.js';
+import { z } from 'zod';
+
+// --- Validation Schemas ---
+const connectionSchema = z.object({
+    name: z.string().trim().min(1, { message: "Connection name is required." }),
+    api_key: z.string().trim().min(1, { message: "API Key is required." }),
+    api_token: z.string().trim().min(1, { message: "API Token is required." }),
+});
+
+// Blank credentials on update keep the saved ones, so they never have to be sent back to the browser.
+const connectionUpdateSchema = connectionSchema.extend({
+    api_key: z.string().trim().optional(),
+    api_token: z.string().trim().optional(),
+});
+
+// The credentials are never returned by the API.
+const CONNECTION_COLUMNS = 'id, name, created_at, updated_at';
+
+/**
+ * @description Gets all Trello connections, without their credentials.
+ * @route GET /api/connections
+ * @access Private
+ */
+export const getAllConnections = async (req, res) => {
+    try {
+        const { rows } = await pool.query(`SELECT ${CONNECTION_COLUMNS} FROM trello_connections ORDER BY name ASC`);
+        res.status(200).json(rows);
+    } catch (err) {
+        console.error('Failed to load Trello connections.', err);
+        res.status(500).json({ error: 'Failed to load Trello connections.' });
+    }
+};
+
+/**
+ * @description Adds a Trello connection.
+ * @route POST /api/connections
+ * @access Private/Admin
+ */
+export const createConnection = async (req, res) => {
+    const validationResult = connectionSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { name, api_key, api_token } = validationResult.data;
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO trello_connections (name, api_key, api_token) VALUES ($1, $2, $3) RETURNING ${CONNECTION_COLUMNS}`,
+            [name, api_key, api_token]
+        );
+        await logAuditEvent('INFO', `Trello connection added: "${name}"`, { connection: rows[0] }, req.user);
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        // 23505 is PostgreSQL's unique_violation error code.
+        if (err.code === '23505') {
+            return res.status(409).json({ message: `A connection named "${name}" already exists.` });
+        }
+        await logAuditEvent('ERROR', 'Failed to add Trello connection.', { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Renames a Trello connection or replaces its credentials.
+ * @route PUT /api/connections/:id
+ * @access Private/Admin
+ */
+export const updateConnection = async (req, res) => {
+    const validationResult = connectionUpdateSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { id } = req.params;
+    const { name, api_key, api_token } = validationResult.data;
+
+    try {
+        const { rows } = await pool.query(
+            `UPDATE trello_connections
+             SET name = $1, api_key = COALESCE(NULLIF($2, ''), api_key), api_token = COALESCE(NULLIF($3, ''), api_token), updated_at = NOW()
+             WHERE id = $4
+             RETURNING ${CONNECTION_COLUMNS}`,
+            [name, api_key || '', api_token || '', id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Connection not found' });
+        }
+        await logAuditEvent('INFO', `Trello connection updated: "${name}"`, { connection: rows[0], credentialsChanged: Boolean(api_key || api_token) }, req.user);
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ message: `A connection named "${name}" already exists.` });
+        }
+        await logAuditEvent('ERROR', `Failed to update Trello connection ${id}.`, { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Removes a Trello connection. Connections that schedules still use cannot be removed.
+ * @route DELETE /api/connections/:id
+ * @access Private/Admin
+ */
+export const deleteConnection = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows: usage } = await pool.query('SELECT COUNT(*)::int AS count FROM schedules WHERE connection_id = $1', [id]);
+        if (usage[0].count > 0) {
+            return res.status(409).json({ message: `This connection is used by ${usage[0].count} schedule(s). Move them to another connection first.` });
+        }
+        const { rows } = await pool.query(`DELETE FROM trello_connections WHERE id = $1 RETURNING ${CONNECTION_COLUMNS}`, [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Connection not found' });
+        }
+        await logAuditEvent('INFO', `Trello connection deleted: "${rows[0].name}"`, { deletedConnection: rows[0] }, req.user);
+        res.status(204).send();
+    } catch (err) {
+        await logAuditEvent('ERROR', `Failed to delete Trello connection ${id}.`, { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Tests the saved credentials of a Trello connection.
+ * @route POST /api/connections/:id/test
+ * @access Private/Admin
+ */
+export const testConnection = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query('SELECT api_key, api_token FROM trello_connections WHERE id = $1', [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Connection not found' });
+        }
+        const member = await trelloService.testTrelloCredentials(rows[0].api_key, rows[0].api_token);
+        res.status(200).json({ message: `Connection successful! Connected as ${member.fullName || member.username}.` });
+    } catch (error) {
+        let errorMessage = 'Connection failed. Please check the API Key and Token.';
+        if (error.response && error.response.status === 401) {
+            errorMessage = 'Connection failed: Invalid API Key or Token.';
+        }
+        console.error(`[ERROR] Trello connection ${id} test failed:`, error.message);
+        res.status(401).json({ message: errorMessage });
+    }
+};
@@ -0,0 +1,125 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+  default: {
+    query: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/trelloService.js', () => ({
+  testTrelloCredentials: jest.fn(),
+}));
+
+const pool = (await import('../db.js')).default;
+const { testTrelloCredentials } = await import('../services/trelloService.js');
+const { createConnection, updateConnection, deleteConnection, testConnection } = await import('./connectionsController.js');
+
+describe('Connections Controller', () => {
+  let res;
+  const user = { id: 1, username: 'admin', role: 'admin' };
+  const savedConnection = { id: 2, name: 'Client A', created_at: '2024-08-01T00:00:00Z', updated_at: '2024-08-01T00:00:00Z' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe('createConnection', () => {
+    it('should save the connection and return it without its credentials', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [savedConnection] });
+
+      await createConnection({ body: { name: 'Client A', api_key: 'key', api_token: 'token' }, user }, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO trello_connections'), ['Client A', 'key', 'token']);
+      expect(pool.query.mock.calls[0][0]).not.toContain('RETURNING *');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(savedConnection);
+    });
+
+    it('should return 400 if the credentials are missing', async () => {
+      await createConnection({ body: { name: 'Client A', api_key: 'key' }, user }, res);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 409 if the name is taken', async () => {
+      pool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: '23505' }));
+
+      await createConnection({ body: { name: 'Client A', api_key: 'key', api_token: 'token' }, user }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('updateConnection', () => {
+    it('should keep the saved credentials when none are sent', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [savedConnection] });
+
+      await updateConnection({ params: { id: '2' }, body: { name: 'Client A' }, user }, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('COALESCE'), ['Client A', '', '', '2']);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 if the connection does not exist', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await updateConnection({ params: { id: '9' }, body: { name: 'Client A' }, user }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('deleteConnection', () => {
+    it('should refuse to delete a connection that schedules use', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ count: 3 }] });
+
+      await deleteConnection({ params: { id: '2' }, user }, res);
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('should delete an unused connection', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+        .mockResolvedValueOnce({ rows: [savedConnection] });
+
+      await deleteConnection({ params: { id: '2' }, user }, res);
+
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+  });
+
+  describe('testConnection', () => {
+    it('should test the saved credentials', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ api_key: 'key', api_token: 'token' }] });
+      testTrelloCredentials.mockResolvedValueOnce({ fullName: 'Client Bot' });
+
+      await testConnection({ params: { id: '2' } }, res);
+
+      expect(testTrelloCredentials).toHaveBeenCalledWith('key', 'token');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Connection successful! Connected as Client Bot.' });
+    });
+
+    it('should return 401 if Trello rejects the credentials', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ api_key: 'key', api_token: 'bad' }] });
+      testTrelloCredentials.mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+
+      await testConnection({ params: { id: '2' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Connection failed: Invalid API Key or Token.' });
+    });
+  });
+});
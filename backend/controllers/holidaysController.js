@@ -0,0 +1,167 @@
+import pool from '../db.js';
+import logAuditEvent from '../utils/logger.js';
+import { loadHolidays, parseIcsHolidays } from '../services/holidayService.js';
+import { z } from 'zod';
+
+/**
+ * @description Checks that a 'YYYY-MM-DD' string names a day that exists, e.g. not February 30.
+ * @param {string} value - The date string.
+ * @returns {boolean} True if the date exists.
+ */
+const isExistingDate = (value) => {
+    const [year, month, day] = value.split('-').map(part => parseInt(part, 10));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// --- Validation Schemas ---
+const holidaySchema = z.object({
+    holiday_date: z.string()
+        .regex(/^\d{4}-\d{2}-\d{2}$/, { message: "Date must be in YYYY-MM-DD format." })
+        .refine(isExistingDate, { message: "Date does not exist." }),
+    name: z.string().min(1, { message: "Holiday name is required." }),
+});
+
+const HOLIDAY_COLUMNS = "id, to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date, name, created_at";
+
+/**
+ * @description Gets all holidays in the calendar, ordered by date.
+ * @route GET /api/holidays
+ * @access Private/Admin
+ */
+export const getAllHolidays = async (req, res) => {
+    try {
+        const { rows } = await pool.query(`SELECT ${HOLIDAY_COLUMNS} FROM holidays ORDER BY holiday_date ASC`);
+        res.status(200).json(rows);
+    } catch (err) {
+        console.error('Failed to load holidays.', err);
+        res.status(500).json({ error: 'Failed to load holidays.' });
+    }
+};
+
+/**
+ * @description Adds a holiday to the calendar.
+ * @route POST /api/holidays
+ * @access Private/Admin
+ */
+export const createHoliday = async (req, res) => {
+    const validationResult = holidaySchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { holiday_date, name } = validationResult.data;
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO holidays (holiday_date, name) VALUES ($1, $2) ON CONFLICT (holiday_date) DO NOTHING RETURNING ${HOLIDAY_COLUMNS}`,
+            [holiday_date, name]
+        );
+        if (rows.length === 0) {
+            return res.status(409).json({ message: `A holiday already exists on ${holiday_date}.` });
+        }
+        await loadHolidays();
+        await logAuditEvent('INFO', `Holiday added: "${name}" on ${holiday_date}`, { holiday: rows[0] }, req.user);
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        await logAuditEvent('ERROR', 'Failed to add holiday.', { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Updates the date or name of a holiday.
+ * @route PUT /api/holidays/:id
+ * @access Private/Admin
+ */
+export const updateHoliday = async (req, res) => {
+    const validationResult = holidaySchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { id } = req.params;
+    const { holiday_date, name } = validationResult.data;
+
+    try {
+        const { rows } = await pool.query(
+            `UPDATE holidays SET holiday_date = $1, name = $2 WHERE id = $3 RETURNING ${HOLIDAY_COLUMNS}`,
+            [holiday_date, name, id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+        await loadHolidays();
+        await logAuditEvent('INFO', `Holiday updated: "${name}" on ${holiday_date}`, { holiday: rows[0] }, req.user);
+        res.status(200).json(rows[0]);
+    } catch (err) {
+        // 23505 is PostgreSQL's unique_violation error code.
+        if (err.code === '23505') {
+            return res.status(409).json({ message: `A holiday already exists on ${holiday_date}.` });
+        }
+        await logAuditEvent('ERROR', `Failed to update holiday ${id}.`, { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Removes a holiday from the calendar.
+ * @route DELETE /api/holidays/:id
+ * @access Private/Admin
+ */
+export const deleteHoliday = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query(`DELETE FROM holidays WHERE id = $1 RETURNING ${HOLIDAY_COLUMNS}`, [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+        await loadHolidays();
+        await logAuditEvent('INFO', `Holiday deleted: "${rows[0].name}" on ${rows[0].holiday_date}`, { deletedHoliday: rows[0] }, req.user);
+        res.status(204).send();
+    } catch (err) {
+        await logAuditEvent('ERROR', `Failed to delete holiday ${id}.`, { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Imports holidays from the contents of an iCalendar (.ics) file.
+ * Dates that are already in the calendar are skipped.
+ * @route POST /api/holidays/import
+ * @access Private/Admin
+ */
+export const importHolidays = async (req, res) => {
+    const { ics } = req.body;
+    if (!ics || typeof ics !== 'string') {
+        return res.status(400).json({ message: 'The contents of an .ics file are required.' });
+    }
+
+    const holidays = parseIcsHolidays(ics);
+    if (holidays.length === 0) {
+        return res.status(400).json({ message: 'No events with a date were found in the file.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        let importedCount = 0;
+        for (const holiday of holidays) {
+            const result = await client.query(
+                'INSERT INTO holidays (holiday_date, name) VALUES ($1, $2) ON CONFLICT (holiday_date) DO NOTHING',
+                [holiday.holiday_date, holiday.name.substring(0, 255)]
+            );
+            importedCount += result.rowCount;
+        }
+        await client.query('COMMIT');
+
+        await loadHolidays();
+        const skippedCount = holidays.length - importedCount;
+        await logAuditEvent('INFO', `Imported ${importedCount} holiday(s) from an ICS file.`, { importedCount, skippedCount }, req.user);
+        res.status(200).json({ importedCount, skippedCount });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        await logAuditEvent('ERROR', 'Failed to import holidays.', { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+};
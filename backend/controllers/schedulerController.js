@@ -0,0 +1,152 @@
+import pool from '../db.js';
+import logAuditEvent from '../utils/logger.js';
+import { runScheduler, startSchedulerRun, pauseScheduler, resumeScheduler, loadPauseState } from '../services/schedulerService.js';
+
+/**
+ * @description Reads the time a dry run is evaluated at, given as an ISO 8601 date or a Unix
+ * timestamp in milliseconds.
+ * @param {string|undefined} value - The 'at' query parameter.
+ * @returns {Date|null} The time, the current time if none was given, or null if it is invalid.
+ */
+const parseRunTime = (value) => {
+    if (value === undefined || value === '') {
+        return new Date();
+    }
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @description Simulates a scheduler run. Every active schedule goes through the same checks as in
+ * a real run (open cards, start and end dates, lead time, board members), but no card is created.
+ * @route POST /api/scheduler/dry-run?at=<timestamp>
+ * @access Private/Admin
+ */
+export const runSchedulerDryRun = async (req, res) => {
+    const at = parseRunTime(req.query.at);
+    if (!at) {
+        return res.status(400).json({ message: "The 'at' parameter must be an ISO 8601 date or a timestamp in milliseconds." });
+    }
+
+    try {
+        const results = await runScheduler(req.appSettings, { dryRun: true, now: at });
+        const summary = { would_create: 0, blocked: 0, out_of_range: 0, deferred: 0, failed: 0 };
+        results.forEach(result => { summary[result.outcome] = (summary[result.outcome] || 0) + 1; });
+
+        await logAuditEvent('INFO', 'Scheduler dry run performed.', { at, summary }, req.user);
+        res.status(200).json({
+            at: at.toISOString(),
+            summary,
+            results: results.map(({ scheduleId, title, outcome, message, card }) => ({
+                schedule_id: scheduleId,
+                title,
+                outcome,
+                message,
+                card: card || null,
+            })),
+        });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Scheduler dry run failed.', { error: String(error) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Starts a full scheduler run now, in the background. The run checks every active
+ * schedule exactly like a cron run, and also works while the scheduler is paused.
+ * @route POST /api/scheduler/run
+ * @access Private/Admin
+ */
+export const triggerSchedulerRun = async (req, res) => {
+    if (!startSchedulerRun(req.appSettings, req.user)) {
+        return res.status(409).json({ message: 'A scheduler run is already in progress.' });
+    }
+    res.status(202).json({ message: 'Scheduler run started.' });
+};
+
+/**
+ * @description Pauses the cron job. No cards are created on schedule until it is resumed, also
+ * after a restart.
+ * @route POST /api/scheduler/pause
+ * @access Private/Admin
+ */
+export const pauseSchedulerJob = async (req, res) => {
+    try {
+        // Another replica may have paused the scheduler already.
+        if (await loadPauseState()) {
+            return res.status(409).json({ message: 'The scheduler is already paused.' });
+        }
+        const state = await pauseScheduler(req.user);
+        await logAuditEvent('INFO', 'Scheduler paused.', state, req.user);
+        res.status(200).json({ paused: true, ...state });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to pause the scheduler.', { error: String(error) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Resumes a paused cron job. Runs that fell in the pause are not caught up.
+ * @route POST /api/scheduler/resume
+ * @access Private/Admin
+ */
+export const resumeSchedulerJob = async (req, res) => {
+    try {
+        const state = await loadPauseState();
+        if (!state) {
+            return res.status(409).json({ message: 'The scheduler is not paused.' });
+        }
+        await resumeScheduler();
+        await logAuditEvent('INFO', 'Scheduler resumed.', state, req.user);
+        res.status(200).json({ paused: false });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to resume the scheduler.', { error: String(error) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Lists past scheduler runs, newest first, with pagination.
+ * @route GET /api/scheduler/runs?page=<n>&limit=<n>
+ * @access Private/Admin
+ */
+export const getSchedulerRuns = async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    try {
+        const { rows: runs } = await pool.query(
+            'SELECT * FROM scheduler_runs ORDER BY started_at DESC LIMIT $1 OFFSET $2',
+            [limit, (page - 1) * limit]
+        );
+        const { rows: countRows } = await pool.query('SELECT COUNT(*) FROM scheduler_runs');
+        res.status(200).json({ runs, totalCount: parseInt(countRows[0].count, 10) });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to fetch scheduler runs.', { error: String(error) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @description Gets a scheduler run with the outcome of every schedule it evaluated.
+ * @route GET /api/scheduler/runs/:runId
+ * @access Private/Admin
+ */
+export const getSchedulerRun = async (req, res) => {
+    const { runId } = req.params;
+
+    try {
+        const { rows } = await pool.query('SELECT * FROM scheduler_runs WHERE run_id = $1', [runId]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Scheduler run not found.' });
+        }
+        const { rows: results } = await pool.query(
+            'SELECT schedule_id, schedule_title, outcome, message, trello_card_id FROM scheduler_run_results WHERE run_id = $1 ORDER BY id ASC',
+            [runId]
+        );
+        res.status(200).json({ ...rows[0], results });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to fetch scheduler run.', { error: String(error), runId }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
@@ -0,0 +1,174 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+  default: {
+    query: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/schedulerService.js', () => ({
+  runScheduler: jest.fn(),
+  startSchedulerRun: jest.fn(),
+  pauseScheduler: jest.fn(),
+  resumeScheduler: jest.fn(),
+  loadPauseState: jest.fn(),
+}));
+
+const pool = (await import('../db.js')).default;
+const logAuditEvent = (await import('../utils/logger.js')).default;
+const { runScheduler, startSchedulerRun, pauseScheduler, resumeScheduler, loadPauseState } = await import('../services/schedulerService.js');
+const { runSchedulerDryRun, triggerSchedulerRun, pauseSchedulerJob, resumeSchedulerJob, getSchedulerRuns, getSchedulerRun } = await import('./schedulerController.js');
+
+describe('Scheduler Controller', () => {
+  let res;
+  const user = { id: 1, username: 'admin' };
+  const appSettings = { CRON_SCHEDULE: '0 1 * * *' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+  });
+
+  describe('runSchedulerDryRun', () => {
+    it('should simulate a run at the given time and summarize the outcomes', async () => {
+      const card = { name: 'Report', due: '2024-08-16T13:00:00.000Z' };
+      runScheduler.mockResolvedValueOnce([
+        { scheduleId: 1, title: 'Report', success: true, outcome: 'would_create', message: 'The card would be created.', card, status: 200 },
+        { scheduleId: 2, title: 'Review', success: false, outcome: 'blocked', message: 'Still active.', status: 409 },
+      ]);
+
+      await runSchedulerDryRun({ query: { at: '2024-08-15T05:00:00Z' }, appSettings, user }, res);
+
+      expect(runScheduler).toHaveBeenCalledWith(appSettings, { dryRun: true, now: new Date('2024-08-15T05:00:00Z') });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        at: '2024-08-15T05:00:00.000Z',
+        summary: { would_create: 1, blocked: 1, out_of_range: 0, deferred: 0, failed: 0 },
+        results: [
+          { schedule_id: 1, title: 'Report', outcome: 'would_create', message: 'The card would be created.', card },
+          { schedule_id: 2, title: 'Review', outcome: 'blocked', message: 'Still active.', card: null },
+        ],
+      });
+      expect(logAuditEvent).toHaveBeenCalledWith('INFO', 'Scheduler dry run performed.', expect.any(Object), user);
+    });
+
+    it('should accept a timestamp in milliseconds', async () => {
+      runScheduler.mockResolvedValueOnce([]);
+
+      await runSchedulerDryRun({ query: { at: '1723698000000' }, appSettings, user }, res);
+
+      expect(runScheduler).toHaveBeenCalledWith(appSettings, { dryRun: true, now: new Date(1723698000000) });
+    });
+
+    it('should return 400 for an invalid time', async () => {
+      await runSchedulerDryRun({ query: { at: 'tomorrow-ish' }, appSettings, user }, res);
+
+      expect(runScheduler).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('triggerSchedulerRun', () => {
+    it('should start a run in the background', async () => {
+      startSchedulerRun.mockReturnValueOnce(true);
+
+      await triggerSchedulerRun({ appSettings, user }, res);
+
+      expect(startSchedulerRun).toHaveBeenCalledWith(appSettings, user);
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    it('should return 409 while another run is in progress', async () => {
+      startSchedulerRun.mockReturnValueOnce(false);
+
+      await triggerSchedulerRun({ appSettings, user }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('pauseSchedulerJob', () => {
+    it('should pause the scheduler and record who paused it', async () => {
+      const state = { pausedBy: 'admin', pausedAt: '2024-08-15T05:00:00.000Z' };
+      loadPauseState.mockResolvedValueOnce(null);
+      pauseScheduler.mockResolvedValueOnce(state);
+
+      await pauseSchedulerJob({ user }, res);
+
+      expect(pauseScheduler).toHaveBeenCalledWith(user);
+      expect(res.json).toHaveBeenCalledWith({ paused: true, ...state });
+      expect(logAuditEvent).toHaveBeenCalledWith('INFO', 'Scheduler paused.', state, user);
+    });
+
+    it('should return 409 if the scheduler is already paused', async () => {
+      loadPauseState.mockResolvedValueOnce({ pausedBy: 'someone', pausedAt: '2024-08-15T05:00:00.000Z' });
+
+      await pauseSchedulerJob({ user }, res);
+
+      expect(pauseScheduler).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('resumeSchedulerJob', () => {
+    it('should resume a paused scheduler', async () => {
+      loadPauseState.mockResolvedValueOnce({ pausedBy: 'someone', pausedAt: '2024-08-15T05:00:00.000Z' });
+
+      await resumeSchedulerJob({ user }, res);
+
+      expect(resumeScheduler).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ paused: false });
+    });
+
+    it('should return 409 if the scheduler is not paused', async () => {
+      loadPauseState.mockResolvedValueOnce(null);
+
+      await resumeSchedulerJob({ user }, res);
+
+      expect(resumeScheduler).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('getSchedulerRuns', () => {
+    it('should return a page of runs and the total count', async () => {
+      const run = { run_id: 'abc123', trigger_type: 'scheduled', cards_created: 2 };
+      pool.query
+        .mockResolvedValueOnce({ rows: [run] })
+        .mockResolvedValueOnce({ rows: [{ count: '41' }] });
+
+      await getSchedulerRuns({ query: { page: '3', limit: '10' }, user }, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM scheduler_runs ORDER BY started_at DESC'), [10, 20]);
+      expect(res.json).toHaveBeenCalledWith({ runs: [run], totalCount: 41 });
+    });
+  });
+
+  describe('getSchedulerRun', () => {
+    it("should return the run with each schedule's outcome", async () => {
+      const result = { schedule_id: 1, schedule_title: 'Report', outcome: 'created', message: 'Card created successfully.', trello_card_id: 'card1' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ run_id: 'abc123', cards_created: 1 }] })
+        .mockResolvedValueOnce({ rows: [result] });
+
+      await getSchedulerRun({ params: { runId: 'abc123' }, user }, res);
+
+      expect(res.json).toHaveBeenCalledWith({ run_id: 'abc123', cards_created: 1, results: [result] });
+    });
+
+    it('should return 404 for an unknown run', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await getSchedulerRun({ params: { runId: 'nope' }, user }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -5,8 +5,15 @@
  */
 import pool from '../db.js';
 import * as trelloService from '../services/trelloService.js';
+import { getUpcomingOccurrences, getPlannedCreationDate } from '../services/schedulerService.js';
 import logAuditEvent from '../utils/logger.js';
 import { z } from 'zod';
+import { normalizeRRule, parseRRule } from '../services/rruleService.js';
+import { isValidTimeZone } from '../services/timeZoneService.js';
+import { getTemplateVariables, renderCardContent } from '../services/templateService.js';
+import { getChecklistsForSchedules, getScheduleChecklists, replaceScheduleChecklists } from '../services/checklistService.js';
+import { resolveRotationAssignee } from '../services/rotationService.js';
+import { toExportRecord, toCsv, parseCsvSchedules, collectTrelloIds, remapTrelloIds, clearBoardSettings } from '../services/scheduleTransferService.js';
 
 const timeToMinutes = (hour, minute, ampm) => {
     if (!hour || !minute || !ampm) return null;
@@ -17,15 +24,29 @@ const timeToMinutes = (hour, minute, ampm) => {
     return h * 60 + m;
 };
 
+// Monthly schedules repeat on a day of the month, the last (business) day, or an ordinal weekday (e.g. "2:2" = second Tuesday).
+const MONTHLY_DETAILS_PATTERN = /^(([1-9]|[12]\d|3[01])|last|last_business|([1-4]|last):[0-6])$/;
+
+// The cover colors Trello accepts.
+const TRELLO_COVER_COLORS = ['green', 'yellow', 'orange', 'red', 'purple', 'blue', 'sky', 'lime', 'pink', 'black'];
+
+// What can be copied from a template card, as named by Trello's 'keepFromSource' option. The
+// title, description, due date and members always come from the schedule.
+const TEMPLATE_KEEP_OPTIONS = ['attachments', 'checklists', 'comments', 'customFields', 'labels', 'stickers'];
+const DEFAULT_TEMPLATE_KEEP = ['attachments', 'checklists', 'customFields', 'labels', 'stickers'];
+
 // --- Validation Schemas ---
 const scheduleSchema = z.object({
     title: z.string().min(1, { message: "Title is required." }),
     description: z.string().optional().nullable(),
     category: z.string().optional().nullable(),
     trello_member_ids: z.array(z.string()).min(1, { message: "At least one member must be assigned." }),
-    frequency: z.enum(['daily', 'weekly', 'monthly', 'yearly']),
+    // In 'rotation' mode the members take turns, in the order of trello_member_ids.
+    assignment_mode: z.enum(['all', 'rotation']).optional(),
+    frequency: z.enum(['daily', 'weekly', 'monthly', 'yearly', 'rrule']),
     frequency_interval: z.number().int().positive().optional(),
     frequency_details: z.string().optional().nullable(),
+    rrule: z.string().optional().nullable(),
     trigger_hour: z.string().optional().nullable(),
     trigger_minute: z.string().optional().nullable(),
     trigger_ampm: z.string().optional().nullable(),
@@ -34,14 +55,148 @@ const scheduleSchema = z.object({
     start_minute: z.string().optional().nullable(),
     start_ampm: z.string().optional().nullable(),
     end_date: z.string().nullable().optional(),
+    non_working_day_policy: z.enum(['none', 'forward', 'backward']).optional(),
+    catch_up_policy: z.enum(['all', 'latest', 'skip']).optional(),
+    lead_time_days: z.coerce.number().int().min(0).max(365).optional(),
+    overlap_policy: z.enum(['block', 'allow', 'archive']).optional(),
+    max_open_cards: z.coerce.number().int().min(1).max(50).optional(),
+    create_next_on_completion: z.boolean().optional(),
+    connection_id: z.number().int().positive().nullable().optional(),
+    trello_board_id: z.string().nullable().optional(),
+    trello_list_id: z.string().nullable().optional(),
+    trello_done_list_id: z.string().nullable().optional(),
+    time_zone: z.string().nullable().optional().refine(zone => !zone || isValidTimeZone(zone), { message: "Time zone must be a valid IANA zone name, e.g. 'Europe/London'." }),
     trello_label_ids: z.array(z.string()).optional(),
+    attachment_urls: z.array(z.string().regex(/^https?:\/\/\S+$/i, { message: "Attachments must be http(s) URLs." })).max(10).optional(),
+    custom_field_values: z.array(z.object({
+        id_custom_field: z.string().min(1),
+        type: z.enum(['text', 'number', 'date', 'checkbox', 'list']),
+        value: z.string(),
+    })).optional(),
+    cover_color: z.enum(TRELLO_COVER_COLORS).nullable().optional(),
+    card_position: z.enum(['top', 'bottom']).optional(),
+    watch_card: z.boolean().optional(),
+    template_card_id: z.string().nullable().optional(),
+    template_keep_from_source: z.array(z.enum(TEMPLATE_KEEP_OPTIONS)).min(1, { message: "Choose at least one part of the template card to copy." }).optional(),
     is_active: z.boolean().optional(),
-    checklist_name: z.string().optional().nullable(),
-    checklist_items: z.array(z.object({
-        item_name: z.string().min(1, { message: "Checklist item name cannot be empty." }),
+    checklists: z.array(z.object({
+        name: z.string().min(1, { message: "Checklist name cannot be empty." }),
+        items: z.array(z.object({
+            item_name: z.string().min(1, { message: "Checklist item name cannot be empty." }),
+            trello_member_id: z.string().nullable().optional(),
+            // Days before (negative) or after the card's due date.
+            due_offset_days: z.number().int().min(-365).max(365).nullable().optional(),
+        })).default([]),
+    })).optional(),
+}).superRefine((data, ctx) => {
+    if (data.frequency === 'monthly' && data.frequency_details && !MONTHLY_DETAILS_PATTERN.test(data.frequency_details)) {
+        ctx.addIssue({
+            code: 'custom',
+            path: ['frequency_details'],
+            message: 'Monthly schedules must repeat on a day of the month, the last day, or a weekday of the month.',
+        });
+    }
+    if (data.frequency === 'rrule') {
+        try {
+            parseRRule(data.rrule);
+        } catch (error) {
+            ctx.addIssue({ code: 'custom', path: ['rrule'], message: error.message });
+        }
+    }
+    // The default lists belong to the default board, so a schedule on another board needs its own list.
+    if (data.trello_board_id && !data.trello_list_id) {
+        ctx.addIssue({ code: 'custom', path: ['trello_list_id'], message: 'A list must be chosen when the schedule uses its own board.' });
+    }
+    // Another connection usually cannot see the default board.
+    if (data.connection_id && !data.trello_board_id) {
+        ctx.addIssue({ code: 'custom', path: ['trello_board_id'], message: 'A board must be chosen when the schedule uses its own Trello connection.' });
+    }
+});
+
+const occurrenceCountSchema = z.object({
+    count: z.coerce.number().int().min(1).max(100).default(10),
+});
+
+// Cards are imported in one transaction, so a single import is kept to a reasonable size.
+const MAX_IMPORTED_CARDS = 100;
+
+// Backups can hold every schedule of an instance, unlike the card import.
+const MAX_IMPORTED_SCHEDULES = 1000;
+
+const exportFormatSchema = z.object({
+    format: z.enum(['json', 'csv']).default('json'),
+});
+
+// Schedules come either as the 'schedules' of a JSON export or as the text of a CSV export.
+const scheduleImportSchema = z.object({
+    schedules: z.array(z.record(z.string(), z.unknown())).max(MAX_IMPORTED_SCHEDULES).optional(),
+    csv: z.string().optional(),
+    // What happens to a schedule whose title is already taken.
+    conflict: z.enum(['skip', 'overwrite', 'duplicate']).default('skip'),
+    dry_run: z.boolean().default(false),
+    // Old Trello IDs mapped to the IDs on the board the schedules are imported into.
+    member_map: z.record(z.string(), z.string()).default({}),
+    label_map: z.record(z.string(), z.string()).default({}),
+    use_default_board: z.boolean().default(false),
+}).refine(data => data.schedules || data.csv, { message: "Either 'schedules' or 'csv' is required." });
+
+// The board-wide calendar covers at most a little over a year per request.
+const MAX_OCCURRENCE_RANGE_DAYS = 400;
+
+const occurrenceRangeSchema = z.object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+}).refine(({ from, to }) => !from || !to || from <= to, {
+    message: "'from' must be before 'to'.",
+    path: ['to'],
+});
+
+// The preview works on unsaved, possibly incomplete form data, so only the templated fields are checked.
+const cardPreviewSchema = z.looseObject({
+    id: z.number().int().positive().nullable().optional(),
+    title: z.string().default(''),
+    description: z.string().nullable().optional(),
+    checklists: z.array(z.object({
+        name: z.string().default(''),
+        items: z.array(z.looseObject({ item_name: z.string() })).default([]),
     })).optional(),
+    trello_member_ids: z.array(z.string()).optional(),
+});
+
+const cardHistorySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
 });
 
+/**
+ * @description Returns the RRULE to store for a schedule. Only rrule schedules keep one.
+ * @param {string} frequency - The schedule's frequency.
+ * @param {string|null} rrule - The submitted rule.
+ * @returns {string|null} The normalized rule, or null.
+ */
+const getStoredRRule = (frequency, rrule) => (frequency === 'rrule' ? normalizeRRule(rrule) : null);
+
+/**
+ * @description Looks up the full names of members of a schedule's board. When Trello cannot be
+ * reached the member IDs are returned instead, which is still usable for previews.
+ * @param {object} schedule - The schedule, for its connection and board.
+ * @param {string[]} memberIds - The Trello member IDs.
+ * @param {object} appSettings - The application settings object.
+ * @returns {Promise<string[]>} The names, in the order of memberIds.
+ */
+const getMemberNames = async (schedule, memberIds, appSettings) => {
+    if (memberIds.length === 0) {
+        return [];
+    }
+    try {
+        const settings = await trelloService.getScheduleTrelloSettings(schedule, appSettings);
+        const boardMembers = await trelloService.getTrelloBoardMembers(settings.TRELLO_API_KEY, settings.TRELLO_API_TOKEN, settings.TRELLO_BOARD_ID);
+        return memberIds.map(id => boardMembers.find(m => m.id === id)?.fullName || id);
+    } catch (err) {
+        return memberIds;
+    }
+};
+
 /**
  * @description Gets all schedules, grouped by category.
  * @route GET /api/schedules
@@ -50,14 +205,16 @@ const scheduleSchema = z.object({
 export const getAllSchedules = async (req, res) => {
     try {
         const scheduleResult = await pool.query('SELECT * FROM schedules ORDER BY category ASC, id ASC');
-        const itemsResult = await pool.query('SELECT * FROM checklist_items ORDER BY id ASC');
+        const checklistsBySchedule = await getChecklistsForSchedules(scheduleResult.rows.map(schedule => schedule.id));
+        const openCardsResult = await pool.query("SELECT * FROM generated_cards WHERE status = 'open' ORDER BY created_at ASC");
         
         const schedules = scheduleResult.rows;
-        const checklistItems = itemsResult.rows;
+        const openCards = openCardsResult.rows;
 
         const schedulesWithItems = schedules.map(schedule => ({
             ...schedule,
-            checklist_items: checklistItems.filter(item => item.schedule_id === schedule.id)
+            checklists: checklistsBySchedule.get(schedule.id) || [],
+            open_cards: openCards.filter(card => card.schedule_id === schedule.id)
         }));
 
         const groupedSchedules = schedulesWithItems.reduce((acc, schedule) => {
@@ -93,50 +250,251 @@ export const getUniqueCategories = async (req, res) => {
 };
 
 /**
- * @description Creates a new schedule after validating input.
- * @route POST /api/schedules
+ * @description Previews the next due dates of a single schedule.
+ * @route GET /api/schedules/:id/occurrences?count=N
  * @access Private
  */
-export const createSchedule = async (req, res) => {
-    const validationResult = scheduleSchema.safeParse(req.body);
+export const getScheduleOccurrences = async (req, res) => {
+    const validationResult = occurrenceCountSchema.safeParse(req.query);
     if (!validationResult.success) {
         return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
     }
-    
-    const { title, description, category, trello_member_ids, frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, trello_label_ids, is_active, checklist_name, checklist_items } = validationResult.data;
 
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query('SELECT * FROM schedules WHERE id = $1', [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        const schedule = rows[0];
+        const occurrences = getUpcomingOccurrences(schedule, { count: validationResult.data.count });
+
+        // For rotating schedules, whose turn the next card is, after skipping anyone who is away.
+        let nextAssignee = null;
+        if (schedule.assignment_mode === 'rotation' && occurrences[0]) {
+            const rotation = await resolveRotationAssignee(schedule, occurrences[0]);
+            if (rotation.memberId) {
+                const [name, ...skippedNames] = await getMemberNames(schedule, [rotation.memberId, ...rotation.skippedMemberIds], req.appSettings);
+                nextAssignee = { trello_member_id: rotation.memberId, name, skipped: skippedNames };
+            }
+        }
+
+        res.status(200).json({
+            schedule_id: schedule.id,
+            is_active: schedule.is_active,
+            occurrences,
+            next_planned_creation_date: getPlannedCreationDate(schedule, occurrences[0]),
+            next_assignee: nextAssignee,
+        });
+    } catch (err) {
+        console.error('Failed to calculate schedule occurrences.', err);
+        res.status(500).json({ error: 'Failed to calculate schedule occurrences.', details: err.message });
+    }
+};
+
+/**
+ * @description Lists every upcoming card across all active schedules within a date range.
+ * Defaults to the next 31 days.
+ * @route GET /api/schedules/occurrences?from=ISO_DATE&to=ISO_DATE
+ * @access Private
+ */
+export const getAllOccurrences = async (req, res) => {
+    const validationResult = occurrenceRangeSchema.safeParse(req.query);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+
+    const from = validationResult.data.from || new Date();
+    const to = validationResult.data.to || new Date(from.getTime() + 31 * 24 * 60 * 60 * 1000);
+    if (to - from > MAX_OCCURRENCE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ message: `The date range cannot exceed ${MAX_OCCURRENCE_RANGE_DAYS} days.` });
+    }
+
+    try {
+        const { rows: schedules } = await pool.query('SELECT * FROM schedules WHERE is_active = TRUE ORDER BY id ASC');
+        const occurrences = schedules.flatMap(schedule =>
+            getUpcomingOccurrences(schedule, { from, to }).map(dueDate => ({
+                schedule_id: schedule.id,
+                title: schedule.title,
+                category: schedule.category,
+                trello_member_ids: schedule.trello_member_ids,
+                due_date: dueDate,
+                planned_creation_date: getPlannedCreationDate(schedule, dueDate),
+            }))
+        );
+        occurrences.sort((a, b) => a.due_date - b.due_date);
+        res.status(200).json({ from, to, occurrences });
+    } catch (err) {
+        console.error('Failed to calculate occurrences.', err);
+        res.status(500).json({ error: 'Failed to calculate occurrences.', details: err.message });
+    }
+};
+
+/**
+ * @description Renders the card a schedule would create next, with its template placeholders filled
+ * in. Works on the schedule form's data, so changes can be previewed before they are saved.
+ * @route POST /api/schedules/preview
+ * @access Private
+ */
+export const previewScheduleCard = async (req, res) => {
+    const validationResult = cardPreviewSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const schedule = validationResult.data;
+
+    try {
+        // Incomplete frequency settings still get a preview, dated today.
+        let dueDate = null;
+        try {
+            dueDate = getUpcomingOccurrences(schedule, { count: 1 })[0];
+        } catch (err) {
+            dueDate = null;
+        }
+        dueDate = dueDate || new Date();
+
+        let occurrenceCount = 1;
+        if (schedule.id) {
+            const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM generated_cards WHERE schedule_id = $1', [schedule.id]);
+            occurrenceCount = (rows[0]?.count || 0) + 1;
+        }
+
+        let memberIds = schedule.trello_member_ids || [];
+        if (schedule.assignment_mode === 'rotation') {
+            const { memberId } = await resolveRotationAssignee(schedule, dueDate);
+            memberIds = memberId ? [memberId] : [];
+        }
+        const assigneeNames = await getMemberNames(schedule, memberIds, req.appSettings);
+
+        const variables = getTemplateVariables(schedule, dueDate, { occurrenceCount, assigneeNames });
+        res.status(200).json({ due_date: dueDate, ...renderCardContent(schedule, variables) });
+    } catch (err) {
+        console.error('Failed to preview card.', err);
+        res.status(500).json({ error: 'Failed to preview card.', details: err.message });
+    }
+};
+
+/**
+ * @description Pages through the cards a schedule has produced, newest first.
+ * @route GET /api/schedules/:id/cards?page=N&limit=N
+ * @access Private
+ */
+export const getScheduleCardHistory = async (req, res) => {
+    const validationResult = cardHistorySchema.safeParse(req.query);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+
+    const { id } = req.params;
+    const { page, limit } = validationResult.data;
+    try {
+        const { rows } = await pool.query('SELECT id FROM schedules WHERE id = $1', [id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Schedule not found.' });
+        }
+        const [cardsResult, countResult] = await Promise.all([
+            pool.query('SELECT * FROM generated_cards WHERE schedule_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3', [id, limit, (page - 1) * limit]),
+            pool.query('SELECT COUNT(*) FROM generated_cards WHERE schedule_id = $1', [id]),
+        ]);
+        res.status(200).json({
+            cards: cardsResult.rows,
+            totalCount: parseInt(countResult.rows[0].count, 10),
+        });
+    } catch (err) {
+        console.error('Failed to fetch card history.', err);
+        res.status(500).json({ error: 'Failed to fetch card history.', details: err.message });
+    }
+};
+
+/**
+ * @description Validates the input for a new or updated schedule: the schema, the checks that
+ * compare several fields and the Trello connection. Only admins may choose a connection, since it
+ * holds credentials they registered; others may keep the one a schedule already uses.
+ * @param {object} input - The schedule data from the request.
+ * @param {object} options
+ * @param {object} options.appSettings - The application settings object, for the default board.
+ * @param {object} [options.user] - The user saving the schedule.
+ * @param {number|string} [options.scheduleId] - The ID of the schedule being updated, if any.
+ * @returns {Promise<{data?: object, status?: number, error?: object}>} The parsed schedule, or the
+ * status and response body of the error.
+ */
+const validateScheduleInput = async (input, { appSettings, user, scheduleId }) => {
+    const validationResult = scheduleSchema.safeParse(input);
+    if (!validationResult.success) {
+        return { status: 400, error: { message: "Invalid input.", errors: validationResult.error.issues } };
+    }
+
+    const { start_hour, start_minute, start_ampm, trigger_hour, trigger_minute, trigger_ampm } = validationResult.data;
     const startTimeInMinutes = timeToMinutes(start_hour, start_minute, start_ampm);
     const dueTimeInMinutes = timeToMinutes(trigger_hour, trigger_minute, trigger_ampm);
 
     if (startTimeInMinutes !== null && dueTimeInMinutes !== null && startTimeInMinutes >= dueTimeInMinutes) {
-        return res.status(400).json({ message: "Validation failed.", errors: [{ path: ['start_hour'], message: 'Start time must be before due time.' }] });
+        return { status: 400, error: { message: "Validation failed.", errors: [{ path: ['start_hour'], message: 'Start time must be before due time.' }] } };
     }
-    
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
 
-        const scheduleQuery = `
-            INSERT INTO schedules (title, description, category, trello_member_ids, frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, trello_label_ids, is_active, checklist_name) 
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) 
-            RETURNING *;
-        `;
-        const scheduleValues = [title, description, category || 'Uncategorized', trello_member_ids, frequency, frequency_interval || 1, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date || null, start_hour, start_minute, start_ampm, end_date || null, trello_label_ids || [], is_active !== false, checklist_name];
-        
-        const scheduleResult = await client.query(scheduleQuery, scheduleValues);
-        const newSchedule = scheduleResult.rows[0];
+    // The webhook is only registered on the default board, so completions elsewhere are never reported.
+    const { create_next_on_completion, connection_id, trello_board_id } = validationResult.data;
+    if (create_next_on_completion && (connection_id || (trello_board_id && trello_board_id !== appSettings?.TRELLO_BOARD_ID))) {
+        return { status: 400, error: { message: "Validation failed.", errors: [{ path: ['create_next_on_completion'], message: 'The next card can only be created on completion for schedules on the default board.' }] } };
+    }
 
-        if (checklist_items && checklist_items.length > 0) {
-            const itemQuery = 'INSERT INTO checklist_items (schedule_id, item_name) VALUES ($1, $2)';
-            for (const item of checklist_items) {
-                await client.query(itemQuery, [newSchedule.id, item.item_name]);
+    if (connection_id) {
+        if (user?.role !== 'admin') {
+            const { rows } = scheduleId ? await pool.query('SELECT connection_id FROM schedules WHERE id = $1', [scheduleId]) : { rows: [] };
+            if (rows[0]?.connection_id !== connection_id) {
+                return { status: 403, error: { message: 'Not authorized to use this Trello connection', errors: [{ path: ['connection_id'], message: 'Only administrators can choose a Trello connection.' }] } };
+            }
+        } else {
+            // Connection IDs from another instance do not exist here.
+            const { rows } = await pool.query('SELECT id FROM trello_connections WHERE id = $1', [connection_id]);
+            if (rows.length === 0) {
+                return { status: 400, error: { message: "Validation failed.", errors: [{ path: ['connection_id'], message: `Trello connection ${connection_id} does not exist.` }] } };
             }
         }
+    }
+    return { data: validationResult.data };
+};
+
+/**
+ * @description Inserts a schedule and its checklists. Must be called inside the caller's transaction.
+ * @param {import('pg').PoolClient} client - The client of the open transaction.
+ * @param {object} data - The schedule, as returned by validateScheduleInput.
+ * @returns {Promise<object>} The new schedule, with its checklists.
+ */
+const insertSchedule = async (client, data) => {
+    const { title, description, category, trello_member_ids, frequency, frequency_interval, frequency_details, rrule, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, non_working_day_policy, time_zone, catch_up_policy, lead_time_days, overlap_policy, max_open_cards, create_next_on_completion, connection_id, trello_board_id, trello_list_id, trello_done_list_id, trello_label_ids, attachment_urls, custom_field_values, cover_color, card_position, watch_card, assignment_mode, template_card_id, template_keep_from_source, is_active, checklists } = data;
+
+    const scheduleQuery = `
+        INSERT INTO schedules (title, description, category, trello_member_ids, frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, trello_label_ids, is_active, non_working_day_policy, rrule, time_zone, catch_up_policy, lead_time_days, overlap_policy, max_open_cards, create_next_on_completion, trello_board_id, trello_list_id, trello_done_list_id, connection_id, attachment_urls, custom_field_values, cover_color, card_position, watch_card, assignment_mode, template_card_id, template_keep_from_source) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37) 
+        RETURNING *;
+    `;
+    const scheduleValues = [title, description, category || 'Uncategorized', trello_member_ids, frequency, frequency_interval || 1, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date || null, start_hour, start_minute, start_ampm, end_date || null, trello_label_ids || [], is_active !== false, non_working_day_policy || 'none', getStoredRRule(frequency, rrule), time_zone || null, catch_up_policy || 'skip', lead_time_days || 0, overlap_policy || 'block', max_open_cards || 1, create_next_on_completion === true, trello_board_id || null, trello_list_id || null, trello_done_list_id || null, connection_id || null, attachment_urls || [], JSON.stringify(custom_field_values || []), cover_color || null, card_position || 'bottom', watch_card === true, assignment_mode || 'all', template_card_id || null, template_keep_from_source || DEFAULT_TEMPLATE_KEEP];
+
+    const scheduleResult = await client.query(scheduleQuery, scheduleValues);
+    const newSchedule = scheduleResult.rows[0];
+    const savedChecklists = await replaceScheduleChecklists(client, newSchedule.id, checklists);
+    return { ...newSchedule, checklists: savedChecklists };
+};
 
+/**
+ * @description Creates a new schedule after validating input.
+ * @route POST /api/schedules
+ * @access Private
+ */
+export const createSchedule = async (req, res) => {
+    const { data, status, error } = await validateScheduleInput(req.body, { appSettings: req.appSettings, user: req.user });
+    if (error) {
+        return res.status(status).json(error);
+    }
+    
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const finalSchedule = await insertSchedule(client, data);
         await client.query('COMMIT');
         
-        const finalSchedule = { ...newSchedule, checklist_items };
-        await logAuditEvent('INFO', `New schedule created: "${newSchedule.title}"`, { schedule: finalSchedule }, req.user);
+        await logAuditEvent('INFO', `New schedule created: "${finalSchedule.title}"`, { schedule: finalSchedule }, req.user);
         res.status(201).json(finalSchedule);
     } catch (err) {
         await client.query('ROLLBACK');
@@ -147,25 +505,94 @@ export const createSchedule = async (req, res) => {
     }
 };
 
+/**
+ * @description Creates a schedule for each of a batch of cards picked from Trello. Each schedule is
+ * validated like one from createSchedule, and none are created unless all of them are valid.
+ * @route POST /api/schedules/import-cards
+ * @access Private
+ */
+export const importSchedulesFromCards = async (req, res) => {
+    const schedules = req.body?.schedules;
+    if (!Array.isArray(schedules) || schedules.length === 0) {
+        return res.status(400).json({ message: 'At least one card must be chosen.' });
+    }
+    if (schedules.length > MAX_IMPORTED_CARDS) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORTED_CARDS} cards can be imported at once.` });
+    }
+
+    const results = [];
+    for (const schedule of schedules) {
+        results.push(await validateScheduleInput(schedule, { appSettings: req.appSettings, user: req.user }));
+    }
+    const failures = results
+        .map((result, index) => (result.error ? { index, title: schedules[index]?.title, errors: result.error.errors } : null))
+        .filter(Boolean);
+    if (failures.length > 0) {
+        return res.status(400).json({ message: `${failures.length} of the cards cannot be imported.`, failures });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const created = [];
+        for (const { data } of results) {
+            created.push(await insertSchedule(client, data));
+        }
+        await client.query('COMMIT');
+
+        await logAuditEvent('INFO', `Imported ${created.length} schedule(s) from Trello cards.`, { scheduleIds: created.map(schedule => schedule.id) }, req.user);
+        res.status(201).json(created);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Import schedules error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * @description Updates a schedule and replaces its checklists. Must be called inside the caller's
+ * transaction.
+ * @param {import('pg').PoolClient} client - The client of the open transaction.
+ * @param {number|string} id - The ID of the schedule.
+ * @param {object} data - The schedule, as returned by validateScheduleInput.
+ * @returns {Promise<object>} The updated schedule, with its checklists.
+ */
+const updateScheduleRow = async (client, id, data) => {
+    const { title, description, category, trello_member_ids, frequency, frequency_interval, frequency_details, rrule, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, non_working_day_policy, time_zone, catch_up_policy, lead_time_days, overlap_policy, max_open_cards, create_next_on_completion, connection_id, trello_board_id, trello_list_id, trello_done_list_id, trello_label_ids, attachment_urls, custom_field_values, cover_color, card_position, watch_card, assignment_mode, template_card_id, template_keep_from_source, is_active, checklists } = data;
+
+    const scheduleQuery = `
+        UPDATE schedules SET 
+        title = $1, description = $2, category = $3, trello_member_ids = $4, frequency = $5, 
+        frequency_interval = $6, frequency_details = $7, trigger_hour = $8, 
+        trigger_minute = $9, trigger_ampm = $10, start_date = $11, start_hour = $12, 
+        start_minute = $13, start_ampm = $14, end_date = $15, trello_label_ids = $16, 
+        is_active = $17, non_working_day_policy = $18, rrule = $19, time_zone = $20, catch_up_policy = $21, lead_time_days = $22, overlap_policy = $23, max_open_cards = $24, create_next_on_completion = $25,
+        trello_board_id = $26, trello_list_id = $27, trello_done_list_id = $28, connection_id = $29,
+        attachment_urls = $30, custom_field_values = $31, cover_color = $32, card_position = $33, watch_card = $34,
+        assignment_mode = $35, template_card_id = $36, template_keep_from_source = $37
+        WHERE id = $38 
+        RETURNING *;
+    `;
+    const scheduleValues = [title, description, category || 'Uncategorized', trello_member_ids, frequency, frequency_interval || 1, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date || null, start_hour, start_minute, start_ampm, end_date || null, trello_label_ids || [], is_active, non_working_day_policy || 'none', getStoredRRule(frequency, rrule), time_zone || null, catch_up_policy || 'skip', lead_time_days || 0, overlap_policy || 'block', max_open_cards || 1, create_next_on_completion === true, trello_board_id || null, trello_list_id || null, trello_done_list_id || null, connection_id || null, attachment_urls || [], JSON.stringify(custom_field_values || []), cover_color || null, card_position || 'bottom', watch_card === true, assignment_mode || 'all', template_card_id || null, template_keep_from_source || DEFAULT_TEMPLATE_KEEP, id];
+    const scheduleResult = await client.query(scheduleQuery, scheduleValues);
+    const updatedSchedule = scheduleResult.rows[0];
+
+    const savedChecklists = await replaceScheduleChecklists(client, id, checklists);
+    return { ...updatedSchedule, checklists: savedChecklists };
+};
+
 /**
  * @description Updates an existing schedule after validating input.
  * @route PUT /api/schedules/:id
  * @access Private
  */
 export const updateSchedule = async (req, res) => {
-    const validationResult = scheduleSchema.safeParse(req.body);
-    if (!validationResult.success) {
-        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
-    }
-
     const { id } = req.params;
-    const { title, description, category, trello_member_ids, frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, trello_label_ids, is_active, checklist_name, checklist_items } = validationResult.data;
-    
-    const startTimeInMinutes = timeToMinutes(start_hour, start_minute, start_ampm);
-    const dueTimeInMinutes = timeToMinutes(trigger_hour, trigger_minute, trigger_ampm);
-
-    if (startTimeInMinutes !== null && dueTimeInMinutes !== null && startTimeInMinutes >= dueTimeInMinutes) {
-        return res.status(400).json({ message: "Validation failed.", errors: [{ path: ['start_hour'], message: 'Start time must be before due time.' }] });
+    const { data, status, error } = await validateScheduleInput(req.body, { appSettings: req.appSettings, user: req.user, scheduleId: id });
+    if (error) {
+        return res.status(status).json(error);
     }
 
     const client = await pool.connect();
@@ -178,33 +605,11 @@ export const updateSchedule = async (req, res) => {
             return res.status(404).json({ error: 'Schedule not found' });
         }
 
-        const scheduleQuery = `
-            UPDATE schedules SET 
-            title = $1, description = $2, category = $3, trello_member_ids = $4, frequency = $5, 
-            frequency_interval = $6, frequency_details = $7, trigger_hour = $8, 
-            trigger_minute = $9, trigger_ampm = $10, start_date = $11, start_hour = $12, 
-            start_minute = $13, start_ampm = $14, end_date = $15, trello_label_ids = $16, 
-            is_active = $17, checklist_name = $18
-            WHERE id = $19 
-            RETURNING *;
-        `;
-        const scheduleValues = [title, description, category || 'Uncategorized', trello_member_ids, frequency, frequency_interval || 1, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date || null, start_hour, start_minute, start_ampm, end_date || null, trello_label_ids || [], is_active, checklist_name, id];
-        const scheduleResult = await client.query(scheduleQuery, scheduleValues);
-        const updatedSchedule = scheduleResult.rows[0];
-
-        await client.query('DELETE FROM checklist_items WHERE schedule_id = $1', [id]);
-
-        if (checklist_items && checklist_items.length > 0) {
-            const itemQuery = 'INSERT INTO checklist_items (schedule_id, item_name) VALUES ($1, $2)';
-            for (const item of checklist_items) {
-                await client.query(itemQuery, [id, item.item_name]);
-            }
-        }
+        const finalSchedule = await updateScheduleRow(client, id, data);
         
         await client.query('COMMIT');
         
-        const finalSchedule = { ...updatedSchedule, checklist_items };
-        await logAuditEvent('INFO', `Schedule updated: "${updatedSchedule.title}"`, { before: beforeResult.rows[0], after: finalSchedule }, req.user);
+        await logAuditEvent('INFO', `Schedule updated: "${finalSchedule.title}"`, { before: beforeResult.rows[0], after: finalSchedule }, req.user);
         res.status(200).json(finalSchedule);
     } catch (err) {
         await client.query('ROLLBACK');
@@ -324,20 +729,18 @@ export const cloneSchedule = async (req, res) => {
         }
         const originalSchedule = scheduleResult.rows[0];
 
-        const itemsResult = await client.query('SELECT * FROM checklist_items WHERE schedule_id = $1', [id]);
-        const originalChecklistItems = itemsResult.rows;
+        const originalChecklists = await getScheduleChecklists(id, client);
 
         const newScheduleData = {
             ...originalSchedule,
             title: `${originalSchedule.title} (Copy)`,
-            active_card_id: null,
             last_card_created_at: null,
             trello_member_ids: originalSchedule.trello_member_ids,
         };
 
         const insertScheduleQuery = `
-            INSERT INTO schedules (title, description, category, frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, trello_label_ids, trello_member_ids, checklist_name) 
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) 
+            INSERT INTO schedules (title, description, category, frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm, start_date, start_hour, start_minute, start_ampm, end_date, trello_label_ids, trello_member_ids, non_working_day_policy, rrule, time_zone, catch_up_policy, lead_time_days, overlap_policy, max_open_cards, create_next_on_completion, trello_board_id, trello_list_id, trello_done_list_id, connection_id, attachment_urls, custom_field_values, cover_color, card_position, watch_card, assignment_mode, template_card_id, template_keep_from_source) 
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36) 
             RETURNING *;
         `;
         const insertScheduleValues = [
@@ -345,24 +748,26 @@ export const cloneSchedule = async (req, res) => {
             newScheduleData.frequency, newScheduleData.frequency_interval, newScheduleData.frequency_details, 
             newScheduleData.trigger_hour, newScheduleData.trigger_minute, newScheduleData.trigger_ampm, 
             newScheduleData.start_date, newScheduleData.start_hour, newScheduleData.start_minute, newScheduleData.start_ampm, newScheduleData.end_date, newScheduleData.trello_label_ids, newScheduleData.trello_member_ids,
-            newScheduleData.checklist_name
+            newScheduleData.non_working_day_policy || 'none', newScheduleData.rrule || null,
+            newScheduleData.time_zone || null, newScheduleData.catch_up_policy || 'skip', newScheduleData.lead_time_days || 0,
+            newScheduleData.overlap_policy || 'block', newScheduleData.max_open_cards || 1,
+            newScheduleData.create_next_on_completion === true,
+            newScheduleData.trello_board_id || null, newScheduleData.trello_list_id || null, newScheduleData.trello_done_list_id || null,
+            newScheduleData.connection_id || null,
+            newScheduleData.attachment_urls || [], JSON.stringify(newScheduleData.custom_field_values || []),
+            newScheduleData.cover_color || null, newScheduleData.card_position || 'bottom', newScheduleData.watch_card === true,
+            newScheduleData.assignment_mode || 'all',
+            newScheduleData.template_card_id || null, newScheduleData.template_keep_from_source || DEFAULT_TEMPLATE_KEEP
         ];
 
         const clonedScheduleResult = await client.query(insertScheduleQuery, insertScheduleValues);
         const clonedSchedule = clonedScheduleResult.rows[0];
 
-        let newChecklistItems = [];
-        if (originalChecklistItems.length > 0) {
-            const itemQuery = 'INSERT INTO checklist_items (schedule_id, item_name) VALUES ($1, $2) RETURNING *';
-            for (const item of originalChecklistItems) {
-                const newItemResult = await client.query(itemQuery, [clonedSchedule.id, item.item_name]);
-                newChecklistItems.push(newItemResult.rows[0]);
-            }
-        }
+        const newChecklists = await replaceScheduleChecklists(client, clonedSchedule.id, originalChecklists);
         
         await client.query('COMMIT');
 
-        const finalClonedSchedule = { ...clonedSchedule, checklist_items: newChecklistItems };
+        const finalClonedSchedule = { ...clonedSchedule, checklists: newChecklists };
 
         await logAuditEvent('INFO', `Schedule cloned: "${clonedSchedule.title}"`, { originalId: id, newId: clonedSchedule.id }, req.user);
         res.status(201).json(finalClonedSchedule);
@@ -376,3 +781,135 @@ export const cloneSchedule = async (req, res) => {
         client.release();
     }
 };
+
+/**
+ * @description Exports every schedule with its checklists, as JSON or as CSV, so schedules can be
+ * backed up or moved to another instance with the import.
+ * @route GET /api/schedules/export?format=json|csv
+ * @access Private
+ */
+export const exportSchedules = async (req, res) => {
+    const validationResult = exportFormatSchema.safeParse(req.query);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { format } = validationResult.data;
+
+    try {
+        const { rows } = await pool.query('SELECT * FROM schedules ORDER BY category ASC, id ASC');
+        const checklistsBySchedule = await getChecklistsForSchedules(rows.map(schedule => schedule.id));
+        const fields = Object.keys(scheduleSchema.shape);
+        const records = rows.map(schedule => toExportRecord({ ...schedule, checklists: checklistsBySchedule.get(schedule.id) || [] }, fields));
+        const fileName = `schedules-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        await logAuditEvent('INFO', `Exported ${records.length} schedule(s) as ${format.toUpperCase()}.`, { count: records.length }, req.user);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'csv') {
+            return res.status(200).type('text/csv').send(toCsv(records, fields));
+        }
+        res.status(200).json({ version: 1, exported_at: new Date().toISOString(), schedules: records });
+    } catch (err) {
+        console.error('Failed to export schedules.', err);
+        res.status(500).json({ error: 'Failed to export schedules.' });
+    }
+};
+
+/**
+ * @description Imports schedules from an export. Each schedule is validated like one from
+ * createSchedule, and titles must be unique within the file. A schedule whose title is already
+ * taken is skipped, overwrites the existing schedule or is added as a duplicate. With 'dry_run' nothing is saved and the response shows what
+ * would happen; otherwise nothing is saved unless every schedule is valid.
+ * @route POST /api/schedules/import
+ * @access Private
+ */
+export const importSchedules = async (req, res) => {
+    const validationResult = scheduleImportSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return res.status(400).json({ message: "Invalid input.", errors: validationResult.error.issues });
+    }
+    const { schedules, csv, conflict, dry_run, member_map, label_map, use_default_board } = validationResult.data;
+
+    const imported = schedules || parseCsvSchedules(csv);
+    if (imported.length === 0) {
+        return res.status(400).json({ message: 'The file contains no schedules.' });
+    }
+    if (imported.length > MAX_IMPORTED_SCHEDULES) {
+        return res.status(400).json({ message: `At most ${MAX_IMPORTED_SCHEDULES} schedules can be imported at once.` });
+    }
+
+    try {
+        const { rows: existing } = await pool.query('SELECT id, title FROM schedules ORDER BY id ASC');
+        const scheduleIdsByTitle = new Map();
+        existing.forEach(schedule => !scheduleIdsByTitle.has(schedule.title) && scheduleIdsByTitle.set(schedule.title, schedule.id));
+        const importedTitles = new Set();
+
+        const evaluateSchedule = async (rawSchedule, index) => {
+            const prepared = remapTrelloIds(use_default_board ? clearBoardSettings(rawSchedule) : rawSchedule, { memberMap: member_map, labelMap: label_map });
+            const overwrittenId = conflict === 'overwrite' ? scheduleIdsByTitle.get(prepared.title) : undefined;
+            const { data, error } = await validateScheduleInput({ is_active: true, ...prepared }, { appSettings: req.appSettings, user: req.user, scheduleId: overwrittenId });
+            const title = typeof rawSchedule.title === 'string' ? rawSchedule.title : null;
+            if (error) {
+                return { index, title, action: 'invalid', errors: error.errors };
+            }
+            // Two schedules with one title would both be created, or overwrite the same schedule.
+            if (importedTitles.has(data.title)) {
+                return { index, title, action: 'invalid', errors: [{ path: ['title'], message: `Another schedule in the file is also titled "${data.title}".` }] };
+            }
+            importedTitles.add(data.title);
+            const existingId = scheduleIdsByTitle.get(data.title);
+            if (existingId && conflict === 'skip') {
+                return { index, title, action: 'skip', schedule_id: existingId, data };
+            }
+            if (existingId && conflict === 'overwrite') {
+                return { index, title, action: 'overwrite', schedule_id: existingId, data };
+            }
+            return { index, title, action: 'create', data };
+        };
+        const results = [];
+        for (const [index, rawSchedule] of imported.entries()) {
+            results.push(await evaluateSchedule(rawSchedule, index));
+        }
+
+        const summary = { create: 0, overwrite: 0, skip: 0, invalid: 0 };
+        results.forEach(result => summary[result.action]++);
+        const { memberIds, labelIds } = collectTrelloIds(imported);
+        const report = {
+            dry_run,
+            summary,
+            results: results.map(({ data, ...result }) => result),
+            member_ids: memberIds,
+            label_ids: labelIds,
+        };
+
+        if (dry_run) {
+            return res.status(200).json(report);
+        }
+        if (summary.invalid > 0) {
+            return res.status(400).json({ message: `${summary.invalid} of the schedules are invalid. Nothing was imported.`, ...report });
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (const result of results) {
+                if (result.action === 'create') {
+                    result.schedule_id = (await insertSchedule(client, result.data)).id;
+                } else if (result.action === 'overwrite') {
+                    await updateScheduleRow(client, result.schedule_id, result.data);
+                }
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        await logAuditEvent('INFO', `Imported schedules: ${summary.create} created, ${summary.overwrite} overwritten, ${summary.skip} skipped.`, { summary, conflict }, req.user);
+        res.status(200).json({ ...report, results: results.map(({ data, ...result }) => result) });
+    } catch (err) {
+        await logAuditEvent('ERROR', 'Failed to import schedules.', { error: String(err) }, req.user);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
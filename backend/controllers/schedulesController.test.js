@@ -10,25 +10,55 @@ jest.unstable_mockModule('../db.js', () => ({
 
 jest.unstable_mockModule('../services/trelloService.js', () => ({
   processCardCreationForSchedule: jest.fn(),
+  getScheduleTrelloSettings: jest.fn(),
+  getTrelloBoardMembers: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/checklistService.js', () => ({
+  getChecklistsForSchedules: jest.fn(),
+  getScheduleChecklists: jest.fn(),
+  replaceScheduleChecklists: jest.fn(),
+}));
+
+jest.unstable_mockModule('../services/rotationService.js', () => ({
+  resolveRotationAssignee: jest.fn(),
 }));
 
 jest.unstable_mockModule('../utils/logger.js', () => ({
   default: jest.fn(),
 }));
 
+/**
+ * Asserts that an INSERT names as many columns as it has placeholders and values.
+ */
+const expectInsertToMatchValues = ([sql, values]) => {
+  const [, columns, placeholders] = sql.match(/\(([^)]*)\)\s*VALUES \(([^)]*)\)/);
+  expect(columns.split(',')).toHaveLength(values.length);
+  expect(placeholders.split(',')).toHaveLength(values.length);
+};
+
 // Dynamically import modules after mocks are set up
 const pool = (await import('../db.js')).default;
 const trelloService = await import('../services/trelloService.js');
+const checklistService = await import('../services/checklistService.js');
+const rotationService = await import('../services/rotationService.js');
 const logAuditEvent = (await import('../utils/logger.js')).default;
 const {
   getAllSchedules,
   createSchedule,
+  importSchedulesFromCards,
+  exportSchedules,
+  importSchedules,
   updateSchedule,
   deleteSchedule,
   toggleScheduleStatus,
   triggerSchedule,
   cloneSchedule,
-  getUniqueCategories
+  getUniqueCategories,
+  getScheduleOccurrences,
+  getAllOccurrences,
+  getScheduleCardHistory,
+  previewScheduleCard
 } = await import('./schedulesController.js');
 
 
@@ -50,39 +80,42 @@ describe('Schedules Controller', () => {
       release: jest.fn(),
     };
     pool.connect.mockResolvedValue(mockClient);
+    checklistService.replaceScheduleChecklists.mockImplementation(async (client, scheduleId, checklists = []) => checklists);
   });
 
   describe('getAllSchedules', () => {
     it('should retrieve all schedules, group them by category, and return them', async () => {
       const mockSchedules = [
-        { id: 1, title: 'Schedule 1', category: 'Category A', checklist_items: [] },
-        { id: 2, title: 'Schedule 2', category: 'Category B', checklist_items: [] },
-        { id: 3, title: 'Schedule 3', category: 'Category A', checklist_items: [] },
-        { id: 4, title: 'Schedule 4', category: null, checklist_items: [] },
+        { id: 1, title: 'Schedule 1', category: 'Category A' },
+        { id: 2, title: 'Schedule 2', category: 'Category B' },
+        { id: 3, title: 'Schedule 3', category: 'Category A' },
+        { id: 4, title: 'Schedule 4', category: null },
       ];
-      const mockItems = [{ id: 1, schedule_id: 1, item_name: 'Item 1' }];
+      const mockChecklists = [{ id: 5, schedule_id: 1, name: 'Checklist', items: [{ id: 1, item_name: 'Item 1' }] }];
+      const mockOpenCards = [{ id: 7, schedule_id: 2, trello_card_id: 'card7', status: 'open' }];
 
       pool.query
         .mockResolvedValueOnce({ rows: mockSchedules })
-        .mockResolvedValueOnce({ rows: mockItems });
+        .mockResolvedValueOnce({ rows: mockOpenCards });
+      checklistService.getChecklistsForSchedules.mockResolvedValueOnce(new Map([[1, mockChecklists]]));
       
       req = {};
 
       await getAllSchedules(req, res);
 
       expect(pool.query).toHaveBeenCalledWith('SELECT * FROM schedules ORDER BY category ASC, id ASC');
-      expect(pool.query).toHaveBeenCalledWith('SELECT * FROM checklist_items ORDER BY id ASC');
+      expect(checklistService.getChecklistsForSchedules).toHaveBeenCalledWith([1, 2, 3, 4]);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         'Category A': [
-          { id: 1, title: 'Schedule 1', category: 'Category A', checklist_items: [{ id: 1, schedule_id: 1, item_name: 'Item 1' }] },
-          { id: 3, title: 'Schedule 3', category: 'Category A', checklist_items: [] },
+          { id: 1, title: 'Schedule 1', category: 'Category A', checklists: mockChecklists, open_cards: [] },
+          { id: 3, title: 'Schedule 3', category: 'Category A', checklists: [], open_cards: [] },
         ],
         'Category B': [
-          { id: 2, title: 'Schedule 2', category: 'Category B', checklist_items: [] },
+          { id: 2, title: 'Schedule 2', category: 'Category B', checklists: [], open_cards: mockOpenCards },
         ],
         'Uncategorized': [
-            { id: 4, title: 'Schedule 4', category: null, checklist_items: [] },
+            { id: 4, title: 'Schedule 4', category: null, checklists: [], open_cards: [] },
         ]
       });
     });
@@ -113,7 +146,7 @@ describe('Schedules Controller', () => {
         trello_member_ids: ['member1'],
         frequency: 'daily',
         is_active: true,
-        checklist_items: [{ item_name: 'Checklist Item 1' }],
+        checklists: [{ name: 'Checklist', items: [{ item_name: 'Checklist Item 1', trello_member_id: 'member1', due_offset_days: -1 }] }],
       };
       
       // Mock the transaction begin
@@ -124,7 +157,7 @@ describe('Schedules Controller', () => {
       const newSchedule = { id: 1, ...validScheduleData };
       mockClient.query
         .mockResolvedValueOnce({ rows: [newSchedule] }) // INSERT into schedules
-        .mockResolvedValueOnce(undefined); // INSERT into checklist_items
+        .mockResolvedValueOnce(undefined); // COMMIT
 
       req = { body: validScheduleData, user: { id: 1, username: 'testuser' } };
 
@@ -133,7 +166,8 @@ describe('Schedules Controller', () => {
       expect(pool.connect).toHaveBeenCalled();
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO schedules'), expect.any(Array));
-      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO checklist_items'), [1, 'Checklist Item 1']);
+      expect(checklistService.replaceScheduleChecklists).toHaveBeenCalledWith(mockClient, 1, validScheduleData.checklists);
+      expectInsertToMatchValues(mockClient.query.mock.calls[1]);
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ title: 'New Test Schedule' }));
@@ -153,6 +187,203 @@ describe('Schedules Controller', () => {
       }));
     });
     
+    it('should reject creating the next card on completion for a schedule on another board', async () => {
+      const data = { ...validScheduleData, create_next_on_completion: true, trello_board_id: 'otherBoard', trello_list_id: 'otherList' };
+      req = { body: data, appSettings: { TRELLO_BOARD_ID: 'defaultBoard' } };
+
+      await createSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [expect.objectContaining({ path: ['create_next_on_completion'] })],
+      }));
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should allow creating the next card on completion on the default board', async () => {
+      const data = { ...validScheduleData, create_next_on_completion: true, trello_board_id: 'defaultBoard', trello_list_id: 'otherList' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, ...data }] }) // INSERT into schedules
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: data, appSettings: { TRELLO_BOARD_ID: 'defaultBoard' }, user: { id: 1, username: 'testuser' } };
+
+      await createSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should accept an ordinal weekday for a monthly schedule', async () => {
+      const monthlyData = { ...validScheduleData, frequency: 'monthly', frequency_details: 'last:5' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, ...monthlyData }] }) // INSERT into schedules
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: monthlyData, user: { id: 1, username: 'testuser' } };
+
+      await createSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return a 400 error for an invalid monthly repeat rule', async () => {
+      req = { body: { ...validScheduleData, frequency: 'monthly', frequency_details: '5:2' } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid input.' }));
+    });
+
+    it('should store a normalized RRULE for an rrule schedule', async () => {
+      const rruleData = { ...validScheduleData, frequency: 'rrule', rrule: 'RRULE:FREQ=MONTHLY;BYDAY=2TH,4TH' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, ...rruleData }] }) // INSERT into schedules
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: rruleData, user: { id: 1, username: 'testuser' } };
+
+      await createSchedule(req, res);
+
+      const insertValues = mockClient.query.mock.calls[1][1];
+      expect(insertValues).toContain('FREQ=MONTHLY;BYDAY=2TH,4TH');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return a 400 error for an invalid RRULE', async () => {
+      req = { body: { ...validScheduleData, frequency: 'rrule', rrule: 'FREQ=MONTHLY;BYSOMETHING=1' } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return a 400 error for an unknown time zone', async () => {
+      req = { body: { ...validScheduleData, time_zone: 'Mars/Olympus_Mons' } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should store the schedule's own board and lists", async () => {
+      const boardData = { ...validScheduleData, trello_board_id: 'otherBoard', trello_list_id: 'otherList', trello_done_list_id: 'otherDone' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, ...boardData }] }) // INSERT into schedules
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: boardData, user: { id: 1, username: 'testuser' } };
+
+      await createSchedule(req, res);
+
+      const insertValues = mockClient.query.mock.calls[1][1];
+      expect(insertValues).toEqual(expect.arrayContaining(['otherBoard', 'otherList', 'otherDone']));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should store attachments, custom fields, cover, position and watch flag', async () => {
+      const detailsData = {
+        ...validScheduleData,
+        attachment_urls: ['https://example.com/report.pdf'],
+        custom_field_values: [{ id_custom_field: 'field1', type: 'number', value: '3' }],
+        cover_color: 'red',
+        card_position: 'top',
+        watch_card: true,
+      };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, ...detailsData }] }) // INSERT into schedules
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: detailsData, user: { id: 1, username: 'testuser' } };
+
+      await createSchedule(req, res);
+
+      const insertValues = mockClient.query.mock.calls[1][1];
+      expect(insertValues.slice(29, 34)).toEqual([
+        ['https://example.com/report.pdf'],
+        '[{"id_custom_field":"field1","type":"number","value":"3"}]',
+        'red',
+        'top',
+        true,
+      ]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should save the assignment mode', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, ...validScheduleData }] }) // INSERT into schedules
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: { ...validScheduleData, assignment_mode: 'rotation' }, user: { id: 1, username: 'testuser' } };
+
+      await createSchedule(req, res);
+
+      expect(mockClient.query.mock.calls[1][0]).toContain('assignment_mode');
+      expect(mockClient.query.mock.calls[1][1][34]).toBe('rotation');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return a 400 error if nothing is kept from a template card', async () => {
+      req = { body: { ...validScheduleData, template_card_id: 'templateCard', template_keep_from_source: [] } };
+
+      await createSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return a 400 error for an unknown assignment mode', async () => {
+      req = { body: { ...validScheduleData, assignment_mode: 'random' } };
+
+      await createSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return a 400 error for an attachment that is not a web URL', async () => {
+      req = { body: { ...validScheduleData, attachment_urls: ['file:///etc/passwd'] } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return a 400 error if a board is chosen without a list', async () => {
+      req = { body: { ...validScheduleData, trello_board_id: 'otherBoard' } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return a 400 error if a connection is chosen without a board', async () => {
+      req = { body: { ...validScheduleData, connection_id: 2 } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 403 if a non-admin chooses a Trello connection', async () => {
+      req = { body: { ...validScheduleData, connection_id: 2, trello_board_id: 'b', trello_list_id: 'l' }, user: { id: 1, role: 'user' } };
+
+      await createSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return a 400 error if the Trello connection does not exist', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }); // connection lookup
+      req = { body: { ...validScheduleData, connection_id: 99, trello_board_id: 'b', trello_list_id: 'l' }, user: { id: 1, role: 'admin' } };
+
+      await createSchedule(req, res);
+
+      expect(pool.query).toHaveBeenCalledWith('SELECT id FROM trello_connections WHERE id = $1', [99]);
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors[0].message).toBe('Trello connection 99 does not exist.');
+    });
+
     it('should return a 400 error if start time is after due time', async () => {
         const invalidTimeData = {
             ...validScheduleData,
@@ -186,6 +417,175 @@ describe('Schedules Controller', () => {
     });
   });
 
+  describe('importSchedulesFromCards', () => {
+    const cardSchedule = (title, memberIds = ['member1']) => ({
+      title,
+      description: 'From Trello',
+      trello_member_ids: memberIds,
+      trello_label_ids: ['label1'],
+      frequency: 'weekly',
+      frequency_details: '1',
+      checklists: [{ name: 'Steps', items: [{ item_name: 'Step 1' }] }],
+    });
+
+    it('should create a schedule for every card in one transaction', async () => {
+      mockClient.query
+        .mockResolvedValueOnce(undefined) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'First' }] }) // INSERT first schedule
+        .mockResolvedValueOnce({ rows: [{ id: 2, title: 'Second' }] }) // INSERT second schedule
+        .mockResolvedValueOnce(undefined); // COMMIT
+      req = { body: { schedules: [cardSchedule('First'), cardSchedule('Second')] }, user: { id: 1, username: 'testuser' } };
+
+      await importSchedulesFromCards(req, res);
+
+      expect(mockClient.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', expect.stringContaining('INSERT INTO schedules'), expect.stringContaining('INSERT INTO schedules'), 'COMMIT']);
+      expect(checklistService.replaceScheduleChecklists).toHaveBeenCalledWith(mockClient, 2, [{ name: 'Steps', items: [{ item_name: 'Step 1' }] }]);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].map(schedule => schedule.id)).toEqual([1, 2]);
+      expect(logAuditEvent).toHaveBeenCalledWith('INFO', 'Imported 2 schedule(s) from Trello cards.', { scheduleIds: [1, 2] }, req.user);
+    });
+
+    it('should create nothing and list the invalid cards if any card is invalid', async () => {
+      req = { body: { schedules: [cardSchedule('First'), cardSchedule('No members', [])] } };
+
+      await importSchedulesFromCards(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      const body = res.json.mock.calls[0][0];
+      expect(body.failures).toEqual([{ index: 1, title: 'No members', errors: [expect.objectContaining({ path: ['trello_member_ids'] })] }]);
+    });
+
+    it('should return 400 if no cards are chosen', async () => {
+      req = { body: { schedules: [] } };
+
+      await importSchedulesFromCards(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('exportSchedules', () => {
+    const storedSchedule = { id: 4, title: 'Report', description: null, trello_member_ids: ['member1'], frequency: 'daily', is_active: true, rotation_cursor: 2, last_card_created_at: new Date() };
+
+    beforeEach(() => {
+      res.setHeader = jest.fn();
+      res.type = jest.fn().mockReturnThis();
+      checklistService.getChecklistsForSchedules.mockResolvedValue(new Map([[4, [{ id: 1, name: 'Steps', items: [{ id: 2, item_name: 'Check', trello_member_id: null, due_offset_days: 1 }] }]]]));
+    });
+
+    it('should export the schedules with their checklists as JSON', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [storedSchedule] });
+      req = { query: {}, user: { id: 1 } };
+
+      await exportSchedules(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/attachment; filename="schedules-\d{4}-\d{2}-\d{2}\.json"/));
+      const body = res.json.mock.calls[0][0];
+      expect(body.version).toBe(1);
+      expect(body.schedules[0]).toEqual(expect.objectContaining({ title: 'Report', checklists: [{ name: 'Steps', items: [{ item_name: 'Check', trello_member_id: null, due_offset_days: 1 }] }] }));
+      expect(body.schedules[0]).not.toHaveProperty('id');
+      expect(body.schedules[0]).not.toHaveProperty('rotation_cursor');
+    });
+
+    it('should export the schedules as CSV', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [storedSchedule] });
+      req = { query: { format: 'csv' }, user: { id: 1 } };
+
+      await exportSchedules(req, res);
+
+      expect(res.type).toHaveBeenCalledWith('text/csv');
+      const [header, row] = res.send.mock.calls[0][0].split('\r\n');
+      expect(header.split(',')).toEqual(expect.arrayContaining(['title', 'trello_member_ids', 'checklists']));
+      expect(row).toContain('Report');
+    });
+
+    it('should return 400 for an unknown format', async () => {
+      req = { query: { format: 'xml' } };
+
+      await exportSchedules(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('importSchedules', () => {
+    const importedSchedule = (title, extra = {}) => ({ title, trello_member_ids: ['old1'], trello_label_ids: ['oldLabel'], frequency: 'daily', ...extra });
+
+    beforeEach(() => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 10, title: 'Existing' }] }); // existing titles
+    });
+
+    it('should report what would happen without saving on a dry run', async () => {
+      req = { body: { schedules: [importedSchedule('Existing'), importedSchedule('New'), { title: 'Broken' }], dry_run: true } };
+
+      await importSchedules(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.json.mock.calls[0][0];
+      expect(body.summary).toEqual({ create: 1, overwrite: 0, skip: 1, invalid: 1 });
+      expect(body.results.map(result => result.action)).toEqual(['skip', 'create', 'invalid']);
+      expect(body.member_ids).toEqual(['old1']);
+      expect(body.label_ids).toEqual(['oldLabel']);
+    });
+
+    it('should overwrite schedules with the same title and remap member and label IDs', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 10, title: 'Existing' }] });
+      req = { body: { schedules: [importedSchedule('Existing')], conflict: 'overwrite', member_map: { old1: 'new1' }, label_map: { oldLabel: 'newLabel' } }, user: { id: 1 } };
+
+      await importSchedules(req, res);
+
+      const updateCall = mockClient.query.mock.calls.find(call => String(call[0]).includes('UPDATE schedules'));
+      expect(updateCall[1][3]).toEqual(['new1']);
+      expect(updateCall[1][15]).toEqual(['newLabel']);
+      expect(updateCall[1][updateCall[1].length - 1]).toBe(10);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(res.json.mock.calls[0][0].summary).toEqual({ create: 0, overwrite: 1, skip: 0, invalid: 0 });
+    });
+
+    it('should add a duplicate when asked to, and read schedules from CSV', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 11, title: 'Existing' }] });
+      req = { body: { csv: 'title,trello_member_ids,frequency\nExisting,"[""m1""]",daily\n', conflict: 'duplicate' }, user: { id: 1 } };
+
+      await importSchedules(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO schedules'), expect.arrayContaining([['m1']]));
+      expect(res.json.mock.calls[0][0].results).toEqual([{ index: 0, title: 'Existing', action: 'create', schedule_id: 11 }]);
+    });
+
+    it('should import nothing if any schedule is invalid', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }); // connection lookup
+      req = { body: { schedules: [importedSchedule('New'), importedSchedule('Elsewhere', { connection_id: 99, trello_board_id: 'b', trello_list_id: 'l' })] }, user: { id: 1, role: 'admin' } };
+
+      await importSchedules(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].results[1].errors[0].message).toBe('Trello connection 99 does not exist.');
+    });
+
+    it('should report a title used twice in the file instead of importing both', async () => {
+      req = { body: { schedules: [importedSchedule('New'), importedSchedule('New')], conflict: 'duplicate' } };
+
+      await importSchedules(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      const body = res.json.mock.calls[0][0];
+      expect(body.results.map(result => result.action)).toEqual(['create', 'invalid']);
+      expect(body.results[1].errors[0].message).toBe('Another schedule in the file is also titled "New".');
+    });
+
+    it('should drop board settings when importing onto the default board', async () => {
+      req = { body: { schedules: [importedSchedule('Elsewhere', { connection_id: 99, trello_board_id: 'b', trello_list_id: 'l' })], use_default_board: true, dry_run: true } };
+
+      await importSchedules(req, res);
+
+      expect(res.json.mock.calls[0][0].summary.create).toBe(1);
+    });
+  });
+
   describe('updateSchedule', () => {
     let validScheduleData;
     const scheduleId = '1';
@@ -199,7 +599,7 @@ describe('Schedules Controller', () => {
         frequency: 'weekly',
         frequency_details: '1,3,5',
         is_active: true,
-        checklist_items: [{ item_name: 'Updated Item 1' }],
+        checklists: [{ name: 'Checklist', items: [{ item_name: 'Updated Item 1' }] }],
       };
       // Mock the transaction begin
       mockClient.query.mockResolvedValue({ rows: [] }); // Default mock for client
@@ -211,8 +611,6 @@ describe('Schedules Controller', () => {
         .mockResolvedValueOnce(undefined) // BEGIN
         .mockResolvedValueOnce({ rows: [{ id: scheduleId, title: 'Old Title' }] }) // SELECT before update
         .mockResolvedValueOnce({ rows: [updatedSchedule] }) // UPDATE
-        .mockResolvedValueOnce(undefined) // DELETE items
-        .mockResolvedValueOnce(undefined) // INSERT items
         .mockResolvedValueOnce(undefined); // COMMIT
 
       req = { params: { id: scheduleId }, body: validScheduleData, user: { id: 1 } };
@@ -223,8 +621,7 @@ describe('Schedules Controller', () => {
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('SELECT * FROM schedules WHERE id = $1', [scheduleId]);
       expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE schedules SET'), expect.any(Array));
-      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM checklist_items WHERE schedule_id = $1', [scheduleId]);
-      expect(mockClient.query).toHaveBeenCalledWith('INSERT INTO checklist_items (schedule_id, item_name) VALUES ($1, $2)', [scheduleId, 'Updated Item 1']);
+      expect(checklistService.replaceScheduleChecklists).toHaveBeenCalledWith(mockClient, scheduleId, [{ name: 'Checklist', items: [{ item_name: 'Updated Item 1' }] }]);
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ title: 'Updated Test Schedule' }));
@@ -247,6 +644,26 @@ describe('Schedules Controller', () => {
       expect(mockClient.release).toHaveBeenCalled();
     });
 
+    it("should let a non-admin keep the schedule's Trello connection but not change it", async () => {
+      const connectedData = { ...validScheduleData, connection_id: 2, trello_board_id: 'b', trello_list_id: 'l' };
+      pool.query.mockResolvedValueOnce({ rows: [{ connection_id: 2 }] });
+      req = { params: { id: scheduleId }, body: connectedData, user: { id: 1, role: 'user' } };
+
+      await updateSchedule(req, res);
+
+      expect(pool.query).toHaveBeenCalledWith('SELECT connection_id FROM schedules WHERE id = $1', [scheduleId]);
+      expect(pool.connect).toHaveBeenCalled();
+
+      jest.clearAllMocks();
+      pool.query.mockResolvedValueOnce({ rows: [{ connection_id: 2 }] });
+      req = { params: { id: scheduleId }, body: { ...connectedData, connection_id: 3 }, user: { id: 1, role: 'user' } };
+
+      await updateSchedule(req, res);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
     it('should return a 400 error for invalid input', async () => {
       const invalidData = { ...validScheduleData, title: '' }; // Missing title
       req = { params: { id: scheduleId }, body: invalidData };
@@ -455,25 +872,24 @@ describe('Schedules Controller', () => {
 
   describe('cloneSchedule', () => {
     const scheduleId = '1';
-    let originalSchedule, originalChecklistItems, clonedSchedule;
+    let originalSchedule, originalChecklists, clonedSchedule;
 
     beforeEach(() => {
       originalSchedule = { id: scheduleId, title: 'Original', trello_member_ids: [] };
-      originalChecklistItems = [{ id: 1, schedule_id: scheduleId, item_name: 'Item 1' }];
+      originalChecklists = [{ id: 1, schedule_id: scheduleId, name: 'Checklist', items: [{ id: 1, item_name: 'Item 1' }] }];
       clonedSchedule = { ...originalSchedule, id: '2', title: 'Original (Copy)' };
       
       // Default mock for client queries
       mockClient.query.mockResolvedValue({ rows: [] });
     });
 
-    it('should clone a schedule and its checklist items successfully', async () => {
+    it('should clone a schedule and its checklists successfully', async () => {
       mockClient.query
         .mockResolvedValueOnce(undefined) // BEGIN
         .mockResolvedValueOnce({ rows: [originalSchedule] }) // SELECT original schedule
-        .mockResolvedValueOnce({ rows: originalChecklistItems }) // SELECT original items
         .mockResolvedValueOnce({ rows: [clonedSchedule] }) // INSERT cloned schedule
-        .mockResolvedValueOnce({ rows: [{ ...originalChecklistItems[0], id: 2, schedule_id: '2' }] }) // INSERT cloned item
         .mockResolvedValueOnce(undefined); // COMMIT
+      checklistService.getScheduleChecklists.mockResolvedValueOnce(originalChecklists);
 
       req = { params: { id: scheduleId }, user: { id: 1 } };
       
@@ -481,15 +897,16 @@ describe('Schedules Controller', () => {
 
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('SELECT * FROM schedules WHERE id = $1', [scheduleId]);
-      expect(mockClient.query).toHaveBeenCalledWith('SELECT * FROM checklist_items WHERE schedule_id = $1', [scheduleId]);
+      expect(checklistService.getScheduleChecklists).toHaveBeenCalledWith(scheduleId, mockClient);
       expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO schedules'), expect.any(Array));
-      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO checklist_items'), ['2', 'Item 1']);
+      expect(checklistService.replaceScheduleChecklists).toHaveBeenCalledWith(mockClient, '2', originalChecklists);
+      expectInsertToMatchValues(mockClient.query.mock.calls[2]);
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         id: '2',
         title: 'Original (Copy)',
-        checklist_items: expect.any(Array),
+        checklists: originalChecklists,
       }));
       expect(mockClient.release).toHaveBeenCalled();
     });
@@ -546,4 +963,202 @@ describe('Schedules Controller', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Failed to fetch categories.' }));
     });
   });
+
+  describe('getScheduleOccurrences', () => {
+    const dailySchedule = { id: 1, title: 'Daily', frequency: 'daily', frequency_interval: 1, trigger_hour: '9', trigger_minute: '00', trigger_ampm: 'am', is_active: true };
+
+    it('should return the requested number of upcoming due dates', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [dailySchedule] });
+      req = { params: { id: '1' }, query: { count: '5' } };
+
+      await getScheduleOccurrences(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.json.mock.calls[0][0];
+      expect(body.schedule_id).toBe(1);
+      expect(body.occurrences).toHaveLength(5);
+      expect(body.next_planned_creation_date).toBeNull();
+    });
+
+    it('should include the planned creation date for a schedule with a lead time', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...dailySchedule, lead_time_days: 3, time_zone: 'America/New_York' }] });
+      req = { params: { id: '1' }, query: { count: '1' } };
+
+      await getScheduleOccurrences(req, res);
+
+      const body = res.json.mock.calls[0][0];
+      const dueDate = body.occurrences[0];
+      const expected = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate() - 3);
+      expect(body.next_planned_creation_date).toEqual(expected);
+    });
+
+    it('should include whose turn it is for a rotating schedule', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...dailySchedule, assignment_mode: 'rotation', trello_member_ids: ['ann', 'bo'], rotation_cursor: 0 }] });
+      rotationService.resolveRotationAssignee.mockResolvedValueOnce({ memberId: 'bo', nextCursor: 0, skippedMemberIds: ['ann'], everyoneAbsent: false });
+      const boardMembers = [{ id: 'ann', fullName: 'Ann Lee' }, { id: 'bo', fullName: 'Bo Chen' }];
+      trelloService.getScheduleTrelloSettings.mockResolvedValueOnce({ TRELLO_API_KEY: 'key', TRELLO_API_TOKEN: 'token', TRELLO_BOARD_ID: 'board' });
+      trelloService.getTrelloBoardMembers.mockResolvedValueOnce(boardMembers);
+      req = { params: { id: '1' }, query: { count: '3' }, appSettings: {} };
+
+      await getScheduleOccurrences(req, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(rotationService.resolveRotationAssignee).toHaveBeenCalledWith(expect.objectContaining({ rotation_cursor: 0 }), body.occurrences[0]);
+      expect(body.next_assignee).toEqual({ trello_member_id: 'bo', name: 'Bo Chen', skipped: ['Ann Lee'] });
+    });
+
+    it('should not look up an assignee for a schedule that assigns everyone', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [dailySchedule] });
+      req = { params: { id: '1' }, query: {} };
+
+      await getScheduleOccurrences(req, res);
+
+      expect(rotationService.resolveRotationAssignee).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].next_assignee).toBeNull();
+    });
+
+    it('should return 400 for an invalid count', async () => {
+      req = { params: { id: '1' }, query: { count: '1000' } };
+
+      await getScheduleOccurrences(req, res);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 404 if the schedule is not found', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      req = { params: { id: '99' }, query: {} };
+
+      await getScheduleOccurrences(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getAllOccurrences', () => {
+    it('should list occurrences of all active schedules in date order', async () => {
+      const schedules = [
+        { id: 1, title: 'Weekly', frequency: 'weekly', frequency_interval: 1, frequency_details: '1', trigger_hour: '9', trigger_minute: '00', trigger_ampm: 'am' },
+        { id: 2, title: 'Monthly', frequency: 'monthly', frequency_interval: 1, frequency_details: '15', trigger_hour: '9', trigger_minute: '00', trigger_ampm: 'am' },
+      ];
+      pool.query.mockResolvedValueOnce({ rows: schedules });
+      req = { query: { from: '2024-09-01T00:00:00Z', to: '2024-09-30T23:59:59Z' } };
+
+      await getAllOccurrences(req, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('WHERE is_active = TRUE'));
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { occurrences } = res.json.mock.calls[0][0];
+      // Five Mondays and the 15th.
+      expect(occurrences).toHaveLength(6);
+      expect(occurrences[2]).toEqual(expect.objectContaining({ schedule_id: 2, title: 'Monthly' }));
+      expect(occurrences.map(o => o.due_date)).toEqual([...occurrences.map(o => o.due_date)].sort((a, b) => a - b));
+    });
+
+    it('should return 400 if the range is too long', async () => {
+      req = { query: { from: '2024-01-01', to: '2026-01-01' } };
+
+      await getAllOccurrences(req, res);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 400 if from is after to', async () => {
+      req = { query: { from: '2024-02-01', to: '2024-01-01' } };
+
+      await getAllOccurrences(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('getScheduleCardHistory', () => {
+    it('should return a page of generated cards with the total count', async () => {
+      const mockCards = [{ id: 3, schedule_id: 1, trello_card_id: 'card3', trigger_type: 'manual', status: 'open' }];
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: mockCards })
+        .mockResolvedValueOnce({ rows: [{ count: '21' }] });
+      req = { params: { id: '1' }, query: { page: '2', limit: '10' } };
+
+      await getScheduleCardHistory(req, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM generated_cards WHERE schedule_id = $1'), ['1', 10, 10]);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ cards: mockCards, totalCount: 21 });
+    });
+
+    it('should return 404 if the schedule is not found', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      req = { params: { id: '999' }, query: {} };
+
+      await getScheduleCardHistory(req, res);
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Schedule not found.' });
+    });
+
+    it('should return 400 for an invalid page', async () => {
+      req = { params: { id: '1' }, query: { page: '0' } };
+
+      await getScheduleCardHistory(req, res);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('previewScheduleCard', () => {
+    const formData = {
+      id: 1,
+      title: 'Report {{due_date:MMM D}} #{{occurrence_count}}',
+      description: 'Owner: {{assignees}}',
+      trello_member_ids: ['member1'],
+      frequency: 'daily',
+      frequency_interval: 1,
+      trigger_hour: '09',
+      trigger_minute: '00',
+      trigger_ampm: 'am',
+    };
+
+    it('should render the next card with the member names and card count', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ count: 4 }] });
+      trelloService.getScheduleTrelloSettings.mockResolvedValueOnce({ TRELLO_API_KEY: 'key', TRELLO_API_TOKEN: 'token', TRELLO_BOARD_ID: 'board' });
+      trelloService.getTrelloBoardMembers.mockResolvedValueOnce([{ id: 'member1', fullName: 'Ann Lee' }]);
+      req = { body: formData, appSettings: {} };
+
+      await previewScheduleCard(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const preview = res.json.mock.calls[0][0];
+      expect(preview.title).toMatch(/^Report [A-Z][a-z]{2} \d{1,2} #5$/);
+      expect(preview.description).toBe('Owner: Ann Lee');
+    });
+
+    it('should fall back to member IDs when Trello cannot be reached', async () => {
+      trelloService.getScheduleTrelloSettings.mockRejectedValueOnce(new Error('Network error'));
+      req = { body: { ...formData, id: undefined }, appSettings: {} };
+
+      await previewScheduleCard(req, res);
+
+      expect(pool.query).not.toHaveBeenCalled();
+      const preview = res.json.mock.calls[0][0];
+      expect(preview.title).toMatch(/#1$/);
+      expect(preview.description).toBe('Owner: member1');
+    });
+
+    it('should only name the member whose turn it is for a rotating schedule', async () => {
+      rotationService.resolveRotationAssignee.mockResolvedValueOnce({ memberId: 'member2', nextCursor: 0, skippedMemberIds: [], everyoneAbsent: false });
+      trelloService.getScheduleTrelloSettings.mockRejectedValueOnce(new Error('Network error'));
+      req = { body: { ...formData, id: undefined, assignment_mode: 'rotation', trello_member_ids: ['member1', 'member2'], rotation_cursor: 1 }, appSettings: {} };
+
+      await previewScheduleCard(req, res);
+
+      expect(rotationService.resolveRotationAssignee).toHaveBeenCalledWith(expect.objectContaining({ rotation_cursor: 1 }), expect.any(Date));
+      expect(res.json.mock.calls[0][0].description).toBe('Owner: member2');
+    });
+  });
 });
@@ -1,5 +1,23 @@
 import pool from '../db.js';
 import logAuditEvent from '../utils/logger.js';
+import { isValidTimeZone } from '../services/timeZoneService.js';
+import { registerBoardWebhook, deleteWebhook } from '../services/webhookService.js';
+
+/**
+ * @description Replaces the board webhook: deletes the current one, if any, and registers a new
+ * one with the current settings. The new webhook ID is saved in the settings table.
+ * @param {object} appSettings - The application settings object.
+ * @returns {Promise<object>} The webhook object created by Trello.
+ */
+const replaceBoardWebhook = async (appSettings) => {
+    if (appSettings.TRELLO_WEBHOOK_ID) {
+        await deleteWebhook(appSettings.TRELLO_WEBHOOK_ID, appSettings);
+        await pool.query("UPDATE settings SET value = '' WHERE key = 'TRELLO_WEBHOOK_ID'");
+    }
+    const webhook = await registerBoardWebhook(appSettings);
+    await pool.query("UPDATE settings SET value = $1 WHERE key = 'TRELLO_WEBHOOK_ID'", [webhook.id]);
+    return webhook;
+};
 
 /**
  * @description Gets the current application settings, masking sensitive values.
@@ -13,6 +31,9 @@ export const getSettings = (req, res) => {
     responseSettings.areCredentialsSaved = !!appSettings.TRELLO_API_KEY && !!appSettings.TRELLO_API_TOKEN;
     responseSettings.TRELLO_API_KEY = responseSettings.areCredentialsSaved ? '******' : '';
     responseSettings.TRELLO_API_TOKEN = responseSettings.areCredentialsSaved ? '******' : '';
+    responseSettings.isSecretSaved = !!appSettings.TRELLO_API_SECRET;
+    responseSettings.TRELLO_API_SECRET = responseSettings.isSecretSaved ? '******' : '';
+    responseSettings.isWebhookRegistered = !!appSettings.TRELLO_WEBHOOK_ID;
     responseSettings.isConfigured = responseSettings.areCredentialsSaved &&
                                      !!appSettings.TRELLO_BOARD_ID &&
                                      !!appSettings.TRELLO_TO_DO_LIST_ID &&
@@ -28,8 +49,15 @@ export const getSettings = (req, res) => {
 export const updateSettings = async (req, res) => {
     const { appSettings, loadSettings, reinitializeCronJob } = req;
     
-    const { TRELLO_BOARD_ID, TRELLO_TO_DO_LIST_ID, TRELLO_DONE_LIST_ID, TRELLO_LABEL_ID, CRON_SCHEDULE } = req.body;
-    const newSettings = { TRELLO_BOARD_ID, TRELLO_TO_DO_LIST_ID, TRELLO_DONE_LIST_ID, TRELLO_LABEL_ID, CRON_SCHEDULE };
+    const { TRELLO_BOARD_ID, TRELLO_TO_DO_LIST_ID, TRELLO_DONE_LIST_ID, TRELLO_LABEL_ID, CRON_SCHEDULE, DEFAULT_TIME_ZONE, TRELLO_WEBHOOK_CALLBACK_URL } = req.body;
+    const newSettings = { TRELLO_BOARD_ID, TRELLO_TO_DO_LIST_ID, TRELLO_DONE_LIST_ID, TRELLO_LABEL_ID, CRON_SCHEDULE, DEFAULT_TIME_ZONE, TRELLO_WEBHOOK_CALLBACK_URL };
+
+    if (DEFAULT_TIME_ZONE !== undefined && !isValidTimeZone(DEFAULT_TIME_ZONE)) {
+        return res.status(400).json({ message: `"${DEFAULT_TIME_ZONE}" is not a valid time zone.` });
+    }
+    if (TRELLO_WEBHOOK_CALLBACK_URL && !/^https?:\/\/\S+$/i.test(TRELLO_WEBHOOK_CALLBACK_URL)) {
+        return res.status(400).json({ message: 'The webhook callback URL must be an http(s) URL.' });
+    }
 
     const client = await pool.connect();
     try {
@@ -41,10 +69,29 @@ export const updateSettings = async (req, res) => {
         }
         await client.query('COMMIT');
         
-        await loadSettings();
+        const updatedSettings = await loadSettings();
         reinitializeCronJob();
         
         await logAuditEvent('INFO', 'Application settings updated.', { updatedSettings: Object.keys(newSettings) }, req.user);
+
+        // A registered webhook follows the board and callback URL, so the old one is cleaned up.
+        const webhookChanged = updatedSettings.TRELLO_BOARD_ID !== appSettings.TRELLO_BOARD_ID ||
+                               updatedSettings.TRELLO_WEBHOOK_CALLBACK_URL !== appSettings.TRELLO_WEBHOOK_CALLBACK_URL;
+        if (appSettings.TRELLO_WEBHOOK_ID && webhookChanged) {
+            try {
+                const webhook = await replaceBoardWebhook(updatedSettings);
+                await loadSettings();
+                await logAuditEvent('INFO', 'Trello webhook moved to the updated board settings.', { webhookId: webhook.id }, req.user);
+            } catch (error) {
+                await logAuditEvent('ERROR', 'Failed to move the Trello webhook.', { error: String(error) }, req.user);
+                const currentSettings = await loadSettings();
+                return res.status(200).json({
+                    message: 'Settings updated successfully.',
+                    warning: 'The Trello webhook could not be updated. Register it again from the settings page.',
+                    isWebhookRegistered: !!currentSettings.TRELLO_WEBHOOK_ID,
+                });
+            }
+        }
         res.status(200).json({ message: 'Settings updated successfully.' });
     } catch (error) {
         await client.query('ROLLBACK');
@@ -63,7 +110,7 @@ export const updateSettings = async (req, res) => {
 export const updateCredentials = async (req, res) => {
     const { loadSettings } = req;
     
-    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = req.body;
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN, TRELLO_API_SECRET } = req.body;
     if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
         return res.status(400).json({ message: "API Key and Token are required." });
     }
@@ -73,6 +120,10 @@ export const updateCredentials = async (req, res) => {
         await client.query('BEGIN');
         await client.query('UPDATE settings SET value = $1 WHERE key = $2', [TRELLO_API_KEY, 'TRELLO_API_KEY']);
         await client.query('UPDATE settings SET value = $1 WHERE key = $2', [TRELLO_API_TOKEN, 'TRELLO_API_TOKEN']);
+        // The secret is optional and only needed for webhooks; leaving it blank keeps the saved one.
+        if (TRELLO_API_SECRET) {
+            await client.query('UPDATE settings SET value = $1 WHERE key = $2', [TRELLO_API_SECRET, 'TRELLO_API_SECRET']);
+        }
         await client.query('COMMIT');
 
         await loadSettings();
@@ -86,4 +137,52 @@ export const updateCredentials = async (req, res) => {
     } finally {
         client.release();
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @description Registers a Trello webhook on the configured board, replacing any existing one.
+ * @route POST /api/settings/webhook
+ * @access Private/Admin
+ */
+export const registerWebhook = async (req, res) => {
+    const { appSettings, loadSettings } = req;
+    if (!appSettings.TRELLO_API_SECRET) {
+        return res.status(400).json({ message: 'Save the Trello API secret before registering a webhook; it is needed to verify webhook requests.' });
+    }
+    if (!appSettings.TRELLO_WEBHOOK_CALLBACK_URL || !appSettings.TRELLO_BOARD_ID) {
+        return res.status(400).json({ message: 'A board and a webhook callback URL must be configured first.' });
+    }
+
+    try {
+        const webhook = await replaceBoardWebhook(appSettings);
+        await loadSettings();
+        await logAuditEvent('INFO', 'Trello webhook registered.', { webhookId: webhook.id, boardId: appSettings.TRELLO_BOARD_ID }, req.user);
+        res.status(201).json({ message: 'Webhook registered successfully.', webhookId: webhook.id });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to register Trello webhook.', { error: String(error), response: error.response?.data }, req.user);
+        res.status(502).json({ message: `Failed to register webhook: ${error.response?.data || error.message}` });
+    }
+};
+
+/**
+ * @description Deletes the registered Trello webhook.
+ * @route DELETE /api/settings/webhook
+ * @access Private/Admin
+ */
+export const removeWebhook = async (req, res) => {
+    const { appSettings, loadSettings } = req;
+    if (!appSettings.TRELLO_WEBHOOK_ID) {
+        return res.status(404).json({ message: 'No webhook is registered.' });
+    }
+
+    try {
+        await deleteWebhook(appSettings.TRELLO_WEBHOOK_ID, appSettings);
+        await pool.query("UPDATE settings SET value = '' WHERE key = 'TRELLO_WEBHOOK_ID'");
+        await loadSettings();
+        await logAuditEvent('INFO', 'Trello webhook removed.', { webhookId: appSettings.TRELLO_WEBHOOK_ID }, req.user);
+        res.status(200).json({ message: 'Webhook removed successfully.' });
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to remove Trello webhook.', { error: String(error) }, req.user);
+        res.status(502).json({ message: 'Failed to remove webhook.' });
+    }
+};
@@ -1,5 +1,40 @@
 import pool from '../db.js';
 
+// Completion metrics shared by every breakdown. A card counts towards the completion rate once it
+// is done or its due date has passed; lateness is measured for done cards and never negative.
+// Done cards backfilled from the audit log have no completion time, so they are left out of the
+// on-time rate and the lateness.
+const COMPLETION_COLUMNS = `
+    COUNT(*) FILTER (WHERE g.status = 'done' OR g.due_date < NOW()) AS due_count,
+    COUNT(*) FILTER (WHERE g.status = 'done') AS completed_count,
+    COUNT(*) FILTER (WHERE g.status = 'done' AND g.closed_at IS NOT NULL AND g.due_date IS NOT NULL) AS timed_count,
+    COUNT(*) FILTER (WHERE g.status = 'done' AND g.closed_at IS NOT NULL AND g.closed_at <= g.due_date) AS on_time_count,
+    COUNT(*) FILTER (WHERE g.status = 'open' AND g.due_date < NOW()) AS overdue_count,
+    AVG(GREATEST(EXTRACT(EPOCH FROM (g.closed_at - g.due_date)), 0)) FILTER (WHERE g.status = 'done' AND g.closed_at IS NOT NULL AND g.due_date IS NOT NULL) / 3600 AS avg_lateness_hours
+`;
+
+/**
+ * @description Converts a row of completion counts from the database into numbers and rates.
+ * @param {object} row - A row selected with COMPLETION_COLUMNS.
+ * @returns {object} The row with numeric counts, completionRate and onTimeRate (0-1, or null when nothing is due).
+ */
+const toCompletionMetrics = ({ due_count, completed_count, timed_count, on_time_count, overdue_count, avg_lateness_hours, ...rest }) => {
+    const dueCount = parseInt(due_count, 10);
+    const completedCount = parseInt(completed_count, 10);
+    const timedCount = parseInt(timed_count, 10);
+    const onTimeCount = parseInt(on_time_count, 10);
+    return {
+        ...rest,
+        dueCount,
+        completedCount,
+        onTimeCount,
+        overdueCount: parseInt(overdue_count, 10),
+        completionRate: dueCount > 0 ? completedCount / dueCount : null,
+        onTimeRate: timedCount > 0 ? onTimeCount / timedCount : null,
+        averageLatenessHours: avg_lateness_hours === null || avg_lateness_hours === undefined ? null : Number(avg_lateness_hours),
+    };
+};
+
 /**
  * @description Gathers various application statistics from the database.
  * @route GET /api/stats
@@ -12,12 +47,21 @@ export const getStats = async (req, res) => {
             totalSchedulesResult,
             totalCardsCreatedResult,
             cardsPerUserResult,
-            schedulesPerCategoryResult
+            schedulesPerCategoryResult,
+            completionOverallResult,
+            completionByScheduleResult,
+            completionByMemberResult,
+            completionByCategoryResult
         ] = await Promise.all([
             pool.query('SELECT COUNT(*) FROM schedules'),
-            pool.query("SELECT COUNT(*) FROM audit_logs WHERE message LIKE 'Card creation successful%'"),
-            pool.query("SELECT username, COUNT(*) as count FROM audit_logs WHERE message LIKE 'Card creation successful%' AND username IS NOT NULL GROUP BY username ORDER BY count DESC"),
-            pool.query("SELECT COALESCE(category, 'Uncategorized') as category, COUNT(*) as count FROM schedules GROUP BY COALESCE(category, 'Uncategorized') ORDER BY count DESC")
+            pool.query('SELECT COUNT(*) FROM generated_cards'),
+            pool.query('SELECT created_by as username, COUNT(*) as count FROM generated_cards WHERE created_by IS NOT NULL GROUP BY created_by ORDER BY count DESC'),
+            pool.query("SELECT COALESCE(category, 'Uncategorized') as category, COUNT(*) as count FROM schedules GROUP BY COALESCE(category, 'Uncategorized') ORDER BY count DESC"),
+            pool.query(`SELECT ${COMPLETION_COLUMNS} FROM generated_cards g`),
+            pool.query(`SELECT s.id AS schedule_id, s.title, ${COMPLETION_COLUMNS} FROM generated_cards g JOIN schedules s ON s.id = g.schedule_id GROUP BY s.id, s.title ORDER BY s.title ASC`),
+            // Cards count for the members they were assigned to, not the schedule's current members.
+            pool.query(`SELECT m.member_id, ${COMPLETION_COLUMNS} FROM generated_cards g CROSS JOIN LATERAL unnest(g.trello_member_ids) AS m(member_id) GROUP BY m.member_id`),
+            pool.query(`SELECT COALESCE(s.category, 'Uncategorized') AS category, ${COMPLETION_COLUMNS} FROM generated_cards g JOIN schedules s ON s.id = g.schedule_id GROUP BY COALESCE(s.category, 'Uncategorized') ORDER BY category ASC`)
         ]);
 
         // Assemble the final statistics object
@@ -25,7 +69,13 @@ export const getStats = async (req, res) => {
             totalSchedules: parseInt(totalSchedulesResult.rows[0].count, 10),
             totalCardsCreated: parseInt(totalCardsCreatedResult.rows[0].count, 10),
             cardsPerUser: cardsPerUserResult.rows,
-            schedulesPerCategory: schedulesPerCategoryResult.rows
+            schedulesPerCategory: schedulesPerCategoryResult.rows,
+            completion: {
+                overall: toCompletionMetrics(completionOverallResult.rows[0]),
+                bySchedule: completionByScheduleResult.rows.map(toCompletionMetrics),
+                byMember: completionByMemberResult.rows.map(toCompletionMetrics),
+                byCategory: completionByCategoryResult.rows.map(toCompletionMetrics)
+            }
         };
 
         res.status(200).json(stats);
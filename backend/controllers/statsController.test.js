@@ -0,0 +1,99 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+  default: {
+    query: jest.fn(),
+  },
+}));
+
+const pool = (await import('../db.js')).default;
+const { getStats } = await import('./statsController.js');
+
+describe('Stats Controller', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+  });
+
+  describe('getStats', () => {
+    const completionRow = (extra) => ({ due_count: '4', completed_count: '3', timed_count: '3', on_time_count: '2', overdue_count: '1', avg_lateness_hours: '5.5', ...extra });
+
+    it('should return totals and completion metrics per schedule, member and category', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '4' }] })
+        .mockResolvedValueOnce({ rows: [{ username: 'admin', count: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ category: 'Ops', count: '2' }] })
+        .mockResolvedValueOnce({ rows: [completionRow({})] })
+        .mockResolvedValueOnce({ rows: [completionRow({ schedule_id: 1, title: 'Backups' })] })
+        .mockResolvedValueOnce({ rows: [completionRow({ member_id: 'member1' })] })
+        .mockResolvedValueOnce({ rows: [completionRow({ category: 'Ops' })] });
+
+      await getStats({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const stats = res.json.mock.calls[0][0];
+      expect(stats.totalCardsCreated).toBe(4);
+      expect(stats.completion.overall).toEqual({
+        dueCount: 4,
+        completedCount: 3,
+        onTimeCount: 2,
+        overdueCount: 1,
+        completionRate: 0.75,
+        onTimeRate: 2 / 3,
+        averageLatenessHours: 5.5,
+      });
+      expect(stats.completion.bySchedule[0]).toEqual(expect.objectContaining({ schedule_id: 1, title: 'Backups', completionRate: 0.75 }));
+      expect(stats.completion.byMember[0].member_id).toBe('member1');
+      expect(stats.completion.byCategory[0].category).toBe('Ops');
+    });
+
+    it('should report null rates when no cards are due', async () => {
+      const emptyRow = { due_count: '0', completed_count: '0', timed_count: '0', on_time_count: '0', overdue_count: '0', avg_lateness_hours: null };
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [emptyRow] })
+        .mockResolvedValue({ rows: [] });
+
+      await getStats({}, res);
+
+      const { overall } = res.json.mock.calls[0][0].completion;
+      expect(overall.completionRate).toBeNull();
+      expect(overall.onTimeRate).toBeNull();
+      expect(overall.averageLatenessHours).toBeNull();
+    });
+
+    it('should leave done cards without a completion time out of the on-time rate', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '4' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [completionRow({ timed_count: '2' })] })
+        .mockResolvedValue({ rows: [] });
+
+      await getStats({}, res);
+
+      const { overall } = res.json.mock.calls[0][0].completion;
+      expect(overall.completionRate).toBe(0.75);
+      expect(overall.onTimeRate).toBe(1);
+    });
+
+    it('should return 500 if a query fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      pool.query.mockRejectedValue(new Error('DB error'));
+
+      await getStats({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -1,13 +1,25 @@
 import axios from 'axios';
 import * as trelloService from '../services/trelloService.js';
 
+/**
+ * @description Returns the Trello credentials for a request. Schedules that use their own connection
+ * pass its ID as `?connectionId=`, checked by checkConnectionAccess; otherwise the credentials from
+ * the settings are used.
+ * @param {object} req - The Express request object.
+ * @returns {Promise<{TRELLO_API_KEY: string, TRELLO_API_TOKEN: string}>} The credentials to call Trello with.
+ */
+const getRequestCredentials = async (req) => {
+    const { connectionId } = req.query;
+    return connectionId ? trelloService.getConnectionCredentials(Number(connectionId)) : req.appSettings;
+};
+
 export const testCredentials = async (req, res) => {
     const { apiKey, apiToken } = req.body;
     if (!apiKey || !apiToken) {
         return res.status(400).json({ message: 'API Key and Token are required.' });
     }
     try {
-        await axios.get(`https://api.trello.com/1/members/me?key=${apiKey}&token=${apiToken}`);
+        await trelloService.testTrelloCredentials(apiKey, apiToken);
         res.status(200).json({ message: 'Connection successful!' });
     } catch (error) {
         let errorMessage = 'Connection failed. Please check your API Key and Token.';
@@ -20,9 +32,13 @@ export const testCredentials = async (req, res) => {
 };
 
 export const getBoards = async (req, res) => {
-    // Get appSettings from the request object provided by the middleware
-    const { appSettings } = req;
-    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    let credentials;
+    try {
+        credentials = await getRequestCredentials(req);
+    } catch (error) {
+        return res.status(404).json({ message: error.message });
+    }
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = credentials;
 
     if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
         return res.status(400).json({ message: 'Trello credentials are not configured on the server.' });
@@ -37,9 +53,14 @@ export const getBoards = async (req, res) => {
 };
 
 export const getLists = async (req, res) => {
-    const { appSettings } = req;
     const { boardId } = req.params;
-    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    let credentials;
+    try {
+        credentials = await getRequestCredentials(req);
+    } catch (error) {
+        return res.status(404).json({ message: error.message });
+    }
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = credentials;
 
     if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
         return res.status(400).json({ message: 'Trello credentials are not configured on the server.' });
@@ -54,9 +75,14 @@ export const getLists = async (req, res) => {
 };
 
 export const getLabels = async (req, res) => {
-    const { appSettings } = req;
     const { boardId } = req.params;
-    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    let credentials;
+    try {
+        credentials = await getRequestCredentials(req);
+    } catch (error) {
+        return res.status(404).json({ message: error.message });
+    }
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = credentials;
 
     if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
         return res.status(400).json({ message: 'Trello credentials are not configured on the server.' });
@@ -70,12 +96,101 @@ export const getLabels = async (req, res) => {
     }
 };
 
+export const getCustomFields = async (req, res) => {
+    const { boardId } = req.params;
+    let credentials;
+    try {
+        credentials = await getRequestCredentials(req);
+    } catch (error) {
+        return res.status(404).json({ message: error.message });
+    }
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = credentials;
+
+    if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
+        return res.status(400).json({ message: 'Trello credentials are not configured on the server.' });
+    }
+    try {
+        // List fields come with their options, which the schedule form offers as choices.
+        const response = await axios.get(`https://api.trello.com/1/boards/${boardId}/customFields?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`);
+        res.status(200).json(response.data.map(({ id, name, type, options }) => ({
+            id,
+            name,
+            type,
+            options: (options || []).map(option => ({ id: option.id, text: option.value?.text })),
+        })));
+    } catch (error) {
+        console.error(`[ERROR] Failed to fetch custom fields for board ${boardId}:`, error.message);
+        res.status(500).json({ message: 'Failed to fetch Trello custom fields.' });
+    }
+};
+
+export const getListCards = async (req, res) => {
+    const { listId } = req.params;
+    let credentials;
+    try {
+        credentials = await getRequestCredentials(req);
+    } catch (error) {
+        return res.status(404).json({ message: error.message });
+    }
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = credentials;
+
+    if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
+        return res.status(400).json({ message: 'Trello credentials are not configured on the server.' });
+    }
+    try {
+        // The cards come with their checklists so they can be turned into schedules in one go.
+        const response = await axios.get(`https://api.trello.com/1/lists/${listId}/cards?fields=name,desc,idLabels,idMembers&checklists=all&key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`);
+        res.status(200).json(response.data.map(card => ({
+            id: card.id,
+            name: card.name,
+            desc: card.desc,
+            idLabels: card.idLabels || [],
+            idMembers: card.idMembers || [],
+            checklists: (card.checklists || []).map(checklist => ({
+                name: checklist.name,
+                items: [...(checklist.checkItems || [])]
+                    .sort((a, b) => a.pos - b.pos)
+                    .map(item => ({ name: item.name, idMember: item.idMember || null })),
+            })),
+        })));
+    } catch (error) {
+        console.error(`[ERROR] Failed to fetch cards for list ${listId}:`, error.message);
+        res.status(500).json({ message: 'Failed to fetch Trello cards.' });
+    }
+};
+
+export const getTemplateCards = async (req, res) => {
+    const { boardId } = req.params;
+    let credentials;
+    try {
+        credentials = await getRequestCredentials(req);
+    } catch (error) {
+        return res.status(404).json({ message: error.message });
+    }
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = credentials;
+
+    if (!TRELLO_API_KEY || !TRELLO_API_TOKEN) {
+        return res.status(400).json({ message: 'Trello credentials are not configured on the server.' });
+    }
+    try {
+        // Only cards marked as templates in Trello are offered for schedules to copy.
+        const response = await axios.get(`https://api.trello.com/1/boards/${boardId}/cards?fields=name,isTemplate,idList&key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`);
+        res.status(200).json(response.data
+            .filter(card => card.isTemplate)
+            .map(({ id, name, idList }) => ({ id, name, idList })));
+    } catch (error) {
+        console.error(`[ERROR] Failed to fetch template cards for board ${boardId}:`, error.message);
+        res.status(500).json({ message: 'Failed to fetch Trello template cards.' });
+    }
+};
+
 export const getMembers = async (req, res) => {
-    const { appSettings } = req;
-    const { TRELLO_API_KEY, TRELLO_API_TOKEN, TRELLO_BOARD_ID } = appSettings;
+    // Schedules on another board pick their members from that board.
+    const boardId = req.query.boardId || req.appSettings.TRELLO_BOARD_ID;
     
     try {
-        const members = await trelloService.getTrelloBoardMembers(TRELLO_API_KEY, TRELLO_API_TOKEN, TRELLO_BOARD_ID);
+        const { TRELLO_API_KEY, TRELLO_API_TOKEN } = await getRequestCredentials(req);
+        const members = await trelloService.getTrelloBoardMembers(TRELLO_API_KEY, TRELLO_API_TOKEN, boardId);
         res.status(200).json(members);
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch members from Trello.' });
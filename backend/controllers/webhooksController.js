@@ -0,0 +1,34 @@
+import logAuditEvent from '../utils/logger.js';
+import { verifyTrelloSignature, handleTrelloWebhookEvent } from '../services/webhookService.js';
+
+/**
+ * @description Answers Trello's HEAD request, which it sends to check the callback URL when a webhook is registered.
+ * @route HEAD /api/webhooks/trello
+ * @access Public
+ */
+export const verifyTrelloWebhook = (req, res) => {
+    res.sendStatus(200);
+};
+
+/**
+ * @description Receives a Trello webhook event after checking its signature.
+ * @route POST /api/webhooks/trello
+ * @access Public (signed by Trello)
+ */
+export const receiveTrelloWebhook = async (req, res) => {
+    const { appSettings } = req;
+    const signature = req.get('x-trello-webhook');
+
+    if (!verifyTrelloSignature(req.rawBody, appSettings.TRELLO_WEBHOOK_CALLBACK_URL, appSettings.TRELLO_API_SECRET, signature)) {
+        await logAuditEvent('ERROR', 'Rejected a Trello webhook request with an invalid signature.', { ip: req.ip });
+        return res.status(401).json({ message: 'Invalid webhook signature.' });
+    }
+
+    try {
+        await handleTrelloWebhookEvent(req.body, appSettings);
+        res.sendStatus(200);
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Failed to handle a Trello webhook event.', { error: String(error), actionType: req.body?.action?.type });
+        res.status(500).json({ message: 'Failed to handle the webhook event.' });
+    }
+};
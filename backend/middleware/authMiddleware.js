@@ -58,3 +58,26 @@ export const isAdmin = (req, res, next) => {
         res.status(403).json({ message: 'Not authorized as an admin' }); // 403 Forbidden
     }
 };
+
+/**
+ * @description Middleware for routes that call Trello with a stored connection chosen by
+ * `?connectionId=`. The ID must be a positive integer, and only admins may use stored connections.
+ * Requests without it use the default credentials and are passed on.
+ * This should be used *after* the `protect` middleware.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const checkConnectionAccess = (req, res, next) => {
+    const { connectionId } = req.query;
+    if (connectionId === undefined || connectionId === '') {
+        return next();
+    }
+    if (typeof connectionId !== 'string' || !/^[1-9]\d*$/.test(connectionId)) {
+        return res.status(400).json({ message: 'connectionId must be a positive integer.' });
+    }
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Not authorized to use this Trello connection' });
+    }
+    next();
+};
@@ -16,7 +16,7 @@ jest.unstable_mockModule('jsonwebtoken', () => ({
 // Dynamically import modules after mocks are set up
 const pool = (await import('../db.js')).default;
 const jwt = (await import('jsonwebtoken')).default;
-const { protect, isAdmin } = await import('./authMiddleware.js');
+const { protect, isAdmin, checkConnectionAccess } = await import('./authMiddleware.js');
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -115,4 +115,39 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
   });
+
+  describe('checkConnectionAccess', () => {
+    it('should call next() for requests that use the default credentials', () => {
+      req.query = {};
+      req.user = { role: 'user' };
+      checkConnectionAccess(req, res, next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should call next() for an admin using a stored connection', () => {
+      req.query = { connectionId: '2' };
+      req.user = { role: 'admin' };
+      checkConnectionAccess(req, res, next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 if a non-admin uses a stored connection', () => {
+      req.query = { connectionId: '2' };
+      req.user = { role: 'user' };
+      checkConnectionAccess(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 if the connection ID is not a positive integer', () => {
+      req.user = { role: 'admin' };
+      for (const connectionId of ['abc', '1.5', '-1', '0', ['1', '2']]) {
+        req.query = { connectionId };
+        checkConnectionAccess(req, res, next);
+      }
+      expect(res.status).toHaveBeenCalledTimes(5);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,27 @@
+/**
+ * @file 010_add_holiday_calendar.js
+ * @description This migration adds the company holiday calendar used by business-day
+ * recurrence rules, and a per-schedule policy for due dates that fall on a weekend or holiday.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 010_add_holiday_calendar...');
+
+    // Create the holidays table. Each date can only appear once in the calendar.
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS holidays (
+            id SERIAL PRIMARY KEY,
+            holiday_date DATE UNIQUE NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // 'none' keeps the calculated date, 'forward'/'backward' move it to the nearest working day.
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS non_working_day_policy VARCHAR(20) NOT NULL DEFAULT 'none';
+    `);
+
+    console.log('[MIGRATION] 010_add_holiday_calendar completed successfully.');
+};
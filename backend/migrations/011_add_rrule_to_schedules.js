@@ -0,0 +1,16 @@
+/**
+ * @file 011_add_rrule_to_schedules.js
+ * @description This migration adds an `rrule` column to the schedules table. Schedules with the
+ * 'rrule' frequency store an RFC 5545 recurrence rule here instead of using the frequency fields.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 011_add_rrule_to_schedules...');
+
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS rrule TEXT;
+    `);
+
+    console.log('[MIGRATION] 011_add_rrule_to_schedules completed successfully.');
+};
@@ -0,0 +1,16 @@
+/**
+ * @file 012_add_time_zone_to_schedules.js
+ * @description This migration adds a `time_zone` column to the schedules table. A NULL value
+ * means the schedule uses the DEFAULT_TIME_ZONE application setting.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 012_add_time_zone_to_schedules...');
+
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);
+    `);
+
+    console.log('[MIGRATION] 012_add_time_zone_to_schedules completed successfully.');
+};
@@ -0,0 +1,27 @@
+/**
+ * @file 013_add_scheduler_state_and_catch_up_policy.js
+ * @description This migration adds a key-value `scheduler_state` table for state that must
+ * survive restarts (such as the time of the last successful scheduler run), and a per-schedule
+ * policy for cards missed while the scheduler was not running.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 013_add_scheduler_state_and_catch_up_policy...');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scheduler_state (
+            key VARCHAR(255) PRIMARY KEY,
+            value TEXT,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    // 'all' backfills every missed card, 'latest' only the most recent one, 'skip' none.
+    // 'skip' matches how the scheduler behaved before missed runs were tracked.
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS catch_up_policy VARCHAR(10) NOT NULL DEFAULT 'skip';
+    `);
+
+    console.log('[MIGRATION] 013_add_scheduler_state_and_catch_up_policy completed successfully.');
+};
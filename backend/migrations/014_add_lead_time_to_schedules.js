@@ -0,0 +1,17 @@
+/**
+ * @file 014_add_lead_time_to_schedules.js
+ * @description This migration adds a `lead_time_days` column to the schedules table. Scheduled runs
+ * create a card no earlier than this many days before it is due. Zero keeps the old behavior of
+ * creating the card on the next run.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 014_add_lead_time_to_schedules...');
+
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS lead_time_days INTEGER NOT NULL DEFAULT 0;
+    `);
+
+    console.log('[MIGRATION] 014_add_lead_time_to_schedules completed successfully.');
+};
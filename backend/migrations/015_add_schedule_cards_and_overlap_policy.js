@@ -0,0 +1,53 @@
+/**
+ * @file 015_add_schedule_cards_and_overlap_policy.js
+ * @description This migration adds a `schedule_cards` table that tracks every card created for a
+ * schedule, replacing the single `active_card_id` column so a schedule can have several open
+ * cards at once. It also adds the per-schedule overlap policy that decides what happens when a
+ * new card is due while earlier cards are still open.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 015_add_schedule_cards_and_overlap_policy...');
+
+    // status is 'open' until the card is found in the Done list ('done') or closed on Trello ('archived').
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schedule_cards (
+            id SERIAL PRIMARY KEY,
+            schedule_id INTEGER NOT NULL REFERENCES schedules(id) ON DELETE CASCADE,
+            trello_card_id VARCHAR(255) NOT NULL,
+            due_date TIMESTAMP WITH TIME ZONE,
+            status VARCHAR(10) NOT NULL DEFAULT 'open',
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            closed_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_schedule_cards_schedule_status ON schedule_cards (schedule_id, status);');
+
+    // 'block' waits for the previous card to be done, 'allow' permits up to max_open_cards open
+    // cards, and 'archive' closes the previous cards when a new one is created.
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS overlap_policy VARCHAR(10) NOT NULL DEFAULT 'block',
+        ADD COLUMN IF NOT EXISTS max_open_cards INTEGER NOT NULL DEFAULT 1;
+    `);
+
+    const columnCheck = await client.query(`
+        SELECT column_name 
+        FROM information_schema.columns 
+        WHERE table_name='schedules' AND column_name='active_card_id'
+    `);
+
+    if (columnCheck.rows.length > 0) {
+        console.log('[MIGRATION] Moving "active_card_id" values into "schedule_cards".');
+        // The due date of existing cards is unknown here; it is read from Trello on the next run.
+        await client.query(`
+            INSERT INTO schedule_cards (schedule_id, trello_card_id, created_at)
+            SELECT id, active_card_id, COALESCE(last_card_created_at, CURRENT_TIMESTAMP)
+            FROM schedules
+            WHERE active_card_id IS NOT NULL;
+        `);
+        await client.query('ALTER TABLE schedules DROP COLUMN active_card_id;');
+    }
+
+    console.log('[MIGRATION] 015_add_schedule_cards_and_overlap_policy completed successfully.');
+};
@@ -0,0 +1,50 @@
+/**
+ * @file 016_rename_schedule_cards_to_generated_cards.js
+ * @description This migration turns `schedule_cards` into `generated_cards`, the history of every
+ * card a schedule has produced. It records how each card was triggered, the scheduler run that
+ * created it and who created it, and backfills cards created before the table existed from the
+ * audit log so statistics keep their history.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 016_rename_schedule_cards_to_generated_cards...');
+
+    await client.query('ALTER TABLE IF EXISTS schedule_cards RENAME TO generated_cards;');
+    await client.query('ALTER INDEX IF EXISTS idx_schedule_cards_schedule_status RENAME TO idx_generated_cards_schedule_status;');
+
+    // trigger_type is 'scheduled', 'manual' or 'catch_up'. created_by holds the username for manual triggers.
+    await client.query(`
+        ALTER TABLE generated_cards
+        ADD COLUMN IF NOT EXISTS trigger_type VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        ADD COLUMN IF NOT EXISTS run_id VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_generated_cards_run_id ON generated_cards (run_id);');
+
+    // Fill in the details of cards carried over from active_card_id.
+    await client.query(`
+        UPDATE generated_cards g
+        SET due_date = COALESCE(g.due_date, (a.details->>'dueDate')::timestamptz),
+            created_at = a.timestamp,
+            trigger_type = COALESCE(a.details->>'trigger', 'scheduled'),
+            run_id = a.details->>'runId',
+            created_by = a.username
+        FROM audit_logs a
+        WHERE a.message LIKE 'Card creation successful%'
+          AND a.details->'newCard'->>'id' = g.trello_card_id;
+    `);
+
+    // Older cards were replaced by a newer one, which only happened once they were done.
+    await client.query(`
+        INSERT INTO generated_cards (schedule_id, trello_card_id, due_date, status, created_at, trigger_type, run_id, created_by)
+        SELECT s.id, a.details->'newCard'->>'id', (a.details->>'dueDate')::timestamptz, 'done', a.timestamp,
+               COALESCE(a.details->>'trigger', 'scheduled'), a.details->>'runId', a.username
+        FROM audit_logs a
+        JOIN schedules s ON s.id::text = a.details->>'scheduleId'
+        WHERE a.message LIKE 'Card creation successful%'
+          AND a.details->'newCard'->>'id' IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM generated_cards g WHERE g.trello_card_id = a.details->'newCard'->>'id');
+    `);
+
+    console.log('[MIGRATION] 016_rename_schedule_cards_to_generated_cards completed successfully.');
+};
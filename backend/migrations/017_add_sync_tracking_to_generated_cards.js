@@ -0,0 +1,41 @@
+/**
+ * @file 017_add_sync_tracking_to_generated_cards.js
+ * @description This migration adds a `last_synced_at` column to generated_cards so the completion
+ * sync job can show when each open card was last checked against Trello. For finished cards,
+ * `closed_at` now holds the time the card was completed on Trello. It also records who each card
+ * was assigned to, in `trello_member_ids`, since a schedule's own members change over time and
+ * per-member metrics need the card's assignees.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 017_add_sync_tracking_to_generated_cards...');
+
+    await client.query(`
+        ALTER TABLE generated_cards
+        ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS trello_member_ids TEXT[];
+    `);
+
+    // The card returned by Trello was logged when it was created, with its members.
+    await client.query(`
+        UPDATE generated_cards g
+        SET trello_member_ids = ARRAY(SELECT jsonb_array_elements_text(a.details->'newCard'->'idMembers'))
+        FROM audit_logs a
+        WHERE a.message LIKE 'Card creation successful%'
+          AND a.details->'newCard'->>'id' = g.trello_card_id
+          AND jsonb_typeof(a.details->'newCard'->'idMembers') = 'array'
+          AND g.trello_member_ids IS NULL;
+    `);
+
+    // Without a log entry, the schedule's current members are the best guess.
+    await client.query(`
+        UPDATE generated_cards g
+        SET trello_member_ids = COALESCE(s.trello_member_ids, ARRAY[]::TEXT[])
+        FROM schedules s
+        WHERE s.id = g.schedule_id AND g.trello_member_ids IS NULL;
+    `);
+
+    await client.query("ALTER TABLE generated_cards ALTER COLUMN trello_member_ids SET DEFAULT ARRAY[]::TEXT[];");
+
+    console.log('[MIGRATION] 017_add_sync_tracking_to_generated_cards completed successfully.');
+};
@@ -0,0 +1,17 @@
+/**
+ * @file 018_add_create_next_on_completion.js
+ * @description This migration adds a `create_next_on_completion` flag to the schedules table. When
+ * a Trello webhook reports that a schedule's card was completed or archived, schedules with the
+ * flag set create their next card straight away instead of waiting for the next scheduler run.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 018_add_create_next_on_completion...');
+
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS create_next_on_completion BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    console.log('[MIGRATION] 018_add_create_next_on_completion completed successfully.');
+};
@@ -0,0 +1,19 @@
+/**
+ * @file 019_add_trello_targets_to_schedules.js
+ * @description This migration lets each schedule target its own Trello board, list and done list.
+ * Empty columns fall back to the board and lists configured on the settings page, so existing
+ * schedules keep working unchanged.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 019_add_trello_targets_to_schedules...');
+
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS trello_board_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS trello_list_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS trello_done_list_id VARCHAR(255);
+    `);
+
+    console.log('[MIGRATION] 019_add_trello_targets_to_schedules completed successfully.');
+};
@@ -0,0 +1,29 @@
+/**
+ * @file 020_add_trello_connections.js
+ * @description This migration creates the `trello_connections` table, which holds additional Trello
+ * credential sets (e.g. one per client workspace), and lets a schedule use one of them through a
+ * `connection_id` column. Schedules without a connection keep using the credentials from settings.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 020_add_trello_connections...');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS trello_connections (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL UNIQUE,
+            api_key VARCHAR(255) NOT NULL,
+            api_token VARCHAR(255) NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+    `);
+
+    // A connection cannot be deleted while schedules still use it.
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS connection_id INTEGER REFERENCES trello_connections(id) ON DELETE RESTRICT;
+    `);
+
+    console.log('[MIGRATION] 020_add_trello_connections completed successfully.');
+};
@@ -0,0 +1,22 @@
+/**
+ * @file 021_add_card_details_to_schedules.js
+ * @description This migration adds the extra card details a schedule can set on its cards: URL
+ * attachments, Trello custom field values, a cover color, the card's position in its list and
+ * whether the card is watched.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 021_add_card_details_to_schedules...');
+
+    // Custom field values are stored as [{ id_custom_field, type, value }], as picked from the board.
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS attachment_urls TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+        ADD COLUMN IF NOT EXISTS custom_field_values JSONB NOT NULL DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS cover_color VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS card_position VARCHAR(10) NOT NULL DEFAULT 'bottom',
+        ADD COLUMN IF NOT EXISTS watch_card BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    console.log('[MIGRATION] 021_add_card_details_to_schedules completed successfully.');
+};
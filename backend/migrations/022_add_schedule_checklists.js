@@ -0,0 +1,62 @@
+/**
+ * @file 022_add_schedule_checklists.js
+ * @description This migration lets a schedule have any number of named checklists. Checklists move
+ * into their own table, and each item can name a Trello member and a due date offset in days from
+ * the card's due date. The single checklist of existing schedules is moved into the new table, and
+ * the 'checklist_name' column is dropped.
+ *
+ * Behavior change: a schedule with checklist items but no checklist name used to create its cards
+ * without a checklist. Its items now go into a checklist named 'Checklist', which is added to every
+ * card the schedule creates from then on.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 022_add_schedule_checklists...');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schedule_checklists (
+            id SERIAL PRIMARY KEY,
+            schedule_id INTEGER NOT NULL REFERENCES schedules(id) ON DELETE CASCADE,
+            name VARCHAR(255) NOT NULL,
+            position INTEGER NOT NULL DEFAULT 0
+        );
+    `);
+
+    await client.query(`
+        ALTER TABLE checklist_items
+        ADD COLUMN IF NOT EXISTS checklist_id INTEGER REFERENCES schedule_checklists(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS trello_member_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS due_offset_days INTEGER;
+    `);
+
+    const columnCheck = await client.query(`
+        SELECT column_name
+        FROM information_schema.columns
+        WHERE table_name='schedules' AND column_name='checklist_name'
+    `);
+
+    if (columnCheck.rows.length > 0) {
+        // Before this migration a checklist was only created on Trello when it had both a name and
+        // items. Items without a checklist name are kept, in a checklist with a default name.
+        console.log('[MIGRATION] Moving existing checklists into "schedule_checklists".');
+        await client.query(`
+            INSERT INTO schedule_checklists (schedule_id, name, position)
+            SELECT s.id, COALESCE(NULLIF(s.checklist_name, ''), 'Checklist'), 0
+            FROM schedules s
+            WHERE EXISTS (SELECT 1 FROM checklist_items ci WHERE ci.schedule_id = s.id);
+        `);
+        await client.query(`
+            UPDATE checklist_items ci
+            SET checklist_id = sc.id, position = ci.id
+            FROM schedule_checklists sc
+            WHERE sc.schedule_id = ci.schedule_id AND ci.checklist_id IS NULL;
+        `);
+        await client.query('ALTER TABLE schedules DROP COLUMN checklist_name;');
+    }
+
+    await client.query('ALTER TABLE checklist_items ALTER COLUMN checklist_id SET NOT NULL;');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_schedule_checklists_schedule_id ON schedule_checklists (schedule_id);');
+
+    console.log('[MIGRATION] 022_add_schedule_checklists completed successfully.');
+};
@@ -0,0 +1,34 @@
+/**
+ * @file 023_add_assignee_rotation.js
+ * @description This migration adds assignee rotation. A schedule in 'rotation' mode assigns each
+ * new card to the next member of its 'trello_member_ids' instead of to all of them, and remembers
+ * whose turn is next in 'rotation_cursor'. Absences recorded in 'member_absences' let the rotation
+ * skip members who are away on a card's due date.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 023_add_assignee_rotation...');
+
+    // 'all' assigns every member to each card, 'rotation' assigns one member per card in turn.
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS assignment_mode VARCHAR(20) NOT NULL DEFAULT 'all',
+        ADD COLUMN IF NOT EXISTS rotation_cursor INTEGER NOT NULL DEFAULT 0;
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS member_absences (
+            id SERIAL PRIMARY KEY,
+            trello_member_id VARCHAR(255) NOT NULL,
+            member_name VARCHAR(255),
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            note VARCHAR(255),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CHECK (end_date >= start_date)
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_member_absences_member ON member_absences (trello_member_id, start_date, end_date);');
+
+    console.log('[MIGRATION] 023_add_assignee_rotation completed successfully.');
+};
@@ -0,0 +1,18 @@
+/**
+ * @file 024_add_template_card_to_schedules.js
+ * @description This migration lets a schedule create its cards by copying an existing Trello card.
+ * 'template_card_id' is the card to copy and 'template_keep_from_source' lists what is copied from
+ * it, using the names of Trello's 'keepFromSource' option.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 024_add_template_card_to_schedules...');
+
+    await client.query(`
+        ALTER TABLE schedules
+        ADD COLUMN IF NOT EXISTS template_card_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS template_keep_from_source TEXT[] NOT NULL DEFAULT ARRAY['attachments', 'checklists', 'customFields', 'labels', 'stickers']::TEXT[];
+    `);
+
+    console.log('[MIGRATION] 024_add_template_card_to_schedules completed successfully.');
+};
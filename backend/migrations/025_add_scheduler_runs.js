@@ -0,0 +1,48 @@
+/**
+ * @file 025_add_scheduler_runs.js
+ * @description This migration adds a history of scheduler runs. Each run records when it started
+ * and finished, what started it and how many cards were created, blocked or failed, and
+ * 'scheduler_run_results' holds the outcome of every schedule the run evaluated. Run IDs are UUIDs,
+ * so 'generated_cards.run_id' is widened to hold them.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 025_add_scheduler_runs...');
+
+    // 'trigger_type' is 'scheduled' for cron runs, 'manual' for runs started by an admin and 'catch_up'
+    // for the catch-up of missed runs on startup.
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scheduler_runs (
+            run_id VARCHAR(36) PRIMARY KEY,
+            trigger_type VARCHAR(20) NOT NULL,
+            triggered_by VARCHAR(255),
+            started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            finished_at TIMESTAMP WITH TIME ZONE,
+            duration_ms INTEGER,
+            schedules_evaluated INTEGER NOT NULL DEFAULT 0,
+            cards_created INTEGER NOT NULL DEFAULT 0,
+            cards_blocked INTEGER NOT NULL DEFAULT 0,
+            cards_failed INTEGER NOT NULL DEFAULT 0,
+            error TEXT
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_scheduler_runs_started_at ON scheduler_runs (started_at DESC);');
+
+    // Results outlive their schedule, so the title is kept with them.
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS scheduler_run_results (
+            id SERIAL PRIMARY KEY,
+            run_id VARCHAR(36) NOT NULL REFERENCES scheduler_runs(run_id) ON DELETE CASCADE,
+            schedule_id INTEGER REFERENCES schedules(id) ON DELETE SET NULL,
+            schedule_title VARCHAR(255),
+            outcome VARCHAR(20) NOT NULL,
+            message TEXT,
+            trello_card_id VARCHAR(255)
+        );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_scheduler_run_results_run_id ON scheduler_run_results (run_id);');
+
+    await client.query('ALTER TABLE generated_cards ALTER COLUMN run_id TYPE VARCHAR(36);');
+
+    console.log('[MIGRATION] 025_add_scheduler_runs completed successfully.');
+};
@@ -0,0 +1,38 @@
+/**
+ * @file 026_add_card_occurrences.js
+ * @description This migration adds `card_occurrences`, which makes card creation idempotent. An
+ * occurrence (a schedule and a due date) is recorded as 'pending' before its card is requested from
+ * Trello, and marked 'created' with the card's ID afterwards. A pending occurrence found on a later
+ * attempt means that attempt was interrupted, so the list is searched for the card before another
+ * one is created. Each occurrence can only be recorded once.
+ */
+
+export const up = async (client) => {
+    console.log('[MIGRATION] Running 026_add_card_occurrences...');
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS card_occurrences (
+            id SERIAL PRIMARY KEY,
+            schedule_id INTEGER NOT NULL REFERENCES schedules(id) ON DELETE CASCADE,
+            due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            trello_card_id VARCHAR(255),
+            run_id VARCHAR(36),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (schedule_id, due_date)
+        );
+    `);
+
+    // Cards created so far count as created occurrences, so they are never created again.
+    await client.query(`
+        INSERT INTO card_occurrences (schedule_id, due_date, status, trello_card_id, run_id, created_at, updated_at)
+        SELECT DISTINCT ON (schedule_id, due_date) schedule_id, due_date, 'created', trello_card_id, run_id, created_at, created_at
+        FROM generated_cards
+        WHERE due_date IS NOT NULL
+        ORDER BY schedule_id, due_date, created_at ASC
+        ON CONFLICT (schedule_id, due_date) DO NOTHING;
+    `);
+
+    console.log('[MIGRATION] 026_add_card_occurrences completed successfully.');
+};
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    getAllAbsences,
+    createAbsence,
+    deleteAbsence
+} from '../controllers/absencesController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @description Defines the member absence routes. All routes in this file
+ * require the user to be authenticated.
+ */
+
+// Apply the 'protect' middleware to all routes in this file.
+router.use(protect);
+
+// --- Absence Collection Routes ---
+router.route('/')
+    .get(getAllAbsences)
+    .post(createAbsence);
+
+// --- Single Absence Routes ---
+router.delete('/:id', deleteAbsence);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    getAllConnections,
+    createConnection,
+    updateConnection,
+    deleteConnection,
+    testConnection
+} from '../controllers/connectionsController.js';
+import { protect, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @description Defines the Trello connection routes. Any logged-in user can list the connections
+ * (without credentials) to pick one for a schedule; managing them requires an administrator.
+ */
+
+router.use(protect);
+
+// --- Connection Collection Routes ---
+router.route('/')
+    .get(getAllConnections)
+    .post(isAdmin, createConnection);
+
+// --- Single Connection Routes ---
+router.route('/:id')
+    .put(isAdmin, updateConnection)
+    .delete(isAdmin, deleteConnection);
+
+router.post('/:id/test', isAdmin, testConnection);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+    getAllHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    importHolidays
+} from '../controllers/holidaysController.js';
+import { protect, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @description Defines the holiday calendar routes. All routes in this file
+ * require the user to be an authenticated administrator.
+ */
+
+// Apply the 'protect' and 'isAdmin' middleware to all routes in this file.
+router.use(protect, isAdmin);
+
+// --- Holiday Collection Routes ---
+router.route('/')
+    .get(getAllHolidays)
+    .post(createHoliday);
+
+// --- ICS Import Route ---
+router.post('/import', importHolidays);
+
+// --- Single Holiday Routes ---
+router.route('/:id')
+    .put(updateHoliday)
+    .delete(deleteHoliday);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+    runSchedulerDryRun,
+    triggerSchedulerRun,
+    pauseSchedulerJob,
+    resumeSchedulerJob,
+    getSchedulerRuns,
+    getSchedulerRun
+} from '../controllers/schedulerController.js';
+import { protect, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @description Defines the scheduler control routes. All routes in this file
+ * require the user to be an authenticated admin.
+ */
+
+router.use(protect, isAdmin);
+
+router.post('/dry-run', runSchedulerDryRun);
+router.post('/run', triggerSchedulerRun);
+router.post('/pause', pauseSchedulerJob);
+router.post('/resume', resumeSchedulerJob);
+
+// --- Run History Routes ---
+router.get('/runs', getSchedulerRuns);
+router.get('/runs/:runId', getSchedulerRun);
+
+export default router;
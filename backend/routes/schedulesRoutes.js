@@ -2,7 +2,14 @@ import express from 'express';
 import { 
   getAllSchedules, 
   getUniqueCategories,
+  getScheduleOccurrences,
+  getAllOccurrences,
+  getScheduleCardHistory,
+  previewScheduleCard,
   createSchedule, 
+  importSchedulesFromCards,
+  exportSchedules,
+  importSchedules,
   updateSchedule, 
   deleteSchedule, 
   triggerSchedule,
@@ -18,10 +25,17 @@ router.use(protect);
 
 // It's a best practice to put more specific routes before more general ones.
 router.get('/categories', getUniqueCategories); // Add the new route
+router.get('/occurrences', getAllOccurrences);
+router.post('/preview', previewScheduleCard);
+router.post('/import-cards', importSchedulesFromCards);
+router.get('/export', exportSchedules);
+router.post('/import', importSchedules);
 
 router.get('/', getAllSchedules);
 router.post('/', createSchedule);
 router.put('/:id', updateSchedule);
+router.get('/:id/occurrences', getScheduleOccurrences);
+router.get('/:id/cards', getScheduleCardHistory);
 router.delete('/:id', deleteSchedule);
 router.post('/:id/trigger', triggerSchedule);
 router.post('/:id/clone', cloneSchedule);
@@ -1,5 +1,5 @@
 import express from 'express';
-import { getSettings, updateSettings, updateCredentials } from '../controllers/settingsController.js';
+import { getSettings, updateSettings, updateCredentials, registerWebhook, removeWebhook } from '../controllers/settingsController.js';
 import { protect, isAdmin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -25,4 +25,14 @@ router.put('/', protect, isAdmin, updateSettings);
 // @access  Private/Admin
 router.put('/credentials', protect, isAdmin, updateCredentials);
 
+// @route   POST /api/settings/webhook
+// @desc    Register a Trello webhook on the configured board
+// @access  Private/Admin
+router.post('/webhook', protect, isAdmin, registerWebhook);
+
+// @route   DELETE /api/settings/webhook
+// @desc    Remove the registered Trello webhook
+// @access  Private/Admin
+router.delete('/webhook', protect, isAdmin, removeWebhook);
+
 export default router;
\ No newline at end of file
@@ -3,10 +3,13 @@ import {
     testCredentials,
     getBoards,
     getLists,
+    getListCards,
     getLabels,
+    getCustomFields,
+    getTemplateCards,
     getMembers
 } from '../controllers/trelloController.js';
-import { protect, isAdmin } from '../middleware/authMiddleware.js';
+import { protect, isAdmin, checkConnectionAccess } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,15 +19,19 @@ const router = express.Router();
  */
 
 // --- Admin-Only Routes ---
-// These routes are used in the settings page and should only be accessible by admins.
+// This route is used in the settings page and should only be accessible by admins.
 router.post('/credentials/test', protect, isAdmin, testCredentials);
-router.get('/boards', protect, isAdmin, getBoards);
-router.get('/lists/:boardId', protect, isAdmin, getLists);
 
 // --- Authenticated User Routes ---
-// Any logged-in user needs to be able to fetch labels and members for the schedule form.
-router.get('/labels/:boardId', protect, getLabels);
-router.get('/members', protect, getMembers);
+// Any logged-in user needs to be able to fetch boards, lists, labels, custom fields, cards and members for the schedule form and the card import.
+// With the default credentials these only reach the boards set up for the scheduler; stored connections are for admins.
+router.get('/boards', protect, checkConnectionAccess, getBoards);
+router.get('/lists/:boardId', protect, checkConnectionAccess, getLists);
+router.get('/lists/:listId/cards', protect, checkConnectionAccess, getListCards);
+router.get('/labels/:boardId', protect, checkConnectionAccess, getLabels);
+router.get('/custom-fields/:boardId', protect, checkConnectionAccess, getCustomFields);
+router.get('/template-cards/:boardId', protect, checkConnectionAccess, getTemplateCards);
+router.get('/members', protect, checkConnectionAccess, getMembers);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import express from 'express';
+import { verifyTrelloWebhook, receiveTrelloWebhook } from '../controllers/webhooksController.js';
+
+const router = express.Router();
+
+/**
+ * @description Defines the webhook routes called by Trello. They are not behind the 'protect'
+ * middleware; POST requests are authenticated by their signature instead.
+ */
+
+// @route   HEAD /api/webhooks/trello
+// @desc    Lets Trello check the callback URL when a webhook is registered
+// @access  Public
+router.head('/trello', verifyTrelloWebhook);
+
+// @route   POST /api/webhooks/trello
+// @desc    Receive a card event from Trello
+// @access  Public (signed by Trello)
+router.post('/trello', receiveTrelloWebhook);
+
+export default router;
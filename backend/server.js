@@ -7,7 +7,9 @@ import { fileURLToPath } from 'url';
 // --- Imports for Modular Structure ---
 import { initializeDatabase } from './db.js';
 import { loadSettings } from './services/settingsService.js';
-import { reinitializeCronJob, getSchedulerInstance } from './services/schedulerService.js';
+import { loadHolidays } from './services/holidayService.js';
+import { reinitializeCronJob, getSchedulerInstance, runCatchUp } from './services/schedulerService.js';
+import { startLeaderElection } from './services/lockService.js';
 import logAuditEvent from './utils/logger.js';
 import schedulesRoutes from './routes/schedulesRoutes.js';
 import settingsRoutes from './routes/settingsRoutes.js';
@@ -17,6 +19,11 @@ import authRoutes from './routes/authRoutes.js';
 import usersRoutes from './routes/usersRoutes.js';
 import statsRoutes from './routes/statsRoutes.js';
 import releasesRoutes from './routes/releasesRoutes.js';
+import holidaysRoutes from './routes/holidaysRoutes.js';
+import webhooksRoutes from './routes/webhooksRoutes.js';
+import connectionsRoutes from './routes/connectionsRoutes.js';
+import absencesRoutes from './routes/absencesRoutes.js';
+import schedulerRoutes from './routes/schedulerRoutes.js';
 
 // --- Express App Setup ---
 const app = express();
@@ -35,7 +42,16 @@ const corsOptions = {
     credentials: true
 };
 app.use(cors(corsOptions));
-app.use(express.json());
+// Holiday calendar and schedule imports post whole files, which can exceed the default 100kb limit.
+// Trello webhook signatures are computed over the exact request body, so keep a copy of it.
+app.use(express.json({
+    limit: '5mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(cookieParser());
 
 // --- Global Application State ---
@@ -52,6 +68,7 @@ const attachAppConfig = (req, res, next) => {
     req.loadSettings = async () => {
         appSettings = await loadSettings();
         reinitializeCronJob(appSettings);
+        return appSettings;
     };
     req.reinitializeCronJob = () => reinitializeCronJob(appSettings);
     req.cronJob = getSchedulerInstance();
@@ -69,6 +86,11 @@ app.use('/api', appStatusRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/releases', releasesRoutes);
+app.use('/api/holidays', holidaysRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/connections', connectionsRoutes);
+app.use('/api/absences', absencesRoutes);
+app.use('/api/scheduler', schedulerRoutes);
 
 // --- Serve Frontend Static Files (Production Only) ---
 if (process.env.NODE_ENV === 'production') {
@@ -86,8 +108,17 @@ const startServer = async () => {
     try {
         await initializeDatabase();
         appSettings = await loadSettings();
+        await loadHolidays();
         reinitializeCronJob(appSettings);
+        // With several replicas, only the leader runs the scheduler.
+        await startLeaderElection();
         app.listen(port, () => console.log(`Server is running on http://localhost:${port}`));
+        // Backfill cards for any cron ticks that fired while the server was down. This can take a
+        // while, so it runs in the background instead of holding up requests.
+        runCatchUp(appSettings).catch(async (err) => {
+            console.error('Catch-up for missed scheduler runs failed.', err);
+            await logAuditEvent('ERROR', 'Catch-up for missed scheduler runs failed.', { error: String(err) });
+        });
     } catch (err) {
         console.error("Failed to start the server.", err);
         // Use the logger for critical startup failures
@@ -0,0 +1,47 @@
+import pool from '../db.js';
+import * as trelloService from './trelloService.js';
+import logAuditEvent from '../utils/logger.js';
+
+/**
+ * @description Polls Trello for every open generated card and records the ones that have been
+ * completed or closed, so completion metrics stay current between scheduler runs.
+ * @param {object} appSettings - The application settings object.
+ * @returns {Promise<{checked: number, closed: number, failed: number}>} A summary of the sync.
+ */
+export const syncGeneratedCards = async (appSettings) => {
+    const summary = { checked: 0, closed: 0, failed: 0 };
+    if (!appSettings.TRELLO_API_KEY || !appSettings.TRELLO_API_TOKEN) {
+        return summary;
+    }
+
+    // The schedule's connection and lists are needed to fetch its cards and tell whether they are done.
+    const { rows: openCards } = await pool.query(`
+        SELECT gc.*, s.connection_id, s.trello_board_id, s.trello_list_id, s.trello_done_list_id
+        FROM generated_cards gc
+        JOIN schedules s ON s.id = gc.schedule_id
+        WHERE gc.status = 'open'
+        ORDER BY gc.id ASC
+    `);
+    for (const generatedCard of openCards) {
+        summary.checked++;
+        try {
+            const scheduleSettings = await trelloService.getScheduleTrelloSettings(generatedCard, appSettings);
+            const trelloCard = await trelloService.getTrelloCard(generatedCard.trello_card_id, scheduleSettings);
+            const isOpen = await trelloService.updateGeneratedCardStatus(generatedCard, trelloCard, scheduleSettings);
+            if (!isOpen) {
+                summary.closed++;
+            }
+        } catch (error) {
+            summary.failed++;
+            console.error(`[ERROR] Could not sync card ${generatedCard.trello_card_id}:`, error.message);
+        }
+    }
+
+    // Quiet syncs are not logged; this job runs far more often than the scheduler.
+    if (summary.failed > 0) {
+        await logAuditEvent('ERROR', 'Card completion sync could not check some cards.', summary);
+    } else if (summary.closed > 0) {
+        await logAuditEvent('INFO', 'Card completion sync finished.', summary);
+    }
+    return summary;
+};
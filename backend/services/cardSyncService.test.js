@@ -0,0 +1,89 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+    }
+}));
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+    default: jest.fn(),
+}));
+
+jest.unstable_mockModule('./trelloService.js', () => ({
+    getScheduleTrelloSettings: jest.fn((schedule, appSettings) => ({ ...appSettings, TRELLO_DONE_LIST_ID: schedule.trello_done_list_id || appSettings.TRELLO_DONE_LIST_ID })),
+    getTrelloCard: jest.fn(),
+    updateGeneratedCardStatus: jest.fn(),
+}));
+
+const pool = (await import('../db.js')).default;
+const logAuditEvent = (await import('../utils/logger.js')).default;
+const { getTrelloCard, updateGeneratedCardStatus } = await import('./trelloService.js');
+const { syncGeneratedCards } = await import('./cardSyncService.js');
+
+describe('syncGeneratedCards', () => {
+    const appSettings = { TRELLO_API_KEY: 'key', TRELLO_API_TOKEN: 'token', TRELLO_DONE_LIST_ID: 'doneListId' };
+    const openCards = [
+        { id: 1, trello_card_id: 'card1', status: 'open' },
+        { id: 2, trello_card_id: 'card2', status: 'open' },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        pool.query.mockResolvedValue({ rows: openCards });
+    });
+
+    it('should check every open card and count the ones that closed', async () => {
+        getTrelloCard
+            .mockResolvedValueOnce({ id: 'card1', idList: 'doneListId' })
+            .mockResolvedValueOnce({ id: 'card2', idList: 'todoListId' });
+        updateGeneratedCardStatus.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+        const summary = await syncGeneratedCards(appSettings);
+
+        expect(updateGeneratedCardStatus).toHaveBeenCalledWith(openCards[0], { id: 'card1', idList: 'doneListId' }, appSettings);
+        expect(summary).toEqual({ checked: 2, closed: 1, failed: 0 });
+        expect(logAuditEvent).toHaveBeenCalledWith('INFO', 'Card completion sync finished.', summary);
+    });
+
+    it("should check cards against their schedule's own done list", async () => {
+        const cardOnOtherBoard = { id: 3, trello_card_id: 'card3', status: 'open', trello_board_id: 'otherBoard', trello_done_list_id: 'otherDoneList' };
+        pool.query.mockResolvedValueOnce({ rows: [cardOnOtherBoard] });
+        getTrelloCard.mockResolvedValueOnce({ id: 'card3', idList: 'otherDoneList' });
+        updateGeneratedCardStatus.mockResolvedValueOnce(false);
+
+        await syncGeneratedCards(appSettings);
+
+        expect(updateGeneratedCardStatus).toHaveBeenCalledWith(
+            cardOnOtherBoard,
+            { id: 'card3', idList: 'otherDoneList' },
+            expect.objectContaining({ TRELLO_DONE_LIST_ID: 'otherDoneList' })
+        );
+    });
+
+    it('should keep going when a card cannot be fetched', async () => {
+        getTrelloCard.mockRejectedValueOnce(new Error('Network error')).mockResolvedValueOnce(null);
+        updateGeneratedCardStatus.mockResolvedValueOnce(false);
+
+        const summary = await syncGeneratedCards(appSettings);
+
+        expect(summary).toEqual({ checked: 2, closed: 1, failed: 1 });
+        expect(logAuditEvent).toHaveBeenCalledWith('ERROR', expect.any(String), summary);
+    });
+
+    it('should not log anything when no card changed', async () => {
+        getTrelloCard.mockResolvedValue({ idList: 'todoListId' });
+        updateGeneratedCardStatus.mockResolvedValue(true);
+
+        await syncGeneratedCards(appSettings);
+
+        expect(logAuditEvent).not.toHaveBeenCalled();
+    });
+
+    it('should skip the sync when Trello credentials are missing', async () => {
+        const summary = await syncGeneratedCards({});
+
+        expect(pool.query).not.toHaveBeenCalled();
+        expect(summary.checked).toBe(0);
+    });
+});
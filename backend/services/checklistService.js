@@ -0,0 +1,71 @@
+import pool from '../db.js';
+
+/**
+ * @description Loads the checklists of one or more schedules, each with its items in order.
+ * @param {number[]} scheduleIds - The IDs of the schedules.
+ * @param {import('pg').Pool|import('pg').PoolClient} [db=pool] - The pool or client to query with.
+ * @returns {Promise<Map<number, object[]>>} The checklists of each schedule, keyed by schedule ID.
+ * Schedules without checklists are not in the map.
+ */
+export const getChecklistsForSchedules = async (scheduleIds, db = pool) => {
+    const checklistsBySchedule = new Map();
+    if (scheduleIds.length === 0) {
+        return checklistsBySchedule;
+    }
+
+    const { rows: checklists } = await db.query(
+        'SELECT id, schedule_id, name, position FROM schedule_checklists WHERE schedule_id = ANY($1::int[]) ORDER BY position ASC, id ASC',
+        [scheduleIds]
+    );
+    const { rows: items } = await db.query(
+        'SELECT id, checklist_id, item_name, trello_member_id, due_offset_days, position FROM checklist_items WHERE schedule_id = ANY($1::int[]) ORDER BY position ASC, id ASC',
+        [scheduleIds]
+    );
+
+    for (const checklist of checklists) {
+        const withItems = { ...checklist, items: items.filter(item => item.checklist_id === checklist.id) };
+        checklistsBySchedule.set(checklist.schedule_id, [...(checklistsBySchedule.get(checklist.schedule_id) || []), withItems]);
+    }
+    return checklistsBySchedule;
+};
+
+/**
+ * @description Loads the checklists of a single schedule.
+ * @param {number} scheduleId - The ID of the schedule.
+ * @param {import('pg').Pool|import('pg').PoolClient} [db=pool] - The pool or client to query with.
+ * @returns {Promise<object[]>} The schedule's checklists, each with its items.
+ */
+export const getScheduleChecklists = async (scheduleId, db = pool) => {
+    const checklistsBySchedule = await getChecklistsForSchedules([Number(scheduleId)], db);
+    return checklistsBySchedule.get(Number(scheduleId)) || [];
+};
+
+/**
+ * @description Replaces the checklists of a schedule. Must be called inside the caller's transaction.
+ * @param {import('pg').PoolClient} client - The client of the open transaction.
+ * @param {number} scheduleId - The ID of the schedule.
+ * @param {object[]} checklists - The checklists to store, each with a name and its items.
+ * @returns {Promise<object[]>} The stored checklists, with their new IDs.
+ */
+export const replaceScheduleChecklists = async (client, scheduleId, checklists = []) => {
+    // Items are removed with their checklist.
+    await client.query('DELETE FROM schedule_checklists WHERE schedule_id = $1', [scheduleId]);
+
+    const saved = [];
+    for (const [checklistIndex, checklist] of checklists.entries()) {
+        const { rows } = await client.query(
+            'INSERT INTO schedule_checklists (schedule_id, name, position) VALUES ($1, $2, $3) RETURNING id, schedule_id, name, position',
+            [scheduleId, checklist.name, checklistIndex]
+        );
+        const savedChecklist = { ...rows[0], items: [] };
+        for (const [itemIndex, item] of (checklist.items || []).entries()) {
+            const { rows: itemRows } = await client.query(
+                'INSERT INTO checklist_items (schedule_id, checklist_id, item_name, trello_member_id, due_offset_days, position) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, checklist_id, item_name, trello_member_id, due_offset_days, position',
+                [scheduleId, savedChecklist.id, item.item_name, item.trello_member_id || null, item.due_offset_days ?? null, itemIndex]
+            );
+            savedChecklist.items.push(itemRows[0]);
+        }
+        saved.push(savedChecklist);
+    }
+    return saved;
+};
@@ -0,0 +1,81 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+    }
+}));
+
+const pool = (await import('../db.js')).default;
+const { getChecklistsForSchedules, getScheduleChecklists, replaceScheduleChecklists } = await import('./checklistService.js');
+
+describe('Checklist Service', () => {
+    beforeEach(() => {
+        pool.query.mockReset();
+    });
+
+    describe('getChecklistsForSchedules', () => {
+        it('should group checklists by schedule with their items', async () => {
+            pool.query
+                .mockResolvedValueOnce({ rows: [
+                    { id: 10, schedule_id: 1, name: 'Prepare', position: 0 },
+                    { id: 11, schedule_id: 1, name: 'Wrap up', position: 1 },
+                    { id: 12, schedule_id: 2, name: 'Only', position: 0 },
+                ] })
+                .mockResolvedValueOnce({ rows: [
+                    { id: 1, checklist_id: 10, item_name: 'Draft', trello_member_id: 'm1', due_offset_days: -2, position: 0 },
+                    { id: 2, checklist_id: 12, item_name: 'Check', trello_member_id: null, due_offset_days: null, position: 0 },
+                ] });
+
+            const result = await getChecklistsForSchedules([1, 2, 3]);
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM schedule_checklists'), [[1, 2, 3]]);
+            expect(result.get(1).map(checklist => [checklist.name, checklist.items.length])).toEqual([['Prepare', 1], ['Wrap up', 0]]);
+            expect(result.get(2)[0].items[0].item_name).toBe('Check');
+            expect(result.has(3)).toBe(false);
+        });
+
+        it('should not query the database without schedules', async () => {
+            const result = await getChecklistsForSchedules([]);
+
+            expect(result.size).toBe(0);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getScheduleChecklists', () => {
+        it('should use the given client and accept a string ID', async () => {
+            const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+            const result = await getScheduleChecklists('4', client);
+
+            expect(result).toEqual([]);
+            expect(client.query).toHaveBeenCalledWith(expect.any(String), [[4]]);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('replaceScheduleChecklists', () => {
+        it('should delete the old checklists and insert the new ones in order', async () => {
+            const client = { query: jest.fn() };
+            client.query
+                .mockResolvedValueOnce(undefined) // DELETE
+                .mockResolvedValueOnce({ rows: [{ id: 20, schedule_id: 1, name: 'Prepare', position: 0 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 30, checklist_id: 20, item_name: 'Draft', trello_member_id: 'm1', due_offset_days: -1, position: 0 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 31, checklist_id: 20, item_name: 'Review', trello_member_id: null, due_offset_days: 0, position: 1 }] });
+
+            const result = await replaceScheduleChecklists(client, 1, [
+                { name: 'Prepare', items: [{ item_name: 'Draft', trello_member_id: 'm1', due_offset_days: -1 }, { item_name: 'Review', due_offset_days: 0 }] },
+            ]);
+
+            expect(client.query).toHaveBeenNthCalledWith(1, 'DELETE FROM schedule_checklists WHERE schedule_id = $1', [1]);
+            expect(client.query).toHaveBeenNthCalledWith(2, expect.stringContaining('INSERT INTO schedule_checklists'), [1, 'Prepare', 0]);
+            expect(client.query).toHaveBeenNthCalledWith(3, expect.stringContaining('INSERT INTO checklist_items'), [1, 20, 'Draft', 'm1', -1, 0]);
+            expect(client.query).toHaveBeenNthCalledWith(4, expect.stringContaining('INSERT INTO checklist_items'), [1, 20, 'Review', null, 0, 1]);
+            expect(result).toEqual([{ id: 20, schedule_id: 1, name: 'Prepare', position: 0, items: [
+                expect.objectContaining({ id: 30 }),
+                expect.objectContaining({ id: 31 }),
+            ] }]);
+        });
+    });
+});
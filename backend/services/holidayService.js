@@ -0,0 +1,119 @@
+import pool from '../db.js';
+
+// In-memory copy of the holiday calendar, keyed by 'YYYY-MM-DD'. The scheduler reads this
+// synchronously, so it is refreshed on startup, whenever the calendar is modified and at the start
+// of each scheduler run, which picks up changes made through another replica.
+let holidayDates = new Set();
+
+/**
+ * @description Formats a date as a 'YYYY-MM-DD' key using its local calendar date.
+ * @param {Date} date - The date to format.
+ * @returns {string} The date key.
+ */
+export const toDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * @description Loads all holiday dates from the database into the in-memory cache.
+ * @returns {Promise<Set<string>>} A promise that resolves to the set of holiday date keys.
+ */
+export const loadHolidays = async () => {
+    const { rows } = await pool.query("SELECT to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date FROM holidays");
+    holidayDates = new Set(rows.map(row => row.holiday_date));
+    console.log(`[INFO] Loaded ${holidayDates.size} holiday(s) into the calendar.`);
+    return holidayDates;
+};
+
+/**
+ * @description Returns the cached set of holiday dates.
+ * @returns {Set<string>} The set of holiday date keys ('YYYY-MM-DD').
+ */
+export const getHolidayDates = () => holidayDates;
+
+/**
+ * @description Determines whether a date is a working day, i.e. not a weekend and not a holiday.
+ * The date is a wall-clock date from the scheduler, whose UTC fields hold the calendar date.
+ * @param {Date} date - The wall-clock date to check.
+ * @param {Set<string>} [holidays=holidayDates] - The holiday date keys to check against.
+ * @returns {boolean} True if the date is a working day.
+ */
+export const isWorkingDay = (date, holidays = holidayDates) => {
+    const day = date.getUTCDay();
+    if (day === 0 || day === 6) return false;
+    return !holidays.has(date.toISOString().slice(0, 10));
+};
+
+/**
+ * @description Unescapes an iCalendar TEXT value.
+ * @param {string} value - The escaped value.
+ * @returns {string} The unescaped value.
+ */
+const unescapeIcsText = (value) => value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+
+/**
+ * @description Parses the date portion of an iCalendar DTSTART/DTEND value (e.g. "20250101" or "20250101T000000Z").
+ * @param {string} value - The property value.
+ * @returns {Date|null} A local date at midnight, or null if the value is not a date that exists.
+ */
+const parseIcsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+    const date = new Date(year, month - 1, day);
+    // The Date constructor rolls impossible dates such as February 30 over into the next month.
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * @description Extracts holidays from an iCalendar (ICS) document. Each VEVENT becomes one
+ * holiday per day it spans. Recurrence rules inside the file are not expanded.
+ * @param {string} icsText - The raw contents of the .ics file.
+ * @returns {{holiday_date: string, name: string}[]} The holidays found, in file order.
+ */
+export const parseIcsHolidays = (icsText) => {
+    // Unfold continuation lines (RFC 5545 section 3.1) before splitting into properties.
+    const lines = String(icsText || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    const holidays = [];
+    let event = null;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            continue;
+        }
+        if (line === 'END:VEVENT' && event) {
+            const start = parseIcsDate(event.DTSTART);
+            if (start) {
+                const end = parseIcsDate(event.DTEND);
+                const name = event.SUMMARY ? unescapeIcsText(event.SUMMARY) : 'Holiday';
+                const current = new Date(start);
+                let days = 0;
+                // DTEND is exclusive for all-day events; single-day events may omit it entirely.
+                do {
+                    holidays.push({ holiday_date: toDateKey(current), name });
+                    current.setDate(current.getDate() + 1);
+                    days++;
+                } while (end && current < end && days < 366);
+            }
+            event = null;
+            continue;
+        }
+        if (event) {
+            const separatorIndex = line.indexOf(':');
+            if (separatorIndex === -1) continue;
+            // Strip parameters such as ";VALUE=DATE" from the property name.
+            const propertyName = line.substring(0, separatorIndex).split(';')[0].toUpperCase();
+            event[propertyName] = line.substring(separatorIndex + 1);
+        }
+    }
+
+    return holidays;
+};
@@ -0,0 +1,73 @@
+import { parseIcsHolidays, isWorkingDay, toDateKey } from './holidayService.js';
+
+describe('Holiday Service', () => {
+  describe('parseIcsHolidays', () => {
+    it('should parse all-day events with date parameters', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20250101',
+        'DTEND;VALUE=DATE:20250102',
+        "SUMMARY:New Year's Day",
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20250704',
+        'SUMMARY:Independence Day',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+
+      expect(parseIcsHolidays(ics)).toEqual([
+        { holiday_date: '2025-01-01', name: "New Year's Day" },
+        { holiday_date: '2025-07-04', name: 'Independence Day' },
+      ]);
+    });
+
+    it('should expand multi-day events and unfold long lines', () => {
+      const ics = [
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20251224',
+        'DTEND;VALUE=DATE:20251227',
+        'SUMMARY:Winter\\, Office',
+        '  Closure',
+        'END:VEVENT',
+      ].join('\n');
+
+      expect(parseIcsHolidays(ics)).toEqual([
+        { holiday_date: '2025-12-24', name: 'Winter, Office Closure' },
+        { holiday_date: '2025-12-25', name: 'Winter, Office Closure' },
+        { holiday_date: '2025-12-26', name: 'Winter, Office Closure' },
+      ]);
+    });
+
+    it('should ignore events without a start date and return an empty list for invalid input', () => {
+      expect(parseIcsHolidays('BEGIN:VEVENT\nSUMMARY:No date\nEND:VEVENT')).toEqual([]);
+      expect(parseIcsHolidays('')).toEqual([]);
+    });
+
+    it('should skip events on dates that do not exist', () => {
+      const ics = 'BEGIN:VEVENT\nDTSTART;VALUE=DATE:20250230\nSUMMARY:Nope\nEND:VEVENT\nBEGIN:VEVENT\nDTSTART;VALUE=DATE:20251301\nEND:VEVENT';
+
+      expect(parseIcsHolidays(ics)).toEqual([]);
+    });
+  });
+
+  describe('isWorkingDay', () => {
+    it('should treat weekends as non-working days', () => {
+      expect(isWorkingDay(new Date(Date.UTC(2024, 7, 17)), new Set())).toBe(false); // Saturday
+      expect(isWorkingDay(new Date(Date.UTC(2024, 7, 18)), new Set())).toBe(false); // Sunday
+      expect(isWorkingDay(new Date(Date.UTC(2024, 7, 19)), new Set())).toBe(true); // Monday
+    });
+
+    it('should treat holidays as non-working days', () => {
+      expect(isWorkingDay(new Date(Date.UTC(2024, 7, 19)), new Set(['2024-08-19']))).toBe(false);
+    });
+  });
+
+  describe('toDateKey', () => {
+    it('should format the local calendar date', () => {
+      expect(toDateKey(new Date(2024, 0, 5, 23, 30))).toBe('2024-01-05');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import os from 'os';
+import pool from '../db.js';
+import { getSchedulerState, setSchedulerState } from './schedulerStateService.js';
+
+// Keys of the PostgreSQL advisory locks. The leader and run locks use the single-key form, and
+// schedule locks the two-key form with the schedule ID as the second key, so they cannot collide.
+const LEADER_LOCK_KEY = 727001;
+const RUN_LOCK_KEY = 727002;
+const SCHEDULE_LOCK_CLASS = 727003;
+
+// The scheduler_state key holding the current leader as JSON.
+const LEADER_STATE_KEY = 'leader';
+// How often followers try to take over, and the leader checks its connection.
+const LEADER_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * @description Identifies this server process among the replicas sharing the database.
+ */
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// The connection holding the leader lock. Advisory locks belong to a session, so the leader keeps
+// this connection for as long as it leads. If it drops, PostgreSQL frees the lock for another replica.
+let leaderClient = null;
+
+/**
+ * @description Gives up leadership after the leader connection failed. The connection is discarded
+ * rather than returned to the pool.
+ * @param {Error} [error] - The error the connection failed with.
+ */
+const dropLeadership = (error) => {
+    if (!leaderClient) return;
+    const client = leaderClient;
+    leaderClient = null;
+    console.error(`[WARN] Lost scheduler leadership on ${INSTANCE_ID}.`, error ? String(error) : '');
+    client.release(error || true);
+};
+
+/**
+ * @description Tries to make this replica the scheduler leader, or checks that it still is. Only
+ * the leader runs cron ticks, catch-up and card sync, so several replicas never create the same
+ * cards. Called on startup and then periodically, so a follower takes over when the leader stops.
+ * @returns {Promise<boolean>} True if this replica is the leader.
+ */
+export const tryBecomeLeader = async () => {
+    if (leaderClient) {
+        try {
+            await leaderClient.query('SELECT 1');
+            return true;
+        } catch (error) {
+            dropLeadership(error);
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LEADER_LOCK_KEY]);
+        if (!rows[0].locked) {
+            client.release();
+            return false;
+        }
+    } catch (error) {
+        client.release(error);
+        throw error;
+    }
+
+    leaderClient = client;
+    client.on('error', dropLeadership);
+    await setSchedulerState(LEADER_STATE_KEY, JSON.stringify({ instanceId: INSTANCE_ID, since: new Date().toISOString() }));
+    console.log(`[INFO] ${INSTANCE_ID} is now the scheduler leader.`);
+    return true;
+};
+
+/**
+ * @description Starts leader election: tries to become the leader now and again every 30 seconds.
+ * @returns {Promise<boolean>} True if this replica became the leader on the first try.
+ */
+export const startLeaderElection = async () => {
+    setInterval(() => {
+        tryBecomeLeader().catch(error => console.error('[ERROR] Scheduler leader election failed.', String(error)));
+    }, LEADER_CHECK_INTERVAL_MS);
+    return tryBecomeLeader();
+};
+
+/**
+ * @description Tells whether this replica is the scheduler leader.
+ * @returns {boolean} True if this replica holds the leader lock.
+ */
+export const isLeader = () => Boolean(leaderClient);
+
+/**
+ * @description Returns the current scheduler leader. The leader recorded in the scheduler state is
+ * only reported while some session actually holds the leader lock.
+ * @returns {Promise<{instanceId: string, since: string}|null>} The leader, or null if there is none.
+ */
+export const getLeader = async () => {
+    const { rows } = await pool.query(
+        "SELECT 1 FROM pg_locks WHERE locktype = 'advisory' AND granted AND classid = 0 AND objid = $1 AND objsubid = 1",
+        [LEADER_LOCK_KEY]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
+    const value = await getSchedulerState(LEADER_STATE_KEY);
+    return value ? JSON.parse(value) : null;
+};
+
+/**
+ * @description Runs a function while holding an advisory lock, on a connection of its own. If
+ * another session holds the lock, the function is not run.
+ * @param {Array<number>} keys - The lock key, as one or two integers.
+ * @param {function(): Promise<*>} fn - The function to run.
+ * @returns {Promise<{acquired: boolean, value?: *}>} Whether the lock was acquired, and the
+ * function's result if it was.
+ */
+const withAdvisoryLock = async (keys, fn) => {
+    const placeholders = keys.map((_, index) => `$${index + 1}`).join(', ');
+    const client = await pool.connect();
+    try {
+        const { rows } = await client.query(`SELECT pg_try_advisory_lock(${placeholders}) AS locked`, keys);
+        if (!rows[0].locked) {
+            return { acquired: false };
+        }
+        try {
+            return { acquired: true, value: await fn() };
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock(${placeholders})`, keys);
+        }
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * @description Runs a scheduler run unless one is already in progress on any replica.
+ * @param {function(): Promise<*>} fn - The run.
+ * @returns {Promise<{acquired: boolean, value?: *}>} Whether the run went ahead, and its result.
+ */
+export const withRunLock = (fn) => withAdvisoryLock([RUN_LOCK_KEY], fn);
+
+/**
+ * @description Runs card creation for a schedule unless it is already in progress for the same
+ * schedule, on this or another replica.
+ * @param {number} scheduleId - The ID of the schedule.
+ * @param {function(): Promise<*>} fn - The card creation.
+ * @returns {Promise<{acquired: boolean, value?: *}>} Whether the card creation went ahead, and its result.
+ */
+export const withScheduleLock = (scheduleId, fn) => withAdvisoryLock([SCHEDULE_LOCK_CLASS, scheduleId], fn);
@@ -0,0 +1,107 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockClient = {
+    query: jest.fn(),
+    release: jest.fn(),
+    on: jest.fn(),
+};
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+        connect: jest.fn(),
+    }
+}));
+
+jest.unstable_mockModule('./schedulerStateService.js', () => ({
+    getSchedulerState: jest.fn(),
+    setSchedulerState: jest.fn(),
+}));
+
+const pool = (await import('../db.js')).default;
+const { getSchedulerState, setSchedulerState } = await import('./schedulerStateService.js');
+const { INSTANCE_ID, tryBecomeLeader, isLeader, getLeader, withRunLock, withScheduleLock } = await import('./lockService.js');
+
+describe('Lock Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockClient.query.mockReset();
+        pool.query.mockReset();
+        pool.connect.mockResolvedValue(mockClient);
+    });
+
+    describe('withScheduleLock', () => {
+        it('should run the function while holding the lock and release it afterwards', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ locked: true }] }).mockResolvedValueOnce({ rows: [] });
+            const fn = jest.fn().mockResolvedValue('done');
+
+            const result = await withScheduleLock(42, fn);
+
+            expect(result).toEqual({ acquired: true, value: 'done' });
+            expect(mockClient.query).toHaveBeenNthCalledWith(1, 'SELECT pg_try_advisory_lock($1, $2) AS locked', [727003, 42]);
+            expect(mockClient.query).toHaveBeenNthCalledWith(2, 'SELECT pg_advisory_unlock($1, $2)', [727003, 42]);
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+
+        it('should release the lock when the function throws', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ locked: true }] }).mockResolvedValueOnce({ rows: [] });
+
+            await expect(withScheduleLock(42, () => Promise.reject(new Error('Trello is down')))).rejects.toThrow('Trello is down');
+
+            expect(mockClient.query).toHaveBeenCalledWith('SELECT pg_advisory_unlock($1, $2)', [727003, 42]);
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('withRunLock', () => {
+        it('should not run the function if another session holds the lock', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ locked: false }] });
+            const fn = jest.fn();
+
+            const result = await withRunLock(fn);
+
+            expect(result).toEqual({ acquired: false });
+            expect(fn).not.toHaveBeenCalled();
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('leader election', () => {
+        it('should stay a follower while another replica holds the leader lock', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ locked: false }] });
+
+            expect(await tryBecomeLeader()).toBe(false);
+            expect(isLeader()).toBe(false);
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+
+        it('should become the leader, keep its connection and record itself', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ locked: true }] });
+
+            expect(await tryBecomeLeader()).toBe(true);
+
+            expect(isLeader()).toBe(true);
+            expect(mockClient.release).not.toHaveBeenCalled();
+            expect(setSchedulerState).toHaveBeenCalledWith('leader', expect.stringContaining(INSTANCE_ID));
+
+            // A leader only checks that its connection is still alive.
+            mockClient.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+            expect(await tryBecomeLeader()).toBe(true);
+            expect(pool.connect).toHaveBeenCalledTimes(1);
+        });
+
+        it('should report no leader when nobody holds the leader lock', async () => {
+            pool.query.mockResolvedValueOnce({ rows: [] });
+
+            expect(await getLeader()).toBeNull();
+            expect(getSchedulerState).not.toHaveBeenCalled();
+        });
+
+        it('should report the recorded leader while the lock is held', async () => {
+            pool.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+            getSchedulerState.mockResolvedValueOnce(JSON.stringify({ instanceId: 'host-a:1', since: '2024-08-15T05:00:00.000Z' }));
+
+            expect(await getLeader()).toEqual({ instanceId: 'host-a:1', since: '2024-08-15T05:00:00.000Z' });
+        });
+    });
+});
@@ -0,0 +1,47 @@
+import pool from '../db.js';
+
+/**
+ * @description Records that a card is about to be created for an occurrence of a schedule. If the
+ * occurrence was recorded before, the earlier record is returned instead, so the caller can tell a
+ * new occurrence from one that an earlier attempt already started or finished.
+ * @param {number} scheduleId - The ID of the schedule.
+ * @param {Date} dueDate - The due date of the occurrence.
+ * @param {string|null} runId - The scheduler run ID.
+ * @returns {Promise<{occurrence: object, isNew: boolean}>} The occurrence, and whether it was just recorded.
+ */
+export const claimOccurrence = async (scheduleId, dueDate, runId) => {
+    const { rows } = await pool.query(
+        `INSERT INTO card_occurrences (schedule_id, due_date, run_id) VALUES ($1, $2, $3)
+         ON CONFLICT (schedule_id, due_date) DO NOTHING
+         RETURNING *`,
+        [scheduleId, dueDate, runId]
+    );
+    if (rows.length > 0) {
+        return { occurrence: rows[0], isNew: true };
+    }
+    return { occurrence: await findOccurrence(scheduleId, dueDate), isNew: false };
+};
+
+/**
+ * @description Looks up an occurrence of a schedule without recording it.
+ * @param {number} scheduleId - The ID of the schedule.
+ * @param {Date} dueDate - The due date of the occurrence.
+ * @returns {Promise<object|null>} The occurrence, or null if it was never recorded.
+ */
+export const findOccurrence = async (scheduleId, dueDate) => {
+    const { rows } = await pool.query('SELECT * FROM card_occurrences WHERE schedule_id = $1 AND due_date = $2', [scheduleId, dueDate]);
+    return rows[0] || null;
+};
+
+/**
+ * @description Marks an occurrence as created, with the card that was created for it.
+ * @param {number} occurrenceId - The ID of the occurrence.
+ * @param {string} trelloCardId - The ID of the card.
+ * @returns {Promise<void>}
+ */
+export const markOccurrenceCreated = async (occurrenceId, trelloCardId) => {
+    await pool.query(
+        "UPDATE card_occurrences SET status = 'created', trello_card_id = $1, updated_at = NOW() WHERE id = $2",
+        [trelloCardId, occurrenceId]
+    );
+};
@@ -0,0 +1,56 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+    }
+}));
+
+const pool = (await import('../db.js')).default;
+const { claimOccurrence, findOccurrence, markOccurrenceCreated } = await import('./occurrenceService.js');
+
+describe('Occurrence Service', () => {
+    const dueDate = new Date('2024-08-20T12:00:00Z');
+
+    beforeEach(() => {
+        pool.query.mockReset();
+    });
+
+    describe('claimOccurrence', () => {
+        it('should record a new occurrence', async () => {
+            const occurrence = { id: 1, schedule_id: 7, status: 'pending' };
+            pool.query.mockResolvedValueOnce({ rows: [occurrence] });
+
+            expect(await claimOccurrence(7, dueDate, 'run1')).toEqual({ occurrence, isNew: true });
+            expect(pool.query).toHaveBeenCalledTimes(1);
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('ON CONFLICT (schedule_id, due_date) DO NOTHING'), [7, dueDate, 'run1']);
+        });
+
+        it('should return the earlier record of an occurrence that was already claimed', async () => {
+            const occurrence = { id: 1, schedule_id: 7, status: 'created', trello_card_id: 'card1' };
+            pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [occurrence] });
+
+            expect(await claimOccurrence(7, dueDate, 'run2')).toEqual({ occurrence, isNew: false });
+            expect(pool.query).toHaveBeenLastCalledWith('SELECT * FROM card_occurrences WHERE schedule_id = $1 AND due_date = $2', [7, dueDate]);
+        });
+    });
+
+    describe('findOccurrence', () => {
+        it('should return null for an occurrence that was never recorded', async () => {
+            pool.query.mockResolvedValueOnce({ rows: [] });
+
+            expect(await findOccurrence(7, dueDate)).toBeNull();
+            expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT'), expect.anything());
+        });
+    });
+
+    describe('markOccurrenceCreated', () => {
+        it('should store the card of the occurrence', async () => {
+            pool.query.mockResolvedValueOnce({ rows: [] });
+
+            await markOccurrenceCreated(1, 'card1');
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'created'"), ['card1', 1]);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+import { DateTime } from 'luxon';
+import pool from '../db.js';
+import { resolveTimeZone } from './timeZoneService.js';
+
+/**
+ * @description Returns the members who are recorded as absent on a date.
+ * @param {string[]} memberIds - The Trello member IDs to check.
+ * @param {string} date - The date, as YYYY-MM-DD.
+ * @returns {Promise<Set<string>>} The IDs of the absent members.
+ */
+export const getAbsentMemberIds = async (memberIds, date) => {
+    if (memberIds.length === 0) {
+        return new Set();
+    }
+    const { rows } = await pool.query(
+        'SELECT DISTINCT trello_member_id FROM member_absences WHERE trello_member_id = ANY($1::text[]) AND $2::date BETWEEN start_date AND end_date',
+        [memberIds, date]
+    );
+    return new Set(rows.map(row => row.trello_member_id));
+};
+
+/**
+ * @description Picks whose turn it is in a rotation. Starting at the cursor, members who are absent
+ * are skipped and lose their turn. If everyone is absent, the member at the cursor is picked anyway
+ * so the card is still created.
+ * @param {string[]} memberIds - The rotation, in order.
+ * @param {number} cursor - The index of the member whose turn it is.
+ * @param {Set<string>} [absentMemberIds=new Set()] - The members who are absent.
+ * @returns {{memberId: string|null, nextCursor: number, skippedMemberIds: string[], everyoneAbsent: boolean}}
+ * The picked member, the cursor for the card after this one and the members who were skipped.
+ */
+export const pickRotationAssignee = (memberIds, cursor, absentMemberIds = new Set()) => {
+    const count = memberIds.length;
+    if (count === 0) {
+        return { memberId: null, nextCursor: 0, skippedMemberIds: [], everyoneAbsent: false };
+    }
+    // The rotation may have shrunk since the cursor was saved.
+    const start = ((cursor || 0) % count + count) % count;
+    for (let offset = 0; offset < count; offset++) {
+        const index = (start + offset) % count;
+        if (!absentMemberIds.has(memberIds[index])) {
+            return {
+                memberId: memberIds[index],
+                nextCursor: (index + 1) % count,
+                skippedMemberIds: Array.from({ length: offset }, (_, i) => memberIds[(start + i) % count]),
+                everyoneAbsent: false,
+            };
+        }
+    }
+    return { memberId: memberIds[start], nextCursor: (start + 1) % count, skippedMemberIds: [], everyoneAbsent: true };
+};
+
+/**
+ * @description Works out who a rotating schedule's card for a due date goes to, taking absences on
+ * the due date (in the schedule's time zone) into account.
+ * @param {object} schedule - The schedule object, with its rotation in 'trello_member_ids'.
+ * @param {Date} dueDate - The due date of the card.
+ * @returns {Promise<object>} The result of pickRotationAssignee.
+ */
+export const resolveRotationAssignee = async (schedule, dueDate) => {
+    const memberIds = schedule.trello_member_ids || [];
+    const dueDay = DateTime.fromJSDate(dueDate, { zone: resolveTimeZone(schedule) }).toISODate();
+    const absentMemberIds = await getAbsentMemberIds(memberIds, dueDay);
+    return pickRotationAssignee(memberIds, schedule.rotation_cursor, absentMemberIds);
+};
@@ -0,0 +1,58 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+    }
+}));
+
+const pool = (await import('../db.js')).default;
+const { pickRotationAssignee, resolveRotationAssignee } = await import('./rotationService.js');
+
+describe('Rotation Service', () => {
+    const rotation = ['ann', 'bo', 'cy'];
+
+    describe('pickRotationAssignee', () => {
+        it('should pick the member at the cursor and move the cursor on', () => {
+            expect(pickRotationAssignee(rotation, 1)).toEqual({ memberId: 'bo', nextCursor: 2, skippedMemberIds: [], everyoneAbsent: false });
+            expect(pickRotationAssignee(rotation, 2).nextCursor).toBe(0);
+        });
+
+        it('should skip absent members, who lose their turn', () => {
+            const result = pickRotationAssignee(rotation, 2, new Set(['cy', 'ann']));
+
+            expect(result).toEqual({ memberId: 'bo', nextCursor: 2, skippedMemberIds: ['cy', 'ann'], everyoneAbsent: false });
+        });
+
+        it('should still pick the member at the cursor when everyone is absent', () => {
+            const result = pickRotationAssignee(rotation, 0, new Set(rotation));
+
+            expect(result).toEqual({ memberId: 'ann', nextCursor: 1, skippedMemberIds: [], everyoneAbsent: true });
+        });
+
+        it('should wrap a cursor that is past the end of a shortened rotation', () => {
+            expect(pickRotationAssignee(['ann', 'bo'], 5).memberId).toBe('bo');
+        });
+
+        it('should pick nobody from an empty rotation', () => {
+            expect(pickRotationAssignee([], 3).memberId).toBeNull();
+        });
+    });
+
+    describe('resolveRotationAssignee', () => {
+        beforeEach(() => {
+            pool.query.mockReset();
+        });
+
+        it("should check absences on the due date in the schedule's time zone", async () => {
+            pool.query.mockResolvedValueOnce({ rows: [{ trello_member_id: 'ann' }] });
+            const schedule = { trello_member_ids: rotation, rotation_cursor: 0, time_zone: 'Asia/Tokyo' };
+
+            // 20:00 UTC on the 15th is already the 16th in Tokyo.
+            const result = await resolveRotationAssignee(schedule, new Date('2024-08-15T20:00:00Z'));
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM member_absences'), [rotation, '2024-08-16']);
+            expect(result.memberId).toBe('bo');
+        });
+    });
+});
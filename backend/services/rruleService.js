@@ -0,0 +1,66 @@
+import rrulePackage from 'rrule';
+
+// The rrule package ships as CommonJS, so its named exports are read from the default import.
+const { RRule } = rrulePackage;
+
+/**
+ * @description Removes an optional "RRULE:" prefix and surrounding whitespace from a rule string.
+ * @param {string} ruleText - The rule as entered by the user, e.g. "RRULE:FREQ=MONTHLY;BYDAY=2TH,4TH".
+ * @returns {string} The bare rule, e.g. "FREQ=MONTHLY;BYDAY=2TH,4TH".
+ */
+export const normalizeRRule = (ruleText) => String(ruleText || '').trim().replace(/^RRULE:/i, '').trim();
+
+/**
+ * @description Parses and validates an RFC 5545 RRULE string. The schedule's start date and
+ * trigger time act as DTSTART, so the rule itself must not contain one.
+ * @param {string} ruleText - The rule to parse.
+ * @returns {object} The parsed rrule options.
+ * @throws {Error} If the rule is empty, malformed, or repeats more often than daily.
+ */
+export const parseRRule = (ruleText) => {
+    const normalized = normalizeRRule(ruleText);
+    if (!normalized) {
+        throw new Error('An RRULE is required for the rrule frequency.');
+    }
+    if (/DTSTART/i.test(normalized) || normalized.includes('\n')) {
+        throw new Error('Enter a single RRULE line; the schedule start date and trigger time are used as DTSTART.');
+    }
+
+    let options;
+    try {
+        options = RRule.parseString(normalized);
+    } catch (error) {
+        throw new Error(`Invalid RRULE: ${error.message}`);
+    }
+
+    if (options.freq === undefined) {
+        throw new Error('The RRULE must include a FREQ.');
+    }
+    if (options.freq > RRule.DAILY) {
+        throw new Error('Rules that repeat more often than daily are not supported.');
+    }
+    const numericParts = ['interval', 'count', 'bymonthday', 'bymonth', 'bysetpos', 'byyearday', 'byweekno'];
+    for (const part of numericParts) {
+        const values = [].concat(options[part] ?? []);
+        if (values.some(value => !Number.isInteger(value))) {
+            throw new Error(`Invalid RRULE: ${part.toUpperCase()} must be a whole number.`);
+        }
+    }
+
+    return options;
+};
+
+/**
+ * @description Finds the first occurrence of an RRULE strictly after a given date. The rrule
+ * library works in "floating" UTC time, the same representation as the scheduler's wall-clock
+ * dates (see toZonedWallClock), so rules are evaluated on wall-clock time.
+ * @param {string} ruleText - The RRULE string stored on the schedule.
+ * @param {Date} dtstart - The wall-clock date and time the rule starts from.
+ * @param {Date} after - The wall-clock date and time after which to look for an occurrence.
+ * @returns {Date|null} The next occurrence as a wall-clock date, or null if the rule has no more occurrences.
+ */
+export const getNextRRuleOccurrence = (ruleText, dtstart, after) => {
+    const rule = new RRule({ ...parseRRule(ruleText), dtstart });
+    return rule.after(after, false);
+};
+
@@ -0,0 +1,37 @@
+import { normalizeRRule, parseRRule } from './rruleService.js';
+
+describe('rruleService', () => {
+  describe('normalizeRRule', () => {
+    it('should strip the RRULE: prefix and whitespace', () => {
+      expect(normalizeRRule('  RRULE:FREQ=WEEKLY;BYDAY=MO ')).toBe('FREQ=WEEKLY;BYDAY=MO');
+    });
+  });
+
+  describe('parseRRule', () => {
+    it('should parse a valid rule', () => {
+      const options = parseRRule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15');
+      expect(options).toEqual(expect.objectContaining({ interval: 3, bymonthday: 15 }));
+    });
+
+    it('should reject an empty rule', () => {
+      expect(() => parseRRule('')).toThrow('An RRULE is required');
+    });
+
+    it('should reject a rule without FREQ', () => {
+      expect(() => parseRRule('INTERVAL=2')).toThrow('must include a FREQ');
+    });
+
+    it('should reject rules more frequent than daily', () => {
+      expect(() => parseRRule('FREQ=HOURLY')).toThrow('more often than daily');
+    });
+
+    it('should reject a DTSTART', () => {
+      expect(() => parseRRule('DTSTART:20240101T090000\nRRULE:FREQ=DAILY')).toThrow('DTSTART');
+    });
+
+    it('should reject unknown properties and non-numeric values', () => {
+      expect(() => parseRRule('FREQ=DAILY;FOO=1')).toThrow('Invalid RRULE');
+      expect(() => parseRRule('FREQ=MONTHLY;BYMONTHDAY=abc')).toThrow('BYMONTHDAY must be a whole number');
+    });
+  });
+});
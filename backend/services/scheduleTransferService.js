@@ -0,0 +1,218 @@
+import { DateTime } from 'luxon';
+
+// Columns that hold lists or objects. In CSV files they are written as JSON.
+const JSON_FIELDS = ['trello_member_ids', 'trello_label_ids', 'attachment_urls', 'custom_field_values', 'template_keep_from_source', 'checklists'];
+const BOOLEAN_FIELDS = ['is_active', 'create_next_on_completion', 'watch_card'];
+const NUMBER_FIELDS = ['frequency_interval', 'lead_time_days', 'max_open_cards', 'connection_id'];
+
+/**
+ * @description Turns a stored schedule into a record for an export file. Only the fields a schedule
+ * is created from are kept, so the record can be imported again as it is.
+ * @param {object} schedule - The schedule, with its checklists.
+ * @param {string[]} fields - The fields to export.
+ * @returns {object} The export record.
+ */
+export const toExportRecord = (schedule, fields) => {
+    const record = {};
+    for (const field of fields) {
+        const value = schedule[field];
+        if (field === 'checklists') {
+            record.checklists = (value || []).map(checklist => ({
+                name: checklist.name,
+                items: checklist.items.map(({ item_name, trello_member_id, due_offset_days }) => ({ item_name, trello_member_id, due_offset_days })),
+            }));
+        } else if (value instanceof Date) {
+            // DATE columns are read as midnight in the server's time zone.
+            record[field] = DateTime.fromJSDate(value).toISODate();
+        } else if (value !== undefined) {
+            record[field] = value;
+        }
+    }
+    return record;
+};
+
+/**
+ * @description Quotes a CSV cell when it contains a separator, a quote or a line break.
+ * @param {*} value - The cell value.
+ * @returns {string} The cell as CSV.
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @description Writes export records as CSV, one schedule per row. Lists and checklists are
+ * written as JSON within their cell.
+ * @param {object[]} records - The export records.
+ * @param {string[]} fields - The columns, in order.
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (records, fields) => {
+    const lines = [fields.join(',')];
+    for (const record of records) {
+        lines.push(fields.map(field => toCsvCell(record[field])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * @description Splits CSV text into rows of cells, following RFC 4180 quoting.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows.
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    // Spreadsheet programs may start the file with a byte order mark.
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * @description Converts a CSV cell back to the type of its column. Cells that cannot be converted
+ * are returned as they are, so that validation reports them.
+ * @param {string} field - The column name.
+ * @param {string} value - The cell.
+ * @returns {*} The converted value.
+ */
+const fromCsvCell = (field, value) => {
+    if (JSON_FIELDS.includes(field)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    if (BOOLEAN_FIELDS.includes(field)) {
+        return value === 'true' ? true : value === 'false' ? false : value;
+    }
+    if (NUMBER_FIELDS.includes(field)) {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    }
+    return value;
+};
+
+/**
+ * @description Reads schedules from a CSV export. Empty cells are left out, so the defaults apply.
+ * @param {string} text - The CSV text, with a header row.
+ * @returns {object[]} The schedules.
+ */
+export const parseCsvSchedules = (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+        return [];
+    }
+    const fields = header.map(field => field.trim());
+    return rows.map(cells => {
+        const schedule = {};
+        fields.forEach((field, index) => {
+            const value = cells[index];
+            if (field && value !== undefined && value !== '') {
+                schedule[field] = fromCsvCell(field, value);
+            }
+        });
+        return schedule;
+    });
+};
+
+/**
+ * @description Lists the Trello member and label IDs a batch of schedules refers to, so they can be
+ * mapped onto another board.
+ * @param {object[]} schedules - The imported schedules.
+ * @returns {{memberIds: string[], labelIds: string[]}} The distinct IDs.
+ */
+export const collectTrelloIds = (schedules) => {
+    const memberIds = new Set();
+    const labelIds = new Set();
+    for (const schedule of schedules) {
+        (Array.isArray(schedule.trello_member_ids) ? schedule.trello_member_ids : []).forEach(id => memberIds.add(id));
+        (Array.isArray(schedule.trello_label_ids) ? schedule.trello_label_ids : []).forEach(id => labelIds.add(id));
+        for (const checklist of Array.isArray(schedule.checklists) ? schedule.checklists : []) {
+            (Array.isArray(checklist?.items) ? checklist.items : []).forEach(item => item?.trello_member_id && memberIds.add(item.trello_member_id));
+        }
+    }
+    return { memberIds: [...memberIds], labelIds: [...labelIds] };
+};
+
+/**
+ * @description Replaces Trello member and label IDs in a schedule, for importing it into another
+ * board. IDs without a mapping are kept.
+ * @param {object} schedule - The imported schedule.
+ * @param {{memberMap: object, labelMap: object}} maps - The new ID for each old ID.
+ * @returns {object} A copy of the schedule with the IDs replaced.
+ */
+export const remapTrelloIds = (schedule, { memberMap = {}, labelMap = {} }) => {
+    const mapMember = (id) => memberMap[id] || id;
+    const remapped = { ...schedule };
+    if (Array.isArray(schedule.trello_member_ids)) {
+        // Two old members may map onto the same new one.
+        remapped.trello_member_ids = [...new Set(schedule.trello_member_ids.map(mapMember))];
+    }
+    if (Array.isArray(schedule.trello_label_ids)) {
+        remapped.trello_label_ids = [...new Set(schedule.trello_label_ids.map(id => labelMap[id] || id))];
+    }
+    if (Array.isArray(schedule.checklists)) {
+        // Malformed checklists and items are kept as they are, for validation to report.
+        remapped.checklists = schedule.checklists.map(checklist => (Array.isArray(checklist?.items) ? {
+            ...checklist,
+            items: checklist.items.map(item => (item?.trello_member_id ? { ...item, trello_member_id: mapMember(item.trello_member_id) } : item)),
+        } : checklist));
+    }
+    return remapped;
+};
+
+/**
+ * @description Drops the settings that only make sense on the board a schedule was exported from,
+ * so the imported schedule uses the default board and lists.
+ * @param {object} schedule - The imported schedule.
+ * @returns {object} A copy of the schedule without board-specific settings.
+ */
+export const clearBoardSettings = (schedule) => ({
+    ...schedule,
+    connection_id: null,
+    trello_board_id: null,
+    trello_list_id: null,
+    trello_done_list_id: null,
+    template_card_id: null,
+    custom_field_values: [],
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from '@jest/globals';
+import { toExportRecord, toCsv, parseCsvSchedules, collectTrelloIds, remapTrelloIds, clearBoardSettings } from './scheduleTransferService.js';
+
+describe('Schedule Transfer Service', () => {
+    const fields = ['title', 'description', 'trello_member_ids', 'frequency_interval', 'is_active', 'start_date', 'checklists'];
+    const schedule = {
+        id: 7,
+        title: 'Weekly "sync"',
+        description: 'Agenda:\n- notes, actions',
+        trello_member_ids: ['m1', 'm2'],
+        frequency_interval: 2,
+        is_active: false,
+        start_date: new Date(2024, 7, 1),
+        last_card_created_at: new Date(),
+        checklists: [{ id: 3, schedule_id: 7, name: 'Prep', position: 0, items: [{ id: 9, checklist_id: 3, item_name: 'Book room', trello_member_id: 'm2', due_offset_days: -1, position: 0 }] }],
+    };
+
+    describe('toExportRecord', () => {
+        it('should keep only the exported fields, with dates as YYYY-MM-DD and bare checklist items', () => {
+            expect(toExportRecord(schedule, fields)).toEqual({
+                title: 'Weekly "sync"',
+                description: 'Agenda:\n- notes, actions',
+                trello_member_ids: ['m1', 'm2'],
+                frequency_interval: 2,
+                is_active: false,
+                start_date: '2024-08-01',
+                checklists: [{ name: 'Prep', items: [{ item_name: 'Book room', trello_member_id: 'm2', due_offset_days: -1 }] }],
+            });
+        });
+    });
+
+    describe('toCsv and parseCsvSchedules', () => {
+        it('should read back what was written, including quotes, commas, line breaks and lists', () => {
+            const record = toExportRecord(schedule, fields);
+
+            const csv = toCsv([record, { title: 'Plain', is_active: true }], fields);
+            const parsed = parseCsvSchedules(csv);
+
+            expect(csv.split('\r\n')[0]).toBe(fields.join(','));
+            expect(parsed).toEqual([record, { title: 'Plain', is_active: true }]);
+        });
+
+        it('should leave cells it cannot convert for validation to report', () => {
+            const parsed = parseCsvSchedules('title,frequency_interval,trello_member_ids\nBroken,often,[oops\n');
+
+            expect(parsed).toEqual([{ title: 'Broken', frequency_interval: 'often', trello_member_ids: '[oops' }]);
+        });
+
+        it('should return no schedules for an empty file', () => {
+            expect(parseCsvSchedules('')).toEqual([]);
+        });
+    });
+
+    describe('remapTrelloIds', () => {
+        it('should replace mapped member and label IDs and keep the others', () => {
+            const imported = {
+                trello_member_ids: ['m1', 'm2', 'm3'],
+                trello_label_ids: ['l1'],
+                checklists: [{ name: 'Prep', items: [{ item_name: 'Book room', trello_member_id: 'm2' }, { item_name: 'Agenda' }] }],
+            };
+
+            const remapped = remapTrelloIds(imported, { memberMap: { m1: 'x1', m2: 'x1' }, labelMap: { l1: 'y1' } });
+
+            expect(remapped.trello_member_ids).toEqual(['x1', 'm3']);
+            expect(remapped.trello_label_ids).toEqual(['y1']);
+            expect(remapped.checklists[0].items).toEqual([{ item_name: 'Book room', trello_member_id: 'x1' }, { item_name: 'Agenda' }]);
+            expect(imported.trello_member_ids).toEqual(['m1', 'm2', 'm3']);
+        });
+
+        it('should keep malformed checklists and items instead of throwing', () => {
+            const remapped = remapTrelloIds({ checklists: [null, { name: 'Prep', items: [null, 'Agenda'] }, { name: 'Empty' }] }, { memberMap: { m1: 'x1' } });
+
+            expect(remapped.checklists).toEqual([null, { name: 'Prep', items: [null, 'Agenda'] }, { name: 'Empty' }]);
+        });
+    });
+
+    describe('collectTrelloIds', () => {
+        it('should list every member and label ID once', () => {
+            const ids = collectTrelloIds([
+                { trello_member_ids: ['m1'], trello_label_ids: ['l1'], checklists: [{ items: [{ trello_member_id: 'm2' }] }] },
+                { trello_member_ids: ['m1', 'm3'], trello_label_ids: 'not a list' },
+            ]);
+
+            expect(ids).toEqual({ memberIds: ['m1', 'm2', 'm3'], labelIds: ['l1'] });
+        });
+    });
+
+    describe('clearBoardSettings', () => {
+        it('should drop the board, lists, connection and board-specific details', () => {
+            const cleared = clearBoardSettings({ title: 'A', connection_id: 2, trello_board_id: 'b', trello_list_id: 'l', trello_done_list_id: 'd', template_card_id: 't', custom_field_values: [{ id_custom_field: 'f' }] });
+
+            expect(cleared).toEqual({ title: 'A', connection_id: null, trello_board_id: null, trello_list_id: null, trello_done_list_id: null, template_card_id: null, custom_field_values: [] });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+import pool from '../db.js';
+
+// Outcomes of processCardCreationForSchedule that did not create a card but are not errors.
+const BLOCKED_OUTCOMES = ['blocked', 'out_of_range', 'deferred'];
+
+/**
+ * @description Counts a run's results by what happened to each schedule.
+ * @param {object[]} results - The results of the run, from processCardCreationForSchedule.
+ * @returns {{created: number, blocked: number, failed: number}} The counts. Deferred schedules and
+ * schedules without a due date in their active range count as blocked.
+ */
+export const countRunOutcomes = (results) => ({
+    created: results.filter(result => result.outcome === 'created').length,
+    blocked: results.filter(result => BLOCKED_OUTCOMES.includes(result.outcome)).length,
+    failed: results.filter(result => result.outcome === 'failed').length,
+});
+
+/**
+ * @description Records the start of a scheduler run.
+ * @param {string} runId - The run ID.
+ * @param {'scheduled'|'manual'|'catch_up'} triggerType - What started the run.
+ * @param {object|null} user - The admin who started a manual run.
+ * @param {Date} startedAt - When the run started.
+ * @returns {Promise<void>}
+ */
+export const recordRunStart = async (runId, triggerType, user, startedAt) => {
+    await pool.query(
+        'INSERT INTO scheduler_runs (run_id, trigger_type, triggered_by, started_at) VALUES ($1, $2, $3, $4)',
+        [runId, triggerType, user?.username || null, startedAt]
+    );
+};
+
+/**
+ * @description Records the end of a scheduler run, with its counts and the outcome of every
+ * schedule it evaluated.
+ * @param {string} runId - The run ID.
+ * @param {object[]} results - The results of the run, each with its 'scheduleId' and 'title'.
+ * @param {number} durationMs - How long the run took.
+ * @param {Error|null} [error=null] - The error that ended the run early, if any.
+ * @returns {Promise<void>}
+ */
+export const recordRunFinish = async (runId, results, durationMs, error = null) => {
+    const counts = countRunOutcomes(results);
+    await pool.query(
+        `UPDATE scheduler_runs
+         SET finished_at = NOW(), duration_ms = $1, schedules_evaluated = $2, cards_created = $3, cards_blocked = $4, cards_failed = $5, error = $6
+         WHERE run_id = $7`,
+        [durationMs, results.length, counts.created, counts.blocked, counts.failed, error ? String(error) : null, runId]
+    );
+    for (const result of results) {
+        await pool.query(
+            'INSERT INTO scheduler_run_results (run_id, schedule_id, schedule_title, outcome, message, trello_card_id) VALUES ($1, $2, $3, $4, $5, $6)',
+            [runId, result.scheduleId, result.title, result.outcome || 'failed', result.message, result.outcome === 'created' ? result.card?.id || null : null]
+        );
+    }
+};
@@ -0,0 +1,60 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+    }
+}));
+
+const pool = (await import('../db.js')).default;
+const { countRunOutcomes, recordRunStart, recordRunFinish } = await import('./schedulerRunService.js');
+
+describe('Scheduler Run Service', () => {
+    const results = [
+        { scheduleId: 1, title: 'Report', outcome: 'created', message: 'Card created successfully.', card: { id: 'card1' } },
+        { scheduleId: 2, title: 'Review', outcome: 'blocked', message: 'Still active.' },
+        { scheduleId: 3, title: 'Audit', outcome: 'deferred', message: 'Later.' },
+        { scheduleId: 4, title: 'Backup', outcome: 'failed', message: 'Failed to create Trello card.' },
+    ];
+
+    beforeEach(() => {
+        pool.query.mockReset().mockResolvedValue({ rows: [] });
+    });
+
+    describe('countRunOutcomes', () => {
+        it('should count deferred and out-of-range schedules as blocked', () => {
+            expect(countRunOutcomes([...results, { outcome: 'out_of_range' }])).toEqual({ created: 1, blocked: 3, failed: 1 });
+        });
+    });
+
+    describe('recordRunStart', () => {
+        it('should record who started a manual run', async () => {
+            const startedAt = new Date('2024-08-15T05:00:00Z');
+
+            await recordRunStart('abc123', 'manual', { username: 'admin' }, startedAt);
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO scheduler_runs'), ['abc123', 'manual', 'admin', startedAt]);
+        });
+    });
+
+    describe('recordRunFinish', () => {
+        it('should store the counts and one result per schedule', async () => {
+            await recordRunFinish('abc123', results, 1500);
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE scheduler_runs'), [1500, 4, 1, 2, 1, null, 'abc123']);
+            const inserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO scheduler_run_results'));
+            expect(inserts.map(([, values]) => values)).toEqual([
+                ['abc123', 1, 'Report', 'created', 'Card created successfully.', 'card1'],
+                ['abc123', 2, 'Review', 'blocked', 'Still active.', null],
+                ['abc123', 3, 'Audit', 'deferred', 'Later.', null],
+                ['abc123', 4, 'Backup', 'failed', 'Failed to create Trello card.', null],
+            ]);
+        });
+
+        it('should record the error that ended a run early', async () => {
+            await recordRunFinish('abc123', [], 20, new Error('connection lost'));
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE scheduler_runs'), [20, 0, 0, 0, 0, 'Error: connection lost', 'abc123']);
+        });
+    });
+});
@@ -1,19 +1,139 @@
-import { CronJob } from 'cron';
+import crypto from 'crypto';
+import { CronJob, CronTime } from 'cron';
 import pool from '../db.js';
 import * as trelloService from './trelloService.js';
 import logAuditEvent from '../utils/logger.js';
+import { getHolidayDates, isWorkingDay, loadHolidays } from './holidayService.js';
+import { getNextRRuleOccurrence } from './rruleService.js';
+import { resolveTimeZone, setDefaultTimeZone, toZonedWallClock, fromZonedWallClock } from './timeZoneService.js';
+import { getSchedulerState, setSchedulerState } from './schedulerStateService.js';
+import { syncGeneratedCards } from './cardSyncService.js';
+import { recordRunStart, recordRunFinish } from './schedulerRunService.js';
+import { tryBecomeLeader, isLeader, withRunLock } from './lockService.js';
 
 let cronJob;
+let cardSyncJob;
+// Who paused the scheduler and when, or null while it runs. A copy of the persisted state, as
+// last read. Anything that decides whether to create cards reads the persisted state again.
+let pauseState = null;
+// Set while a real scheduler run is in progress on this replica. The run lock covers the others.
+let runInProgress = false;
+
+// How often open cards are checked against Trello for completion.
+const CARD_SYNC_CRON_PATTERN = '*/30 * * * *';
+
+// The scheduler_state key holding the start time of the last run that completed without errors.
+const LAST_RUN_STATE_KEY = 'last_successful_run_at';
+// The scheduler_state key holding the pause state as JSON, or NULL while the scheduler runs.
+const PAUSED_STATE_KEY = 'paused';
+// Upper bound on the missed cron ticks considered after downtime.
+const MAX_MISSED_RUNS = 1000;
 
 /**
- * @description Calculates the next valid future due date for a given schedule.
+ * @description Parses an ordinal weekday rule used by monthly schedules, e.g. "2:2" for the
+ * second Tuesday or "last:5" for the last Friday of the month.
+ * @param {string} details - The schedule's frequency_details value.
+ * @returns {{ordinal: number|'last', weekday: number}|null} The parsed rule, or null if the value is not an ordinal weekday.
+ */
+const parseOrdinalWeekday = (details) => {
+    const match = /^([1-4]|last):([0-6])$/.exec(details || '');
+    if (!match) return null;
+    return {
+        ordinal: match[1] === 'last' ? 'last' : parseInt(match[1], 10),
+        weekday: parseInt(match[2], 10),
+    };
+};
+
+/**
+ * @description Moves a date to the given ordinal weekday within its current month, keeping the time of day.
+ * @param {Date} date - The date to modify in place.
+ * @param {{ordinal: number|'last', weekday: number}} rule - The ordinal weekday rule.
+ */
+const setToOrdinalWeekday = (date, { ordinal, weekday }) => {
+    date.setUTCDate(1);
+    if (ordinal === 'last') {
+        // Go to the last day of the month, then walk back to the requested weekday.
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        date.setUTCDate(0);
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekday + 7) % 7));
+    } else {
+        date.setUTCDate(1 + ((weekday - date.getUTCDay() + 7) % 7) + 7 * (ordinal - 1));
+    }
+};
+
+/**
+ * @description Moves a date to the last working day of its current month, keeping the time of day.
+ * @param {Date} date - The date to modify in place.
+ * @param {Set<string>} holidays - The holiday date keys to skip.
+ */
+const setToLastBusinessDay = (date, holidays) => {
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    date.setUTCDate(0);
+    while (!isWorkingDay(date, holidays)) {
+        date.setUTCDate(date.getUTCDate() - 1);
+    }
+};
+
+/**
+ * @description Returns a copy of a date moved past any weekends and holidays in the given direction.
+ * @param {Date} date - The date to roll.
+ * @param {'forward'|'backward'} direction - Which way to move when the date is not a working day.
+ * @param {Set<string>} holidays - The holiday date keys to skip.
+ * @returns {Date} The rolled date.
+ */
+const rollToWorkingDay = (date, direction, holidays) => {
+    const rolledDate = new Date(date);
+    const step = direction === 'backward' ? -1 : 1;
+    let safetyCounter = 0;
+    while (!isWorkingDay(rolledDate, holidays) && safetyCounter < 366) {
+        rolledDate.setUTCDate(rolledDate.getUTCDate() + step);
+        safetyCounter++;
+    }
+    return rolledDate;
+};
+
+/**
+ * @description Determines the DTSTART for an rrule schedule: its start date (or creation date)
+ * at the schedule's trigger time. Anchoring the rule keeps intervals such as "every 2 weeks" stable.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {number} hour - The trigger hour in 24-hour time.
+ * @param {number} minute - The trigger minute.
+ * @param {Date} now - The current date, used when the schedule has no start or creation date.
+ * @returns {Date} The wall-clock date and time the rule starts from.
+ */
+const getRRuleStart = (schedule, hour, minute, now) => {
+    const anchor = schedule.start_date || schedule.created_at;
+    let dtstart;
+    // Plain 'YYYY-MM-DD' strings are calendar dates, not UTC midnights.
+    const dateOnly = typeof anchor === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(anchor) : null;
+    if (dateOnly) {
+        dtstart = new Date(Date.UTC(parseInt(dateOnly[1], 10), parseInt(dateOnly[2], 10) - 1, parseInt(dateOnly[3], 10)));
+    } else if (anchor) {
+        // Dates read from the database are local to the server; keep their calendar date.
+        const anchorDate = new Date(anchor);
+        dtstart = new Date(Date.UTC(anchorDate.getFullYear(), anchorDate.getMonth(), anchorDate.getDate()));
+    } else {
+        dtstart = new Date(now.getTime());
+    }
+    dtstart.setUTCHours(hour, minute, 0, 0);
+    return dtstart;
+};
+
+/**
+ * @description Calculates the next date produced by a schedule's frequency rules, before any
+ * non-working day adjustment is applied.
  * @param {object} schedule - The schedule object from the database.
  * @param {Date|null} lastDueDate - The due date of the last created card, or null if none.
- * @param {Date} [now=new Date()] - The current date, injectable for testing.
- * @returns {Date} The next due date.
+ * @param {Date} now - The current date.
+ * @param {Set<string>} holidays - The holiday date keys used by business-day rules.
+ * @returns {Date|null} The next scheduled date, or null if an rrule has no further occurrences.
  */
-export const calculateNextDueDate = (schedule, lastDueDate, now = new Date()) => {
+const calculateScheduledDate = (schedule, lastDueDate, now, holidays) => {
     const { frequency, frequency_interval, frequency_details, trigger_hour, trigger_minute, trigger_ampm } = schedule;
+    const ordinalWeekday = frequency === 'monthly' ? parseOrdinalWeekday(frequency_details) : null;
+    const businessDaysOnly = frequency === 'daily' && frequency_details === 'business';
+    const lastBusinessDay = frequency === 'monthly' && frequency_details === 'last_business';
 
     let nextDate = lastDueDate ? new Date(lastDueDate) : new Date(now.getTime());
 
@@ -22,34 +142,54 @@ export const calculateNextDueDate = (schedule, lastDueDate, now = new Date()) =>
     if (trigger_ampm === 'pm' && hour !== 12) hour += 12;
     if (trigger_ampm === 'am' && hour === 12) hour = 0;
 
-    nextDate.setHours(hour, parseInt(trigger_minute, 10) || 0, 0, 0);
+    nextDate.setUTCHours(hour, parseInt(trigger_minute, 10) || 0, 0, 0);
+
+    if (frequency === 'rrule') {
+        const after = lastDueDate && lastDueDate > now ? lastDueDate : now;
+        return getNextRRuleOccurrence(schedule.rrule, getRRuleStart(schedule, hour, parseInt(trigger_minute, 10) || 0, now), after);
+    }
 
     const advanceDate = () => {
         switch (frequency) {
             case 'daily':
-                nextDate.setDate(nextDate.getDate() + interval);
+                if (businessDaysOnly) {
+                    // Count only working days towards the interval.
+                    for (let i = 0; i < interval; i++) {
+                        do {
+                            nextDate.setUTCDate(nextDate.getUTCDate() + 1);
+                        } while (!isWorkingDay(nextDate, holidays));
+                    }
+                } else {
+                    nextDate.setUTCDate(nextDate.getUTCDate() + interval);
+                }
                 break;
             case 'weekly':
                 const scheduledDays = (frequency_details || '').split(',').map(d => parseInt(d, 10));
                 // Check if lastDueDate is the last selected day of the week
-                if (nextDate.getDay() === scheduledDays[scheduledDays.length-1]) {
+                if (nextDate.getUTCDay() === scheduledDays[scheduledDays.length-1]) {
                     // Move to the beginning of the next weekly interval
-                    nextDate.setDate(nextDate.getDate() + (7 - nextDate.getDay()) + (7 * (interval - 1)));
+                    nextDate.setUTCDate(nextDate.getUTCDate() + (7 - nextDate.getUTCDay()) + (7 * (interval - 1)));
                 } else {
                     // Let the weekly frequency logic further below move to the next day of the current week
-                    nextDate.setDate(nextDate.getDate() + 1);
+                    nextDate.setUTCDate(nextDate.getUTCDate() + 1);
                 }
                 break;
             case 'monthly':
-                if (frequency_details === 'last') {
+                if (frequency_details === 'last' || ordinalWeekday || lastBusinessDay) {
                     // To avoid month-end rollover issues (e.g., Jan 31 + 1 month = Mar 3),
                     // set the day to 1 before advancing the month.
-                    nextDate.setDate(1);
+                    nextDate.setUTCDate(1);
+                }
+                nextDate.setUTCMonth(nextDate.getUTCMonth() + interval);
+                // These rules land on a different day-of-month every month, so resolve them immediately.
+                if (ordinalWeekday) {
+                    setToOrdinalWeekday(nextDate, ordinalWeekday);
+                } else if (lastBusinessDay) {
+                    setToLastBusinessDay(nextDate, holidays);
                 }
-                nextDate.setMonth(nextDate.getMonth() + interval);
                 break;
             case 'yearly':
-                nextDate.setFullYear(nextDate.getFullYear() + interval);
+                nextDate.setUTCFullYear(nextDate.getUTCFullYear() + interval);
                 break;
         }
     };
@@ -60,7 +200,7 @@ export const calculateNextDueDate = (schedule, lastDueDate, now = new Date()) =>
         advanceDate();
     } else {
         if (nextDate <= now) {
-            nextDate.setDate(nextDate.getDate() + 1);
+            nextDate.setUTCDate(nextDate.getUTCDate() + 1);
         }
     }
 
@@ -69,27 +209,35 @@ export const calculateNextDueDate = (schedule, lastDueDate, now = new Date()) =>
         safetyCounter++;
     }
     
-    if (frequency === 'weekly') {
+    if (businessDaysOnly) {
+        while (!isWorkingDay(nextDate, holidays)) {
+            nextDate.setUTCDate(nextDate.getUTCDate() + 1);
+        }
+    } else if (frequency === 'weekly') {
         const scheduledDays = (frequency_details || '').split(',').map(d => parseInt(d, 10));
         if (scheduledDays.length > 0) {
             let weeklySafety = 0;
-            while (!scheduledDays.includes(nextDate.getDay()) && weeklySafety < 7) {
-                nextDate.setDate(nextDate.getDate() + 1);
+            while (!scheduledDays.includes(nextDate.getUTCDay()) && weeklySafety < 7) {
+                nextDate.setUTCDate(nextDate.getUTCDate() + 1);
                 weeklySafety++;
             }
         }
     } else if (frequency === 'monthly') {
-        if (frequency_details === 'last') {
+        if (ordinalWeekday) {
+            setToOrdinalWeekday(nextDate, ordinalWeekday);
+        } else if (lastBusinessDay) {
+            setToLastBusinessDay(nextDate, holidays);
+        } else if (frequency_details === 'last') {
             // Set to the last day of the month by going to the next month and getting day 0
-            nextDate.setDate(1);
-            nextDate.setMonth(nextDate.getMonth() + 1);
-            nextDate.setDate(0);
+            nextDate.setUTCDate(1);
+            nextDate.setUTCMonth(nextDate.getUTCMonth() + 1);
+            nextDate.setUTCDate(0);
         } else {
-            nextDate.setDate(parseInt(frequency_details, 10) || 1);
+            nextDate.setUTCDate(parseInt(frequency_details, 10) || 1);
         }
     } else if (frequency === 'yearly') {
         const [month, day] = (frequency_details || '1-1').split('-').map(d => parseInt(d, 10));
-        nextDate.setFullYear(nextDate.getFullYear(), month - 1, day);
+        nextDate.setUTCFullYear(nextDate.getUTCFullYear(), month - 1, day);
     }
 
     while (nextDate <= now && safetyCounter < 1000) {
@@ -100,29 +248,409 @@ export const calculateNextDueDate = (schedule, lastDueDate, now = new Date()) =>
     return nextDate;
 };
 
+/**
+ * @description Applies the schedule's non-working day policy on top of its frequency rules.
+ * All dates are wall-clock representations in the schedule's time zone.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {Date|null} lastDueDate - The due date of the last created card, or null if none.
+ * @param {Date} now - The current date.
+ * @param {Set<string>} holidays - The holiday date keys.
+ * @returns {Date|null} The next due date, or null if an rrule has no further occurrences.
+ */
+const calculateWallClockDueDate = (schedule, lastDueDate, now, holidays) => {
+    const policy = schedule.non_working_day_policy;
+    let scheduledDate = calculateScheduledDate(schedule, lastDueDate, now, holidays);
+
+    if (!scheduledDate || (policy !== 'forward' && policy !== 'backward')) {
+        return scheduledDate;
+    }
+
+    let dueDate = rollToWorkingDay(scheduledDate, policy, holidays);
+    let safetyCounter = 0;
+    // Rolling backward can land in the past or on the previous card's due date. In that case
+    // that occurrence has already been handled, so move on to the following one.
+    while ((dueDate <= now || (lastDueDate && dueDate <= lastDueDate)) && safetyCounter < 100) {
+        scheduledDate = calculateScheduledDate(schedule, scheduledDate, now, holidays);
+        if (!scheduledDate) return null;
+        dueDate = rollToWorkingDay(scheduledDate, policy, holidays);
+        safetyCounter++;
+    }
+
+    return dueDate;
+};
+
+/**
+ * @description Calculates the next valid future due date for a given schedule.
+ * Daily schedules with frequency_details "business" count only working days. Monthly schedules
+ * repeat on a day of the month ("1"-"31"), the "last" day, the "last_business" day, or an
+ * ordinal weekday such as "1:1" (first Monday) or "last:5" (last Friday). A schedule's
+ * non_working_day_policy ('forward' or 'backward') moves a date that falls on a weekend or
+ * holiday to the nearest working day in that direction. Schedules with the 'rrule' frequency
+ * are evaluated from their RFC 5545 rule instead of the fields above. Trigger times are
+ * wall-clock times in the schedule's time_zone (or the default zone), so a 9am schedule stays
+ * at 9am across daylight saving changes.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {Date|null} lastDueDate - The due date of the last created card, or null if none.
+ * @param {Date} [now=new Date()] - The current date, injectable for testing.
+ * @param {Set<string>} [holidays] - Holiday date keys ('YYYY-MM-DD'); defaults to the loaded holiday calendar.
+ * @returns {Date|null} The next due date, or null if an rrule has no further occurrences.
+ */
+export const calculateNextDueDate = (schedule, lastDueDate, now = new Date(), holidays = getHolidayDates()) => {
+    const timeZone = resolveTimeZone(schedule);
+    const dueDate = calculateWallClockDueDate(
+        schedule,
+        lastDueDate ? toZonedWallClock(lastDueDate, timeZone) : null,
+        toZonedWallClock(now, timeZone),
+        holidays
+    );
+    return dueDate ? fromZonedWallClock(dueDate, timeZone) : null;
+};
+
+/**
+ * @description Calculates when the scheduler should create the card for a due date, based on the
+ * schedule's lead time. Cards become eligible at the start of the day that is lead_time_days
+ * before the due date, in the schedule's time zone.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {Date} dueDate - The due date of the card.
+ * @returns {Date|null} The planned creation date, or null if the schedule has no lead time and
+ * the card is created on the next scheduler run.
+ */
+export const getPlannedCreationDate = (schedule, dueDate) => {
+    const leadTimeDays = parseInt(schedule.lead_time_days, 10);
+    if (!dueDate || !(leadTimeDays > 0)) {
+        return null;
+    }
+    const timeZone = resolveTimeZone(schedule);
+    const creationDate = toZonedWallClock(dueDate, timeZone);
+    creationDate.setUTCDate(creationDate.getUTCDate() - leadTimeDays);
+    creationDate.setUTCHours(0, 0, 0, 0);
+    return fromZonedWallClock(creationDate, timeZone);
+};
+
+// Upper bound on occurrences returned for one schedule, to keep previews cheap.
+const MAX_OCCURRENCES = 500;
+
+/**
+ * @description Lists a schedule's upcoming due dates, honoring its start and end dates the same
+ * way the card creation logic does.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {object} [options] - Options for the listing.
+ * @param {Date} [options.from=new Date()] - Only occurrences after this date are returned.
+ * @param {Date|null} [options.to=null] - If set, only occurrences up to this date are returned.
+ * @param {number} [options.count] - The maximum number of occurrences to return (capped at 500).
+ * @returns {Date[]} The upcoming due dates, in chronological order.
+ */
+export const getUpcomingOccurrences = (schedule, { from = new Date(), to = null, count = MAX_OCCURRENCES } = {}) => {
+    const startDate = schedule.start_date ? new Date(schedule.start_date) : null;
+    const endDate = schedule.end_date ? new Date(schedule.end_date) : null;
+    const limit = Math.min(count, MAX_OCCURRENCES);
+    const occurrences = [];
+
+    let dueDate = calculateNextDueDate(schedule, null, from);
+    if (dueDate && startDate && dueDate < startDate) {
+        dueDate = calculateNextDueDate(schedule, null, startDate);
+    }
+
+    while (dueDate && occurrences.length < limit) {
+        if ((endDate && dueDate > endDate) || (to && dueDate > to)) break;
+        occurrences.push(dueDate);
+        const nextDueDate = calculateNextDueDate(schedule, dueDate, from);
+        // Guard against rules that fail to advance, which would otherwise loop forever.
+        if (nextDueDate && nextDueDate <= dueDate) break;
+        dueDate = nextDueDate;
+    }
+
+    return occurrences;
+};
+
+/**
+ * @description Returns the time zone the cron job runs in.
+ * @param {object} appSettings - The current application settings.
+ * @returns {string} The IANA zone name.
+ */
+const getCronTimeZone = (appSettings) => appSettings.DEFAULT_TIME_ZONE || process.env.TZ || "America/New_York";
+
+/**
+ * @description Lists the cron ticks that fell between the last successful run and now.
+ * @param {string} cronPattern - The scheduler's cron pattern.
+ * @param {string} timeZone - The zone the cron pattern is evaluated in.
+ * @param {Date} lastRunAt - The start time of the last successful run.
+ * @param {Date} [now=new Date()] - The current date, injectable for testing.
+ * @returns {Date[]} The missed run times, oldest first (at most 1000).
+ */
+export const getMissedRunTimes = (cronPattern, timeZone, lastRunAt, now = new Date()) => {
+    const cronTime = new CronTime(cronPattern, timeZone);
+    const missedRuns = [];
+    let runTime = cronTime.getNextDateFrom(lastRunAt, timeZone).toJSDate();
+    while (runTime <= now && missedRuns.length < MAX_MISSED_RUNS) {
+        missedRuns.push(runTime);
+        runTime = cronTime.getNextDateFrom(runTime, timeZone).toJSDate();
+    }
+    return missedRuns;
+};
+
+/**
+ * @description Works out which cards a schedule would have received during missed runs. Each
+ * run creates the card for the next due date after it, so a missed run corresponds to the
+ * first occurrence after its run time. Occurrences already covered by the last successful run
+ * are excluded.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {Date} lastRunAt - The start time of the last successful run.
+ * @param {Date[]} missedRunTimes - The missed run times, oldest first.
+ * @returns {Date[]} The distinct missed due dates, oldest first.
+ */
+export const getMissedDueDates = (schedule, lastRunAt, missedRunTimes) => {
+    const [alreadyCreated] = getUpcomingOccurrences(schedule, { from: lastRunAt, count: 1 });
+    const seen = new Set(alreadyCreated ? [alreadyCreated.getTime()] : []);
+    const missedDueDates = [];
+
+    for (const runTime of missedRunTimes) {
+        const [dueDate] = getUpcomingOccurrences(schedule, { from: runTime, count: 1 });
+        if (dueDate && !seen.has(dueDate.getTime())) {
+            seen.add(dueDate.getTime());
+            missedDueDates.push(dueDate);
+        }
+    }
+
+    return missedDueDates;
+};
+
+/**
+ * @description Detects scheduler runs missed while the server was down and backfills cards
+ * according to each schedule's catch_up_policy: 'all' creates every missed card, 'latest'
+ * only the most recent one, and 'skip' none. Called once on startup, and only the scheduler leader
+ * catches up, so replicas starting together do not backfill the same cards. The catch-up holds the
+ * run lock, so it never overlaps a scheduled or manual run.
+ * @param {object} appSettings - The current application settings.
+ * @param {Date} [now=new Date()] - The current date, injectable for testing.
+ * @returns {Promise<void>}
+ */
+export const runCatchUp = async (appSettings, now = new Date()) => {
+    if (!isLeader()) return;
+    // Runs missed while paused were skipped on purpose. Resuming marks them as handled.
+    if (await loadPauseState()) return;
+
+    const { acquired } = await withRunLock(() => catchUpMissedRuns(appSettings, now));
+    if (!acquired) {
+        await logAuditEvent('INFO', 'Catch-up for missed scheduler runs skipped. Another scheduler run is in progress.');
+    }
+};
+
+/**
+ * @description Does the work of runCatchUp, while it holds the run lock.
+ * @param {object} appSettings - The current application settings.
+ * @param {Date} now - The current date.
+ * @returns {Promise<void>}
+ */
+const catchUpMissedRuns = async (appSettings, now) => {
+    const lastRunValue = await getSchedulerState(LAST_RUN_STATE_KEY);
+    if (!lastRunValue) {
+        // Nothing to compare against on the very first start, so just start tracking from now.
+        await setSchedulerState(LAST_RUN_STATE_KEY, now.toISOString());
+        return;
+    }
+
+    const lastRunAt = new Date(lastRunValue);
+    const cronPattern = appSettings.CRON_SCHEDULE || '0 1 * * *';
+    let missedRuns;
+    try {
+        missedRuns = getMissedRunTimes(cronPattern, getCronTimeZone(appSettings), lastRunAt, now);
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Could not check for missed scheduler runs.', { pattern: cronPattern, error: String(error) });
+        return;
+    }
+    if (missedRuns.length === 0) return;
+
+    const runId = crypto.randomUUID();
+    await logAuditEvent('INFO', `Detected ${missedRuns.length} missed scheduler run(s) since the last successful run.`, {
+        runId,
+        lastRunAt,
+        firstMissedRun: missedRuns[0],
+        lastMissedRun: missedRuns[missedRuns.length - 1],
+    });
+    const startTime = Date.now();
+    const results = [];
+    let runError = null;
+
+    try {
+        // The catch-up is recorded like any other run, so its cards point at a run in the history.
+        await recordRunStart(runId, 'catch_up', null, new Date(startTime));
+        await loadHolidays();
+        const { rows: schedules } = await pool.query("SELECT * FROM schedules WHERE is_active = TRUE");
+        for (const schedule of schedules) {
+            const policy = schedule.catch_up_policy || 'skip';
+            if (policy === 'skip') continue;
+
+            const missedDueDates = getMissedDueDates(schedule, lastRunAt, missedRuns);
+            const dueDatesToCreate = policy === 'latest' ? missedDueDates.slice(-1) : missedDueDates;
+            for (const dueDate of dueDatesToCreate) {
+                const result = await trelloService.processCardCreationForSchedule(schedule, appSettings, null, runId, { dueDate, trigger: 'catch_up' });
+                results.push({ scheduleId: schedule.id, title: schedule.title, ...result });
+            }
+        }
+        await setSchedulerState(LAST_RUN_STATE_KEY, now.toISOString());
+    } catch (error) {
+        runError = error;
+        await logAuditEvent('ERROR', 'Catch-up for missed scheduler runs failed with a database error.', { error: String(error), runId });
+    }
+
+    try {
+        await recordRunFinish(runId, results, Date.now() - startTime, runError);
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Could not record the scheduler run.', { error: String(error), runId });
+    }
+};
 
 /**
  * @description The main logic that runs on a schedule to check for and create Trello cards.
+ * Real runs are started through startSchedulerRun, which holds the run lock.
+ * Real runs are recorded in 'scheduler_runs', with the outcome of every schedule. In a dry run every
+ * active schedule goes through the same checks, but no card is created and nothing is recorded, so
+ * the result shows what a run at the given time would do.
  * @param {object} appSettings - The current application settings.
+ * @param {object} [options={}] - Additional options.
+ * @param {boolean} [options.dryRun=false] - Simulate the run instead of creating cards.
+ * @param {Date} [options.now] - The time the run is evaluated at. Defaults to the start of the run.
+ * @param {object|null} [options.user=null] - The admin who started the run by hand, for auditing.
+ * @returns {Promise<object[]>} The result of each schedule, from processCardCreationForSchedule,
+ * with its 'scheduleId' and 'title'.
+ * @throws {Error} In a dry run, if the schedules cannot be read. Real runs log the error instead.
  */
-const runScheduler = async (appSettings) => {
-    const runId = Math.random().toString(36).substring(2, 8);
-    await logAuditEvent('INFO', 'Scheduler starting evaluation run.', { runId });
+export const runScheduler = async (appSettings, { dryRun = false, now, user = null } = {}) => {
+    const runId = crypto.randomUUID();
+    if (!dryRun) {
+        await logAuditEvent('INFO', 'Scheduler starting evaluation run.', { runId, ...(user ? { trigger: 'manual' } : {}) }, user);
+    }
     const startTime = Date.now();
+    const runAt = now || new Date(startTime);
+    const results = [];
+    let runError = null;
     
     try {
+        if (!dryRun) {
+            await recordRunStart(runId, user ? 'manual' : 'scheduled', user, new Date(startTime));
+        }
+        // Another replica may have changed the holiday calendar.
+        await loadHolidays();
         const { rows: schedules } = await pool.query("SELECT * FROM schedules WHERE is_active = TRUE");
         for (const schedule of schedules) {
             // The core logic is now centralized in trelloService. 
             // We pass `null` for the user since this is a system-initiated action.
-            await trelloService.processCardCreationForSchedule(schedule, appSettings, null, runId);
+            // Passing the run's start time keeps the lead time check consistent across the run.
+            const result = await trelloService.processCardCreationForSchedule(schedule, appSettings, null, runId, { now: runAt, dryRun });
+            results.push({ scheduleId: schedule.id, title: schedule.title, ...result });
+        }
+        if (!dryRun) {
+            await setSchedulerState(LAST_RUN_STATE_KEY, new Date(startTime).toISOString());
         }
     } catch (error) {
+        if (dryRun) throw error;
+        runError = error;
         await logAuditEvent('ERROR', 'Scheduler run failed with a database error.', { error: String(error), runId });
     }
 
-    const duration = Date.now() - startTime;
-    await logAuditEvent('INFO', 'Scheduler run finished.', { durationMs: duration, runId });
+    if (!dryRun) {
+        const duration = Date.now() - startTime;
+        await logAuditEvent('INFO', 'Scheduler run finished.', { durationMs: duration, runId });
+        try {
+            await recordRunFinish(runId, results, duration, runError);
+        } catch (error) {
+            await logAuditEvent('ERROR', 'Could not record the scheduler run.', { error: String(error), runId });
+        }
+    }
+    return results;
+};
+
+/**
+ * @description Starts a real scheduler run in the background, unless one is already in progress.
+ * Used by the cron job and by admins running the scheduler by hand. The run takes the run lock, so
+ * it is skipped if another replica is running the scheduler at the same time.
+ * @param {object} appSettings - The current application settings.
+ * @param {object|null} [user=null] - The admin who started the run, for auditing.
+ * @returns {boolean} True if the run was started, false if another run is still in progress.
+ */
+export const startSchedulerRun = (appSettings, user = null) => {
+    if (runInProgress) {
+        return false;
+    }
+    runInProgress = true;
+    withRunLock(() => runScheduler(appSettings, { user }))
+        .then(async ({ acquired }) => {
+            if (!acquired) {
+                await logAuditEvent('INFO', 'Scheduler run skipped. Another scheduler run is in progress.', {}, user);
+            }
+        })
+        .catch(error => logAuditEvent('ERROR', 'Scheduler run could not take the run lock.', { error: String(error) }, user))
+        .finally(() => {
+            runInProgress = false;
+        });
+    return true;
+};
+
+/**
+ * @description Handles a cron tick. Only the scheduler leader runs, and only while the scheduler is
+ * not paused. The pause state is read again because another replica may have changed it.
+ * @param {object} appSettings - The current application settings.
+ * @returns {Promise<void>}
+ */
+const runScheduledTick = async (appSettings) => {
+    try {
+        if (await loadPauseState()) return;
+        if (!(await tryBecomeLeader())) return;
+    } catch (error) {
+        await logAuditEvent('ERROR', 'Scheduler tick skipped. Could not check the pause state or leadership.', { error: String(error) });
+        return;
+    }
+    startSchedulerRun(appSettings);
+};
+
+/**
+ * @description Tells whether a real scheduler run is in progress.
+ * @returns {boolean} True while a run is in progress.
+ */
+export const isSchedulerRunning = () => runInProgress;
+
+/**
+ * @description Reads the persisted pause state. Called on startup, before the cron job is created.
+ * @returns {Promise<{pausedBy: string|null, pausedAt: string}|null>} The pause state, or null if the
+ * scheduler is not paused.
+ */
+export const loadPauseState = async () => {
+    const value = await getSchedulerState(PAUSED_STATE_KEY);
+    pauseState = value ? JSON.parse(value) : null;
+    return pauseState;
+};
+
+/**
+ * @description Returns who paused the scheduler and when.
+ * @returns {{pausedBy: string|null, pausedAt: string}|null} The pause state, or null if the scheduler is not paused.
+ */
+export const getPauseState = () => pauseState;
+
+/**
+ * @description Pauses the scheduler. Cron ticks create no cards until it is resumed, also across
+ * restarts. The cron job itself keeps running on every replica, because each tick reads the pause
+ * state from the database, so a pause or resume handled by any replica applies to all of them.
+ * Card completion sync keeps running.
+ * @param {object|null} user - The admin who paused the scheduler.
+ * @returns {Promise<{pausedBy: string|null, pausedAt: string}>} The new pause state.
+ */
+export const pauseScheduler = async (user) => {
+    const state = { pausedBy: user?.username || null, pausedAt: new Date().toISOString() };
+    await setSchedulerState(PAUSED_STATE_KEY, JSON.stringify(state));
+    pauseState = state;
+    return state;
+};
+
+/**
+ * @description Resumes a paused scheduler. Runs that fell in the pause are not caught up, so the
+ * last successful run is moved to now.
+ * @returns {Promise<void>}
+ */
+export const resumeScheduler = async () => {
+    await setSchedulerState(LAST_RUN_STATE_KEY, new Date().toISOString());
+    await setSchedulerState(PAUSED_STATE_KEY, null);
+    pauseState = null;
 };
 
 /**
@@ -133,8 +661,21 @@ export const reinitializeCronJob = (appSettings) => {
     if (cronJob) {
         cronJob.stop();
     }
+    if (cardSyncJob) {
+        cardSyncJob.stop();
+    }
 
-    const timeZone = process.env.TZ || "America/New_York";
+    const timeZone = getCronTimeZone(appSettings);
+    setDefaultTimeZone(timeZone);
+
+    cardSyncJob = new CronJob(CARD_SYNC_CRON_PATTERN, async () => {
+        if (!isLeader()) return;
+        try {
+            await syncGeneratedCards(appSettings);
+        } catch (error) {
+            await logAuditEvent('ERROR', 'Card completion sync failed with a database error.', { error: String(error) });
+        }
+    }, null, true, timeZone);
     const cronPattern = appSettings.CRON_SCHEDULE || '0 1 * * *';
 
     if (typeof cronPattern !== 'string') {
@@ -146,7 +687,7 @@ export const reinitializeCronJob = (appSettings) => {
     try {
         cronJob = new CronJob(
             cronPattern,
-            () => runScheduler(appSettings),
+            () => runScheduledTick(appSettings),
             null,
             true,
             timeZone
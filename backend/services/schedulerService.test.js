@@ -1,7 +1,7 @@
-import { calculateNextDueDate } from './schedulerService.js';
+import { calculateNextDueDate, getUpcomingOccurrences, getPlannedCreationDate, getMissedRunTimes, getMissedDueDates } from './schedulerService.js';
 
-// The function under test uses the server's local time for calculations (e.g., `setHours`),
-// while `toISOString()` returns a UTC string. This test suite is written to simulate a server
+// Schedules without a time zone use the default zone, which is the server's zone, while
+// `toISOString()` returns a UTC string. This test suite is written to simulate a server
 // running in the 'America/New_York' timezone to ensure the logic is correct.
 //
 // We account for both EDT (UTC-4, during summer) and EST (UTC-5, during winter).
@@ -107,6 +107,157 @@ describe('calculateNextDueDate', () => {
     });
   });
 
+  describe('Monthly Ordinal Weekday Frequency', () => {
+    it('should calculate the first Monday of the next month when this month\'s has passed', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '1:1' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      expect(nextDueDate.toISOString()).toBe('2024-09-02T13:00:00.000Z'); // Monday, Sep 2 @ 9am EDT
+    });
+
+    it('should calculate the third Tuesday of the current month if it has not passed', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '3:2' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      expect(nextDueDate.toISOString()).toBe('2024-08-20T13:00:00.000Z'); // Tuesday, Aug 20 @ 9am EDT
+    });
+
+    it('should handle the "last" Friday of the month', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: 'last:5' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      expect(nextDueDate.toISOString()).toBe('2024-08-30T13:00:00.000Z'); // Friday, Aug 30 @ 9am EDT
+    });
+
+    it('should advance from the last due date to the same ordinal weekday of the next month', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: 'last:5' };
+      const lastDueDate = new Date('2024-08-30T13:00:00Z');
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now);
+      expect(nextDueDate.toISOString()).toBe('2024-09-27T13:00:00.000Z'); // Friday, Sep 27 @ 9am EDT
+    });
+
+    it('should handle an ordinal weekday every 2 months', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 2, frequency_details: '2:2' };
+      const lastDueDate = new Date('2024-08-13T13:00:00Z'); // Second Tuesday of August
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now);
+      expect(nextDueDate.toISOString()).toBe('2024-10-08T13:00:00.000Z'); // Second Tuesday of October
+    });
+
+    it('should handle a fourth weekday that crosses into standard time', () => {
+      // Nov 28, 2024 is the fourth Thursday. 9am EST is 14:00 UTC.
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '4:4' };
+      const lastDueDate = new Date('2024-10-24T13:00:00Z');
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now);
+      expect(nextDueDate.toISOString()).toBe('2024-11-28T14:00:00.000Z');
+    });
+  });
+
+  describe('Business Day Rules', () => {
+    it('should calculate the next business day for a daily business-day schedule', () => {
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, frequency_details: 'business' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-08-16T13:00:00.000Z'); // Friday, Aug 16 @ 9am EDT
+    });
+
+    it('should skip weekends and holidays for a daily business-day schedule', () => {
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, frequency_details: 'business' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set(['2024-08-16']));
+      expect(nextDueDate.toISOString()).toBe('2024-08-19T13:00:00.000Z'); // Monday, Aug 19 @ 9am EDT
+    });
+
+    it('should advance from the last due date over a weekend', () => {
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, frequency_details: 'business' };
+      const lastDueDate = new Date('2024-08-16T13:00:00Z'); // Friday
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-08-19T13:00:00.000Z'); // Monday
+    });
+
+    it('should calculate the last business day of the month', () => {
+      // Aug 31, 2024 is a Saturday, so the last business day is Friday, Aug 30.
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: 'last_business' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-08-30T13:00:00.000Z');
+    });
+
+    it('should skip a holiday on the last business day of the month', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: 'last_business' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set(['2024-08-30']));
+      expect(nextDueDate.toISOString()).toBe('2024-08-29T13:00:00.000Z');
+    });
+
+    it('should advance to the last business day of the following month', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: 'last_business' };
+      const lastDueDate = new Date('2024-08-30T13:00:00Z');
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-09-30T13:00:00.000Z'); // Monday, Sep 30
+    });
+
+    it('should roll a weekend due date forward when the policy is "forward"', () => {
+      // Aug 17, 2024 is a Saturday.
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '17', non_working_day_policy: 'forward' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-08-19T13:00:00.000Z'); // Monday, Aug 19
+    });
+
+    it('should roll a weekend due date backward when the policy is "backward"', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '17', non_working_day_policy: 'backward' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-08-16T13:00:00.000Z'); // Friday, Aug 16
+    });
+
+    it('should roll past a holiday', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '20', non_working_day_policy: 'forward' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set(['2024-08-20']));
+      expect(nextDueDate.toISOString()).toBe('2024-08-21T13:00:00.000Z');
+    });
+
+    it('should move to the following occurrence when rolling backward lands in the past', () => {
+      // Aug 17 (Sat) rolls back past the Aug 16 holiday to Aug 15 @ 9am, which has already passed.
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '17', non_working_day_policy: 'backward' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set(['2024-08-16']));
+      expect(nextDueDate.toISOString()).toBe('2024-09-17T13:00:00.000Z'); // Tuesday, Sep 17
+    });
+
+    it('should not adjust dates when no policy is set', () => {
+      const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '17' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now, new Set());
+      expect(nextDueDate.toISOString()).toBe('2024-08-17T13:00:00.000Z');
+    });
+  });
+
+  describe('RRULE Frequency', () => {
+    it('should find the next 2nd or 4th Thursday of the month', () => {
+      const schedule = { ...baseSchedule, frequency: 'rrule', rrule: 'FREQ=MONTHLY;BYDAY=2TH,4TH', start_date: '2024-08-01' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      // The 2nd Thursday (Aug 8) has passed, so the 4th Thursday (Aug 22) is next.
+      expect(nextDueDate.toISOString()).toBe('2024-08-22T13:00:00.000Z');
+    });
+
+    it('should continue from the last due date', () => {
+      const schedule = { ...baseSchedule, frequency: 'rrule', rrule: 'FREQ=MONTHLY;BYDAY=2TH,4TH', start_date: '2024-08-01' };
+      const lastDueDate = new Date('2024-08-22T13:00:00Z');
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now);
+      expect(nextDueDate.toISOString()).toBe('2024-09-12T13:00:00.000Z');
+    });
+
+    it('should anchor intervals to the schedule start date', () => {
+      // Quarterly on the 15th, starting in January: Jan, Apr, Jul, Oct.
+      const schedule = { ...baseSchedule, frequency: 'rrule', rrule: 'RRULE:FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15', start_date: '2024-01-01' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      expect(nextDueDate.toISOString()).toBe('2024-10-15T13:00:00.000Z');
+    });
+
+    it('should keep the trigger time across a daylight saving change', () => {
+      // Daylight saving time ends on Nov 3, 2024, so 9am is 14:00 UTC afterwards.
+      const schedule = { ...baseSchedule, frequency: 'rrule', rrule: 'FREQ=WEEKLY;BYDAY=MO', start_date: '2024-10-01' };
+      const lastDueDate = new Date('2024-10-28T13:00:00Z');
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, now);
+      expect(nextDueDate.toISOString()).toBe('2024-11-04T14:00:00.000Z');
+    });
+
+    it('should return null when the rule has no more occurrences', () => {
+      const schedule = { ...baseSchedule, frequency: 'rrule', rrule: 'FREQ=DAILY;COUNT=2', start_date: '2024-08-01' };
+      expect(calculateNextDueDate(schedule, null, now)).toBeNull();
+    });
+  });
+
   describe('Yearly Frequency', () => {
     it('should calculate the next occurrence for the next year', () => {
       // Jan 15 is in EST (UTC-5), so 9am EST is 14:00 UTC.
@@ -123,6 +274,46 @@ describe('calculateNextDueDate', () => {
     });
   });
 
+  describe('Time Zones', () => {
+    it('should use the wall-clock trigger time in the schedule time zone', () => {
+      // now is 3:00 PM BST in London, so 9am BST (08:00 UTC) tomorrow is next.
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, time_zone: 'Europe/London' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      expect(nextDueDate.toISOString()).toBe('2024-08-16T08:00:00.000Z');
+    });
+
+    it('should use the calendar date in the schedule time zone', () => {
+      // now is already 00:00 AEST on Aug 16 in Sydney, so 9am AEST on Aug 16 (23:00 UTC on Aug 15) is next.
+      const sydneyNow = new Date('2024-08-15T14:00:00Z');
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, time_zone: 'Australia/Sydney' };
+      const nextDueDate = calculateNextDueDate(schedule, null, sydneyNow);
+      expect(nextDueDate.toISOString()).toBe('2024-08-15T23:00:00.000Z');
+    });
+
+    it('should keep the trigger time when the schedule zone changes to winter time', () => {
+      // British Summer Time ends on Oct 27, 2024, so 9am is 09:00 UTC afterwards.
+      const octoberNow = new Date('2024-10-22T12:00:00Z');
+      const schedule = { ...baseSchedule, frequency: 'weekly', frequency_interval: 1, frequency_details: '1', time_zone: 'Europe/London' };
+      const lastDueDate = new Date('2024-10-21T08:00:00Z'); // Mon Oct 21 @ 9am BST
+      const nextDueDate = calculateNextDueDate(schedule, lastDueDate, octoberNow);
+      expect(nextDueDate.toISOString()).toBe('2024-10-28T09:00:00.000Z');
+    });
+
+    it("should not be shifted by a daylight saving gap of the server's zone", () => {
+      // 2:30am on Mar 10, 2024 does not exist in New York, the zone these tests run in, but it does in Tokyo.
+      const marchNow = new Date('2024-03-09T12:00:00Z'); // 9pm JST on Mar 9
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, trigger_hour: '02', trigger_minute: '30', trigger_ampm: 'am', time_zone: 'Asia/Tokyo' };
+      const nextDueDate = calculateNextDueDate(schedule, null, marchNow);
+      expect(nextDueDate.toISOString()).toBe('2024-03-09T17:30:00.000Z');
+    });
+
+    it('should fall back to the default time zone for an unknown zone', () => {
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, time_zone: 'Not/AZone' };
+      const nextDueDate = calculateNextDueDate(schedule, null, now);
+      expect(nextDueDate.toISOString()).toBe('2024-08-16T13:00:00.000Z');
+    });
+  });
+
   describe('Time Handling', () => {
     it('should correctly handle 12 PM', () => {
         // 12pm EDT is 16:00 UTC.
@@ -142,3 +333,106 @@ describe('calculateNextDueDate', () => {
     });
   });
 });
+
+describe('getUpcomingOccurrences', () => {
+  const now = new Date('2024-08-15T14:00:00Z'); // Thursday, 10:00 AM EDT
+  const baseSchedule = { trigger_hour: '9', trigger_minute: '00', trigger_ampm: 'am' };
+
+  it('should return the requested number of occurrences', () => {
+    const schedule = { ...baseSchedule, frequency: 'weekly', frequency_interval: 1, frequency_details: '1,3' };
+    const occurrences = getUpcomingOccurrences(schedule, { from: now, count: 3 });
+    expect(occurrences.map(d => d.toISOString())).toEqual([
+      '2024-08-19T13:00:00.000Z',
+      '2024-08-21T13:00:00.000Z',
+      '2024-08-26T13:00:00.000Z',
+    ]);
+  });
+
+  it('should start from the schedule start date', () => {
+    const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, start_date: new Date('2024-09-01T04:00:00Z') };
+    const occurrences = getUpcomingOccurrences(schedule, { from: now, count: 1 });
+    expect(occurrences[0].toISOString()).toBe('2024-09-01T13:00:00.000Z');
+  });
+
+  it('should stop at the schedule end date', () => {
+    const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1, end_date: new Date('2024-08-18T04:00:00Z') };
+    const occurrences = getUpcomingOccurrences(schedule, { from: now, count: 10 });
+    expect(occurrences).toHaveLength(2); // Aug 16 and Aug 17
+  });
+
+  it('should only return occurrences within the requested range', () => {
+    const schedule = { ...baseSchedule, frequency: 'monthly', frequency_interval: 1, frequency_details: '1' };
+    const occurrences = getUpcomingOccurrences(schedule, { from: now, to: new Date('2024-12-31T00:00:00Z') });
+    expect(occurrences.map(d => d.toISOString())).toEqual([
+      '2024-09-01T13:00:00.000Z',
+      '2024-10-01T13:00:00.000Z',
+      '2024-11-01T13:00:00.000Z',
+      '2024-12-01T14:00:00.000Z',
+    ]);
+  });
+});
+
+describe('getPlannedCreationDate', () => {
+  const dueDate = new Date('2024-08-20T13:00:00Z'); // Tuesday, 9:00 AM EDT
+
+  it('should return null when the schedule has no lead time', () => {
+    expect(getPlannedCreationDate({ lead_time_days: 0 }, dueDate)).toBeNull();
+    expect(getPlannedCreationDate({}, dueDate)).toBeNull();
+  });
+
+  it('should return the start of the day the lead time before the due date', () => {
+    // Midnight EDT on Saturday, Aug 17.
+    expect(getPlannedCreationDate({ lead_time_days: 3 }, dueDate).toISOString()).toBe('2024-08-17T04:00:00.000Z');
+  });
+
+  it('should count days in the schedule time zone', () => {
+    // The due date is 10:00 PM on Aug 20 in Tokyo, so the card is created at midnight on Aug 19 there.
+    const schedule = { lead_time_days: 1, time_zone: 'Asia/Tokyo' };
+    expect(getPlannedCreationDate(schedule, dueDate).toISOString()).toBe('2024-08-18T15:00:00.000Z');
+  });
+});
+
+describe('Missed run detection', () => {
+  // The scheduler runs daily at 1:00 AM New York time (05:00 UTC in summer).
+  const lastRunAt = new Date('2024-08-12T05:00:00Z'); // Monday
+  const now = new Date('2024-08-15T14:00:00Z'); // Thursday, 10:00 AM EDT
+
+  describe('getMissedRunTimes', () => {
+    it('should list the cron ticks between the last run and now', () => {
+      const missedRuns = getMissedRunTimes('0 1 * * *', 'America/New_York', lastRunAt, now);
+      expect(missedRuns.map(d => d.toISOString())).toEqual([
+        '2024-08-13T05:00:00.000Z',
+        '2024-08-14T05:00:00.000Z',
+        '2024-08-15T05:00:00.000Z',
+      ]);
+    });
+
+    it('should return nothing if no run was missed', () => {
+      expect(getMissedRunTimes('0 1 * * *', 'America/New_York', new Date('2024-08-15T05:00:00Z'), now)).toEqual([]);
+    });
+  });
+
+  describe('getMissedDueDates', () => {
+    const baseSchedule = { trigger_hour: '9', trigger_minute: '00', trigger_ampm: 'am' };
+    const missedRuns = getMissedRunTimes('0 1 * * *', 'America/New_York', lastRunAt, now);
+
+    it('should return one due date per missed run, excluding the card from the last run', () => {
+      const schedule = { ...baseSchedule, frequency: 'daily', frequency_interval: 1 };
+      const dueDates = getMissedDueDates(schedule, lastRunAt, missedRuns);
+      // The Monday run already created the card due Monday at 9am.
+      expect(dueDates.map(d => d.toISOString())).toEqual([
+        '2024-08-13T13:00:00.000Z',
+        '2024-08-14T13:00:00.000Z',
+        '2024-08-15T13:00:00.000Z',
+      ]);
+    });
+
+    it('should not repeat due dates shared by several missed runs', () => {
+      // Due on Wednesdays: the Monday run already created the Aug 14 card that the Tuesday and
+      // Wednesday runs would have targeted, so only the Thursday run's card (Aug 21) was missed.
+      const schedule = { ...baseSchedule, frequency: 'weekly', frequency_interval: 1, frequency_details: '3' };
+      const dueDates = getMissedDueDates(schedule, lastRunAt, missedRuns);
+      expect(dueDates.map(d => d.toISOString())).toEqual(['2024-08-21T13:00:00.000Z']);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+import pool from '../db.js';
+
+/**
+ * @description Reads a value from the persistent scheduler state.
+ * @param {string} key - The state key, e.g. 'last_successful_run_at'.
+ * @returns {Promise<string|null>} A promise that resolves to the stored value, or null if unset.
+ */
+export const getSchedulerState = async (key) => {
+    const { rows } = await pool.query('SELECT value FROM scheduler_state WHERE key = $1', [key]);
+    return rows.length > 0 ? rows[0].value : null;
+};
+
+/**
+ * @description Writes a value to the persistent scheduler state, replacing any existing value.
+ * @param {string} key - The state key.
+ * @param {string|null} value - The value to store.
+ * @returns {Promise<void>}
+ */
+export const setSchedulerState = async (key, value) => {
+    await pool.query(
+        `INSERT INTO scheduler_state (key, value, updated_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+        [key, value]
+    );
+};
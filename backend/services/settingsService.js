@@ -24,6 +24,10 @@ export const loadSettings = async (client) => {
             TRELLO_TO_DO_LIST_ID: process.env.TRELLO_TO_DO_LIST_ID || '',
             TRELLO_DONE_LIST_ID: process.env.TRELLO_DONE_LIST_ID || '',
             CRON_SCHEDULE: process.env.CRON_SCHEDULE || '0 1 * * *',
+            DEFAULT_TIME_ZONE: process.env.TZ || 'America/New_York',
+            TRELLO_API_SECRET: process.env.TRELLO_API_SECRET || '',
+            TRELLO_WEBHOOK_CALLBACK_URL: process.env.TRELLO_WEBHOOK_CALLBACK_URL || '',
+            TRELLO_WEBHOOK_ID: '',
         };
 
         for (const key in defaultSettings) {
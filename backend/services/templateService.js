@@ -0,0 +1,93 @@
+import { DateTime } from 'luxon';
+import { resolveTimeZone } from './timeZoneService.js';
+
+// Placeholders look like {{name}} or {{name:format}}, e.g. {{due_date:DD/MM/YYYY}}.
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)(?::([^}]*))?\s*\}\}/g;
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+// Date format tokens, longest first, and the luxon tokens they stand for.
+const DATE_TOKENS = {
+    YYYY: 'yyyy', YY: 'yy',
+    MMMM: 'LLLL', MMM: 'LLL', MM: 'LL', M: 'L',
+    dddd: 'cccc', ddd: 'ccc',
+    DD: 'dd', D: 'd',
+    HH: 'HH', H: 'H', hh: 'hh', h: 'h', mm: 'mm', A: 'a',
+    WW: 'WW', W: 'W',
+};
+const DATE_TOKEN_PATTERN = new RegExp(Object.keys(DATE_TOKENS).join('|'), 'g');
+
+/**
+ * @description Formats a date with a format such as 'DD/MM/YYYY'. Anything that is not a token is
+ * kept as it is.
+ * @param {DateTime} date - The date, in the schedule's time zone.
+ * @param {string} format - The date format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (date, format) => format.replace(DATE_TOKEN_PATTERN, token => date.toFormat(DATE_TOKENS[token]));
+
+/**
+ * @description Builds the values available to a schedule's templates for one card.
+ * @param {object} schedule - The schedule object.
+ * @param {Date} dueDate - The due date of the card.
+ * @param {object} [options={}] - Additional values.
+ * @param {number} [options.occurrenceCount=1] - The number of this card among all cards of the schedule, starting at 1.
+ * @param {string[]} [options.assigneeNames=[]] - The names of the members the card is assigned to.
+ * @returns {object} The template variables.
+ */
+export const getTemplateVariables = (schedule, dueDate, { occurrenceCount = 1, assigneeNames = [] } = {}) => {
+    const due = DateTime.fromJSDate(dueDate, { zone: resolveTimeZone(schedule) });
+    return {
+        due_date: (format) => formatDate(due, format || DEFAULT_DATE_FORMAT),
+        week_number: String(due.weekNumber),
+        month_name: due.toFormat('LLLL'),
+        year: String(due.year),
+        occurrence_count: String(occurrenceCount),
+        assignees: assigneeNames.join(', '),
+    };
+};
+
+/**
+ * @description Replaces the placeholders in a template. Unknown placeholders are left as they are,
+ * so a typo shows up on the card instead of silently disappearing.
+ * @param {string|null} template - The template text.
+ * @param {object} variables - The values from getTemplateVariables.
+ * @returns {string|null} The rendered text.
+ */
+export const renderTemplate = (template, variables) => {
+    if (!template) {
+        return template;
+    }
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name, format) => {
+        const value = variables[name];
+        if (value === undefined) {
+            return placeholder;
+        }
+        return typeof value === 'function' ? value(format?.trim()) : value;
+    });
+};
+
+/**
+ * @description Renders the templated parts of a schedule's card: title, description, checklists,
+ * attachment URLs and the values of text and date custom fields.
+ * @param {object} schedule - The schedule object, with its checklists.
+ * @param {object} variables - The values from getTemplateVariables.
+ * @returns {{title: string, description: string|null, checklists: object[], attachment_urls: string[], custom_field_values: object[]}} The rendered card content.
+ * Each checklist has a name and items of {name, trello_member_id, due_offset_days}.
+ */
+export const renderCardContent = (schedule, variables) => ({
+    title: renderTemplate(schedule.title, variables),
+    description: renderTemplate(schedule.description, variables),
+    checklists: (schedule.checklists || []).map(checklist => ({
+        name: renderTemplate(checklist.name, variables),
+        items: (checklist.items || []).map(item => ({
+            name: renderTemplate(item.item_name, variables),
+            trello_member_id: item.trello_member_id || null,
+            due_offset_days: item.due_offset_days ?? null,
+        })),
+    })),
+    attachment_urls: (schedule.attachment_urls || []).map(url => renderTemplate(url, variables)),
+    custom_field_values: (schedule.custom_field_values || []).map(field => (
+        ['text', 'date'].includes(field.type) ? { ...field, value: renderTemplate(field.value, variables) } : field
+    )),
+});
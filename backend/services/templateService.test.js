@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import { getTemplateVariables, renderTemplate, renderCardContent } from './templateService.js';
+
+describe('templateService', () => {
+    const schedule = { time_zone: 'Europe/London' };
+    // 11:30pm UTC is already the next day in London.
+    const dueDate = new Date('2024-08-15T23:30:00Z');
+    const variables = getTemplateVariables(schedule, dueDate, { occurrenceCount: 4, assigneeNames: ['Ann Lee', 'Bo Chen'] });
+
+    describe('renderTemplate', () => {
+        it('should format the due date in the schedule time zone', () => {
+            expect(renderTemplate('Report {{due_date}}', variables)).toBe('Report 2024-08-16');
+            expect(renderTemplate('{{due_date:DD/MM/YYYY}}', variables)).toBe('16/08/2024');
+            expect(renderTemplate('{{ due_date:dddd, MMMM D }}', variables)).toBe('Friday, August 16');
+        });
+
+        it('should fill in the week, month, count and assignees', () => {
+            expect(renderTemplate('Week {{week_number}} of {{month_name}} {{year}} (#{{occurrence_count}}) for {{assignees}}', variables))
+                .toBe('Week 33 of August 2024 (#4) for Ann Lee, Bo Chen');
+        });
+
+        it('should leave unknown placeholders and plain text alone', () => {
+            expect(renderTemplate('{{unknown}} and {single}', variables)).toBe('{{unknown}} and {single}');
+            expect(renderTemplate(null, variables)).toBeNull();
+        });
+    });
+
+    describe('renderCardContent', () => {
+        it('should render the title, description and checklists', () => {
+            const content = renderCardContent({
+                title: 'Standup {{due_date:MMM D}}',
+                description: 'Run by {{assignees}}',
+                checklists: [
+                    { name: 'Week {{week_number}}', items: [{ item_name: 'Notes for {{month_name}}', trello_member_id: 'm1', due_offset_days: -1 }] },
+                    { name: 'Follow-up', items: [{ item_name: 'Send summary' }] },
+                ],
+            }, variables);
+
+            expect(content).toEqual({
+                title: 'Standup Aug 16',
+                description: 'Run by Ann Lee, Bo Chen',
+                checklists: [
+                    { name: 'Week 33', items: [{ name: 'Notes for August', trello_member_id: 'm1', due_offset_days: -1 }] },
+                    { name: 'Follow-up', items: [{ name: 'Send summary', trello_member_id: null, due_offset_days: null }] },
+                ],
+                attachment_urls: [],
+                custom_field_values: [],
+            });
+        });
+
+        it('should render attachment URLs and text custom fields but not list options', () => {
+            const content = renderCardContent({
+                title: 'Report',
+                attachment_urls: ['https://reports.example.com/{{due_date:YYYY/MM}}'],
+                custom_field_values: [
+                    { id_custom_field: 'f1', type: 'text', value: 'Week {{week_number}}' },
+                    { id_custom_field: 'f2', type: 'list', value: '{{option}}' },
+                ],
+            }, variables);
+
+            expect(content.attachment_urls).toEqual(['https://reports.example.com/2024/08']);
+            expect(content.custom_field_values).toEqual([
+                { id_custom_field: 'f1', type: 'text', value: 'Week 33' },
+                { id_custom_field: 'f2', type: 'list', value: '{{option}}' },
+            ]);
+        });
+    });
+
+    it('should default to the first occurrence with no assignees', () => {
+        const defaults = getTemplateVariables(schedule, dueDate);
+        expect(renderTemplate('#{{occurrence_count}} [{{assignees}}]', defaults)).toBe('#1 []');
+    });
+});
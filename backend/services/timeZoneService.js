@@ -0,0 +1,67 @@
+import { DateTime, IANAZone } from 'luxon';
+
+// The zone used for schedules that do not set their own. Updated from the DEFAULT_TIME_ZONE
+// setting whenever the scheduler is (re)initialized.
+let defaultTimeZone = process.env.TZ || 'America/New_York';
+
+/**
+ * @description Checks whether a value is a valid IANA time zone name, e.g. "Europe/London".
+ * @param {string} zone - The zone name to check.
+ * @returns {boolean} True if the zone is valid.
+ */
+export const isValidTimeZone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+/**
+ * @description Sets the default time zone used for schedules without one. Invalid zones are ignored.
+ * @param {string} zone - The IANA zone name.
+ */
+export const setDefaultTimeZone = (zone) => {
+    if (isValidTimeZone(zone)) {
+        defaultTimeZone = zone;
+    }
+};
+
+/**
+ * @description Returns the default time zone used for schedules without one.
+ * @returns {string} The IANA zone name.
+ */
+export const getDefaultTimeZone = () => defaultTimeZone;
+
+/**
+ * @description Returns the time zone a schedule's dates are calculated in.
+ * @param {object} schedule - The schedule object from the database.
+ * @returns {string} The schedule's own zone if it is valid, otherwise the default zone.
+ */
+export const resolveTimeZone = (schedule) => (isValidTimeZone(schedule?.time_zone) ? schedule.time_zone : defaultTimeZone);
+
+/**
+ * @description Converts an instant into a Date whose UTC fields (year, month, day, hour...)
+ * match the wall-clock time in the given zone. The recurrence logic works on these "floating"
+ * fields, so it runs the same in any zone regardless of the server's own time zone, and never
+ * meets the daylight saving gaps of the server's zone.
+ * @param {Date} date - The instant to convert.
+ * @param {string} zone - The IANA zone name.
+ * @returns {Date} The wall-clock representation.
+ */
+export const toZonedWallClock = (date, zone) => {
+    const zoned = DateTime.fromJSDate(date, { zone });
+    return new Date(Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second, zoned.millisecond));
+};
+
+/**
+ * @description The inverse of toZonedWallClock: reads a Date's UTC fields as a wall-clock
+ * time in the given zone and returns the matching instant. Times that fall in a daylight saving
+ * gap of that zone are moved forward.
+ * @param {Date} date - The wall-clock representation.
+ * @param {string} zone - The IANA zone name.
+ * @returns {Date} The instant.
+ */
+export const fromZonedWallClock = (date, zone) => DateTime.fromObject({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    millisecond: date.getUTCMilliseconds(),
+}, { zone }).toJSDate();
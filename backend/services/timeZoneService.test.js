@@ -0,0 +1,33 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { toZonedWallClock, fromZonedWallClock } from './timeZoneService.js';
+
+// The test script runs with TZ=America/New_York. Node also applies changes to process.env.TZ at
+// runtime, which lets these tests check that the results do not depend on the server's zone.
+describe('Time Zone Service', () => {
+    const serverZone = process.env.TZ;
+
+    afterEach(() => {
+        process.env.TZ = serverZone;
+    });
+
+    // 2:30am JST on Mar 10, 2024, a time that New York skips.
+    const tokyoInstant = new Date('2024-03-09T17:30:00Z');
+
+    it('should keep the wall-clock time of the schedule zone in the UTC fields', () => {
+        const wallClock = toZonedWallClock(tokyoInstant, 'Asia/Tokyo');
+        expect(wallClock.toISOString()).toBe('2024-03-10T02:30:00.000Z');
+    });
+
+    it("should convert wall-clock times that fall in a gap of the server's zone without shifting them", () => {
+        for (const zone of ['America/New_York', 'Europe/London', 'Pacific/Auckland']) {
+            process.env.TZ = zone;
+            const wallClock = toZonedWallClock(tokyoInstant, 'Asia/Tokyo');
+            expect(fromZonedWallClock(wallClock, 'Asia/Tokyo').toISOString()).toBe(tokyoInstant.toISOString());
+        }
+    });
+
+    it("should move wall-clock times in a gap of the schedule's own zone forward", () => {
+        const wallClock = new Date(Date.UTC(2024, 2, 10, 2, 30));
+        expect(fromZonedWallClock(wallClock, 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z'); // 3:30am EDT
+    });
+});
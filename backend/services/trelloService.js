@@ -1,8 +1,57 @@
 import axios from 'axios';
+import { DateTime } from 'luxon';
 import pool from '../db.js';
-import { calculateNextDueDate } from './schedulerService.js';
+import { calculateNextDueDate, getPlannedCreationDate } from './schedulerService.js';
+import { resolveTimeZone } from './timeZoneService.js';
+import { getTemplateVariables, renderCardContent } from './templateService.js';
+import { getScheduleChecklists } from './checklistService.js';
+import { resolveRotationAssignee } from './rotationService.js';
+import { withScheduleLock } from './lockService.js';
+import { claimOccurrence, findOccurrence, markOccurrenceCreated } from './occurrenceService.js';
 import logAuditEvent from '../utils/logger.js';
 
+/**
+ * @description Checks a Trello API key and token by fetching the member they belong to.
+ * @param {string} key - The Trello API key.
+ * @param {string} token - The Trello API token.
+ * @returns {Promise<object>} A promise that resolves to the Trello member.
+ * @throws {Error} If the credentials are rejected or Trello cannot be reached.
+ */
+export const testTrelloCredentials = async (key, token) => {
+    const response = await axios.get(`https://api.trello.com/1/members/me?key=${key}&token=${token}`);
+    return response.data;
+};
+
+/**
+ * @description Returns the credentials of a Trello connection in the shape of the application settings.
+ * @param {number} connectionId - The ID of the connection.
+ * @returns {Promise<{TRELLO_API_KEY: string, TRELLO_API_TOKEN: string}>} The connection's credentials.
+ * @throws {Error} If the connection does not exist.
+ */
+export const getConnectionCredentials = async (connectionId) => {
+    const { rows } = await pool.query('SELECT api_key, api_token FROM trello_connections WHERE id = $1', [connectionId]);
+    if (rows.length === 0) {
+        throw new Error(`Trello connection ${connectionId} does not exist.`);
+    }
+    return { TRELLO_API_KEY: rows[0].api_key, TRELLO_API_TOKEN: rows[0].api_token };
+};
+
+/**
+ * @description Returns the settings a schedule's cards are created with. A schedule may use its own
+ * Trello connection and target its own board, list and done list; anything it leaves empty falls
+ * back to the application settings.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {object} appSettings - The application settings object.
+ * @returns {Promise<object>} A copy of the application settings with the schedule's connection, board and lists applied.
+ */
+export const getScheduleTrelloSettings = async (schedule, appSettings) => ({
+    ...appSettings,
+    ...(schedule.connection_id ? await getConnectionCredentials(schedule.connection_id) : {}),
+    TRELLO_BOARD_ID: schedule.trello_board_id || appSettings.TRELLO_BOARD_ID,
+    TRELLO_TO_DO_LIST_ID: schedule.trello_list_id || appSettings.TRELLO_TO_DO_LIST_ID,
+    TRELLO_DONE_LIST_ID: schedule.trello_done_list_id || appSettings.TRELLO_DONE_LIST_ID,
+});
+
 /**
  * @description Fetches all members for a given Trello board using axios.
  * @param {string} key - The Trello API key.
@@ -40,34 +89,211 @@ export const getTrelloCard = async (cardId, appSettings) => {
 };
 
 /**
- * @description Processes a schedule to determine if a new card should be created, and if so, creates it.
+ * @description Finds an open card in a list by its title and due date.
+ * @param {string} listId - The ID of the Trello list.
+ * @param {string} name - The title of the card.
+ * @param {Date} dueDate - The due date of the card.
+ * @param {object} appSettings - The application settings object containing API credentials.
+ * @returns {Promise<object|null>} A promise that resolves to the card, or null if the list has no such card.
+ */
+export const findCardInList = async (listId, name, dueDate, appSettings) => {
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    const url = `https://api.trello.com/1/lists/${listId}/cards?fields=name,due,idList&key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
+    const response = await axios.get(url);
+    return response.data.find(card => card.name === name && card.due && new Date(card.due).getTime() === dueDate.getTime()) || null;
+};
+
+/**
+ * @description Archives a Trello card using axios.
+ * @param {string} cardId - The ID of the Trello card.
+ * @param {object} appSettings - The application settings object containing API credentials.
+ * @returns {Promise<object>} A promise that resolves to the updated card object.
+ */
+export const archiveTrelloCard = async (cardId, appSettings) => {
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    const url = `https://api.trello.com/1/cards/${cardId}?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
+    const response = await axios.put(url, { closed: true });
+    return response.data;
+};
+
+/**
+ * @description Tells whether a card on Trello is still open, i.e. it exists, is not archived and is
+ * not in the Done list.
+ * @param {object|null} trelloCard - The card from Trello, or null if it was deleted.
+ * @param {object} appSettings - The settings of the card's schedule, from getScheduleTrelloSettings.
+ * @returns {boolean} True if the card is still open.
+ */
+const isTrelloCardOpen = (trelloCard, appSettings) =>
+    Boolean(trelloCard) && !trelloCard.closed && trelloCard.idList !== appSettings.TRELLO_DONE_LIST_ID;
+
+/**
+ * @description Updates a generated card from its current state on Trello. Cards in the Done list
+ * become 'done', and archived or deleted cards become 'archived'.
+ * @param {object} generatedCard - The row from the generated_cards table.
+ * @param {object|null} trelloCard - The card from Trello, or null if it was deleted.
+ * @param {object} appSettings - The settings of the card's schedule, from getScheduleTrelloSettings.
+ * @returns {Promise<boolean>} True if the card is still open.
+ */
+export const updateGeneratedCardStatus = async (generatedCard, trelloCard, appSettings) => {
+    if (isTrelloCardOpen(trelloCard, appSettings)) {
+        await pool.query('UPDATE generated_cards SET last_synced_at = NOW() WHERE id = $1', [generatedCard.id]);
+        return true;
+    }
+
+    // Moving a card to Done or archiving it is normally its last activity, so that is taken as the
+    // completion time. Deleted cards have no record, so the time they were noticed is used.
+    const closedAt = trelloCard?.dateLastActivity ? new Date(trelloCard.dateLastActivity) : new Date();
+    const isDone = Boolean(trelloCard) && trelloCard.idList === appSettings.TRELLO_DONE_LIST_ID;
+    await pool.query(
+        'UPDATE generated_cards SET status = $1, closed_at = $2, last_synced_at = NOW() WHERE id = $3',
+        [isDone ? 'done' : 'archived', closedAt, generatedCard.id]
+    );
+    return false;
+};
+
+/**
+ * @description Checks the schedule's open cards against Trello. Cards that have reached the Done
+ * list, were archived or were deleted are closed in `generated_cards`.
  * @param {object} schedule - The schedule object from the database.
  * @param {object} appSettings - The application settings object.
- * @param {object} [user=null] - The user object, for auditing manual triggers.
- * @param {string} [runId=null] - The scheduler run ID, for correlating logs.
- * @returns {Promise<{success: boolean, message: string, card?: object, status?: number}>}
+ * @param {object} logContext - The context recorded with audit events.
+ * @param {object|null} user - The user object, for auditing manual triggers.
+ * @param {boolean} [dryRun=false] - Only read the cards' state, without closing cards or logging.
+ * @returns {Promise<{openCards: object[], lastDueDate: Date|null}>} The cards that are still open,
+ * each with its Trello card attached, and the latest due date of the schedule's cards.
  */
-export const processCardCreationForSchedule = async (schedule, appSettings, user = null, runId = null) => {
-    const logContext = { scheduleId: schedule.id, trigger: user ? 'manual' : 'scheduled', runId };
+const refreshOpenCards = async (schedule, appSettings, logContext, user, dryRun = false) => {
+    const { rows: trackedCards } = await pool.query(
+        "SELECT * FROM generated_cards WHERE schedule_id = $1 AND status = 'open' ORDER BY created_at ASC",
+        [schedule.id]
+    );
 
-    let lastDueDateForCalc = null;
-    if (schedule.active_card_id) {
+    const openCards = [];
+    let lastDueDate = null;
+    for (const trackedCard of trackedCards) {
         try {
-            const activeCard = await getTrelloCard(schedule.active_card_id, appSettings);
-            if (activeCard && !activeCard.closed && activeCard.idList !== appSettings.TRELLO_DONE_LIST_ID) {
-                const message = `Cannot create a new card. The previous card "${activeCard.name}" is still active.`;
-                await logAuditEvent('INFO', `Card creation blocked for schedule ${schedule.id}.`, { ...logContext, reason: message }, user);
-                return { success: false, message, status: 409 };
+            const trelloCard = await getTrelloCard(trackedCard.trello_card_id, appSettings);
+            if (trelloCard?.due && (!lastDueDate || new Date(trelloCard.due) > lastDueDate)) {
+                lastDueDate = new Date(trelloCard.due);
             }
-            if (activeCard) {
-                lastDueDateForCalc = new Date(activeCard.due);
+            const isOpen = dryRun ? isTrelloCardOpen(trelloCard, appSettings) : await updateGeneratedCardStatus(trackedCard, trelloCard, appSettings);
+            if (isOpen) {
+                openCards.push({ ...trackedCard, trelloCard });
             }
         } catch (error) {
-            await logAuditEvent('ERROR', `Could not verify status of active card ${schedule.active_card_id}. Proceeding with caution.`, { ...logContext, error: String(error) }, user);
+            if (dryRun) continue;
+            await logAuditEvent('ERROR', `Could not verify status of open card ${trackedCard.trello_card_id}. Proceeding with caution.`, { ...logContext, error: String(error) }, user);
+        }
+    }
+
+    // The recurrence continues from the latest due date of any card the schedule created, open or
+    // closed, so closing the newest card first does not repeat its occurrence. A due date moved
+    // later in Trello counts too.
+    const { rows } = await pool.query('SELECT MAX(due_date) AS last_due_date FROM generated_cards WHERE schedule_id = $1', [schedule.id]);
+    const recordedDueDate = rows[0]?.last_due_date ? new Date(rows[0].last_due_date) : null;
+    if (recordedDueDate && (!lastDueDate || recordedDueDate > lastDueDate)) {
+        lastDueDate = recordedDueDate;
+    }
+
+    return { openCards, lastDueDate };
+};
+
+/**
+ * @description Decides whether the schedule's overlap policy allows another card while the given
+ * cards are still open.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {object[]} openCards - The schedule's open cards.
+ * @returns {string|null} The reason creation is blocked, or null if it may go ahead.
+ */
+const getOverlapBlockReason = (schedule, openCards) => {
+    if (openCards.length === 0 || schedule.overlap_policy === 'archive') {
+        return null;
+    }
+    if (schedule.overlap_policy === 'allow') {
+        const maxOpenCards = parseInt(schedule.max_open_cards, 10) || 1;
+        return openCards.length >= maxOpenCards
+            ? `Cannot create a new card. The schedule already has ${openCards.length} open card(s), the most it allows.`
+            : null;
+    }
+    return `Cannot create a new card. The previous card "${openCards[openCards.length - 1].trelloCard.name}" is still active.`;
+};
+
+/**
+ * @description Archives cards that a newly created card replaces. Failures are logged and do not
+ * undo the new card.
+ * @param {object[]} openCards - The schedule's previously open cards.
+ * @param {object} appSettings - The application settings object.
+ * @param {object} logContext - The context recorded with audit events.
+ * @param {object|null} user - The user object, for auditing manual triggers.
+ */
+const archiveOpenCards = async (openCards, appSettings, logContext, user) => {
+    for (const openCard of openCards) {
+        try {
+            await archiveTrelloCard(openCard.trello_card_id, appSettings);
+            await pool.query("UPDATE generated_cards SET status = 'archived', closed_at = NOW() WHERE id = $1", [openCard.id]);
+            await logAuditEvent('INFO', `Archived previous card "${openCard.trelloCard.name}".`, { ...logContext, cardId: openCard.trello_card_id }, user);
+        } catch (error) {
+            await logAuditEvent('ERROR', `Failed to archive previous card ${openCard.trello_card_id}.`, { ...logContext, error: String(error) }, user);
         }
     }
+};
+
+/**
+ * @description Looks for the card of an occurrence that an earlier attempt already worked on. A
+ * 'created' occurrence knows its card. A 'pending' one was interrupted, possibly after Trello had
+ * created the card, so the schedule's list is searched for a card with the same title and due date.
+ * @param {object} occurrence - The occurrence, from claimOccurrence.
+ * @param {object} schedule - The schedule the card is created from, with its assignee applied.
+ * @param {Date} dueDate - The due date of the occurrence.
+ * @param {object} appSettings - The schedule's settings, from getScheduleTrelloSettings.
+ * @param {number} occurrenceCount - The number of the card among the schedule's cards, for templates.
+ * @returns {Promise<{card: object, tracked: boolean}|null>} The card, and whether it is already in
+ * 'generated_cards', or null if the earlier attempt did not create one.
+ */
+const findEarlierAttemptCard = async (occurrence, schedule, dueDate, appSettings, occurrenceCount) => {
+    let card = null;
+    if (occurrence.status === 'created' && occurrence.trello_card_id) {
+        card = { id: occurrence.trello_card_id };
+    } else {
+        const { cardData } = await buildCardData(schedule, dueDate, appSettings, { occurrenceCount });
+        card = await findCardInList(cardData.idList, cardData.name, dueDate, appSettings);
+    }
+    if (!card) {
+        return null;
+    }
+    const { rows } = await pool.query('SELECT id FROM generated_cards WHERE trello_card_id = $1', [card.id]);
+    return { card, tracked: rows.length > 0 };
+};
 
-    let nextDueDate = calculateNextDueDate(schedule, lastDueDateForCalc);
+/**
+ * @description Does the work of processCardCreationForSchedule. Real card creation runs while
+ * holding the schedule's lock.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {object} globalSettings - The application settings object.
+ * @param {object|null} user - The user object, for auditing manual triggers.
+ * @param {string|null} runId - The scheduler run ID, for correlating logs.
+ * @param {object} options - The options of processCardCreationForSchedule.
+ * @returns {Promise<object>} The result of processCardCreationForSchedule.
+ */
+const runCardCreation = async (schedule, globalSettings, user, runId, options) => {
+    const appSettings = await getScheduleTrelloSettings(schedule, globalSettings);
+    const logContext = { scheduleId: schedule.id, trigger: options.trigger || (user ? 'manual' : 'scheduled'), runId };
+    const now = options.now || new Date();
+
+    let lastDueDateForCalc = null;
+    let openCards = [];
+    if (!options.dueDate) {
+        ({ openCards, lastDueDate: lastDueDateForCalc } = await refreshOpenCards(schedule, appSettings, logContext, user, options.dryRun));
+        const blockReason = getOverlapBlockReason(schedule, openCards);
+        if (blockReason) {
+            if (!options.dryRun) {
+                await logAuditEvent('INFO', `Card creation blocked for schedule ${schedule.id}.`, { ...logContext, reason: blockReason }, user);
+            }
+            return { success: false, outcome: 'blocked', message: blockReason, status: 409 };
+        }
+    }
+
+    let nextDueDate = options.dueDate || calculateNextDueDate(schedule, lastDueDateForCalc, now);
     const startDateObj = schedule.start_date ? new Date(schedule.start_date) : null;
     const endDate = schedule.end_date ? new Date(schedule.end_date) : null;
 
@@ -78,54 +304,182 @@ export const processCardCreationForSchedule = async (schedule, appSettings, user
     }
 
     // Now that we have the correct next due date based on frequency and start date,
-    // we check if this date falls outside the schedule's end date.
-    if (endDate && nextDueDate > endDate) {
+    // we check if this date falls outside the schedule's end date. An rrule with an
+    // exhausted COUNT or UNTIL produces no date at all.
+    if (!nextDueDate || (endDate && nextDueDate > endDate)) {
         const message = `Cannot create card. The schedule's frequency settings do not produce any valid due dates within the active date range.`;
-        await logAuditEvent('INFO', `Card creation blocked for schedule ${schedule.id}.`, { ...logContext, reason: message, dueDate: nextDueDate.toLocaleDateString() }, user);
-        return { success: false, message, status: 400 };
+        if (!options.dryRun) {
+            await logAuditEvent('INFO', `Card creation blocked for schedule ${schedule.id}.`, { ...logContext, reason: message, dueDate: nextDueDate?.toLocaleDateString() }, user);
+        }
+        return { success: false, outcome: 'out_of_range', message, status: 400 };
+    }
+
+    // A card created when the previous one is completed waits for its lead time as well; the
+    // scheduler creates it on its planned creation date.
+    const plannedCreationDate = getPlannedCreationDate(schedule, nextDueDate);
+    if (['scheduled', 'webhook'].includes(logContext.trigger) && plannedCreationDate && now < plannedCreationDate) {
+        const message = `The card due ${nextDueDate.toISOString()} will be created on ${plannedCreationDate.toISOString()}.`;
+        if (!options.dryRun) {
+            await logAuditEvent('INFO', `Card creation deferred for schedule ${schedule.id}.`, { ...logContext, reason: message, dueDate: nextDueDate, plannedCreationDate }, user);
+        }
+        return { success: false, outcome: 'deferred', message, status: 409 };
     }
     
     try {
-        // Ensure checklist items are loaded for the createTrelloCard function
-        if (!schedule.checklist_items) {
-            const itemsResult = await pool.query('SELECT * FROM checklist_items WHERE schedule_id = $1 ORDER BY id ASC', [schedule.id]);
-            schedule.checklist_items = itemsResult.rows;
+        // Ensure checklists are loaded for the createTrelloCard function
+        if (!schedule.checklists) {
+            schedule.checklists = await getScheduleChecklists(schedule.id);
+        }
+
+        // {{occurrence_count}} counts this card too.
+        const countResult = await pool.query('SELECT COUNT(*)::int AS count FROM generated_cards WHERE schedule_id = $1', [schedule.id]);
+        const occurrenceCount = (countResult.rows[0]?.count || 0) + 1;
+
+        // A rotating schedule assigns each card to the next member whose turn it is.
+        let cardSchedule = schedule;
+        let rotation = null;
+        if (schedule.assignment_mode === 'rotation') {
+            rotation = await resolveRotationAssignee(schedule, nextDueDate);
+            cardSchedule = { ...schedule, trello_member_ids: rotation.memberId ? [rotation.memberId] : [] };
+        }
+
+        // The occurrence is recorded before Trello is called, so an attempt that is interrupted
+        // after the card was created can be recognized and finished without a second card.
+        // A dry run only looks the occurrence up.
+        const { occurrence, isNew } = options.dryRun
+            ? await findOccurrence(schedule.id, nextDueDate).then(found => ({ occurrence: found, isNew: !found }))
+            : await claimOccurrence(schedule.id, nextDueDate, runId);
+        const earlierAttempt = isNew ? null : await findEarlierAttemptCard(occurrence, cardSchedule, nextDueDate, appSettings, occurrenceCount);
+        if (earlierAttempt?.tracked) {
+            const message = `Cannot create a new card. The card due ${nextDueDate.toISOString()} was already created.`;
+            if (!options.dryRun) {
+                await logAuditEvent('INFO', `Card creation blocked for schedule ${schedule.id}.`, { ...logContext, reason: message, cardId: earlierAttempt.card.id }, user);
+            }
+            return { success: false, outcome: 'blocked', message, status: 409 };
+        }
+
+        if (options.dryRun) {
+            const { cardData } = await buildCardData(cardSchedule, nextDueDate, appSettings, { occurrenceCount });
+            return { success: true, outcome: 'would_create', message: 'The card would be created.', card: cardData, status: 200 };
         }
+        const earlierCard = earlierAttempt?.card;
 
-        const newCard = await createTrelloCard(schedule, nextDueDate, appSettings);
+        const newCard = earlierCard || await createTrelloCard(cardSchedule, nextDueDate, appSettings, { occurrenceCount });
         
         if (newCard) {
-            await logAuditEvent('INFO', `Card creation successful: "${newCard.name}"`, { ...logContext, newCard, dueDate: nextDueDate }, user);
+            await markOccurrenceCreated(occurrence.id, newCard.id);
+            const rotationDetails = rotation ? { assignee: rotation.memberId, skippedAbsentMembers: rotation.skippedMemberIds, everyoneAbsent: rotation.everyoneAbsent } : {};
+            const message = earlierCard
+                ? `Card creation completed: "${newCard.name || newCard.id}" was created by an earlier attempt and is now recorded.`
+                : `Card creation successful: "${newCard.name}"`;
+            await logAuditEvent('INFO', message, { ...logContext, newCard, dueDate: nextDueDate, ...rotationDetails }, user);
             await pool.query(
-                'UPDATE schedules SET active_card_id = $1, last_card_created_at = NOW() WHERE id = $2', 
-                [newCard.id, schedule.id]
+                'INSERT INTO generated_cards (schedule_id, trello_card_id, due_date, trigger_type, run_id, created_by, trello_member_ids) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [schedule.id, newCard.id, nextDueDate, logContext.trigger, runId, user?.username || null, cardSchedule.trello_member_ids || []]
             );
-            return { success: true, message: "Card created successfully.", card: newCard, status: 201 };
+            await pool.query('UPDATE schedules SET last_card_created_at = NOW() WHERE id = $1', [schedule.id]);
+            if (rotation) {
+                await pool.query('UPDATE schedules SET rotation_cursor = $1 WHERE id = $2', [rotation.nextCursor, schedule.id]);
+                // Catch-up creates several cards from the same schedule object, so it must see the new turn.
+                schedule.rotation_cursor = rotation.nextCursor;
+            }
+            if (schedule.overlap_policy === 'archive') {
+                await archiveOpenCards(openCards, appSettings, logContext, user);
+            }
+            return { success: true, outcome: 'created', message: earlierCard ? 'Card from an earlier attempt recorded.' : "Card created successfully.", card: newCard, status: 201 };
         } else {
             // This case might be redundant if createTrelloCard throws, but it's here for safety.
             const message = 'Failed to create Trello card for an unknown reason.';
             await logAuditEvent('ERROR', message, logContext, user);
-            return { success: false, message, status: 500 };
+            return { success: false, outcome: 'failed', message, status: 500 };
         }
     } catch (error) {
+        if (options.dryRun) {
+            return { success: false, outcome: 'failed', message: error.message, status: error.response?.status || 500, error: error.message };
+        }
         const errorDetails = {
             ...logContext,
             statusCode: error.response?.status,
             response: error.response?.data || error.message,
         };
         await logAuditEvent('ERROR', `Card creation failed during API call.`, errorDetails, user);
-        return { success: false, message: 'Failed to create Trello card.', status: error.response?.status || 500, error: error.message };
+        return { success: false, outcome: 'failed', message: 'Failed to create Trello card.', status: error.response?.status || 500, error: error.message };
     }
 };
 
 /**
- * @description Creates a new Trello card using axios.
+ * @description Processes a schedule to determine if a new card should be created, and if so, creates it.
+ * Only one card creation per schedule runs at a time across all replicas; a second one is blocked.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {object} globalSettings - The application settings object. The schedule's own connection, board and lists take precedence.
+ * @param {object} [user=null] - The user object, for auditing manual triggers.
+ * @param {string} [runId=null] - The scheduler run ID, for correlating logs.
+ * @param {object} [options={}] - Additional options.
+ * @param {Date} [options.dueDate] - Create the card for this due date instead of calculating the next one.
+ * The open card check is skipped, since the caller has already decided the card is owed (e.g. a catch-up backfill).
+ * @param {string} [options.trigger] - Overrides the trigger recorded in the audit log (e.g. 'catch_up' or 'webhook').
+ * @param {Date} [options.now=new Date()] - The time of the run, used to calculate the due date and
+ * to check the schedule's lead time. Only scheduled runs and webhook triggers are deferred until the
+ * planned creation date.
+ * @param {boolean} [options.dryRun=false] - Run every check and work out the card, but do not create
+ * it. Nothing is written to Trello, the database or the audit log, and 'card' holds the card that
+ * would have been created.
+ * @returns {Promise<{success: boolean, outcome: string, message: string, card?: object, status?: number}>}
+ * The 'outcome' is one of 'created', 'would_create', 'blocked', 'out_of_range', 'deferred' or 'failed'.
+ */
+export const processCardCreationForSchedule = async (schedule, globalSettings, user = null, runId = null, options = {}) => {
+    // A dry run changes nothing, so it does not need the lock.
+    if (options.dryRun) {
+        return runCardCreation(schedule, globalSettings, user, runId, options);
+    }
+
+    const { acquired, value } = await withScheduleLock(schedule.id, () => runCardCreation(schedule, globalSettings, user, runId, options));
+    if (!acquired) {
+        const message = 'Cannot create a new card. A card is already being created for this schedule.';
+        const logContext = { scheduleId: schedule.id, trigger: options.trigger || (user ? 'manual' : 'scheduled'), runId };
+        await logAuditEvent('INFO', `Card creation blocked for schedule ${schedule.id}.`, { ...logContext, reason: message }, user);
+        return { success: false, outcome: 'blocked', message, status: 409 };
+    }
+    return value;
+};
+
+/**
+ * @description Builds the request body that sets a custom field on a card, in the shape the
+ * Trello API expects for the field's type.
+ * @param {{type: string, value: string}} field - The custom field value of a schedule.
+ * @returns {object|null} The request body, or null if the field has no value to set.
+ */
+const getCustomFieldPayload = ({ type, value }) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    switch (type) {
+        case 'number':
+            return { value: { number: String(value) } };
+        case 'date':
+            return { value: { date: new Date(value).toISOString() } };
+        case 'checkbox':
+            return { value: { checked: value === 'true' ? 'true' : 'false' } };
+        case 'list':
+            return { idValue: value };
+        default:
+            return { value: { text: value } };
+    }
+};
+
+/**
+ * @description Checks that a card can be created for a schedule and works out the request that
+ * creates it. Reads the board's members from Trello but does not change anything.
  * @param {object} schedule - The schedule object from the database.
  * @param {Date} dueDate - The calculated due date for the new card.
- * @param {object} appSettings - The application settings object.
- * @returns {Promise<object|null>} A promise that resolves to the new card object or null on failure.
+ * @param {object} appSettings - The schedule's settings, from getScheduleTrelloSettings.
+ * @param {object} [options={}] - Additional options.
+ * @param {number} [options.occurrenceCount=1] - The number of this card among the schedule's cards, for templates.
+ * @returns {Promise<{cardData: object, content: object}>} The body of the card request and the
+ * rendered title, description, checklists, attachments and custom fields.
+ * @throws {Error} If the list is not configured or the schedule's members are not on the board.
  */
-export const createTrelloCard = async (schedule, dueDate, appSettings) => {
+const buildCardData = async (schedule, dueDate, appSettings, options = {}) => {
     const { TRELLO_API_KEY, TRELLO_API_TOKEN, TRELLO_TO_DO_LIST_ID, TRELLO_BOARD_ID } = appSettings;
 
     if (!TRELLO_TO_DO_LIST_ID) {
@@ -140,18 +494,24 @@ export const createTrelloCard = async (schedule, dueDate, appSettings) => {
     // This adds an extra layer of validation before trying to create the card.
     const boardMembers = await getTrelloBoardMembers(TRELLO_API_KEY, TRELLO_API_TOKEN, TRELLO_BOARD_ID);
     const boardMemberIds = boardMembers.map(m => m.id);
-    const invalidMembers = schedule.trello_member_ids.filter(id => !boardMemberIds.includes(id));
+    const checklistMemberIds = (schedule.checklists || []).flatMap(checklist => (checklist.items || []).map(item => item.trello_member_id).filter(Boolean));
+    const invalidMembers = [...new Set([...schedule.trello_member_ids, ...checklistMemberIds])].filter(id => !boardMemberIds.includes(id));
 
     if (invalidMembers.length > 0) {
         throw new Error(`Card creation failed: The following assigned user IDs are not on the Trello board: ${invalidMembers.join(', ')}`);
     }
 
+    // The title, description and checklists may contain placeholders such as {{due_date}}.
+    const assigneeNames = schedule.trello_member_ids.map(id => boardMembers.find(m => m.id === id)?.fullName || id);
+    const content = renderCardContent(schedule, getTemplateVariables(schedule, dueDate, { occurrenceCount: options.occurrenceCount, assigneeNames }));
+
     const cardData = {
-        name: schedule.title,
-        desc: schedule.description,
+        name: content.title,
+        desc: content.description,
         idList: TRELLO_TO_DO_LIST_ID,
         idMembers: schedule.trello_member_ids,
         due: dueDate.toISOString(),
+        pos: schedule.card_position || 'bottom',
     };
 
     if (schedule.start_hour && schedule.start_minute && schedule.start_ampm) {
@@ -162,34 +522,93 @@ export const createTrelloCard = async (schedule, dueDate, appSettings) => {
             startHours = 0;
         }
 
-        const cardStartDate = new Date(dueDate);
-        // Use local time setters to match the timezone context of the due date
-        cardStartDate.setHours(startHours);
-        cardStartDate.setMinutes(parseInt(schedule.start_minute, 10));
-        cardStartDate.setSeconds(0);
-        cardStartDate.setMilliseconds(0);
+        // The start time is a wall-clock time on the due date in the schedule's time zone.
+        const cardStartDate = DateTime.fromJSDate(dueDate, { zone: resolveTimeZone(schedule) })
+            .set({ hour: startHours, minute: parseInt(schedule.start_minute, 10), second: 0, millisecond: 0 })
+            .toJSDate();
 
         cardData.start = cardStartDate.toISOString();
     }
 
-    if (schedule.trello_label_ids && schedule.trello_label_ids.length > 0) {
+    // A template card is copied by Trello, keeping the parts the schedule chose. The title, due
+    // date and members are always the schedule's, and so is the description unless it is empty.
+    const keepFromSource = schedule.template_card_id ? (schedule.template_keep_from_source || []) : [];
+    if (schedule.template_card_id) {
+        cardData.idCardSource = schedule.template_card_id;
+        cardData.keepFromSource = keepFromSource.join(',');
+        if (!content.description) {
+            delete cardData.desc;
+        }
+    }
+
+    // Labels copied from a template card would be replaced by the schedule's.
+    if (schedule.trello_label_ids && schedule.trello_label_ids.length > 0 && !keepFromSource.includes('labels')) {
         cardData.idLabels = schedule.trello_label_ids.join(',');
     }
 
+    return { cardData, content };
+};
+
+/**
+ * @description Creates a new Trello card using axios.
+ * @param {object} schedule - The schedule object from the database.
+ * @param {Date} dueDate - The calculated due date for the new card.
+ * @param {object} appSettings - The schedule's settings, from getScheduleTrelloSettings.
+ * @param {object} [options={}] - Additional options.
+ * @param {number} [options.occurrenceCount=1] - The number of this card among the schedule's cards, for templates.
+ * @returns {Promise<object|null>} A promise that resolves to the new card object or null on failure.
+ */
+export const createTrelloCard = async (schedule, dueDate, appSettings, options = {}) => {
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    const { cardData, content } = await buildCardData(schedule, dueDate, appSettings, options);
+
     const cardUrl = `https://api.trello.com/1/cards?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
     const cardResponse = await axios.post(cardUrl, cardData);
     const newCard = cardResponse.data;
 
-    if (schedule.checklist_name && schedule.checklist_items && schedule.checklist_items.length > 0) {
-        const checklistUrl = `https://api.trello.com/1/checklists?idCard=${newCard.id}&name=${schedule.checklist_name}&key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
-        const checklistResponse = await axios.post(checklistUrl);
+    for (const checklist of content.checklists) {
+        const checklistUrl = `https://api.trello.com/1/checklists?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
+        const checklistResponse = await axios.post(checklistUrl, { idCard: newCard.id, name: checklist.name });
         const newChecklist = checklistResponse.data;
 
-        for (const item of schedule.checklist_items) {
+        for (const item of checklist.items) {
+            const itemData = { name: item.name, checked: false };
+            if (item.trello_member_id) {
+                itemData.idMember = item.trello_member_id;
+            }
+            // Item due dates are whole days before or after the card's due date, at the same wall-clock time.
+            if (item.due_offset_days !== null) {
+                itemData.due = DateTime.fromJSDate(dueDate, { zone: resolveTimeZone(schedule) }).plus({ days: item.due_offset_days }).toJSDate().toISOString();
+            }
             const itemUrl = `https://api.trello.com/1/checklists/${newChecklist.id}/checkItems?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
-            await axios.post(itemUrl, { name: item.item_name, checked: false });
+            await axios.post(itemUrl, itemData);
         }
     }
-    
+
+    for (const attachmentUrl of content.attachment_urls) {
+        const attachmentsUrl = `https://api.trello.com/1/cards/${newCard.id}/attachments?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
+        await axios.post(attachmentsUrl, { url: attachmentUrl });
+    }
+
+    for (const field of content.custom_field_values) {
+        const payload = getCustomFieldPayload(field);
+        if (payload) {
+            const fieldUrl = `https://api.trello.com/1/cards/${newCard.id}/customField/${field.id_custom_field}/item?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
+            await axios.put(fieldUrl, payload);
+        }
+    }
+
+    // The cover and the watch flag can only be set once the card exists.
+    const cardUpdates = {};
+    if (schedule.cover_color) {
+        cardUpdates.cover = { color: schedule.cover_color, brightness: 'light' };
+    }
+    if (schedule.watch_card) {
+        cardUpdates.subscribed = true;
+    }
+    if (Object.keys(cardUpdates).length > 0) {
+        await axios.put(`https://api.trello.com/1/cards/${newCard.id}?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`, cardUpdates);
+    }
+
     return newCard;
 };
\ No newline at end of file
@@ -15,13 +15,36 @@ jest.unstable_mockModule('../utils/logger.js', () => ({
 
 jest.unstable_mockModule('./schedulerService.js', () => ({
     calculateNextDueDate: jest.fn(),
+    getPlannedCreationDate: jest.fn(),
+}));
+
+jest.unstable_mockModule('./checklistService.js', () => ({
+    getScheduleChecklists: jest.fn(),
+}));
+
+jest.unstable_mockModule('./rotationService.js', () => ({
+    resolveRotationAssignee: jest.fn(),
+}));
+
+jest.unstable_mockModule('./lockService.js', () => ({
+    withScheduleLock: jest.fn(),
+}));
+
+jest.unstable_mockModule('./occurrenceService.js', () => ({
+    claimOccurrence: jest.fn(),
+    findOccurrence: jest.fn(),
+    markOccurrenceCreated: jest.fn(),
 }));
 
 // Dynamically import modules after mocks are set up
 const pool = (await import('../db.js')).default;
 const logAuditEvent = (await import('../utils/logger.js')).default;
-const { calculateNextDueDate } = await import('./schedulerService.js');
-const { getTrelloBoardMembers, getTrelloCard, createTrelloCard, processCardCreationForSchedule } = await import('./trelloService.js');
+const { calculateNextDueDate, getPlannedCreationDate } = await import('./schedulerService.js');
+const { getScheduleChecklists } = await import('./checklistService.js');
+const { resolveRotationAssignee } = await import('./rotationService.js');
+const { withScheduleLock } = await import('./lockService.js');
+const { claimOccurrence, findOccurrence, markOccurrenceCreated } = await import('./occurrenceService.js');
+const { getScheduleTrelloSettings, getTrelloBoardMembers, getTrelloCard, createTrelloCard, processCardCreationForSchedule } = await import('./trelloService.js');
 
 
 describe('Trello Service', () => {
@@ -33,12 +56,51 @@ describe('Trello Service', () => {
         pool.query.mockClear();
         logAuditEvent.mockClear();
         calculateNextDueDate.mockClear();
+        getPlannedCreationDate.mockReset();
+        getScheduleChecklists.mockReset().mockResolvedValue([]);
+        withScheduleLock.mockReset().mockImplementation(async (scheduleId, fn) => ({ acquired: true, value: await fn() }));
+        claimOccurrence.mockReset().mockResolvedValue({ occurrence: { id: 1, status: 'pending', trello_card_id: null }, isNew: true });
+        findOccurrence.mockReset().mockResolvedValue(null);
+        markOccurrenceCreated.mockReset();
     });
 
     afterEach(() => {
         mock.restore();
     });
 
+    describe('getScheduleTrelloSettings', () => {
+        const appSettings = { TRELLO_API_KEY: 'key', TRELLO_BOARD_ID: 'boardId', TRELLO_TO_DO_LIST_ID: 'todoListId', TRELLO_DONE_LIST_ID: 'doneListId' };
+
+        it("should use the schedule's own board and lists", async () => {
+            const schedule = { trello_board_id: 'otherBoard', trello_list_id: 'otherList', trello_done_list_id: 'otherDone' };
+            expect(await getScheduleTrelloSettings(schedule, appSettings)).toEqual({
+                TRELLO_API_KEY: 'key', TRELLO_BOARD_ID: 'otherBoard', TRELLO_TO_DO_LIST_ID: 'otherList', TRELLO_DONE_LIST_ID: 'otherDone',
+            });
+        });
+
+        it('should fall back to the application settings for anything the schedule leaves empty', async () => {
+            const schedule = { trello_board_id: null, trello_list_id: 'otherList', trello_done_list_id: '' };
+            expect(await getScheduleTrelloSettings(schedule, appSettings)).toEqual({ ...appSettings, TRELLO_TO_DO_LIST_ID: 'otherList' });
+            expect(await getScheduleTrelloSettings({}, appSettings)).toEqual(appSettings);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+
+        it("should use the credentials of the schedule's connection", async () => {
+            pool.query.mockResolvedValueOnce({ rows: [{ api_key: 'clientKey', api_token: 'clientToken' }] });
+            const schedule = { connection_id: 2, trello_board_id: 'clientBoard', trello_list_id: 'clientList' };
+
+            const settings = await getScheduleTrelloSettings(schedule, appSettings);
+
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM trello_connections'), [2]);
+            expect(settings).toEqual(expect.objectContaining({ TRELLO_API_KEY: 'clientKey', TRELLO_API_TOKEN: 'clientToken', TRELLO_BOARD_ID: 'clientBoard' }));
+        });
+
+        it('should fail if the connection no longer exists', async () => {
+            pool.query.mockResolvedValueOnce({ rows: [] });
+            await expect(getScheduleTrelloSettings({ connection_id: 9 }, appSettings)).rejects.toThrow('Trello connection 9 does not exist.');
+        });
+    });
+
     describe('getTrelloBoardMembers', () => {
         it('should fetch board members successfully', async () => {
             const members = [{ id: '1', fullName: 'Test User' }];
@@ -122,14 +184,13 @@ describe('Trello Service', () => {
                 start_hour: '9',
                 start_minute: '30',
                 start_ampm: 'am',
-                checklist_name: 'My Checklist',
-                checklist_items: [{ item_name: 'Item 1' }, { item_name: 'Item 2' }],
+                checklists: [{ name: 'My Checklist', items: [{ item_name: 'Item 1' }, { item_name: 'Item 2' }] }],
             };
             const newCard = { id: 'card123', name: schedule.title };
-            const newChecklist = { id: 'checklist123', name: schedule.checklist_name };
+            const newChecklist = { id: 'checklist123', name: 'My Checklist' };
 
             mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, newCard);
-            mock.onPost(`https://api.trello.com/1/checklists?idCard=${newCard.id}&name=${schedule.checklist_name}&key=key&token=token`).reply(201, newChecklist);
+            mock.onPost('https://api.trello.com/1/checklists?key=key&token=token').reply(201, newChecklist);
             mock.onPost(new RegExp(`https://api.trello.com/1/checklists/${newChecklist.id}/checkItems`)).reply(200);
 
             const result = await createTrelloCard(schedule, dueDate, appSettings);
@@ -138,9 +199,137 @@ describe('Trello Service', () => {
             const cardPayload = JSON.parse(mock.history.post[0].data);
             expect(cardPayload.idLabels).toBe('label1,label2');
             expect(cardPayload.start).toBe('2024-08-15T13:30:00.000Z');
+            expect(JSON.parse(mock.history.post[1].data)).toEqual({ idCard: 'card123', name: 'My Checklist' });
             expect(mock.history.post.length).toBe(4); // 1 for card, 1 for checklist, 2 for items
         });
 
+        it('should copy a template card, keeping the chosen parts of it', async () => {
+            const schedule = {
+                ...baseSchedule,
+                description: '',
+                trello_label_ids: ['label1'],
+                template_card_id: 'templateCard',
+                template_keep_from_source: ['checklists', 'labels'],
+            };
+            mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
+
+            await createTrelloCard(schedule, dueDate, appSettings);
+
+            const cardPayload = JSON.parse(mock.history.post[0].data);
+            expect(cardPayload).toEqual(expect.objectContaining({
+                name: 'Test Card',
+                idCardSource: 'templateCard',
+                keepFromSource: 'checklists,labels',
+                idMembers: ['member1'],
+                due: dueDate.toISOString(),
+            }));
+            // The template's description and labels are kept.
+            expect(cardPayload).not.toHaveProperty('desc');
+            expect(cardPayload).not.toHaveProperty('idLabels');
+        });
+
+        it('should create every checklist with item assignees and due dates offset from the card', async () => {
+            const schedule = {
+                ...baseSchedule,
+                time_zone: 'America/New_York',
+                checklists: [
+                    { name: 'Prepare', items: [{ item_name: 'Draft', trello_member_id: 'member2', due_offset_days: -2 }] },
+                    { name: 'Wrap up', items: [{ item_name: 'Publish', due_offset_days: 0 }, { item_name: 'Announce' }] },
+                ],
+            };
+            mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
+            mock.onPost('https://api.trello.com/1/checklists?key=key&token=token').replyOnce(201, { id: 'checklistA' }).onPost('https://api.trello.com/1/checklists?key=key&token=token').replyOnce(201, { id: 'checklistB' });
+            mock.onPost(/checklists\/checklist[AB]\/checkItems/).reply(200);
+
+            await createTrelloCard(schedule, dueDate, appSettings);
+
+            const itemRequests = mock.history.post.filter(request => request.url.includes('checkItems'));
+            expect(itemRequests.map(request => [request.url.split('?')[0], JSON.parse(request.data)])).toEqual([
+                ['https://api.trello.com/1/checklists/checklistA/checkItems', { name: 'Draft', checked: false, idMember: 'member2', due: '2024-08-13T13:00:00.000Z' }],
+                ['https://api.trello.com/1/checklists/checklistB/checkItems', { name: 'Publish', checked: false, due: '2024-08-15T13:00:00.000Z' }],
+                ['https://api.trello.com/1/checklists/checklistB/checkItems', { name: 'Announce', checked: false }],
+            ]);
+        });
+
+        it('should throw an error if a checklist item is assigned to someone not on the board', async () => {
+            const schedule = { ...baseSchedule, checklists: [{ name: 'Prepare', items: [{ item_name: 'Draft', trello_member_id: 'stranger' }] }] };
+
+            await expect(createTrelloCard(schedule, dueDate, appSettings)).rejects.toThrow('not on the Trello board: stranger');
+        });
+
+        it('should add attachments, custom fields, a cover and the watch flag to the new card', async () => {
+            const schedule = {
+                ...baseSchedule,
+                card_position: 'top',
+                attachment_urls: ['https://docs.example.com/{{due_date:YYYY-MM}}'],
+                custom_field_values: [
+                    { id_custom_field: 'fieldText', type: 'text', value: 'Week {{week_number}}' },
+                    { id_custom_field: 'fieldCheck', type: 'checkbox', value: 'true' },
+                    { id_custom_field: 'fieldList', type: 'list', value: 'option1' },
+                    { id_custom_field: 'fieldEmpty', type: 'number', value: '' },
+                ],
+                cover_color: 'green',
+                watch_card: true,
+            };
+            mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
+            mock.onPost('https://api.trello.com/1/cards/card123/attachments?key=key&token=token').reply(200);
+            mock.onPut(/https:\/\/api\.trello\.com\/1\/cards\/card123/).reply(200);
+
+            await createTrelloCard(schedule, dueDate, appSettings);
+
+            expect(JSON.parse(mock.history.post[0].data).pos).toBe('top');
+            expect(JSON.parse(mock.history.post[1].data)).toEqual({ url: 'https://docs.example.com/2024-08' });
+            expect(mock.history.put.map(request => [request.url.split('?')[0], JSON.parse(request.data)])).toEqual([
+                ['https://api.trello.com/1/cards/card123/customField/fieldText/item', { value: { text: 'Week 33' } }],
+                ['https://api.trello.com/1/cards/card123/customField/fieldCheck/item', { value: { checked: 'true' } }],
+                ['https://api.trello.com/1/cards/card123/customField/fieldList/item', { idValue: 'option1' }],
+                ['https://api.trello.com/1/cards/card123', { cover: { color: 'green', brightness: 'light' }, subscribed: true }],
+            ]);
+        });
+
+        it("should create the card on the schedule's own board and list", async () => {
+            const schedule = { ...baseSchedule, trello_board_id: 'otherBoard', trello_list_id: 'otherList' };
+            mock.onGet('https://api.trello.com/1/boards/otherBoard/members?key=key&token=token').reply(200, [{ id: 'member1' }]);
+            mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
+
+            await createTrelloCard(schedule, dueDate, await getScheduleTrelloSettings(schedule, appSettings));
+
+            expect(mock.history.get[0].url).toContain('/boards/otherBoard/members');
+            expect(JSON.parse(mock.history.post[0].data).idList).toBe('otherList');
+        });
+
+        it('should fill in template placeholders in the title, description and checklist', async () => {
+            const schedule = {
+                ...baseSchedule,
+                title: 'Report {{due_date:DD/MM}} #{{occurrence_count}}',
+                description: 'For {{assignees}}',
+                checklists: [{ name: 'Week {{week_number}}', items: [{ item_name: 'Review {{month_name}}' }] }],
+            };
+            mock.onGet('https://api.trello.com/1/boards/boardId/members?key=key&token=token').reply(200, [{ id: 'member1', fullName: 'Test User 1' }]);
+            mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
+            mock.onPost('https://api.trello.com/1/checklists?key=key&token=token').reply(201, { id: 'checklist123' });
+            mock.onPost(/checklists\/checklist123\/checkItems/).reply(200);
+
+            await createTrelloCard(schedule, dueDate, appSettings, { occurrenceCount: 3 });
+
+            const cardPayload = JSON.parse(mock.history.post[0].data);
+            expect(cardPayload.name).toBe('Report 15/08 #3');
+            expect(cardPayload.desc).toBe('For Test User 1');
+            expect(JSON.parse(mock.history.post[1].data).name).toBe('Week 33');
+            expect(JSON.parse(mock.history.post[2].data).name).toBe('Review August');
+        });
+
+        it('should set the start time in the schedule time zone', async () => {
+            const schedule = { ...baseSchedule, time_zone: 'Europe/London', start_hour: '9', start_minute: '30', start_ampm: 'am' };
+            mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
+
+            await createTrelloCard(schedule, dueDate, appSettings);
+
+            // 9:30am BST on the due date is 08:30 UTC.
+            const cardPayload = JSON.parse(mock.history.post[0].data);
+            expect(cardPayload.start).toBe('2024-08-15T08:30:00.000Z');
+        });
+
         it('should throw an error if "To Do List ID" is not configured', async () => {
             const settingsWithoutListId = { ...appSettings, TRELLO_TO_DO_LIST_ID: null };
             await expect(createTrelloCard(baseSchedule, dueDate, settingsWithoutListId)).rejects.toThrow(
@@ -170,8 +359,7 @@ describe('Trello Service', () => {
         it('should throw an error if the checklist creation API call fails', async () => {
             const scheduleWithChecklist = {
                 ...baseSchedule,
-                checklist_name: 'My Checklist',
-                checklist_items: [{ item_name: 'Item 1' }],
+                checklists: [{ name: 'My Checklist', items: [{ item_name: 'Item 1' }] }],
             };
             mock.onPost(/https:\/\/api\.trello\.com\/1\/cards\?key=key&token=token/).reply(201, { id: 'card123' });
             mock.onPost(/checklists/).reply(500); // Fail checklist creation
@@ -213,43 +401,128 @@ describe('Trello Service', () => {
             // Pass a copy of baseSchedule to prevent mutation across tests
             const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings);
 
-            expect(calculateNextDueDate).toHaveBeenCalledWith(expect.any(Object), null);
+            expect(calculateNextDueDate).toHaveBeenCalledWith(expect.any(Object), null, expect.any(Date));
             expect(mock.history.post.some(req => req.url.includes('cards'))).toBe(true);
             expect(pool.query).toHaveBeenCalledWith(
-                'UPDATE schedules SET active_card_id = $1, last_card_created_at = NOW() WHERE id = $2',
-                ['newCardId', baseSchedule.id]
+                'INSERT INTO generated_cards (schedule_id, trello_card_id, due_date, trigger_type, run_id, created_by, trello_member_ids) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [baseSchedule.id, 'newCardId', nextDueDate, 'scheduled', null, null, ['member1']]
             );
             expect(result.success).toBe(true);
             expect(result.status).toBe(201);
             expect(result.card.id).toBe('newCardId');
         });
 
+        const openCardRow = { id: 5, schedule_id: 1, trello_card_id: 'activeCardId', status: 'open' };
+        const activeCard = { id: 'activeCardId', name: 'Still Active', closed: false, idList: 'inProgressListId', due: '2024-08-13T12:00:00Z' };
+
         it('should block card creation if a previous card is still active', async () => {
-            const schedule = { ...baseSchedule, active_card_id: 'activeCardId' };
-            const activeCard = { id: 'activeCardId', name: 'Still Active', closed: false, idList: 'inProgressListId' };
+            pool.query.mockResolvedValueOnce({ rows: [openCardRow] });
             mock.onGet(/cards\/activeCardId/).reply(200, activeCard);
 
-            const result = await processCardCreationForSchedule(schedule, appSettings);
+            const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings);
 
             expect(mock.history.post.some(req => req.url.includes('cards'))).toBe(false);
-            expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE'));
+            expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE schedules'), expect.anything());
             expect(result.success).toBe(false);
             expect(result.status).toBe(409);
             expect(result.message).toContain('is still active');
         });
 
-        it('should create a card if the previous card is in the "Done" list', async () => {
-            const schedule = { ...baseSchedule, active_card_id: 'doneCardId' };
+        it('should create a card and close the previous one if it is in the "Done" list', async () => {
+            const schedule = { ...baseSchedule };
             const doneCard = { id: 'doneCardId', name: 'Done Task', closed: false, idList: appSettings.TRELLO_DONE_LIST_ID, due: '2024-08-19T12:00:00Z' };
+            pool.query.mockResolvedValueOnce({ rows: [{ ...openCardRow, trello_card_id: 'doneCardId' }] });
             mock.onGet(/cards\/doneCardId/).reply(200, doneCard);
 
             const result = await processCardCreationForSchedule(schedule, appSettings);
 
-            expect(calculateNextDueDate).toHaveBeenCalledWith(schedule, new Date(doneCard.due));
+            expect(pool.query).toHaveBeenCalledWith(
+                'UPDATE generated_cards SET status = $1, closed_at = $2, last_synced_at = NOW() WHERE id = $3',
+                ['done', expect.any(Date), openCardRow.id]
+            );
+            expect(calculateNextDueDate).toHaveBeenCalledWith(schedule, new Date(doneCard.due), expect.any(Date));
             expect(result.success).toBe(true);
             expect(result.status).toBe(201);
         });
 
+        it("should treat a card in the schedule's own done list as done", async () => {
+            const schedule = { ...baseSchedule, trello_board_id: 'otherBoard', trello_list_id: 'otherList', trello_done_list_id: 'otherDoneList' };
+            const doneCard = { id: 'doneCardId', name: 'Done Task', closed: false, idList: 'otherDoneList', due: '2024-08-19T12:00:00Z' };
+            pool.query.mockResolvedValueOnce({ rows: [{ ...openCardRow, trello_card_id: 'doneCardId' }] });
+            mock.onGet(/cards\/doneCardId/).reply(200, doneCard);
+            mock.onGet(/boards\/otherBoard\/members/).reply(200, [{ id: 'member1' }]);
+
+            const result = await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(pool.query).toHaveBeenCalledWith(
+                'UPDATE generated_cards SET status = $1, closed_at = $2, last_synced_at = NOW() WHERE id = $3',
+                ['done', expect.any(Date), openCardRow.id]
+            );
+            expect(JSON.parse(mock.history.post[0].data).idList).toBe('otherList');
+            expect(result.success).toBe(true);
+        });
+
+        it('should use the latest recorded due date when no card is open', async () => {
+            const schedule = { ...baseSchedule };
+            pool.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ last_due_date: '2024-08-19T12:00:00Z' }] });
+
+            await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(calculateNextDueDate).toHaveBeenCalledWith(schedule, new Date('2024-08-19T12:00:00Z'), expect.any(Date));
+        });
+
+        it('should allow another card while under the open card limit', async () => {
+            const schedule = { ...baseSchedule, overlap_policy: 'allow', max_open_cards: 2 };
+            pool.query.mockResolvedValueOnce({ rows: [openCardRow] });
+            mock.onGet(/cards\/activeCardId/).reply(200, activeCard);
+
+            const result = await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(calculateNextDueDate).toHaveBeenCalledWith(schedule, new Date(activeCard.due), expect.any(Date));
+            expect(result.success).toBe(true);
+        });
+
+        it('should continue from the newest card when it was closed before an older one', async () => {
+            const schedule = { ...baseSchedule, overlap_policy: 'allow', max_open_cards: 3 };
+            pool.query
+                .mockResolvedValueOnce({ rows: [openCardRow] }) // only the older card is still open
+                .mockResolvedValueOnce({ rows: [] }) // its sync time is updated
+                .mockResolvedValueOnce({ rows: [{ last_due_date: '2024-08-19T12:00:00Z' }] });
+            mock.onGet(/cards\/activeCardId/).reply(200, activeCard);
+
+            await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(calculateNextDueDate).toHaveBeenCalledWith(schedule, new Date('2024-08-19T12:00:00Z'), expect.any(Date));
+        });
+
+        it('should block creation once the open card limit is reached', async () => {
+            const schedule = { ...baseSchedule, overlap_policy: 'allow', max_open_cards: 2 };
+            pool.query.mockResolvedValueOnce({ rows: [openCardRow, { ...openCardRow, id: 6, trello_card_id: 'otherCardId' }] });
+            mock.onGet(/cards\/activeCardId/).reply(200, activeCard);
+            mock.onGet(/cards\/otherCardId/).reply(200, { ...activeCard, id: 'otherCardId' });
+
+            const result = await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(mock.history.post.some(req => req.url.includes('cards'))).toBe(false);
+            expect(result.status).toBe(409);
+            expect(result.message).toContain('2 open card(s)');
+        });
+
+        it('should archive the previous card when the overlap policy is archive', async () => {
+            const schedule = { ...baseSchedule, overlap_policy: 'archive' };
+            pool.query.mockResolvedValueOnce({ rows: [openCardRow] });
+            mock.onGet(/cards\/activeCardId/).reply(200, activeCard);
+            mock.onPut(/cards\/activeCardId/).reply(200, { ...activeCard, closed: true });
+
+            const result = await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(result.success).toBe(true);
+            expect(JSON.parse(mock.history.put[0].data)).toEqual({ closed: true });
+            expect(pool.query).toHaveBeenCalledWith("UPDATE generated_cards SET status = 'archived', closed_at = NOW() WHERE id = $1", [openCardRow.id]);
+        });
+
         it('should block creation if the next due date is past the schedule end date', async () => {
             const schedule = { ...baseSchedule, end_date: new Date('2024-08-19T23:59:59Z') };
             calculateNextDueDate.mockReturnValue(new Date('2024-08-20T12:00:00Z')); // This is after the end date
@@ -274,33 +547,241 @@ describe('Trello Service', () => {
             await processCardCreationForSchedule(schedule, appSettings);
 
             expect(calculateNextDueDate).toHaveBeenCalledTimes(2);
-            expect(calculateNextDueDate).toHaveBeenNthCalledWith(1, schedule, null);
+            expect(calculateNextDueDate).toHaveBeenNthCalledWith(1, schedule, null, expect.any(Date));
             expect(calculateNextDueDate).toHaveBeenNthCalledWith(2, schedule, null, schedule.start_date);
             const cardPayload = JSON.parse(mock.history.post.find(req => req.url.includes('cards')).data);
             expect(cardPayload.due).toBe(secondCalculatedDate.toISOString());
         });
 
-        it('should load checklist items from DB if not present on the schedule object', async () => {
-            const scheduleWithoutChecklist = { ...baseSchedule, checklist_name: 'My Checklist' };
-            const dbChecklistItems = { rows: [{ id: 1, item_name: 'DB Item' }] };
-            
-            // Isolate the DB mock for this test to avoid conflicts
-            pool.query.mockReset();
+        it('should number the card after the cards the schedule already created', async () => {
+            const schedule = { ...baseSchedule, title: 'Retro #{{occurrence_count}}' };
             pool.query
-                .mockResolvedValueOnce(dbChecklistItems) // For the SELECT call
-                .mockResolvedValueOnce({ rows: [] });    // For the subsequent UPDATE call
+                .mockResolvedValueOnce({ rows: [] }) // open cards
+                .mockResolvedValueOnce({ rows: [] }) // latest due date
+                .mockResolvedValueOnce({ rows: [{ count: 7 }] }); // cards created so far
+
+            await processCardCreationForSchedule(schedule, appSettings);
+
+            const cardPayload = JSON.parse(mock.history.post.find(req => req.url.includes('cards')).data);
+            expect(cardPayload.name).toBe('Retro #8');
+        });
+
+        it('should create a card for a given due date without checking the active card', async () => {
+            const schedule = { ...baseSchedule };
+            const missedDueDate = new Date('2024-08-18T13:00:00Z');
+
+            const result = await processCardCreationForSchedule(schedule, appSettings, null, 'run1', { dueDate: missedDueDate, trigger: 'catch_up' });
+
+            expect(calculateNextDueDate).not.toHaveBeenCalled();
+            expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining("status = 'open'"), expect.anything());
+            const cardPayload = JSON.parse(mock.history.post.find(req => req.url.includes('cards')).data);
+            expect(cardPayload.due).toBe(missedDueDate.toISOString());
+            expect(logAuditEvent).toHaveBeenCalledWith('INFO', expect.stringContaining('Card creation successful'), expect.objectContaining({ trigger: 'catch_up', runId: 'run1' }), null);
+            expect(result.success).toBe(true);
+        });
+
+        it('should defer a scheduled card until its planned creation date', async () => {
+            const schedule = { ...baseSchedule, lead_time_days: 3 };
+            const now = new Date('2024-08-16T05:00:00Z');
+            getPlannedCreationDate.mockReturnValue(new Date('2024-08-17T04:00:00Z'));
+
+            const result = await processCardCreationForSchedule(schedule, appSettings, null, 'run1', { now });
+
+            expect(calculateNextDueDate).toHaveBeenCalledWith(schedule, null, now);
+            expect(getPlannedCreationDate).toHaveBeenCalledWith(schedule, nextDueDate);
+            expect(mock.history.post.some(req => req.url.includes('cards'))).toBe(false);
+            expect(logAuditEvent).toHaveBeenCalledWith('INFO', 'Card creation deferred for schedule 1.', expect.objectContaining({ runId: 'run1' }), null);
+            expect(result.success).toBe(false);
+            expect(result.status).toBe(409);
+        });
+
+        it('should create a scheduled card once its planned creation date has arrived', async () => {
+            const schedule = { ...baseSchedule, lead_time_days: 3 };
+            getPlannedCreationDate.mockReturnValue(new Date('2024-08-17T04:00:00Z'));
+
+            const result = await processCardCreationForSchedule(schedule, appSettings, null, 'run1', { now: new Date('2024-08-17T05:00:00Z') });
+
+            expect(result.success).toBe(true);
+        });
+
+        it('should not apply the lead time to manual triggers', async () => {
+            const schedule = { ...baseSchedule, lead_time_days: 3 };
+            getPlannedCreationDate.mockReturnValue(new Date('2099-01-01T00:00:00Z'));
+
+            const result = await processCardCreationForSchedule(schedule, appSettings, { id: 1, username: 'admin' });
+
+            expect(result.success).toBe(true);
+        });
+
+        it('should defer a card created from a webhook until its planned creation date', async () => {
+            const schedule = { ...baseSchedule, lead_time_days: 3 };
+            getPlannedCreationDate.mockReturnValue(new Date('2099-01-01T00:00:00Z'));
+
+            const result = await processCardCreationForSchedule(schedule, appSettings, null, null, { trigger: 'webhook' });
+
+            expect(mock.history.post.some(req => req.url.includes('cards'))).toBe(false);
+            expect(result.outcome).toBe('deferred');
+        });
+
+        it('should assign a rotating schedule\'s card to the next member and save the new turn', async () => {
+            const schedule = { ...baseSchedule, assignment_mode: 'rotation', trello_member_ids: ['member1', 'member2'], rotation_cursor: 0 };
+            mock.onGet(/members/).reply(200, [{ id: 'member1' }, { id: 'member2' }]);
+            resolveRotationAssignee.mockResolvedValueOnce({ memberId: 'member2', nextCursor: 0, skippedMemberIds: ['member1'], everyoneAbsent: false });
+
+            const result = await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(resolveRotationAssignee).toHaveBeenCalledWith(schedule, nextDueDate);
+            const cardPayload = JSON.parse(mock.history.post.find(req => req.url.includes('cards')).data);
+            expect(cardPayload.idMembers).toEqual(['member2']);
+            expect(pool.query).toHaveBeenCalledWith('UPDATE schedules SET rotation_cursor = $1 WHERE id = $2', [0, schedule.id]);
+            expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO generated_cards'), expect.arrayContaining([['member2']]));
+            expect(logAuditEvent).toHaveBeenCalledWith('INFO', expect.stringContaining('Card creation successful'), expect.objectContaining({ assignee: 'member2', skippedAbsentMembers: ['member1'] }), null);
+            expect(result.success).toBe(true);
+        });
+
+        it('should not move the rotation on when the card could not be created', async () => {
+            const schedule = { ...baseSchedule, assignment_mode: 'rotation', rotation_cursor: 0 };
+            resolveRotationAssignee.mockResolvedValueOnce({ memberId: 'member1', nextCursor: 1, skippedMemberIds: [], everyoneAbsent: false });
+            mock.onPost(/cards/).reply(500);
+
+            const result = await processCardCreationForSchedule(schedule, appSettings);
+
+            expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('rotation_cursor'), expect.anything());
+            expect(schedule.rotation_cursor).toBe(0);
+            expect(result.success).toBe(false);
+        });
+
+        it('should load checklists from DB if not present on the schedule object', async () => {
+            const scheduleWithoutChecklist = { ...baseSchedule };
+            getScheduleChecklists.mockResolvedValueOnce([{ id: 1, name: 'My Checklist', items: [{ id: 1, item_name: 'DB Item' }] }]);
 
             // Mock checklist creation API calls
-            mock.onPost(/checklists\?idCard=/).reply(201, { id: 'checklist123' });
+            mock.onPost(/checklists\?key=/).reply(201, { id: 'checklist123' });
             mock.onPost(/checklists\/checklist123\/checkItems/).reply(200);
 
             await processCardCreationForSchedule(scheduleWithoutChecklist, appSettings);
 
-            expect(pool.query).toHaveBeenCalledWith('SELECT * FROM checklist_items WHERE schedule_id = $1 ORDER BY id ASC', [scheduleWithoutChecklist.id]);
+            expect(getScheduleChecklists).toHaveBeenCalledWith(scheduleWithoutChecklist.id);
             // Verify that the checklist item from the DB was sent to Trello
             expect(mock.history.post.find(req => req.url.includes('checkItems')).data).toContain('DB Item');
         });
 
+        it('should create cards while holding the schedule lock', async () => {
+            const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings);
+
+            expect(withScheduleLock).toHaveBeenCalledWith(baseSchedule.id, expect.any(Function));
+            expect(result.outcome).toBe('created');
+        });
+
+        it('should block card creation while another one runs for the same schedule', async () => {
+            withScheduleLock.mockResolvedValueOnce({ acquired: false });
+
+            const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings, null, 'run1');
+
+            expect(mock.history.post).toHaveLength(0);
+            expect(result).toEqual(expect.objectContaining({ success: false, outcome: 'blocked', status: 409 }));
+            expect(logAuditEvent).toHaveBeenCalledWith('INFO', `Card creation blocked for schedule ${baseSchedule.id}.`, expect.objectContaining({ runId: 'run1' }), null);
+        });
+
+        describe('repeated occurrences', () => {
+            const cardTracked = (sql) => Promise.resolve({ rows: sql.startsWith('SELECT id FROM generated_cards WHERE trello_card_id') ? [{ id: 9 }] : [] });
+
+            it('should record the occurrence before creating its card', async () => {
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings, null, 'run1');
+
+                expect(claimOccurrence).toHaveBeenCalledWith(baseSchedule.id, nextDueDate, 'run1');
+                expect(markOccurrenceCreated).toHaveBeenCalledWith(1, 'newCardId');
+                expect(result.outcome).toBe('created');
+            });
+
+            it('should not create a second card for an occurrence that already has one', async () => {
+                claimOccurrence.mockResolvedValueOnce({ occurrence: { id: 1, status: 'created', trello_card_id: 'earlierCardId' }, isNew: false });
+                pool.query.mockImplementation(cardTracked);
+
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings);
+
+                expect(mock.history.post).toHaveLength(0);
+                expect(result).toEqual(expect.objectContaining({ success: false, outcome: 'blocked', status: 409 }));
+                expect(result.message).toContain('was already created');
+            });
+
+            it('should record the card an interrupted attempt left on the list instead of creating another', async () => {
+                claimOccurrence.mockResolvedValueOnce({ occurrence: { id: 1, status: 'pending', trello_card_id: null }, isNew: false });
+                mock.onGet(/lists\/todoListId\/cards/).reply(200, [
+                    { id: 'otherCardId', name: baseSchedule.title, due: '2024-08-27T12:00:00.000Z' },
+                    { id: 'earlierCardId', name: baseSchedule.title, due: nextDueDate.toISOString() },
+                ]);
+
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings);
+
+                expect(mock.history.post).toHaveLength(0);
+                expect(markOccurrenceCreated).toHaveBeenCalledWith(1, 'earlierCardId');
+                expect(pool.query).toHaveBeenCalledWith(
+                    'INSERT INTO generated_cards (schedule_id, trello_card_id, due_date, trigger_type, run_id, created_by, trello_member_ids) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                    [baseSchedule.id, 'earlierCardId', nextDueDate, 'scheduled', null, null, ['member1']]
+                );
+                expect(result).toEqual(expect.objectContaining({ success: true, outcome: 'created', status: 201 }));
+            });
+
+            it('should create the card when an interrupted attempt did not get to it', async () => {
+                claimOccurrence.mockResolvedValueOnce({ occurrence: { id: 1, status: 'pending', trello_card_id: null }, isNew: false });
+                mock.onGet(/lists\/todoListId\/cards/).reply(200, []);
+
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings);
+
+                expect(mock.history.post.some(req => req.url.includes('cards'))).toBe(true);
+                expect(markOccurrenceCreated).toHaveBeenCalledWith(1, 'newCardId');
+                expect(result.outcome).toBe('created');
+            });
+        });
+
+        describe('dry run', () => {
+            it('should work out the card without creating it or recording anything', async () => {
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings, null, 'run1', { dryRun: true });
+
+                expect(withScheduleLock).not.toHaveBeenCalled();
+                expect(result).toEqual(expect.objectContaining({ success: true, outcome: 'would_create', status: 200 }));
+                expect(result.card).toEqual(expect.objectContaining({ name: 'Recurring Task', idList: 'todoListId', idMembers: ['member1'], due: nextDueDate.toISOString() }));
+                expect(mock.history.post).toHaveLength(0);
+                expect(pool.query).not.toHaveBeenCalledWith(expect.stringMatching(/INSERT|UPDATE/), expect.anything());
+                expect(logAuditEvent).not.toHaveBeenCalled();
+            });
+
+            it('should report an occurrence that already has a card as blocked, without claiming it', async () => {
+                findOccurrence.mockResolvedValueOnce({ id: 1, status: 'created', trello_card_id: 'earlierCardId' });
+                pool.query.mockImplementation(sql => Promise.resolve({ rows: sql.startsWith('SELECT id FROM generated_cards WHERE trello_card_id') ? [{ id: 9 }] : [] }));
+
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings, null, 'run1', { dryRun: true });
+
+                expect(findOccurrence).toHaveBeenCalledWith(baseSchedule.id, nextDueDate);
+                expect(claimOccurrence).not.toHaveBeenCalled();
+                expect(result).toEqual(expect.objectContaining({ success: false, outcome: 'blocked', status: 409 }));
+                expect(logAuditEvent).not.toHaveBeenCalled();
+            });
+
+            it('should report a blocked schedule without closing cards or logging', async () => {
+                pool.query.mockResolvedValueOnce({ rows: [openCardRow, { ...openCardRow, id: 6, trello_card_id: 'archivedCardId' }] });
+                mock.onGet(/cards\/activeCardId/).reply(200, activeCard);
+                mock.onGet(/cards\/archivedCardId/).reply(200, { ...activeCard, id: 'archivedCardId', closed: true });
+
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings, null, 'run1', { dryRun: true });
+
+                expect(result.outcome).toBe('blocked');
+                expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE generated_cards'), expect.anything());
+                expect(logAuditEvent).not.toHaveBeenCalled();
+            });
+
+            it('should report members who are not on the board as a failure', async () => {
+                mock.onGet(/members/).reply(200, [{ id: 'someoneElse' }]);
+
+                const result = await processCardCreationForSchedule({ ...baseSchedule }, appSettings, null, 'run1', { dryRun: true });
+
+                expect(result.outcome).toBe('failed');
+                expect(result.message).toContain('not on the Trello board: member1');
+                expect(logAuditEvent).not.toHaveBeenCalled();
+            });
+        });
+
         it('should return a failure response if createTrelloCard throws an error', async () => {
             mock.onPost(/cards/).reply(500, { message: 'Trello API Error' });
             
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import pool from '../db.js';
+import * as trelloService from './trelloService.js';
+import { loadPauseState } from './schedulerService.js';
+import logAuditEvent from '../utils/logger.js';
+
+/**
+ * @description Checks the X-Trello-Webhook signature of a webhook request. Trello signs the raw
+ * request body followed by the callback URL with HMAC-SHA1, keyed with the application's API secret.
+ * @param {Buffer|string} rawBody - The request body exactly as received.
+ * @param {string} callbackURL - The callback URL the webhook was registered with.
+ * @param {string} secret - The Trello API secret.
+ * @param {string} signature - The value of the X-Trello-Webhook header.
+ * @returns {boolean} True if the signature is valid.
+ */
+export const verifyTrelloSignature = (rawBody, callbackURL, secret, signature) => {
+    if (!rawBody || !callbackURL || !secret || !signature) {
+        return false;
+    }
+    const content = Buffer.concat([Buffer.from(rawBody), Buffer.from(callbackURL)]);
+    const expected = Buffer.from(crypto.createHmac('sha1', secret).update(content).digest('base64'));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * @description Registers a webhook on the configured board that posts card events to the callback URL.
+ * Trello checks the callback URL with a HEAD request before accepting the webhook.
+ * @param {object} appSettings - The application settings object.
+ * @returns {Promise<object>} The webhook object created by Trello.
+ * @throws {Error} If the board, callback URL or credentials are not configured.
+ */
+export const registerBoardWebhook = async (appSettings) => {
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN, TRELLO_BOARD_ID, TRELLO_WEBHOOK_CALLBACK_URL } = appSettings;
+    if (!TRELLO_API_KEY || !TRELLO_API_TOKEN || !TRELLO_BOARD_ID || !TRELLO_WEBHOOK_CALLBACK_URL) {
+        throw new Error('Trello credentials, a board and a webhook callback URL must be configured.');
+    }
+    const url = `https://api.trello.com/1/webhooks?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`;
+    const response = await axios.post(url, {
+        idModel: TRELLO_BOARD_ID,
+        callbackURL: TRELLO_WEBHOOK_CALLBACK_URL,
+        description: 'Trello Card Scheduler',
+    });
+    return response.data;
+};
+
+/**
+ * @description Deletes a webhook. A webhook that no longer exists on Trello counts as deleted.
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {object} appSettings - The application settings object.
+ */
+export const deleteWebhook = async (webhookId, appSettings) => {
+    const { TRELLO_API_KEY, TRELLO_API_TOKEN } = appSettings;
+    try {
+        await axios.delete(`https://api.trello.com/1/webhooks/${webhookId}?key=${TRELLO_API_KEY}&token=${TRELLO_API_TOKEN}`);
+    } catch (error) {
+        if (!error.response || error.response.status !== 404) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * @description Builds the current state of a card from a webhook action, in the shape returned by
+ * getTrelloCard, so it can be passed to updateGeneratedCardStatus.
+ * @param {object} action - The action from the webhook payload.
+ * @returns {object|null} The card state, or null if the card was deleted.
+ */
+const getCardStateFromAction = (action) => {
+    if (action.type === 'deleteCard') {
+        return null;
+    }
+    const { card, listAfter } = action.data;
+    return {
+        id: card.id,
+        name: card.name,
+        idList: listAfter?.id || card.idList,
+        closed: Boolean(card.closed),
+        dateLastActivity: action.date,
+    };
+};
+
+/**
+ * @description Handles a webhook event from Trello. When a generated card is completed, archived
+ * or deleted, its state is updated straight away and, if the schedule is set up for it and the
+ * scheduler is not paused, the next card is created.
+ * @param {object} payload - The parsed webhook payload.
+ * @param {object} appSettings - The application settings object.
+ * @returns {Promise<{handled: boolean, result?: object}>} Whether the event closed a generated card,
+ * and the result of creating the next card if one was attempted.
+ */
+export const handleTrelloWebhookEvent = async (payload, appSettings) => {
+    const action = payload?.action;
+    if (!action || !['updateCard', 'deleteCard'].includes(action.type) || !action.data?.card?.id) {
+        return { handled: false };
+    }
+
+    const { rows } = await pool.query(
+        "SELECT * FROM generated_cards WHERE trello_card_id = $1 AND status = 'open'",
+        [action.data.card.id]
+    );
+    if (rows.length === 0) {
+        return { handled: false };
+    }
+
+    const generatedCard = rows[0];
+    const { rows: scheduleRows } = await pool.query('SELECT * FROM schedules WHERE id = $1', [generatedCard.schedule_id]);
+    const schedule = scheduleRows[0];
+    const scheduleSettings = schedule ? await trelloService.getScheduleTrelloSettings(schedule, appSettings) : appSettings;
+    const isOpen = await trelloService.updateGeneratedCardStatus(generatedCard, getCardStateFromAction(action), scheduleSettings);
+    if (isOpen) {
+        return { handled: false };
+    }
+
+    await logAuditEvent('INFO', `Webhook: card ${generatedCard.trello_card_id} of schedule ${generatedCard.schedule_id} is no longer open.`, { scheduleId: generatedCard.schedule_id, actionType: action.type });
+
+    if (!schedule || !schedule.is_active || !schedule.create_next_on_completion) {
+        return { handled: true };
+    }
+    if (await loadPauseState()) {
+        await logAuditEvent('INFO', `Webhook: next card of schedule ${schedule.id} not created. The scheduler is paused.`, { scheduleId: schedule.id });
+        return { handled: true };
+    }
+    const result = await trelloService.processCardCreationForSchedule(schedule, appSettings, null, null, { trigger: 'webhook' });
+    return { handled: true, result };
+};
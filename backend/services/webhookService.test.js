@@ -0,0 +1,139 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+
+jest.unstable_mockModule('../db.js', () => ({
+    default: {
+        query: jest.fn(),
+    }
+}));
+
+jest.unstable_mockModule('../utils/logger.js', () => ({
+    default: jest.fn(),
+}));
+
+jest.unstable_mockModule('./trelloService.js', () => ({
+    getScheduleTrelloSettings: jest.fn((schedule, appSettings) => ({ ...appSettings, TRELLO_DONE_LIST_ID: schedule.trello_done_list_id || appSettings.TRELLO_DONE_LIST_ID })),
+    updateGeneratedCardStatus: jest.fn(),
+    processCardCreationForSchedule: jest.fn(),
+}));
+
+jest.unstable_mockModule('./schedulerService.js', () => ({
+    loadPauseState: jest.fn(),
+}));
+
+const pool = (await import('../db.js')).default;
+const { loadPauseState } = await import('./schedulerService.js');
+const trelloService = await import('./trelloService.js');
+const { verifyTrelloSignature, handleTrelloWebhookEvent } = await import('./webhookService.js');
+
+describe('verifyTrelloSignature', () => {
+    const secret = 'app-secret';
+    const callbackURL = 'https://scheduler.example.com/api/webhooks/trello';
+    const rawBody = Buffer.from(JSON.stringify({ action: { type: 'updateCard', data: { card: { name: 'Café' } } } }));
+    const sign = (body) => crypto.createHmac('sha1', secret).update(Buffer.concat([body, Buffer.from(callbackURL)])).digest('base64');
+
+    it('should accept a valid signature', () => {
+        expect(verifyTrelloSignature(rawBody, callbackURL, secret, sign(rawBody))).toBe(true);
+    });
+
+    it('should reject a signature for a different body', () => {
+        expect(verifyTrelloSignature(rawBody, callbackURL, secret, sign(Buffer.from('{}')))).toBe(false);
+    });
+
+    it('should reject a signature made for a different callback URL', () => {
+        expect(verifyTrelloSignature(rawBody, 'https://other.example.com/hook', secret, sign(rawBody))).toBe(false);
+    });
+
+    it('should reject requests without a signature or secret', () => {
+        expect(verifyTrelloSignature(rawBody, callbackURL, secret, undefined)).toBe(false);
+        expect(verifyTrelloSignature(rawBody, callbackURL, '', sign(rawBody))).toBe(false);
+    });
+});
+
+describe('handleTrelloWebhookEvent', () => {
+    const appSettings = { TRELLO_DONE_LIST_ID: 'doneListId' };
+    const generatedCard = { id: 10, schedule_id: 1, trello_card_id: 'card1', status: 'open' };
+    const movedToDone = {
+        action: {
+            type: 'updateCard',
+            date: '2024-08-20T15:00:00.000Z',
+            data: { card: { id: 'card1', name: 'Weekly report' }, listBefore: { id: 'todoListId' }, listAfter: { id: 'doneListId' } },
+        },
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        loadPauseState.mockResolvedValue(null);
+    });
+
+    it('should close the card and create the next one when the schedule is configured to', async () => {
+        const schedule = { id: 1, is_active: true, create_next_on_completion: true };
+        pool.query
+            .mockResolvedValueOnce({ rows: [generatedCard] })
+            .mockResolvedValueOnce({ rows: [schedule] });
+        trelloService.updateGeneratedCardStatus.mockResolvedValueOnce(false);
+        trelloService.processCardCreationForSchedule.mockResolvedValueOnce({ success: true });
+
+        const outcome = await handleTrelloWebhookEvent(movedToDone, appSettings);
+
+        expect(trelloService.updateGeneratedCardStatus).toHaveBeenCalledWith(
+            generatedCard,
+            expect.objectContaining({ idList: 'doneListId', closed: false, dateLastActivity: movedToDone.action.date }),
+            appSettings
+        );
+        expect(trelloService.processCardCreationForSchedule).toHaveBeenCalledWith(schedule, appSettings, null, null, { trigger: 'webhook' });
+        expect(outcome).toEqual({ handled: true, result: { success: true } });
+    });
+
+    it('should not create the next card while the scheduler is paused', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [generatedCard] })
+            .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, create_next_on_completion: true }] });
+        trelloService.updateGeneratedCardStatus.mockResolvedValueOnce(false);
+        loadPauseState.mockResolvedValueOnce({ pausedBy: 'admin', pausedAt: '2024-08-20T14:00:00.000Z' });
+
+        const outcome = await handleTrelloWebhookEvent(movedToDone, appSettings);
+
+        expect(trelloService.processCardCreationForSchedule).not.toHaveBeenCalled();
+        expect(outcome).toEqual({ handled: true });
+    });
+
+    it('should only update the card state when the schedule does not create the next card', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [generatedCard] })
+            .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, create_next_on_completion: false }] });
+        trelloService.updateGeneratedCardStatus.mockResolvedValueOnce(false);
+
+        const outcome = await handleTrelloWebhookEvent(movedToDone, appSettings);
+
+        expect(trelloService.processCardCreationForSchedule).not.toHaveBeenCalled();
+        expect(outcome).toEqual({ handled: true });
+    });
+
+    it('should treat a deleted card as archived', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [generatedCard] })
+            .mockResolvedValueOnce({ rows: [] });
+        trelloService.updateGeneratedCardStatus.mockResolvedValueOnce(false);
+
+        await handleTrelloWebhookEvent({ action: { type: 'deleteCard', data: { card: { id: 'card1' } } } }, appSettings);
+
+        expect(trelloService.updateGeneratedCardStatus).toHaveBeenCalledWith(generatedCard, null, appSettings);
+    });
+
+    it('should ignore cards that were not generated by a schedule', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+
+        const outcome = await handleTrelloWebhookEvent(movedToDone, appSettings);
+
+        expect(trelloService.updateGeneratedCardStatus).not.toHaveBeenCalled();
+        expect(outcome).toEqual({ handled: false });
+    });
+
+    it('should ignore actions that are not card updates', async () => {
+        const outcome = await handleTrelloWebhookEvent({ action: { type: 'commentCard', data: { card: { id: 'card1' } } } }, appSettings);
+
+        expect(pool.query).not.toHaveBeenCalled();
+        expect(outcome).toEqual({ handled: false });
+    });
+});
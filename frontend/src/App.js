@@ -17,6 +17,12 @@ import ProtectedRoute from './components/ProtectedRoute';
 import UserManagementPage from './components/UserManagementPage';
 import DashboardPage from './components/DashboardPage';
 import ReleasesPage from './components/ReleasesPage';
+import CalendarPage from './components/CalendarPage';
+import AbsencesPage from './components/AbsencesPage';
+import ImportCardsPage from './components/ImportCardsPage';
+import ScheduleTransferPage from './components/ScheduleTransferPage';
+import SchedulerDryRunPage from './components/SchedulerDryRunPage';
+import SchedulerRunsPage from './components/SchedulerRunsPage';
 import ThemeToggle from './components/ThemeToggle'; // Import the new component
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
@@ -31,6 +37,12 @@ const PlusIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 2
 const SettingsIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><circle cx="12" cy="12" r="3"></circle><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06-.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"></path></svg>;
 const AuditLogIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><path d="M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z"></path><path d="M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z"></path></svg>;
 const UsersIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle><path d="M23 21v-2a4 4 0 0 0-3-3.87"></path><path d="M16 3.13a4 4 0 0 1 0 7.75"></path></svg>;
+const CalendarIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect><line x1="16" y1="2" x2="16" y2="6"></line><line x1="8" y1="2" x2="8" y2="6"></line><line x1="3" y1="10" x2="21" y2="10"></line></svg>;
+const ImportIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>;
+const AbsenceIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="8.5" cy="7" r="4"></circle><line x1="18" y1="8" x2="23" y2="13"></line><line x1="23" y1="8" x2="18" y2="13"></line></svg>;
+const TransferIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><polyline points="17 1 21 5 17 9"></polyline><path d="M3 11V9a4 4 0 0 1 4-4h14"></path><polyline points="7 23 3 19 7 15"></polyline><path d="M21 13v2a4 4 0 0 1-4 4H3"></path></svg>;
+const DryRunIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>;
+const RunHistoryIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>;
 const DashboardIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="14" y="14" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect></svg>;
 
 /**
@@ -64,7 +76,7 @@ function App() {
     // Form-related state
     const [isEditing, setIsEditing] = useState(false);
     const [selectedScheduleId, setSelectedScheduleId] = useState(null);
-    const initialFormState = { title: '', owner_name: '', description: '', category: '', frequency: 'daily', frequency_interval: 1, frequency_details: '1', start_date: '', end_date: '', trigger_hour: '09', trigger_minute: '00', trigger_ampm: 'am', trello_label_ids: [], checklist_name: '', is_active: true };
+    const initialFormState = { title: '', owner_name: '', description: '', category: '', frequency: 'daily', frequency_interval: 1, frequency_details: '1', start_date: '', end_date: '', trigger_hour: '09', trigger_minute: '00', trigger_ampm: 'am', non_working_day_policy: 'none', catch_up_policy: 'skip', lead_time_days: 0, overlap_policy: 'block', max_open_cards: 1, create_next_on_completion: false, connection_id: null, trello_board_id: '', trello_list_id: '', trello_done_list_id: '', trello_label_ids: [], attachment_urls: [], custom_field_values: [], cover_color: null, card_position: 'bottom', watch_card: false, assignment_mode: 'all', template_card_id: null, template_keep_from_source: ['attachments', 'checklists', 'customFields', 'labels', 'stickers'], checklists: [], is_active: true };
     const [formData, setFormData] = useState(initialFormState);
 
     // Modal-related state
@@ -73,6 +85,8 @@ function App() {
 
     // Other state
     const [isTrelloConfigured, setIsTrelloConfigured] = useState(true);
+    const [defaultTimeZone, setDefaultTimeZone] = useState('');
+    const [defaultBoardId, setDefaultBoardId] = useState('');
     const [statusKey, setStatusKey] = useState(0);
     const [triggeringId, setTriggeringId] = useState(null);
     const [collapsedCategories, setCollapsedCategories] = useState(() => {
@@ -134,6 +148,8 @@ function App() {
             try {
                 const res = await apiClient.get('/api/settings');
                 setIsTrelloConfigured(res.data.isConfigured);
+                setDefaultTimeZone(res.data.DEFAULT_TIME_ZONE || '');
+                setDefaultBoardId(res.data.TRELLO_BOARD_ID || '');
             } catch {
                 setIsTrelloConfigured(false);
             }
@@ -209,6 +225,11 @@ function App() {
         setExpandedItemId(prevId => (prevId === schedule.id ? null : schedule.id));
     };
     
+    const handleCalendarSelect = (scheduleId) => {
+        const schedule = Object.values(schedules).flat().find(s => s.id === scheduleId);
+        if (schedule) handleItemSelect(schedule);
+    };
+
     const handleDeleteClick = (schedule) => {
         setScheduleToDelete(schedule);
         setShowDeleteModal(true);
@@ -232,7 +253,7 @@ function App() {
         setTriggeringId(scheduleId);
         try {
             const { data: newCard } = await apiClient.post(`/api/schedules/${scheduleId}/trigger`);
-            setFormData(prev => ({ ...prev, active_card_id: newCard.id }));
+            setFormData(prev => ({ ...prev, open_cards: [...(prev.open_cards || []), { id: newCard.id, trello_card_id: newCard.id, due_date: newCard.due }] }));
             toast.success("Card created successfully!");
             await loadAllData();
         } catch (error) {
@@ -312,6 +333,31 @@ function App() {
                             >
                                 <PlusIcon /> <span className="ml-2">Schedule a New Card</span>
                             </button>
+                            <button 
+                                onClick={() => setActiveView('import')} 
+                                disabled={!isTrelloConfigured} 
+                                className={`w-full flex items-center justify-center mt-2 px-4 py-2 rounded-lg text-text-secondary hover:bg-surface-hover disabled:opacity-50 disabled:cursor-not-allowed ${activeView === 'import' && 'bg-surface-hover font-bold'}`}
+                            >
+                                <ImportIcon /> <span className="ml-2">Import Cards from Trello</span>
+                            </button>
+                            <button 
+                                onClick={() => setActiveView('calendar')} 
+                                className={`w-full flex items-center justify-center mt-2 px-4 py-2 rounded-lg text-text-secondary hover:bg-surface-hover ${activeView === 'calendar' && 'bg-surface-hover font-bold'}`}
+                            >
+                                <CalendarIcon /> <span className="ml-2">Upcoming Cards Calendar</span>
+                            </button>
+                            <button 
+                                onClick={() => setActiveView('absences')} 
+                                className={`w-full flex items-center justify-center mt-2 px-4 py-2 rounded-lg text-text-secondary hover:bg-surface-hover ${activeView === 'absences' && 'bg-surface-hover font-bold'}`}
+                            >
+                                <AbsenceIcon /> <span className="ml-2">Absences</span>
+                            </button>
+                            <button 
+                                onClick={() => setActiveView('transfer')} 
+                                className={`w-full flex items-center justify-center mt-2 px-4 py-2 rounded-lg text-text-secondary hover:bg-surface-hover ${activeView === 'transfer' && 'bg-surface-hover font-bold'}`}
+                            >
+                                <TransferIcon /> <span className="ml-2">Export &amp; Import</span>
+                            </button>
                         </div>
                     </div>
 
@@ -350,6 +396,7 @@ function App() {
                             onManualTrigger={handleManualTrigger}
                             collapsedCategories={collapsedCategories}
                             onToggleCategory={toggleCategory}
+                            defaultTimeZone={defaultTimeZone}
                         />
                     </div>
 
@@ -367,6 +414,12 @@ function App() {
                                 <button onClick={() => setActiveView('audit')} className={`w-full flex items-center px-3 py-2 text-text-secondary hover:bg-surface-hover rounded-md ${activeView === 'audit' && 'bg-surface-hover font-bold'}`}>
                                     <AuditLogIcon /> <span className="ml-3">Audit Log</span>
                                 </button>
+                                <button onClick={() => setActiveView('dry-run')} className={`w-full flex items-center px-3 py-2 text-text-secondary hover:bg-surface-hover rounded-md ${activeView === 'dry-run' && 'bg-surface-hover font-bold'}`}>
+                                    <DryRunIcon /> <span className="ml-3">Scheduler Dry Run</span>
+                                </button>
+                                <button onClick={() => setActiveView('runs')} className={`w-full flex items-center px-3 py-2 text-text-secondary hover:bg-surface-hover rounded-md ${activeView === 'runs' && 'bg-surface-hover font-bold'}`}>
+                                    <RunHistoryIcon /> <span className="ml-3">Scheduler Runs</span>
+                                </button>
                                 <button onClick={() => setActiveView('users')} className={`w-full flex items-center px-3 py-2 text-text-secondary hover:bg-surface-hover rounded-md ${activeView === 'users' && 'bg-surface-hover font-bold'}`}>
                                     <UsersIcon /> <span className="ml-3">User Management</span>
                                 </button>
@@ -405,11 +458,19 @@ function App() {
                                 onCancel={() => resetForm(true)}
                                 onManualTrigger={handleManualTrigger}
                                 onToggleActive={handleToggleActive}
+                                defaultTimeZone={defaultTimeZone}
+                                defaultBoardId={defaultBoardId}
                             />
                         )}
+                        {activeView === 'calendar' && <CalendarPage onSelectSchedule={handleCalendarSelect} />}
+                        {activeView === 'absences' && <AbsencesPage trelloMembers={trelloMembers} />}
+                        {activeView === 'import' && <ImportCardsPage defaultBoardId={defaultBoardId} onDone={() => { loadAllData(); setActiveView('welcome'); }} />}
+                        {activeView === 'transfer' && <ScheduleTransferPage onImported={loadAllData} />}
                         {isAdmin && activeView === 'dashboard' && <DashboardPage />}
                         {activeView === 'releases' && <ReleasesPage />}
                         {isAdmin && activeView === 'audit' && <AuditLogViewer />}
+                        {isAdmin && activeView === 'dry-run' && <SchedulerDryRunPage />}
+                        {isAdmin && activeView === 'runs' && <SchedulerRunsPage />}
                         {isAdmin && activeView === 'settings' && <SettingsPage onSettingsSaved={() => { setStatusKey(prev => prev + 1); loadAllData(); }} />}
                         {isAdmin && activeView === 'users' && <UserManagementPage />}
                     </div>
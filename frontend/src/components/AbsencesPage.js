@@ -0,0 +1,127 @@
+/**
+ * @file frontend/src/components/AbsencesPage.js
+ * @description Lets users record when team members are away, so rotating schedules skip them.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../api';
+
+const EMPTY_ABSENCE = { trello_member_id: '', start_date: '', end_date: '', note: '' };
+
+/**
+ * @description Formats a 'YYYY-MM-DD' date for display without shifting it across time zones.
+ * @param {string} dateString - The date.
+ * @returns {string} The formatted date.
+ */
+const formatAbsenceDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * @description A page listing member absences, with a form to add one.
+ * @param {object} props - The component props.
+ * @param {object[]} props.trelloMembers - The members of the default Trello board.
+ */
+const AbsencesPage = ({ trelloMembers }) => {
+    const [absences, setAbsences] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [newAbsence, setNewAbsence] = useState(EMPTY_ABSENCE);
+
+    const fetchAbsences = useCallback(async () => {
+        try {
+            const res = await apiClient.get('/api/absences');
+            setAbsences(res.data);
+        } catch (err) {
+            toast.error('Failed to load absences.');
+        }
+        setIsLoading(false);
+    }, []);
+
+    useEffect(() => {
+        fetchAbsences();
+    }, [fetchAbsences]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setNewAbsence(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const member = trelloMembers.find(m => m.id === newAbsence.trello_member_id);
+        try {
+            await apiClient.post('/api/absences', {
+                ...newAbsence,
+                end_date: newAbsence.end_date || newAbsence.start_date,
+                member_name: member?.fullName || null,
+            });
+            setNewAbsence(EMPTY_ABSENCE);
+            toast.success('Absence added.');
+            fetchAbsences();
+        } catch (err) {
+            toast.error(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Failed to add absence.');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await apiClient.delete(`/api/absences/${id}`);
+            setAbsences(prev => prev.filter(absence => absence.id !== id));
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to delete absence.');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-text-primary">Absences</h2>
+                <p className="text-sm text-text-muted">Schedules that rotate between members skip anyone who is away on a card's due date.</p>
+            </div>
+            <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2">
+                <div>
+                    <label htmlFor="trello_member_id" className="form-label">Member</label>
+                    <select id="trello_member_id" name="trello_member_id" value={newAbsence.trello_member_id} onChange={handleChange} className="form-input" required>
+                        <option value="">Select a member...</option>
+                        {trelloMembers.map(member => <option key={member.id} value={member.id}>{member.fullName}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="start_date" className="form-label">From</label>
+                    <input type="date" id="start_date" name="start_date" value={newAbsence.start_date} onChange={handleChange} className="form-input" required />
+                </div>
+                <div>
+                    <label htmlFor="end_date" className="form-label">Until</label>
+                    <input type="date" id="end_date" name="end_date" value={newAbsence.end_date} min={newAbsence.start_date} onChange={handleChange} className="form-input" />
+                </div>
+                <div className="flex-grow">
+                    <label htmlFor="note" className="form-label">Note</label>
+                    <input type="text" id="note" name="note" value={newAbsence.note} onChange={handleChange} className="form-input" placeholder="e.g., Vacation" maxLength={255} />
+                </div>
+                <button type="submit" className="form-button-primary">Add</button>
+            </form>
+            {isLoading ? (
+                <p className="text-center text-sm text-text-muted p-4">Loading...</p>
+            ) : absences.length === 0 ? (
+                <p className="text-center text-sm text-text-muted p-4">No absences recorded.</p>
+            ) : (
+                <ul className="divide-y divide-border-color">
+                    {absences.map(absence => (
+                        <li key={absence.id} className="flex justify-between items-center py-2">
+                            <span className="text-sm text-text-primary">
+                                <span className="font-medium">{absence.member_name || absence.trello_member_id}</span>
+                                {' '}&mdash; {formatAbsenceDate(absence.start_date)}
+                                {absence.end_date !== absence.start_date && ` to ${formatAbsenceDate(absence.end_date)}`}
+                                {absence.note && <span className="text-text-muted"> ({absence.note})</span>}
+                            </span>
+                            <button type="button" onClick={() => handleDelete(absence.id)} className="text-sm text-danger hover:underline">Delete</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default AbsencesPage;
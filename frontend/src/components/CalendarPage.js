@@ -0,0 +1,151 @@
+/**
+ * @file frontend/src/components/CalendarPage.js
+ * @description A month/week calendar that plots the upcoming cards of all active schedules.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import apiClient from '../api';
+
+// --- Helper Components ---
+const Spinner = () => <div className="flex justify-center items-center p-10"><div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div></div>;
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @description Returns a 'YYYY-MM-DD' key for the local calendar date of a Date.
+ * @param {Date} date - The date.
+ * @returns {string} The date key.
+ */
+const toDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * @description Calculates the days shown for a view. Month views are padded to whole weeks.
+ * @param {Date} anchorDate - Any date within the period to show.
+ * @param {'month'|'week'} view - The calendar view.
+ * @returns {Date[]} The days to render, starting on a Sunday.
+ */
+const getVisibleDays = (anchorDate, view) => {
+    const start = view === 'month'
+        ? new Date(anchorDate.getFullYear(), anchorDate.getMonth(), 1)
+        : new Date(anchorDate.getFullYear(), anchorDate.getMonth(), anchorDate.getDate());
+    start.setDate(start.getDate() - start.getDay());
+
+    let dayCount = 7;
+    if (view === 'month') {
+        const monthEnd = new Date(anchorDate.getFullYear(), anchorDate.getMonth() + 1, 0);
+        const daysThroughMonthEnd = Math.round((monthEnd - start) / (24 * 60 * 60 * 1000)) + 1;
+        dayCount = Math.ceil(daysThroughMonthEnd / 7) * 7;
+    }
+
+    return Array.from({ length: dayCount }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+};
+
+/**
+ * @description A page that plots every upcoming card across all active schedules.
+ * @param {object} props - The component props.
+ * @param {function} props.onSelectSchedule - Called with a schedule ID when an entry is clicked.
+ */
+const CalendarPage = ({ onSelectSchedule }) => {
+    const [view, setView] = useState('month');
+    const [anchorDate, setAnchorDate] = useState(() => new Date());
+    const [occurrences, setOccurrences] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const visibleDays = useMemo(() => getVisibleDays(anchorDate, view), [anchorDate, view]);
+
+    useEffect(() => {
+        const fetchOccurrences = async () => {
+            setIsLoading(true);
+            setError('');
+            const rangeStart = visibleDays[0];
+            const lastDay = visibleDays[visibleDays.length - 1];
+            const rangeEnd = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1);
+            // Past days cannot have upcoming cards, so start the query no earlier than now.
+            const now = new Date();
+            const from = rangeStart > now ? rangeStart : now;
+            try {
+                if (from < rangeEnd) {
+                    const res = await apiClient.get('/api/schedules/occurrences', { params: { from: from.toISOString(), to: rangeEnd.toISOString() } });
+                    setOccurrences(res.data.occurrences);
+                } else {
+                    setOccurrences([]);
+                }
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to load upcoming cards.');
+                setOccurrences([]);
+            }
+            setIsLoading(false);
+        };
+        fetchOccurrences();
+    }, [visibleDays]);
+
+    const occurrencesByDay = useMemo(() => occurrences.reduce((acc, occurrence) => {
+        const key = toDayKey(new Date(occurrence.due_date));
+        if (!acc[key]) acc[key] = [];
+        acc[key].push(occurrence);
+        return acc;
+    }, {}), [occurrences]);
+
+    const movePeriod = (direction) => {
+        setAnchorDate(prev => (view === 'month'
+            ? new Date(prev.getFullYear(), prev.getMonth() + direction, 1)
+            : new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + 7 * direction)));
+    };
+
+    const title = view === 'month'
+        ? anchorDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+        : `${visibleDays[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${visibleDays[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    const todayKey = toDayKey(new Date());
+
+    return (
+        <div className="bg-surface p-6 rounded-2xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h2 className="text-3xl font-semibold text-text-primary">{title}</h2>
+                <div className="flex items-center gap-2">
+                    <select value={view} onChange={(e) => setView(e.target.value)} className="form-input w-auto">
+                        <option value="month">Month</option>
+                        <option value="week">Week</option>
+                    </select>
+                    <button type="button" onClick={() => movePeriod(-1)} className="form-button-secondary">&lsaquo;</button>
+                    <button type="button" onClick={() => setAnchorDate(new Date())} className="form-button-secondary">Today</button>
+                    <button type="button" onClick={() => movePeriod(1)} className="form-button-secondary">&rsaquo;</button>
+                </div>
+            </div>
+
+            {error && <p className="text-danger bg-red-100 p-3 rounded-lg text-center mb-4">{error}</p>}
+
+            {isLoading ? <Spinner /> : (
+                <div className="grid grid-cols-7 border-t border-l border-border-color">
+                    {WEEKDAY_LABELS.map(label => (
+                        <div key={label} className="p-2 text-xs font-semibold uppercase text-text-muted border-r border-b border-border-color">{label}</div>
+                    ))}
+                    {visibleDays.map(day => {
+                        const key = toDayKey(day);
+                        const dayOccurrences = occurrencesByDay[key] || [];
+                        const isOutsideMonth = view === 'month' && day.getMonth() !== anchorDate.getMonth();
+                        return (
+                            <div key={key} className={`p-1 border-r border-b border-border-color ${view === 'month' ? 'min-h-24' : 'min-h-64'} ${isOutsideMonth ? 'bg-surface-muted' : ''}`}>
+                                <div className={`text-xs text-right mb-1 ${key === todayKey ? 'font-bold text-text-accent' : 'text-text-muted'}`}>{day.getDate()}</div>
+                                <div className="space-y-1">
+                                    {dayOccurrences.map(occurrence => (
+                                        <button
+                                            key={`${occurrence.schedule_id}-${occurrence.due_date}`}
+                                            type="button"
+                                            onClick={() => onSelectSchedule && onSelectSchedule(occurrence.schedule_id)}
+                                            className="w-full text-left text-xs px-1 py-0.5 rounded bg-primary text-primary-text truncate hover:bg-primary-hover"
+                                            title={`${occurrence.title} (${occurrence.category || 'Uncategorized'})${occurrence.planned_creation_date ? ` – created ${new Date(occurrence.planned_creation_date).toLocaleDateString()}` : ''}`}
+                                        >
+                                            {new Date(occurrence.due_date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} {occurrence.title}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CalendarPage;
@@ -0,0 +1,143 @@
+/**
+ * @file frontend/src/components/CardDetailsEditor.js
+ * @description The Card Details tab of the schedule form: attachments, custom fields, cover, position and watching.
+ */
+import React, { useState, useEffect } from 'react';
+import apiClient from '../api';
+
+const COVER_COLORS = ['green', 'yellow', 'orange', 'red', 'purple', 'blue', 'sky', 'lime', 'pink', 'black'];
+
+// The custom field types a schedule can set a value for.
+const FIELD_TYPES = ['text', 'number', 'date', 'checkbox', 'list'];
+
+const MAX_ATTACHMENTS = 10;
+
+/**
+ * @description Renders the input for one custom field value, according to the field's type.
+ * @param {object} props - The component props.
+ * @param {object} props.field - The custom field from the board.
+ * @param {string} props.value - The current value.
+ * @param {function} props.onChange - Called with the new value.
+ */
+const CustomFieldInput = ({ field, value, onChange }) => {
+    switch (field.type) {
+        case 'checkbox':
+            return (
+                <input type="checkbox" checked={value === 'true'} onChange={(e) => onChange(e.target.checked ? 'true' : '')} className="h-4 w-4 rounded border-gray-300 text-primary focus:ring-primary" />
+            );
+        case 'list':
+            return (
+                <select value={value} onChange={(e) => onChange(e.target.value)} className="form-input">
+                    <option value="">Not set</option>
+                    {field.options.map(option => <option key={option.id} value={option.id}>{option.text}</option>)}
+                </select>
+            );
+        case 'number':
+            return <input type="number" value={value} onChange={(e) => onChange(e.target.value)} className="form-input" />;
+        default:
+            // Text and date fields may use template placeholders, e.g. {{due_date:YYYY-MM-DD}}.
+            return <input type="text" value={value} onChange={(e) => onChange(e.target.value)} className="form-input" placeholder={field.type === 'date' ? '{{due_date:YYYY-MM-DD}}' : ''} />;
+    }
+};
+
+/**
+ * @description Edits the extra details that are added to every card a schedule creates.
+ * @param {object} props - The component props.
+ * @param {object} props.formData - The schedule form's current data.
+ * @param {function} props.onChange - Called with an object of the fields that changed.
+ * @param {string} props.boardId - The board the schedule's cards are created on.
+ * @param {object} props.connectionParams - Query parameters that select the schedule's Trello connection.
+ */
+const CardDetailsEditor = ({ formData, onChange, boardId, connectionParams }) => {
+    const [customFields, setCustomFields] = useState([]);
+    const [fieldsError, setFieldsError] = useState('');
+    const attachmentUrls = formData.attachment_urls || [];
+    const customFieldValues = formData.custom_field_values || [];
+
+    useEffect(() => {
+        if (!boardId) {
+            setCustomFields([]);
+            return;
+        }
+        setFieldsError('');
+        apiClient.get(`/api/trello/custom-fields/${boardId}`, { params: connectionParams })
+            .then(res => setCustomFields(res.data.filter(field => FIELD_TYPES.includes(field.type))))
+            .catch(() => {
+                setCustomFields([]);
+                setFieldsError('Failed to load the custom fields of the board.');
+            });
+    }, [boardId, connectionParams]);
+
+    const handleAttachmentChange = (index, value) => {
+        onChange({ attachment_urls: attachmentUrls.map((url, i) => (i === index ? value : url)) });
+    };
+
+    const handleCustomFieldChange = (field, value) => {
+        const others = customFieldValues.filter(item => item.id_custom_field !== field.id);
+        onChange({ custom_field_values: value === '' ? others : [...others, { id_custom_field: field.id, type: field.type, value }] });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="p-4 border border-border-color rounded-lg space-y-4">
+                <h3 className="font-semibold text-lg">Card Appearance</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                        <label htmlFor="cover_color" className="form-label">Cover Color</label>
+                        <select id="cover_color" value={formData.cover_color || ''} onChange={(e) => onChange({ cover_color: e.target.value || null })} className="form-input">
+                            <option value="">No cover</option>
+                            {COVER_COLORS.map(color => <option key={color} value={color}>{color.charAt(0).toUpperCase() + color.slice(1)}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="card_position" className="form-label">Position in List</label>
+                        <select id="card_position" value={formData.card_position || 'bottom'} onChange={(e) => onChange({ card_position: e.target.value })} className="form-input">
+                            <option value="bottom">Bottom</option>
+                            <option value="top">Top</option>
+                        </select>
+                    </div>
+                    <div className="flex items-end">
+                        <label className="flex items-center space-x-2 pb-2">
+                            <input type="checkbox" checked={!!formData.watch_card} onChange={(e) => onChange({ watch_card: e.target.checked })} className="h-4 w-4 rounded border-gray-300 text-primary focus:ring-primary" />
+                            <span className="text-sm text-text-secondary">Watch new cards</span>
+                        </label>
+                    </div>
+                </div>
+                <p className="text-xs text-text-muted">Cards are watched by the Trello account the schedule creates them with.</p>
+            </div>
+
+            <div className="p-4 border border-border-color rounded-lg space-y-4">
+                <h3 className="font-semibold text-lg">Attachments</h3>
+                {attachmentUrls.length === 0 && <p className="text-sm text-text-muted">No links are attached to new cards.</p>}
+                {attachmentUrls.map((url, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                        <input type="text" value={url} onChange={(e) => handleAttachmentChange(index, e.target.value)} className="form-input" placeholder="https://..." />
+                        <button type="button" onClick={() => onChange({ attachment_urls: attachmentUrls.filter((_, i) => i !== index) })} className="form-button-secondary px-3 py-2">Remove</button>
+                    </div>
+                ))}
+                <button type="button" onClick={() => onChange({ attachment_urls: [...attachmentUrls, ''] })} disabled={attachmentUrls.length >= MAX_ATTACHMENTS} className="form-button-secondary px-4 py-2">Add Link</button>
+                <p className="text-xs text-text-muted">Links may use the same placeholders as the title, e.g. <code>{'{{due_date:YYYY-MM}}'}</code>.</p>
+            </div>
+
+            <div className="p-4 border border-border-color rounded-lg space-y-4">
+                <h3 className="font-semibold text-lg">Custom Fields</h3>
+                {fieldsError && <p className="text-sm text-danger">{fieldsError}</p>}
+                {!fieldsError && customFields.length === 0 && <p className="text-sm text-text-muted">The board has no custom fields.</p>}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {customFields.map(field => (
+                        <div key={field.id}>
+                            <label className="form-label">{field.name}</label>
+                            <CustomFieldInput
+                                field={field}
+                                value={customFieldValues.find(item => item.id_custom_field === field.id)?.value || ''}
+                                onChange={(value) => handleCustomFieldChange(field, value)}
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CardDetailsEditor;
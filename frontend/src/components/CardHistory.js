@@ -0,0 +1,121 @@
+/**
+ * @file frontend/src/components/CardHistory.js
+ * @description A paged list of every card a schedule has produced, shown in the schedule's History tab.
+ */
+import React, { useState, useEffect } from 'react';
+import apiClient from '../api';
+
+// --- Helper Components ---
+const Spinner = () => <div className="flex justify-center items-center p-10"><div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div></div>;
+
+const TRIGGER_LABELS = { scheduled: 'Scheduled', manual: 'Manual', catch_up: 'Catch-up', webhook: 'On completion' };
+
+const STATUS_STYLES = {
+    open: 'bg-blue-100 text-blue-800',
+    done: 'bg-green-100 text-green-800',
+    archived: 'bg-surface-muted text-text-muted',
+};
+
+const CARDS_PER_PAGE = 10;
+
+/**
+ * @description Shows the card history of a schedule.
+ * @param {object} props - The component props.
+ * @param {number} props.scheduleId - The ID of the schedule.
+ */
+const CardHistory = ({ scheduleId }) => {
+    const [cards, setCards] = useState([]);
+    const [totalCards, setTotalCards] = useState(0);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const totalPages = Math.max(1, Math.ceil(totalCards / CARDS_PER_PAGE));
+
+    useEffect(() => {
+        setCurrentPage(1);
+    }, [scheduleId]);
+
+    useEffect(() => {
+        const fetchCards = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const res = await apiClient.get(`/api/schedules/${scheduleId}/cards`, {
+                    params: { page: currentPage, limit: CARDS_PER_PAGE }
+                });
+                setCards(res.data.cards);
+                setTotalCards(res.data.totalCount);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to load card history.');
+            }
+            setLoading(false);
+        };
+        fetchCards();
+    }, [scheduleId, currentPage]);
+
+    const formatDateTime = (value) => (value ? new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : 'N/A');
+
+    if (loading) return <Spinner />;
+    if (error) return <p className="text-danger bg-red-100 p-3 rounded-lg text-center">{error}</p>;
+    if (cards.length === 0) return <p className="text-center text-text-muted py-6">This schedule has not created any cards yet.</p>;
+
+    return (
+        <div>
+            <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-text-muted border-b border-border-color">
+                            <th className="py-2 pr-4 font-semibold">Created</th>
+                            <th className="py-2 pr-4 font-semibold">Due</th>
+                            <th className="py-2 pr-4 font-semibold">Trigger</th>
+                            <th className="py-2 pr-4 font-semibold">Status</th>
+                            <th className="py-2 font-semibold">Card</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {cards.map(card => (
+                            <tr key={card.id} className="border-b border-border-color text-text-secondary">
+                                <td className="py-2 pr-4">{formatDateTime(card.created_at)}</td>
+                                <td className="py-2 pr-4">{formatDateTime(card.due_date)}</td>
+                                <td className="py-2 pr-4">
+                                    {TRIGGER_LABELS[card.trigger_type] || card.trigger_type}
+                                    {card.created_by && <span className="text-text-muted"> by {card.created_by}</span>}
+                                    {card.run_id && <span className="text-text-muted font-mono text-xs"> (run {card.run_id})</span>}
+                                </td>
+                                <td className="py-2 pr-4">
+                                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[card.status] || STATUS_STYLES.archived}`}>{card.status}</span>
+                                </td>
+                                <td className="py-2">
+                                    <a href={`https://trello.com/c/${card.trello_card_id}`} target="_blank" rel="noopener noreferrer" className="font-semibold text-blue-600 hover:underline">View on Trello</a>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {totalPages > 1 && (
+                <div className="flex justify-between items-center mt-4">
+                    <button
+                        type="button"
+                        onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
+                        disabled={currentPage === 1}
+                        className="px-4 py-2 text-sm rounded-lg bg-surface-muted text-text-secondary font-semibold hover:bg-surface-hover disabled:bg-slate-50 disabled:text-slate-400 disabled:cursor-not-allowed"
+                    >
+                        Previous
+                    </button>
+                    <span className="text-sm text-text-muted">Page {currentPage} of {totalPages}</span>
+                    <button
+                        type="button"
+                        onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
+                        disabled={currentPage === totalPages}
+                        className="px-4 py-2 text-sm rounded-lg bg-surface-muted text-text-secondary font-semibold hover:bg-surface-hover disabled:bg-slate-50 disabled:text-slate-400 disabled:cursor-not-allowed"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CardHistory;
@@ -0,0 +1,75 @@
+/**
+ * @file frontend/src/components/CardPreview.js
+ * @description Shows the next card of the schedule being edited, with its template placeholders filled in.
+ */
+import React, { useState, useEffect } from 'react';
+import apiClient from '../api';
+
+// Wait for a pause in typing before asking the server to render the preview.
+const PREVIEW_DELAY_MS = 500;
+
+/**
+ * @description Renders a live preview of the next card a schedule will create.
+ * @param {object} props - The component props.
+ * @param {object} props.formData - The schedule form's current data.
+ */
+const CardPreview = ({ formData }) => {
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!formData.title) {
+            setPreview(null);
+            return;
+        }
+        let isCurrent = true;
+        const timer = setTimeout(async () => {
+            try {
+                const res = await apiClient.post('/api/schedules/preview', formData);
+                if (isCurrent) {
+                    setPreview(res.data);
+                    setError('');
+                }
+            } catch (err) {
+                if (isCurrent) setError('The preview could not be rendered.');
+            }
+        }, PREVIEW_DELAY_MS);
+        return () => {
+            isCurrent = false;
+            clearTimeout(timer);
+        };
+    }, [formData]);
+
+    return (
+        <div className="p-4 border border-border-color rounded-lg bg-surface-muted">
+            <h3 className="font-semibold text-lg mb-1">Card Preview</h3>
+            <p className="text-xs text-text-muted mb-3">
+                Titles, descriptions and checklists can use <code>{'{{due_date:YYYY-MM-DD}}'}</code>, <code>{'{{week_number}}'}</code>, <code>{'{{month_name}}'}</code>, <code>{'{{year}}'}</code>, <code>{'{{occurrence_count}}'}</code> and <code>{'{{assignees}}'}</code>.
+            </p>
+            {error && <p className="text-sm text-danger">{error}</p>}
+            {!error && !preview && <p className="text-sm text-text-muted">Enter a title to see the next card.</p>}
+            {!error && preview && (
+                <div className="space-y-2 text-sm text-text-secondary">
+                    <p className="font-semibold text-text-primary">{preview.title}</p>
+                    <p className="text-xs text-text-muted">Due {new Date(preview.due_date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</p>
+                    {preview.description && <p className="whitespace-pre-wrap">{preview.description}</p>}
+                    {preview.checklists.map((checklist, checklistIndex) => (
+                        <div key={checklistIndex}>
+                            <p className="font-semibold">{checklist.name}</p>
+                            <ul className="list-disc list-inside">
+                                {checklist.items.map((item, index) => <li key={index}>{item.name}</li>)}
+                            </ul>
+                        </div>
+                    ))}
+                    {preview.attachment_urls?.length > 0 && (
+                        <ul className="text-xs break-all">
+                            {preview.attachment_urls.map((url, index) => <li key={index}>{url}</li>)}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CardPreview;
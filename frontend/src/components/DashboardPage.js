@@ -4,6 +4,7 @@
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import apiClient from '../api';
+import { useSchedules } from '../context/SchedulesContext';
 
 // --- Helper Components ---
 const Spinner = () => <div className="flex justify-center items-center p-10"><div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div></div>;
@@ -21,10 +22,69 @@ const StatCard = ({ title, value }) => (
     </div>
 );
 
+/**
+ * @description Formats a 0-1 rate as a percentage.
+ * @param {number|null} rate - The rate.
+ * @returns {string} The percentage, or a dash when there is no data.
+ */
+const formatRate = (rate) => (rate === null || rate === undefined ? '–' : `${Math.round(rate * 100)}%`);
+
+/**
+ * @description Formats an average lateness in hours as hours or days.
+ * @param {number|null} hours - The average lateness in hours.
+ * @returns {string} The formatted lateness, or a dash when there is no data.
+ */
+const formatLateness = (hours) => {
+    if (hours === null || hours === undefined) return '–';
+    return hours >= 48 ? `${(hours / 24).toFixed(1)} d` : `${hours.toFixed(1)} h`;
+};
+
+/**
+ * @description A table of completion metrics for one breakdown (schedule, member or category).
+ * @param {object} props - The component props.
+ * @param {string} props.title - The table title.
+ * @param {object[]} props.rows - The metric rows.
+ * @param {function} props.getLabel - Returns the label of a row.
+ */
+const CompletionTable = ({ title, rows, getLabel }) => (
+    <div className="bg-surface p-6 rounded-xl shadow-md">
+        <h3 className="font-semibold text-text-primary mb-4">{title}</h3>
+        {rows.length === 0 ? (
+            <p className="text-sm text-text-muted">No cards have been created yet.</p>
+        ) : (
+            <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-text-muted border-b border-border-color">
+                            <th className="py-2 pr-4 font-semibold">Name</th>
+                            <th className="py-2 pr-4 font-semibold text-right">Completed</th>
+                            <th className="py-2 pr-4 font-semibold text-right">On Time</th>
+                            <th className="py-2 pr-4 font-semibold text-right">Avg. Lateness</th>
+                            <th className="py-2 font-semibold text-right">Overdue</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row, index) => (
+                            <tr key={index} className="border-b border-border-color text-text-secondary">
+                                <td className="py-2 pr-4">{getLabel(row)}</td>
+                                <td className="py-2 pr-4 text-right">{formatRate(row.completionRate)} <span className="text-text-muted">({row.completedCount}/{row.dueCount})</span></td>
+                                <td className="py-2 pr-4 text-right">{formatRate(row.onTimeRate)}</td>
+                                <td className="py-2 pr-4 text-right">{formatLateness(row.averageLatenessHours)}</td>
+                                <td className={`py-2 text-right ${row.overdueCount > 0 ? 'font-bold text-danger' : ''}`}>{row.overdueCount}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        )}
+    </div>
+);
+
 /**
  * @description A page for administrators to view application statistics.
  */
 const DashboardPage = () => {
+    const { trelloMembers } = useSchedules();
     const [stats, setStats] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState('');
@@ -57,6 +117,8 @@ const DashboardPage = () => {
         return <p className="text-center text-danger">{error}</p>;
     }
 
+    const completion = stats?.completion;
+
     return (
         <div className="max-w-5xl mx-auto space-y-8">
             <h2 className="text-3xl font-semibold text-text-primary">Dashboard</h2>
@@ -95,6 +157,24 @@ const DashboardPage = () => {
                     </ul>
                 </div>
             </div>
+
+            {/* --- Completion Metrics --- */}
+            <h3 className="text-2xl font-semibold text-text-primary">Completion</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+                <StatCard title="Completion Rate" value={formatRate(completion?.overall?.completionRate)} />
+                <StatCard title="On Time" value={formatRate(completion?.overall?.onTimeRate)} />
+                <StatCard title="Avg. Lateness" value={formatLateness(completion?.overall?.averageLatenessHours)} />
+                <StatCard title="Overdue Cards" value={completion?.overall?.overdueCount ?? 0} />
+            </div>
+            <CompletionTable title="By Schedule" rows={completion?.bySchedule || []} getLabel={row => row.title} />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <CompletionTable
+                    title="By Member"
+                    rows={completion?.byMember || []}
+                    getLabel={row => trelloMembers.find(member => member.id === row.member_id)?.fullName || row.member_id}
+                />
+                <CompletionTable title="By Category" rows={completion?.byCategory || []} getLabel={row => row.category} />
+            </div>
         </div>
     );
 };
@@ -0,0 +1,115 @@
+/**
+ * @file frontend/src/components/HolidayCalendar.js
+ * @description Lets administrators maintain the holiday calendar used by business-day schedules.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../api';
+
+/**
+ * @description Formats a 'YYYY-MM-DD' holiday date for display without shifting it across time zones.
+ * @param {string} dateString - The holiday date.
+ * @returns {string} The formatted date.
+ */
+const formatHolidayDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const HolidayCalendar = () => {
+    const [holidays, setHolidays] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [newHoliday, setNewHoliday] = useState({ holiday_date: '', name: '' });
+    const [isImporting, setIsImporting] = useState(false);
+
+    const fetchHolidays = useCallback(async () => {
+        try {
+            const res = await apiClient.get('/api/holidays');
+            setHolidays(res.data);
+        } catch (err) {
+            toast.error('Failed to load the holiday calendar.');
+        }
+        setIsLoading(false);
+    }, []);
+
+    useEffect(() => {
+        fetchHolidays();
+    }, [fetchHolidays]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        try {
+            await apiClient.post('/api/holidays', newHoliday);
+            setNewHoliday({ holiday_date: '', name: '' });
+            toast.success('Holiday added.');
+            fetchHolidays();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to add holiday.');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await apiClient.delete(`/api/holidays/${id}`);
+            setHolidays(prev => prev.filter(holiday => holiday.id !== id));
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to delete holiday.');
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setIsImporting(true);
+        try {
+            const ics = await file.text();
+            const res = await apiClient.post('/api/holidays/import', { ics });
+            toast.success(`Imported ${res.data.importedCount} holiday(s), skipped ${res.data.skippedCount} existing date(s).`);
+            fetchHolidays();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to import the calendar file.');
+        }
+        setIsImporting(false);
+    };
+
+    return (
+        <div className="p-4 border rounded-lg">
+            <h3 className="font-semibold text-lg mb-1">Holiday Calendar</h3>
+            <p className="text-sm text-text-muted mb-4">Dates treated as non-working days by business-day schedules. Changes apply immediately.</p>
+            <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2 mb-4">
+                <div>
+                    <label htmlFor="holiday_date" className="form-label">Date</label>
+                    <input type="date" id="holiday_date" value={newHoliday.holiday_date} onChange={(e) => setNewHoliday(prev => ({ ...prev, holiday_date: e.target.value }))} className="form-input" required />
+                </div>
+                <div className="flex-grow">
+                    <label htmlFor="holiday_name" className="form-label">Name</label>
+                    <input type="text" id="holiday_name" value={newHoliday.name} onChange={(e) => setNewHoliday(prev => ({ ...prev, name: e.target.value }))} className="form-input" placeholder="e.g., New Year's Day" required />
+                </div>
+                <button type="submit" className="form-button-primary">Add</button>
+                <label className={`form-button-secondary cursor-pointer ${isImporting ? 'opacity-50 pointer-events-none' : ''}`}>
+                    {isImporting ? 'Importing...' : 'Import .ics'}
+                    <input type="file" accept=".ics,text/calendar" onChange={handleImport} className="hidden" />
+                </label>
+            </form>
+            {isLoading ? (
+                <p className="text-center text-sm text-text-muted p-4">Loading...</p>
+            ) : holidays.length === 0 ? (
+                <p className="text-center text-sm text-text-muted p-4">No holidays defined.</p>
+            ) : (
+                <ul className="divide-y divide-border-color max-h-64 overflow-y-auto">
+                    {holidays.map(holiday => (
+                        <li key={holiday.id} className="flex justify-between items-center py-2">
+                            <span className="text-sm text-text-primary">
+                                <span className="font-medium">{formatHolidayDate(holiday.holiday_date)}</span> &mdash; {holiday.name}
+                            </span>
+                            <button type="button" onClick={() => handleDelete(holiday.id)} className="text-sm text-danger hover:underline">Delete</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default HolidayCalendar;
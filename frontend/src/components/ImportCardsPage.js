@@ -0,0 +1,327 @@
+/**
+ * @file frontend/src/components/ImportCardsPage.js
+ * @description A wizard that turns existing Trello cards into schedules: pick a list, pick its cards
+ * and a frequency, then create a schedule for each card in one go.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../api';
+import { useSchedules } from '../context/SchedulesContext';
+import { useAuth } from '../context/AuthContext';
+
+const DAYS_OF_WEEK = [ { id: '1', name: 'Monday' }, { id: '2', name: 'Tuesday' }, { id: '3', name: 'Wednesday' }, { id: '4', name: 'Thursday' }, { id: '5', name: 'Friday' }, { id: '6', name: 'Saturday' }, { id: '0', name: 'Sunday' }];
+const HOURS = Array.from({ length: 12 }, (_, i) => String(i + 1).padStart(2, '0'));
+const MINUTES = ['00', '15', '30', '45'];
+
+const INITIAL_SCHEDULE_SETTINGS = {
+    category: '',
+    frequency: 'weekly',
+    frequency_interval: 1,
+    weekly_day: '1',
+    monthly_day: '1',
+    trigger_hour: '09',
+    trigger_minute: '00',
+    trigger_ampm: 'am',
+    default_member_id: '',
+};
+
+/**
+ * @description Returns the 'frequency_details' of a schedule for the settings chosen in the wizard.
+ * @param {object} settings - The wizard's schedule settings.
+ * @returns {string} The frequency details.
+ */
+const getFrequencyDetails = (settings) => {
+    if (settings.frequency === 'weekly') return settings.weekly_day;
+    if (settings.frequency === 'monthly') return settings.monthly_day;
+    return '';
+};
+
+/**
+ * @description The card import wizard.
+ * @param {object} props - The component props.
+ * @param {string} props.defaultBoardId - The board from the settings page.
+ * @param {function} props.onDone - Called after the schedules have been created.
+ */
+const ImportCardsPage = ({ defaultBoardId, onDone }) => {
+    const { categories } = useSchedules();
+    const [step, setStep] = useState('source');
+    const { isAdmin } = useAuth();
+    const [connections, setConnections] = useState([]);
+    const [boards, setBoards] = useState([]);
+    const [lists, setLists] = useState([]);
+    const [members, setMembers] = useState([]);
+    const [source, setSource] = useState({ connection_id: '', board_id: '', list_id: '' });
+    const [cards, setCards] = useState([]);
+    const [selectedCardIds, setSelectedCardIds] = useState([]);
+    const [settings, setSettings] = useState(INITIAL_SCHEDULE_SETTINGS);
+    const [isLoadingCards, setIsLoadingCards] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+    const [failures, setFailures] = useState([]);
+
+    const connectionParams = useMemo(() => (source.connection_id ? { connectionId: source.connection_id } : {}), [source.connection_id]);
+    const boardId = source.board_id || (source.connection_id ? '' : defaultBoardId);
+    // Cards from the default board go to the default list; cards from any other board stay on their own list.
+    const usesOwnBoard = !!source.connection_id || (!!boardId && boardId !== defaultBoardId);
+
+    useEffect(() => {
+        // Only admins can use stored connections.
+        if (!isAdmin) return;
+        apiClient.get('/api/connections')
+            .then(res => setConnections(res.data))
+            .catch(() => setConnections([]));
+    }, [isAdmin]);
+
+    useEffect(() => {
+        apiClient.get('/api/trello/boards', { params: connectionParams })
+            .then(res => setBoards(res.data))
+            .catch(() => setBoards([]));
+    }, [connectionParams]);
+
+    useEffect(() => {
+        if (!boardId) {
+            setLists([]);
+            setMembers([]);
+            return;
+        }
+        apiClient.get(`/api/trello/lists/${boardId}`, { params: connectionParams })
+            .then(res => setLists(res.data))
+            .catch(() => toast.error('Failed to load the lists of the selected board.'));
+        apiClient.get('/api/trello/members', { params: { ...connectionParams, boardId } })
+            .then(res => setMembers(res.data))
+            .catch(() => setMembers([]));
+    }, [boardId, connectionParams]);
+
+    const handleSourceChange = (e) => {
+        const { name, value } = e.target;
+        setSource(prev => {
+            if (name === 'connection_id') return { connection_id: value, board_id: '', list_id: '' };
+            if (name === 'board_id') return { ...prev, board_id: value, list_id: '' };
+            return { ...prev, [name]: value };
+        });
+    };
+
+    const handleSettingsChange = (e) => {
+        const { name, value } = e.target;
+        setSettings(prev => ({ ...prev, [name]: value }));
+    };
+
+    const loadCards = async () => {
+        setIsLoadingCards(true);
+        try {
+            const res = await apiClient.get(`/api/trello/lists/${source.list_id}/cards`, { params: connectionParams });
+            setCards(res.data);
+            setSelectedCardIds(res.data.map(card => card.id));
+            setFailures([]);
+            setStep('cards');
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to load the cards of the list.');
+        }
+        setIsLoadingCards(false);
+    };
+
+    const toggleCard = (cardId) => {
+        setSelectedCardIds(prev => (prev.includes(cardId) ? prev.filter(id => id !== cardId) : [...prev, cardId]));
+    };
+
+    const selectedCards = cards.filter(card => selectedCardIds.includes(card.id));
+
+    const buildSchedule = (card) => ({
+        title: card.name,
+        description: card.desc,
+        category: settings.category,
+        trello_member_ids: card.idMembers.length > 0 ? card.idMembers : [settings.default_member_id].filter(Boolean),
+        trello_label_ids: card.idLabels,
+        frequency: settings.frequency,
+        frequency_interval: parseInt(settings.frequency_interval, 10) || 1,
+        frequency_details: getFrequencyDetails(settings),
+        trigger_hour: settings.trigger_hour,
+        trigger_minute: settings.trigger_minute,
+        trigger_ampm: settings.trigger_ampm,
+        connection_id: source.connection_id ? Number(source.connection_id) : null,
+        trello_board_id: usesOwnBoard ? boardId : null,
+        trello_list_id: usesOwnBoard ? source.list_id : null,
+        checklists: card.checklists.map(checklist => ({
+            name: checklist.name,
+            items: checklist.items.map(item => ({ item_name: item.name, trello_member_id: item.idMember })),
+        })),
+        is_active: true,
+    });
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        setFailures([]);
+        try {
+            const res = await apiClient.post('/api/schedules/import-cards', { schedules: selectedCards.map(buildSchedule) });
+            toast.success(`Created ${res.data.length} schedule(s).`);
+            onDone();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to import the cards.');
+            setFailures(err.response?.data?.failures || []);
+        }
+        setIsImporting(false);
+    };
+
+    const cardsWithoutMembers = selectedCards.filter(card => card.idMembers.length === 0).length;
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-text-primary">Import Cards from Trello</h2>
+                <p className="text-sm text-text-muted">Creates a schedule for each card you pick, with its title, description, labels, members and checklists.</p>
+            </div>
+
+            {step === 'source' && (
+                <div className="p-4 border border-border-color rounded-lg space-y-4">
+                    <h3 className="font-semibold text-lg">1. Choose a List</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="import_connection_id" className="form-label">Connection</label>
+                            <select id="import_connection_id" name="connection_id" value={source.connection_id} onChange={handleSourceChange} className="form-input">
+                                <option value="">Default (from settings)</option>
+                                {connections.map(connection => <option key={connection.id} value={connection.id}>{connection.name}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="import_board_id" className="form-label">Board</label>
+                            <select id="import_board_id" name="board_id" value={source.board_id} onChange={handleSourceChange} className="form-input">
+                                <option value="">{source.connection_id ? 'Select a board...' : 'Default board (from settings)'}</option>
+                                {boards.map(board => <option key={board.id} value={board.id}>{board.name}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="import_list_id" className="form-label">List</label>
+                            <select id="import_list_id" name="list_id" value={source.list_id} onChange={handleSourceChange} className="form-input">
+                                <option value="">Select a list...</option>
+                                {lists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="flex justify-end">
+                        <button type="button" onClick={loadCards} disabled={!source.list_id || isLoadingCards} className="form-button-primary disabled:opacity-50">
+                            {isLoadingCards ? 'Loading...' : 'Next'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {step === 'cards' && (
+                <>
+                    <div className="p-4 border border-border-color rounded-lg space-y-4">
+                        <div className="flex justify-between items-center">
+                            <h3 className="font-semibold text-lg">2. Pick Cards ({selectedCards.length} of {cards.length})</h3>
+                            <div className="space-x-2">
+                                <button type="button" onClick={() => setSelectedCardIds(cards.map(card => card.id))} className="text-sm text-primary hover:underline">Select all</button>
+                                <button type="button" onClick={() => setSelectedCardIds([])} className="text-sm text-primary hover:underline">Select none</button>
+                            </div>
+                        </div>
+                        {cards.length === 0 ? (
+                            <p className="text-sm text-text-muted">The list has no cards.</p>
+                        ) : (
+                            <ul className="divide-y divide-border-color max-h-80 overflow-y-auto">
+                                {cards.map((card, index) => {
+                                    const failure = failures.find(item => selectedCards[item.index]?.id === card.id);
+                                    return (
+                                        <li key={card.id} className="py-2">
+                                            <label className="flex items-start space-x-3 cursor-pointer">
+                                                <input type="checkbox" checked={selectedCardIds.includes(card.id)} onChange={() => toggleCard(card.id)} className="mt-1 h-4 w-4 rounded border-border-color text-primary focus:ring-primary" />
+                                                <span className="text-sm">
+                                                    <span className="font-medium text-text-primary">{card.name || `Card ${index + 1}`}</span>
+                                                    <span className="block text-xs text-text-muted">
+                                                        {card.idMembers.length} member(s), {card.idLabels.length} label(s), {card.checklists.reduce((count, checklist) => count + checklist.items.length, 0)} checklist item(s)
+                                                    </span>
+                                                    {failure && <span className="block text-xs text-danger">{failure.errors.map(error => error.message).join(' ')}</span>}
+                                                </span>
+                                            </label>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </div>
+
+                    <div className="p-4 border border-border-color rounded-lg space-y-4">
+                        <h3 className="font-semibold text-lg">3. Choose a Frequency</h3>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                            <div>
+                                <label htmlFor="import_frequency" className="form-label">Repeats</label>
+                                <select id="import_frequency" name="frequency" value={settings.frequency} onChange={handleSettingsChange} className="form-input">
+                                    <option value="daily">Daily</option>
+                                    <option value="weekly">Weekly</option>
+                                    <option value="monthly">Monthly</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="import_frequency_interval" className="form-label">Repeat Every</label>
+                                <input type="number" id="import_frequency_interval" name="frequency_interval" min="1" value={settings.frequency_interval} onChange={handleSettingsChange} className="form-input" />
+                            </div>
+                            {settings.frequency === 'weekly' && (
+                                <div>
+                                    <label htmlFor="import_weekly_day" className="form-label">On</label>
+                                    <select id="import_weekly_day" name="weekly_day" value={settings.weekly_day} onChange={handleSettingsChange} className="form-input">
+                                        {DAYS_OF_WEEK.map(day => <option key={day.id} value={day.id}>{day.name}</option>)}
+                                    </select>
+                                </div>
+                            )}
+                            {settings.frequency === 'monthly' && (
+                                <div>
+                                    <label htmlFor="import_monthly_day" className="form-label">On Day</label>
+                                    <select id="import_monthly_day" name="monthly_day" value={settings.monthly_day} onChange={handleSettingsChange} className="form-input">
+                                        {Array.from({ length: 31 }, (_, i) => String(i + 1)).map(day => <option key={day} value={day}>{day}</option>)}
+                                        <option value="last">Last day</option>
+                                    </select>
+                                </div>
+                            )}
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                            <div>
+                                <span className="form-label">Due Time</span>
+                                <div className="flex space-x-2">
+                                    <select name="trigger_hour" value={settings.trigger_hour} onChange={handleSettingsChange} className="form-input" aria-label="Hour">
+                                        {HOURS.map(hour => <option key={hour} value={hour}>{hour}</option>)}
+                                    </select>
+                                    <select name="trigger_minute" value={settings.trigger_minute} onChange={handleSettingsChange} className="form-input" aria-label="Minute">
+                                        {MINUTES.map(minute => <option key={minute} value={minute}>{minute}</option>)}
+                                    </select>
+                                    <select name="trigger_ampm" value={settings.trigger_ampm} onChange={handleSettingsChange} className="form-input" aria-label="AM or PM">
+                                        <option value="am">AM</option>
+                                        <option value="pm">PM</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div>
+                                <label htmlFor="import_category" className="form-label">Category</label>
+                                <input type="text" id="import_category" name="category" list="import_categories" value={settings.category} onChange={handleSettingsChange} className="form-input" placeholder="Uncategorized" />
+                                <datalist id="import_categories">
+                                    {categories.map(category => <option key={category} value={category} />)}
+                                </datalist>
+                            </div>
+                            <div>
+                                <label htmlFor="import_default_member_id" className="form-label">Assign Cards Without Members To</label>
+                                <select id="import_default_member_id" name="default_member_id" value={settings.default_member_id} onChange={handleSettingsChange} className="form-input">
+                                    <option value="">Nobody</option>
+                                    {members.map(member => <option key={member.id} value={member.id}>{member.fullName}</option>)}
+                                </select>
+                                {cardsWithoutMembers > 0 && !settings.default_member_id && (
+                                    <p className="text-xs text-danger mt-1">{cardsWithoutMembers} selected card(s) have no members. Every schedule needs at least one.</p>
+                                )}
+                            </div>
+                        </div>
+                        <p className="text-xs text-text-muted">
+                            {usesOwnBoard ? 'The schedules create their cards in the list they were imported from.' : 'The schedules create their cards in the default list from the settings page.'}
+                            {' '}Every schedule can be fine-tuned afterwards.
+                        </p>
+                    </div>
+
+                    <div className="flex justify-between">
+                        <button type="button" onClick={() => setStep('source')} className="form-button-secondary">Back</button>
+                        <button type="button" onClick={handleImport} disabled={selectedCards.length === 0 || isImporting} className="form-button-primary disabled:opacity-50">
+                            {isImporting ? 'Creating...' : `Create ${selectedCards.length} Schedule(s)`}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ImportCardsPage;
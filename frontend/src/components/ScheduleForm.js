@@ -21,10 +21,17 @@ import {
     useSortable
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { RRule } from 'rrule';
+import { TIME_ZONES } from '../timeZones';
+import CardHistory from './CardHistory';
+import CardPreview from './CardPreview';
+import CardDetailsEditor from './CardDetailsEditor';
+import apiClient from '../api';
+import { useAuth } from '../context/AuthContext';
 
-const getFrequencyLabel = (frequency, interval) => {
+const getFrequencyLabel = (frequency, interval, details) => {
     const labels = {
-        daily: 'day',
+        daily: details === 'business' ? 'business day' : 'day',
         weekly: 'week',
         monthly: 'month',
         yearly: 'year',
@@ -37,6 +44,39 @@ const getFrequencyLabel = (frequency, interval) => {
 const DAYS_OF_WEEK = [ { id: '1', name: 'Mon' }, { id: '2', name: 'Tue' }, { id: '3', name: 'Wed' }, { id: '4', name: 'Thu' }, { id: '5', name: 'Fri' }, { id: '6', name: 'Sat' }, { id: '0', name: 'Sun' }];
 const MONTHS_OF_YEAR = [ { id: '1', name: 'January' }, { id: '2', name: 'February' }, { id: '3', name: 'March' }, { id: '4', name: 'April' }, { id: '5', name: 'May' }, { id: '6', name: 'June' }, { id: '7', name: 'July' }, { id: '8', name: 'August' }, { id: '9', name: 'September' }, { id: '10', name: 'October' }, { id: '11', name: 'November' }, { id: '12', name: 'December' }];
 const DAYS_OF_MONTH = Array.from({ length: 31 }, (_, i) => String(i + 1));
+const WEEK_ORDINALS = [ { id: '1', name: 'First' }, { id: '2', name: 'Second' }, { id: '3', name: 'Third' }, { id: '4', name: 'Fourth' }, { id: 'last', name: 'Last' }];
+const WEEKDAY_NAMES = [ { id: '1', name: 'Monday' }, { id: '2', name: 'Tuesday' }, { id: '3', name: 'Wednesday' }, { id: '4', name: 'Thursday' }, { id: '5', name: 'Friday' }, { id: '6', name: 'Saturday' }, { id: '0', name: 'Sunday' }];
+
+// The default frequency_details value to use when switching the "Repeats" dropdown.
+// What a schedule can keep from a template card, as named by Trello's 'keepFromSource' option.
+const TEMPLATE_KEEP_OPTIONS = [
+    { id: 'checklists', name: 'Checklists' },
+    { id: 'attachments', name: 'Attachments' },
+    { id: 'customFields', name: 'Custom fields' },
+    { id: 'labels', name: 'Labels' },
+    { id: 'stickers', name: 'Stickers' },
+    { id: 'comments', name: 'Comments' },
+];
+
+const DEFAULT_FREQUENCY_DETAILS = { daily: '', weekly: '1', monthly: '1', yearly: '1-1', rrule: '' };
+
+/**
+ * @description Builds a human-readable summary of an RRULE string for the advanced frequency editor.
+ * @param {string} rule - The RRULE entered by the user, with or without the "RRULE:" prefix.
+ * @returns {{text: string, error: string}} The summary, or an error describing why the rule is invalid.
+ */
+const describeRRule = (rule) => {
+    const normalized = (rule || '').trim().replace(/^RRULE:/i, '').trim();
+    if (!normalized) return { text: '', error: 'Enter a rule, e.g. FREQ=MONTHLY;BYDAY=2TH,4TH' };
+    try {
+        const options = RRule.parseString(normalized);
+        if (options.freq === undefined) return { text: '', error: 'The rule must include a FREQ.' };
+        if (options.freq > RRule.DAILY) return { text: '', error: 'Rules that repeat more often than daily are not supported.' };
+        return { text: new RRule(options).toText(), error: '' };
+    } catch (err) {
+        return { text: '', error: err.message };
+    }
+};
 
 /**
  * @description A reusable combobox component that allows selecting from a list or creating a new entry.
@@ -119,7 +159,7 @@ const CategoryCombobox = ({ value, onChange, options }) => {
     );
 };
 
-const SortableItem = ({ id, item, index, handleItemChange, handleRemoveItem, onBlur }) => {
+const SortableItem = ({ id, item, index, memberOptions, handleItemChange, handleRemoveItem, onBlur }) => {
     const {
         attributes,
         listeners,
@@ -150,6 +190,25 @@ const SortableItem = ({ id, item, index, handleItemChange, handleRemoveItem, onB
                 className="form-input flex-grow"
                 placeholder="Enter item name"
             />
+            <select
+                value={item.trello_member_id || ''}
+                onChange={(e) => handleItemChange(index, 'trello_member_id', e.target.value || null)}
+                className="form-input w-44"
+                aria-label="Assignee"
+            >
+                <option value="">No assignee</option>
+                {memberOptions.map(member => <option key={member.id} value={member.id}>{member.fullName}</option>)}
+            </select>
+            <input
+                type="number"
+                value={item.due_offset_days ?? ''}
+                onChange={(e) => handleItemChange(index, 'due_offset_days', e.target.value === '' ? null : parseInt(e.target.value, 10))}
+                className="form-input w-28"
+                placeholder="Due ± days"
+                title="Days before (negative) or after the card's due date"
+                min="-365"
+                max="365"
+            />
             <button
                 type="button"
                 onClick={() => handleRemoveItem(index)}
@@ -161,7 +220,11 @@ const SortableItem = ({ id, item, index, handleItemChange, handleRemoveItem, onB
     );
 };
 
-const ChecklistManager = ({ items, name, onNameChange, onItemsChange }) => {
+/**
+ * @description Edits the name and the sortable items of one checklist.
+ * @param {object} props - The component props.
+ */
+const ChecklistEditor = ({ items, name, memberOptions, onNameChange, onItemsChange, onRemove }) => {
     const [localItems, setLocalItems] = useState([]);
     const prevItemsRef = useRef();
 
@@ -183,6 +246,10 @@ const ChecklistManager = ({ items, name, onNameChange, onItemsChange }) => {
         const newItems = [...localItems];
         newItems[index] = { ...newItems[index], [field]: value };
         setLocalItems(newItems);
+        // Names are saved on blur; the assignee and due offset are saved straight away.
+        if (field !== 'item_name') {
+            onItemsChange(newItems.map(({id, ...rest}) => rest));
+        }
     };
 
     const handleBlur = () => {
@@ -190,7 +257,7 @@ const ChecklistManager = ({ items, name, onNameChange, onItemsChange }) => {
     };
 
     const handleAddItem = () => {
-        const newItem = { item_name: '', id: `temp-new-${Date.now()}` };
+        const newItem = { item_name: '', trello_member_id: null, due_offset_days: null, id: `temp-new-${Date.now()}` };
         const newItems = [...localItems, newItem];
         setLocalItems(newItems);
         onItemsChange(newItems.map(({id, ...rest}) => rest));
@@ -216,17 +283,20 @@ const ChecklistManager = ({ items, name, onNameChange, onItemsChange }) => {
 
     return (
         <div className="space-y-4">
-            <div>
-                <label htmlFor="checklist_name" className="form-label">Checklist Name</label>
-                <input
-                    type="text"
-                    id="checklist_name"
-                    name="checklist_name"
-                    value={name}
-                    onChange={onNameChange}
-                    className="form-input"
-                    placeholder="e.g., To-Do"
-                />
+            <div className="flex items-end gap-4">
+                <div className="flex-grow">
+                    <label className="form-label">Checklist Name</label>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => onNameChange(e.target.value)}
+                        className="form-input"
+                        placeholder="e.g., To-Do"
+                    />
+                </div>
+                <button type="button" onClick={onRemove} className="form-button-secondary text-sm">
+                    Remove Checklist
+                </button>
             </div>
             <h4 className="font-semibold text-text-secondary">Items</h4>
             <DndContext
@@ -245,6 +315,7 @@ const ChecklistManager = ({ items, name, onNameChange, onItemsChange }) => {
                                 id={item.id}
                                 item={item}
                                 index={index}
+                                memberOptions={memberOptions}
                                 handleItemChange={handleItemChange}
                                 handleRemoveItem={handleRemoveItem}
                                 onBlur={handleBlur}
@@ -264,6 +335,81 @@ const ChecklistManager = ({ items, name, onNameChange, onItemsChange }) => {
     );
 };
 
+/**
+ * @description Manages the checklists a schedule adds to each of its cards.
+ * @param {object} props - The component props.
+ * @param {object[]} props.checklists - The schedule's checklists, each with a name and items.
+ * @param {object[]} props.memberOptions - The board members checklist items can be assigned to.
+ * @param {function} props.onChange - Called with the new list of checklists.
+ */
+const ChecklistManager = ({ checklists, memberOptions, onChange }) => {
+    const updateChecklist = (index, changes) => {
+        onChange(checklists.map((checklist, i) => (i === index ? { ...checklist, ...changes } : checklist)));
+    };
+
+    return (
+        <div className="space-y-4">
+            {checklists.length === 0 && <p className="text-sm text-text-muted">Cards from this schedule have no checklists.</p>}
+            {checklists.map((checklist, index) => (
+                <div key={checklist.id || `new-${index}`} className="p-4 border border-border-color rounded-lg">
+                    <ChecklistEditor
+                        name={checklist.name || ''}
+                        items={checklist.items || []}
+                        memberOptions={memberOptions}
+                        onNameChange={(name) => updateChecklist(index, { name })}
+                        onItemsChange={(items) => updateChecklist(index, { items })}
+                        onRemove={() => onChange(checklists.filter((_, i) => i !== index))}
+                    />
+                </div>
+            ))}
+            <button
+                type="button"
+                onClick={() => onChange([...checklists, { name: '', items: [] }])}
+                className="form-button-secondary text-sm"
+            >
+                Add Checklist
+            </button>
+            <p className="text-xs text-text-muted">Item due dates are set a number of days before (negative) or after the card's due date.</p>
+        </div>
+    );
+};
+
+/**
+ * @description Shows the order in which a rotating schedule's members take turns, and lets it be changed.
+ * @param {object} props - The component props.
+ * @param {string[]} props.memberIds - The members of the rotation, in order.
+ * @param {object[]} props.memberOptions - The board members, for their names.
+ * @param {number} props.cursor - The index of the member whose turn it is.
+ * @param {function} props.onChange - Called with the reordered member IDs.
+ */
+const RotationOrder = ({ memberIds, memberOptions, cursor, onChange }) => {
+    const nextIndex = memberIds.length > 0 ? (cursor || 0) % memberIds.length : -1;
+    const moveMember = (index, direction) => {
+        const reordered = [...memberIds];
+        [reordered[index], reordered[index + direction]] = [reordered[index + direction], reordered[index]];
+        onChange(reordered);
+    };
+
+    if (memberIds.length === 0) {
+        return <p className="text-sm text-text-muted">Select the members who take turns above.</p>;
+    }
+    return (
+        <ol className="space-y-2">
+            {memberIds.map((memberId, index) => (
+                <li key={memberId} className="flex items-center gap-2 text-sm">
+                    <span className="w-6 text-text-muted">{index + 1}.</span>
+                    <span className="flex-grow">
+                        {memberOptions.find(member => member.id === memberId)?.fullName || memberId}
+                        {index === nextIndex && <span className="ml-2 text-xs font-semibold text-primary">Next up</span>}
+                    </span>
+                    <button type="button" onClick={() => moveMember(index, -1)} disabled={index === 0} className="form-button-secondary text-xs px-2 py-1" aria-label="Move up">↑</button>
+                    <button type="button" onClick={() => moveMember(index, 1)} disabled={index === memberIds.length - 1} className="form-button-secondary text-xs px-2 py-1" aria-label="Move down">↓</button>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
 /**
  * @description A multi-select dropdown component for Trello labels.
  * @param {object} props - The component props.
@@ -342,7 +488,9 @@ const ScheduleForm = ({
     onSubmit, 
     onCancel,
     onManualTrigger,
-    onToggleActive
+    onToggleActive,
+    defaultTimeZone,
+    defaultBoardId
 }) => {
     
     const [formData, setFormData] = useState(initialData);
@@ -351,6 +499,27 @@ const ScheduleForm = ({
     const [activeTab, setActiveTab] = useState('main');
     const formRef = useRef(null);
 
+    const { isAdmin } = useAuth();
+    // Trello connections, boards and the lists, members and labels of the schedule's board
+    const [connections, setConnections] = useState([]);
+    const [boards, setBoards] = useState([]);
+    const [boardLists, setBoardLists] = useState([]);
+    const [templateCards, setTemplateCards] = useState([]);
+    const [boardMembers, setBoardMembers] = useState(null);
+    const [boardLabels, setBoardLabels] = useState(null);
+    const usesOwnBoard = !!formData.connection_id || (!!formData.trello_board_id && formData.trello_board_id !== defaultBoardId);
+    const targetBoardId = formData.trello_board_id || (formData.connection_id ? '' : defaultBoardId);
+    const connectionParams = useMemo(() => (formData.connection_id ? { connectionId: formData.connection_id } : {}), [formData.connection_id]);
+    const memberOptions = usesOwnBoard ? (boardMembers || []) : trelloMembers;
+    const labelOptions = usesOwnBoard ? (boardLabels || []) : trelloLabels;
+
+    // The History tab only exists for saved schedules.
+    useEffect(() => {
+        if (!isEditing && activeTab === 'history') {
+            setActiveTab('main');
+        }
+    }, [isEditing, activeTab]);
+
     /**
      * @description Formats a date string from the API (e.g., ISO string) into YYYY-MM-DD format.
      * @param {string} dateString - The date string to format.
@@ -378,10 +547,15 @@ const ScheduleForm = ({
             start_ampm: initialData.start_ampm ?? '',
             trello_label_ids: initialData.trello_label_ids || [],
             trello_member_ids: initialData.trello_member_ids || [],
+            connection_id: initialData.connection_id || null,
+            trello_board_id: initialData.trello_board_id || '',
+            trello_list_id: initialData.trello_list_id || '',
+            trello_done_list_id: initialData.trello_done_list_id || '',
         };
         setWarning('');
 
-        if (isEditing && initialData.trello_member_ids && initialData.trello_member_ids.length > 0 && trelloMembers.length > 0) {
+        // Members of a schedule on its own board are checked once that board's members are loaded.
+        if (isEditing && !initialData.trello_board_id && !initialData.connection_id && initialData.trello_member_ids && initialData.trello_member_ids.length > 0 && trelloMembers.length > 0) {
             const memberIdsOnBoard = trelloMembers.map(m => m.id);
             const stillOnBoard = initialData.trello_member_ids.filter(id => memberIdsOnBoard.includes(id));
             const removedMembers = initialData.trello_member_ids.length - stillOnBoard.length;
@@ -396,6 +570,70 @@ const ScheduleForm = ({
         setShowDates(!!(initialData.start_date || initialData.end_date));
     }, [initialData, isEditing, trelloMembers]);
 
+    useEffect(() => {
+        // Only admins can use stored connections.
+        if (!isAdmin) return;
+        apiClient.get('/api/connections')
+            .then(res => setConnections(res.data))
+            .catch(() => setConnections([]));
+    }, [isAdmin]);
+
+    useEffect(() => {
+        apiClient.get('/api/trello/boards', { params: connectionParams })
+            .then(res => setBoards(res.data))
+            .catch(() => setBoards([]));
+    }, [connectionParams]);
+
+    useEffect(() => {
+        if (!targetBoardId) {
+            setBoardLists([]);
+            return;
+        }
+        apiClient.get(`/api/trello/lists/${targetBoardId}`, { params: connectionParams })
+            .then(res => setBoardLists(res.data))
+            .catch(() => toast.error('Failed to load the lists of the selected board.'));
+    }, [targetBoardId, connectionParams]);
+
+    useEffect(() => {
+        if (!targetBoardId) {
+            setTemplateCards([]);
+            return;
+        }
+        apiClient.get(`/api/trello/template-cards/${targetBoardId}`, { params: connectionParams })
+            .then(res => setTemplateCards(res.data))
+            .catch(() => setTemplateCards([]));
+    }, [targetBoardId, connectionParams]);
+
+    useEffect(() => {
+        if (!usesOwnBoard || !targetBoardId) {
+            setBoardMembers(null);
+            setBoardLabels(null);
+            return;
+        }
+        const fetchBoardData = async () => {
+            try {
+                const [membersRes, labelsRes] = await Promise.all([
+                    apiClient.get('/api/trello/members', { params: { ...connectionParams, boardId: targetBoardId } }),
+                    apiClient.get(`/api/trello/labels/${targetBoardId}`, { params: connectionParams }),
+                ]);
+                setBoardMembers(membersRes.data);
+                setBoardLabels(labelsRes.data);
+
+                // Members who are not on the board could not be assigned to its cards.
+                const memberIdsOnBoard = membersRes.data.map(m => m.id);
+                setFormData(prev => {
+                    const stillOnBoard = (prev.trello_member_ids || []).filter(id => memberIdsOnBoard.includes(id));
+                    if (stillOnBoard.length === (prev.trello_member_ids || []).length) return prev;
+                    setWarning(`Warning: ${prev.trello_member_ids.length - stillOnBoard.length} assigned user(s) are not on the selected Trello board. Please review the assignees.`);
+                    return { ...prev, trello_member_ids: stillOnBoard };
+                });
+            } catch (err) {
+                toast.error('Failed to load the members and labels of the selected board.');
+            }
+        };
+        fetchBoardData();
+    }, [usesOwnBoard, targetBoardId, connectionParams]);
+
     const handleInputChange = (e) => {
         const { name, value, checked } = e.target;
 
@@ -437,6 +675,26 @@ const ScheduleForm = ({
             if (!checked) {
                 setFormData(prev => ({ ...prev, start_date: '', end_date: '' }));
             }
+        } else if (name === 'frequency') {
+            // Details from one frequency are meaningless (or invalid) for another, so reset them.
+            setFormData(prev => ({ ...prev, frequency: value, frequency_details: DEFAULT_FREQUENCY_DETAILS[value] ?? '' }));
+        } else if (name === 'connection_id') {
+            // Boards belong to an account, so everything on the board is chosen again.
+            setFormData(prev => ({ ...prev, connection_id: value ? Number(value) : null, trello_board_id: '', trello_list_id: '', trello_done_list_id: '', trello_label_ids: [], custom_field_values: [], template_card_id: null }));
+        } else if (name === 'trello_board_id') {
+            // Lists, labels and custom fields belong to a board, so they are chosen again for the new one.
+            setFormData(prev => ({ ...prev, trello_board_id: value, trello_list_id: '', trello_done_list_id: '', trello_label_ids: [], custom_field_values: [], template_card_id: null }));
+        } else if (name === 'create_next_on_completion') {
+            setFormData(prev => ({ ...prev, create_next_on_completion: checked }));
+        } else if (name === 'business_days_only') {
+            setFormData(prev => ({ ...prev, frequency_details: checked ? 'business' : '' }));
+        } else if (name === 'monthly_mode') {
+            setFormData(prev => ({ ...prev, frequency_details: value === 'weekday' ? '1:1' : '1' }));
+        } else if (name === 'monthly_ordinal' || name === 'monthly_weekday') {
+            const [currentOrdinal, currentWeekday] = (formData.frequency_details || '1:1').split(':');
+            const newOrdinal = name === 'monthly_ordinal' ? value : currentOrdinal;
+            const newWeekday = name === 'monthly_weekday' ? value : currentWeekday;
+            setFormData(prev => ({ ...prev, frequency_details: `${newOrdinal}:${newWeekday}` }));
         } else if (name === 'yearly_month' || name === 'yearly_day') {
             const [currentMonth, currentDay] = (formData.frequency_details || '1-1').split('-');
             const newMonth = name === 'yearly_month' ? value : currentMonth;
@@ -451,14 +709,32 @@ const ScheduleForm = ({
     const handleFormSubmit = (e) => {
         e.preventDefault();
         
-        const { title, trello_member_ids, start_hour, start_minute, start_ampm, trigger_hour, trigger_minute, trigger_ampm, checklist_items } = formData;
+        const { title, trello_member_ids, start_hour, start_minute, start_ampm, trigger_hour, trigger_minute, trigger_ampm, checklists } = formData;
 
-        if (checklist_items && checklist_items.some(item => !item.item_name.trim())) {
+        if (checklists && checklists.some(checklist => !checklist.name.trim())) {
+            toast.error('All checklists must have a name.');
+            setActiveTab('checklist');
+            return;
+        }
+
+        if (checklists && checklists.some(checklist => checklist.items.some(item => !item.item_name.trim()))) {
             toast.error('All checklist items must have a name.');
             setActiveTab('checklist');
             return;
         }
 
+        if (formData.template_card_id && (formData.template_keep_from_source || []).length === 0) {
+            toast.error('Choose at least one part of the template card to copy.');
+            setActiveTab('main');
+            return;
+        }
+
+        if ((formData.attachment_urls || []).some(url => !/^https?:\/\/\S+$/i.test(url))) {
+            toast.error('Attachments must be links starting with http:// or https://.');
+            setActiveTab('details');
+            return;
+        }
+
         // Validation for Start Time
         const startTimeFields = [start_hour, start_minute, start_ampm];
         const populatedStartTimeFields = startTimeFields.filter(Boolean);
@@ -485,12 +761,27 @@ const ScheduleForm = ({
             }
         }
 
+        if (formData.frequency === 'rrule' && describeRRule(formData.rrule).error) {
+            toast.error(`Invalid RRULE: ${describeRRule(formData.rrule).error}`);
+            return;
+        }
+
         // Validation for required fields
         if (!title || !trello_member_ids || trello_member_ids.length === 0) {
             toast.error('Card Title and Assign to Member are required fields.');
             return;
         }
 
+        if (formData.connection_id && !formData.trello_board_id) {
+            toast.error('Please choose a board for the selected Trello connection.');
+            return;
+        }
+
+        if (formData.trello_board_id && !formData.trello_list_id) {
+            toast.error('Please choose the list new cards are added to on the selected board.');
+            return;
+        }
+
         onSubmit(formData);
     };
 
@@ -505,15 +796,18 @@ const ScheduleForm = ({
     };
 
     const [yearlyMonth, yearlyDay] = (formData.frequency_details || '1-1').split('-');
+    const monthlyMode = (formData.frequency_details || '').includes(':') ? 'weekday' : 'day';
+    const rruleSummary = formData.frequency === 'rrule' ? describeRRule(formData.rrule) : null;
+    const [monthlyOrdinal, monthlyWeekday] = monthlyMode === 'weekday' ? formData.frequency_details.split(':') : ['1', '1'];
 
     return (
         <div ref={formRef} className="bg-surface p-6 sm:p-8 rounded-2xl shadow-lg mb-10 max-w-4xl mx-auto">
             <div className="flex justify-between items-center mb-6 border-b border-border-color pb-4">
                 <h2 className="text-3xl font-semibold text-text-primary">{isEditing ? 'Edit Schedule' : 'Schedule a New Card'}</h2>
-                {isEditing && formData.active_card_id && (
+                {isEditing && formData.open_cards?.length > 0 && (
                     <div className="p-2 bg-surface-accent border border-border-color rounded-lg text-center">
-                        <a href={`https://trello.com/c/${formData.active_card_id}`} target="_blank" rel="noopener noreferrer" className="text-sm font-semibold text-text-on-accent hover:underline">
-                            View Active Card
+                        <a href={`https://trello.com/c/${formData.open_cards[formData.open_cards.length - 1].trello_card_id}`} target="_blank" rel="noopener noreferrer" className="text-sm font-semibold text-text-on-accent hover:underline">
+                            View Active Card{formData.open_cards.length > 1 && ` (${formData.open_cards.length} open)`}
                         </a>
                     </div>
                 )}
@@ -538,8 +832,22 @@ const ScheduleForm = ({
                         onClick={() => setActiveTab('checklist')}
                         className={`whitespace-nowrap py-4 px-1 border-b-2 font-medium text-base ${activeTab === 'checklist' ? 'border-primary text-primary' : 'border-transparent text-text-muted hover:text-text-primary hover:border-gray-300'}`}
                     >
-                        Checklist
+                        Checklists
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('details')}
+                        className={`whitespace-nowrap py-4 px-1 border-b-2 font-medium text-base ${activeTab === 'details' ? 'border-primary text-primary' : 'border-transparent text-text-muted hover:text-text-primary hover:border-gray-300'}`}
+                    >
+                        Card Details
                     </button>
+                    {isEditing && (
+                        <button
+                            onClick={() => setActiveTab('history')}
+                            className={`whitespace-nowrap py-4 px-1 border-b-2 font-medium text-base ${activeTab === 'history' ? 'border-primary text-primary' : 'border-transparent text-text-muted hover:text-text-primary hover:border-gray-300'}`}
+                        >
+                            History
+                        </button>
+                    )}
                 </nav>
             </div>
 
@@ -554,7 +862,7 @@ const ScheduleForm = ({
                             <div>
                                 <label htmlFor="trello_member_ids" className="form-label">Assign to Member <span className="text-danger">*</span></label>
                                 <MultiSelectDropdown
-                                    options={trelloMembers.map(member => ({ id: member.id, name: member.fullName }))}
+                                    options={memberOptions.map(member => ({ id: member.id, name: member.fullName }))}
                                     selectedIds={formData.trello_member_ids || []}
                                     onChange={(newIds) => setFormData(prev => ({ ...prev, trello_member_ids: newIds }))}
                                     placeholder="Select Trello members..."
@@ -562,6 +870,30 @@ const ScheduleForm = ({
                             </div>
                         </div>
 
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div>
+                                <label htmlFor="assignment_mode" className="form-label">Assignment</label>
+                                <select name="assignment_mode" value={formData.assignment_mode || 'all'} onChange={handleInputChange} className="form-input">
+                                    <option value="all">Assign every member to each card</option>
+                                    <option value="rotation">Rotate: one member per card, in turn</option>
+                                </select>
+                                {formData.assignment_mode === 'rotation' && (
+                                    <p className="text-xs text-text-muted mt-1">Members who are recorded as away on a card's due date are skipped.</p>
+                                )}
+                            </div>
+                            {formData.assignment_mode === 'rotation' && (
+                                <div>
+                                    <span className="form-label">Rotation Order</span>
+                                    <RotationOrder
+                                        memberIds={formData.trello_member_ids || []}
+                                        memberOptions={memberOptions}
+                                        cursor={formData.rotation_cursor}
+                                        onChange={(newIds) => setFormData(prev => ({ ...prev, trello_member_ids: newIds }))}
+                                    />
+                                </div>
+                            )}
+                        </div>
+
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                             <div>
                                 <label htmlFor="category" className="form-label">Category</label>
@@ -574,7 +906,7 @@ const ScheduleForm = ({
                             <div>
                                 <label htmlFor="trello_label_ids" className="form-label">Trello Labels</label>
                                 <MultiSelectDropdown
-                                    options={trelloLabels}
+                                    options={labelOptions}
                                     selectedIds={formData.trello_label_ids || []}
                                     onChange={(newIds) => setFormData(prev => ({ ...prev, trello_label_ids: newIds }))}
                                     placeholder="Select labels..."
@@ -582,6 +914,79 @@ const ScheduleForm = ({
                             </div>
                         </div>
                         
+                        <div className="p-4 border border-border-color rounded-lg space-y-4">
+                            <h3 className="font-semibold text-lg">Trello Board</h3>
+                            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+                                <div>
+                                    <label htmlFor="connection_id" className="form-label">Connection</label>
+                                    <select name="connection_id" id="connection_id" value={formData.connection_id || ''} onChange={handleInputChange} className="form-input">
+                                        <option value="">Default (from settings)</option>
+                                        {connections.map(connection => <option key={connection.id} value={connection.id}>{connection.name}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label htmlFor="trello_board_id" className="form-label">Board {formData.connection_id && <span className="text-danger">*</span>}</label>
+                                    <select name="trello_board_id" id="trello_board_id" value={formData.trello_board_id || ''} onChange={handleInputChange} className="form-input" required={!!formData.connection_id}>
+                                        <option value="">{formData.connection_id ? 'Select a board...' : 'Default board (from settings)'}</option>
+                                        {boards.map(board => <option key={board.id} value={board.id}>{board.name}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label htmlFor="trello_list_id" className="form-label">List {formData.trello_board_id && <span className="text-danger">*</span>}</label>
+                                    <select name="trello_list_id" id="trello_list_id" value={formData.trello_list_id || ''} onChange={handleInputChange} className="form-input" required={!!formData.trello_board_id}>
+                                        <option value="">{formData.trello_board_id ? 'Select a list...' : 'Default list (from settings)'}</option>
+                                        {boardLists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label htmlFor="trello_done_list_id" className="form-label">Done List</label>
+                                    <select name="trello_done_list_id" id="trello_done_list_id" value={formData.trello_done_list_id || ''} onChange={handleInputChange} className="form-input">
+                                        <option value="">{usesOwnBoard ? 'None (archived cards only)' : 'Default done list (from settings)'}</option>
+                                        {boardLists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <p className="text-xs text-text-muted">Cards are created with the default Trello account, board and lists unless the schedule picks its own.</p>
+                        </div>
+
+                        <div className="p-4 border border-border-color rounded-lg space-y-4">
+                            <h3 className="font-semibold text-lg">Template Card</h3>
+                            <div>
+                                <label htmlFor="template_card_id" className="form-label">Copy From</label>
+                                <select id="template_card_id" value={formData.template_card_id || ''} onChange={(e) => setFormData(prev => ({ ...prev, template_card_id: e.target.value || null }))} className="form-input">
+                                    <option value="">None (build the card from this schedule)</option>
+                                    {templateCards.map(card => <option key={card.id} value={card.id}>{card.name}</option>)}
+                                    {formData.template_card_id && !templateCards.some(card => card.id === formData.template_card_id) && (
+                                        <option value={formData.template_card_id}>Template card not found on the board</option>
+                                    )}
+                                </select>
+                            </div>
+                            {formData.template_card_id && (
+                                <div>
+                                    <span className="form-label">Keep From Template</span>
+                                    <div className="mt-2 flex flex-wrap gap-4">
+                                        {TEMPLATE_KEEP_OPTIONS.map(option => (
+                                            <label key={option.id} className="flex items-center space-x-2 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={(formData.template_keep_from_source || []).includes(option.id)}
+                                                    onChange={(e) => setFormData(prev => {
+                                                        const kept = (prev.template_keep_from_source || []).filter(id => id !== option.id);
+                                                        return { ...prev, template_keep_from_source: e.target.checked ? [...kept, option.id] : kept };
+                                                    })}
+                                                    className="h-4 w-4 rounded border-border-color text-primary focus:ring-primary"
+                                                />
+                                                <span className="text-sm">{option.name}</span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                            <p className="text-xs text-text-muted">
+                                Cards marked as templates on the board can be copied instead of building each card from scratch. The title, due date and members always come from this schedule, and so does the description unless it is left empty. Labels kept from the template replace the schedule's labels, and the schedule's own checklists and card details are added to the copy.
+                            </p>
+                        </div>
+
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                             <div className="p-4 border border-border-color rounded-lg space-y-4">
                                 <h3 className="font-semibold text-lg">Frequency</h3>
@@ -593,18 +998,25 @@ const ScheduleForm = ({
                                             <option value="weekly">Weekly</option>
                                             <option value="monthly">Monthly</option>
                                             <option value="yearly">Yearly</option>
+                                            <option value="rrule">Advanced (RRULE)</option>
                                         </select>
                                     </div>
-                                    {formData.frequency !== 'once' && (
+                                    {formData.frequency !== 'once' && formData.frequency !== 'rrule' && (
                                         <div>
                                             <label htmlFor="frequency_interval" className="form-label">Repeat Every</label>
                                             <div className="flex items-center">
                                                 <input type="number" name="frequency_interval" value={formData.frequency_interval} onChange={handleInputChange} min="1" className="form-input w-20 mr-2" />
-                                                <span className="text-text-secondary">{getFrequencyLabel(formData.frequency, formData.frequency_interval)}</span>
+                                                <span className="text-text-secondary">{getFrequencyLabel(formData.frequency, formData.frequency_interval, formData.frequency_details)}</span>
                                             </div>
                                         </div>
                                     )}
                                 </div>
+                                {formData.frequency === 'daily' && (
+                                    <div className="flex items-center">
+                                        <input type="checkbox" id="business_days_only" name="business_days_only" checked={formData.frequency_details === 'business'} onChange={handleInputChange} className="h-4 w-4 rounded border-border-color text-primary focus:ring-primary" />
+                                        <label htmlFor="business_days_only" className="ml-2 block text-sm text-text-primary">Business days only (skip weekends and holidays)</label>
+                                    </div>
+                                )}
                                 {formData.frequency === 'weekly' && (
                                     <div>
                                         <label className="form-label">Repeat On</label>
@@ -619,12 +1031,28 @@ const ScheduleForm = ({
                                     </div>
                                 )}
                                 {formData.frequency === 'monthly' && (
-                                    <div>
-                                        <label htmlFor="frequency_details" className="form-label">Repeat on Day</label>
-                                        <select name="frequency_details" value={formData.frequency_details} onChange={handleInputChange} className="form-input">
-                                            {DAYS_OF_MONTH.map(d => <option key={d} value={d}>{d}</option>)}
-                                            <option value="last">Last day</option>
+                                    <div className="space-y-2">
+                                        <label htmlFor="monthly_mode" className="form-label">Repeat On</label>
+                                        <select name="monthly_mode" value={monthlyMode} onChange={handleInputChange} className="form-input">
+                                            <option value="day">Day of the month</option>
+                                            <option value="weekday">Weekday of the month</option>
                                         </select>
+                                        {monthlyMode === 'day' ? (
+                                            <select name="frequency_details" value={formData.frequency_details} onChange={handleInputChange} className="form-input">
+                                                {DAYS_OF_MONTH.map(d => <option key={d} value={d}>{d}</option>)}
+                                                <option value="last">Last day</option>
+                                                <option value="last_business">Last business day</option>
+                                            </select>
+                                        ) : (
+                                            <div className="flex items-center gap-2">
+                                                <select name="monthly_ordinal" value={monthlyOrdinal} onChange={handleInputChange} className="form-input">
+                                                    {WEEK_ORDINALS.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                                                </select>
+                                                <select name="monthly_weekday" value={monthlyWeekday} onChange={handleInputChange} className="form-input">
+                                                    {WEEKDAY_NAMES.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                                                </select>
+                                            </div>
+                                        )}
                                     </div>
                                 )}
                                 {formData.frequency === 'yearly' && (
@@ -640,6 +1068,61 @@ const ScheduleForm = ({
                                         </div>
                                     </div>
                                 )}
+                                {formData.frequency === 'rrule' && (
+                                    <div>
+                                        <label htmlFor="rrule" className="form-label">Recurrence Rule (RFC 5545)</label>
+                                        <input type="text" id="rrule" name="rrule" value={formData.rrule || ''} onChange={handleInputChange} className="form-input font-mono" placeholder="FREQ=MONTHLY;BYDAY=2TH,4TH" />
+                                        {rruleSummary.error ? (
+                                            <p className="mt-1 text-sm text-danger">{rruleSummary.error}</p>
+                                        ) : (
+                                            <p className="mt-1 text-sm text-text-secondary">Repeats {rruleSummary.text}, starting from the schedule's start date.</p>
+                                        )}
+                                    </div>
+                                )}
+                                {formData.frequency_details !== 'business' && formData.frequency_details !== 'last_business' && (
+                                    <div>
+                                        <label htmlFor="non_working_day_policy" className="form-label">If Due on a Weekend or Holiday</label>
+                                        <select name="non_working_day_policy" value={formData.non_working_day_policy || 'none'} onChange={handleInputChange} className="form-input">
+                                            <option value="none">Keep the date</option>
+                                            <option value="forward">Move to the next business day</option>
+                                            <option value="backward">Move to the previous business day</option>
+                                        </select>
+                                    </div>
+                                )}
+                                <div>
+                                    <label htmlFor="lead_time_days" className="form-label">Create Card in Advance</label>
+                                    <div className="flex items-center">
+                                        <input type="number" name="lead_time_days" value={formData.lead_time_days ?? 0} onChange={handleInputChange} min="0" max="365" className="form-input w-20 mr-2" />
+                                        <span className="text-sm text-text-muted">days before it is due (0 creates it on the next scheduler run)</span>
+                                    </div>
+                                </div>
+                                <div>
+                                    <label htmlFor="overlap_policy" className="form-label">If the Previous Card Is Still Open</label>
+                                    <select name="overlap_policy" value={formData.overlap_policy || 'block'} onChange={handleInputChange} className="form-input">
+                                        <option value="block">Wait until it is done</option>
+                                        <option value="allow">Allow several open cards</option>
+                                        <option value="archive">Archive it and create the new card</option>
+                                    </select>
+                                    {formData.overlap_policy === 'allow' && (
+                                        <div className="flex items-center mt-2">
+                                            <span className="text-sm text-text-muted mr-2">Up to</span>
+                                            <input type="number" name="max_open_cards" value={formData.max_open_cards ?? 1} onChange={handleInputChange} min="1" max="50" className="form-input w-20 mr-2" />
+                                            <span className="text-sm text-text-muted">open cards</span>
+                                        </div>
+                                    )}
+                                </div>
+                                <div className="flex items-center">
+                                    <input type="checkbox" id="create_next_on_completion" name="create_next_on_completion" checked={!!formData.create_next_on_completion} onChange={handleInputChange} className="h-4 w-4 rounded border-border-color text-primary focus:ring-primary mr-2" />
+                                    <label htmlFor="create_next_on_completion" className="text-sm text-text-secondary">Create the next card as soon as this one is done (requires the Trello webhook, default board only)</label>
+                                </div>
+                                <div>
+                                    <label htmlFor="catch_up_policy" className="form-label">If Scheduler Runs Are Missed</label>
+                                    <select name="catch_up_policy" value={formData.catch_up_policy || 'skip'} onChange={handleInputChange} className="form-input">
+                                        <option value="skip">Skip the missed cards</option>
+                                        <option value="latest">Create only the most recent missed card</option>
+                                        <option value="all">Create every missed card</option>
+                                    </select>
+                                </div>
                                 {formData.frequency !== 'once' && (
                                     <>
                                         <div>
@@ -677,6 +1160,14 @@ const ScheduleForm = ({
                                                 </select>
                                             </div>
                                         </div>
+                                        <div>
+                                            <label htmlFor="time_zone" className="form-label">Time Zone</label>
+                                            <select name="time_zone" value={formData.time_zone || ''} onChange={handleInputChange} className="form-input">
+                                                <option value="">Default{defaultTimeZone ? ` (${defaultTimeZone})` : ''}</option>
+                                                {formData.time_zone && !TIME_ZONES.includes(formData.time_zone) && <option value={formData.time_zone}>{formData.time_zone}</option>}
+                                                {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+                                            </select>
+                                        </div>
                                     </>
                                 )}
                             </div>
@@ -709,16 +1200,28 @@ const ScheduleForm = ({
                 )}
                 
                 {activeTab === 'checklist' && (
-                    <div className="p-4 border border-border-color rounded-lg">
-                        <ChecklistManager
-                            name={formData.checklist_name || ''}
-                            items={formData.checklist_items || []}
-                            onNameChange={handleInputChange}
-                            onItemsChange={(newItems) => setFormData(prev => ({ ...prev, checklist_items: newItems }))}
-                        />
-                    </div>
+                    <ChecklistManager
+                        checklists={formData.checklists || []}
+                        memberOptions={memberOptions}
+                        onChange={(newChecklists) => setFormData(prev => ({ ...prev, checklists: newChecklists }))}
+                    />
+                )}
+
+                {activeTab === 'details' && (
+                    <CardDetailsEditor
+                        formData={formData}
+                        onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+                        boardId={targetBoardId}
+                        connectionParams={connectionParams}
+                    />
+                )}
+
+                {activeTab === 'history' && isEditing && (
+                    <CardHistory scheduleId={formData.id} />
                 )}
 
+                {activeTab !== 'history' && <CardPreview formData={formData} />}
+
                 <div className="flex items-center justify-between space-x-4 pt-4">
                     <div className="flex items-center space-x-4">
                         {isEditing && (
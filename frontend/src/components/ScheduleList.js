@@ -3,7 +3,9 @@
  * @description Refactored to use the semantic theme color for the border between items,
  * removing the hard-coded white line. The border has now been completely removed.
  */
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { RRule } from 'rrule';
+import apiClient from '../api';
 
 // --- Helper Icon Imports ---
 const DeleteIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-4 w-4 text-text-muted group-hover:text-danger"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>;
@@ -11,6 +13,7 @@ const CloneIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24
 const Spinner = () => <div className="flex justify-center items-center p-10"><div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div></div>;
 const ChevronDownIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-4 w-4"><polyline points="6 9 12 15 18 9"></polyline></svg>;
 const DAYS_OF_WEEK = [ { id: '1', name: 'Mon' }, { id: '2', name: 'Tue' }, { id: '3', name: 'Wed' }, { id: '4', name: 'Thu' }, { id: '5', name: 'Fri' }, { id: '6', name: 'Sat' }, { id: '0', name: 'Sun' }];
+const WEEK_ORDINALS = [ { id: '1', name: 'first' }, { id: '2', name: 'second' }, { id: '3', name: 'third' }, { id: '4', name: 'fourth' }, { id: 'last', name: 'last' }];
 const MONTHS_OF_YEAR = [ { id: '1', name: 'January' }, { id: '2', name: 'February' }, { id: '3', name: 'March' }, { id: '4', name: 'April' }, { id: '5', name: 'May' }, { id: '6', name: 'June' }, { id: '7', name: 'July' }, { id: '8', name: 'August' }, { id: '9', name: 'September' }, { id: '10', name: 'October' }, { id: '11', name: 'November' }, { id: '12', name: 'December' }];
 
 /**
@@ -28,6 +31,46 @@ const formatDate = (dateString) => {
     });
 };
 
+/**
+ * @description Shows when the next card of a schedule is due and, if it has a lead time, when it will be created.
+ * @param {object} props - The component props.
+ * @param {object} props.schedule - The schedule object.
+ */
+const NextCardInfo = ({ schedule }) => {
+    const [nextCard, setNextCard] = useState(null);
+
+    useEffect(() => {
+        let isCancelled = false;
+        apiClient.get(`/api/schedules/${schedule.id}/occurrences`, { params: { count: 1 } })
+            .then(res => {
+                if (!isCancelled) {
+                    setNextCard({ dueDate: res.data.occurrences[0], plannedCreationDate: res.data.next_planned_creation_date, assignee: res.data.next_assignee });
+                }
+            })
+            .catch(() => !isCancelled && setNextCard(null));
+        return () => { isCancelled = true; };
+    }, [schedule]);
+
+    if (!nextCard || !nextCard.dueDate) return null;
+    const formatDateTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    return (
+        <>
+            <p><strong>Next Due:</strong> {formatDateTime(nextCard.dueDate)}</p>
+            <p>
+                <strong>Planned Creation:</strong>{' '}
+                {nextCard.plannedCreationDate ? formatDateTime(nextCard.plannedCreationDate) : 'Next scheduler run'}
+                {schedule.lead_time_days > 0 && ` (${schedule.lead_time_days} day${schedule.lead_time_days === 1 ? '' : 's'} ahead)`}
+            </p>
+            {nextCard.assignee && (
+                <p>
+                    <strong>Next Up:</strong> {nextCard.assignee.name}
+                    {nextCard.assignee.skipped.length > 0 && ` (skipping ${nextCard.assignee.skipped.join(', ')}, away)`}
+                </p>
+            )}
+        </>
+    );
+};
+
 /**
  * @description A component that displays a single collapsible category of schedules.
  * @param {object} props - The component props.
@@ -85,8 +128,19 @@ const ScheduleItem = ({ schedule, isExpanded, onItemSelect, triggeringId, onDele
                 {(schedule.start_date || schedule.end_date) && (
                     <p><strong>Active Dates:</strong> {formatDate(schedule.start_date)} to {formatDate(schedule.end_date)}</p>
                 )}
-                {schedule.active_card_id && (
-                    <p><strong>Active Card:</strong> <a href={`https://trello.com/c/${schedule.active_card_id}`} target="_blank" rel="noopener noreferrer" className="font-semibold text-blue-600 hover:underline">View on Trello</a></p>
+                {schedule.is_active && <NextCardInfo schedule={schedule} />}
+                {schedule.open_cards?.length > 0 && (
+                    <p>
+                        <strong>{schedule.open_cards.length === 1 ? 'Active Card:' : `Open Cards (${schedule.open_cards.length}):`}</strong>{' '}
+                        {schedule.open_cards.map((card, index) => (
+                            <React.Fragment key={card.id}>
+                                {index > 0 && ', '}
+                                <a href={`https://trello.com/c/${card.trello_card_id}`} target="_blank" rel="noopener noreferrer" className="font-semibold text-blue-600 hover:underline">
+                                    {card.due_date ? new Date(card.due_date).toLocaleDateString() : 'View on Trello'}
+                                </a>
+                            </React.Fragment>
+                        ))}
+                    </p>
                 )}
             </div>
         )}
@@ -105,6 +159,7 @@ const ScheduleList = ({
     onItemSelect,
     collapsedCategories,
     onToggleCategory,
+    defaultTimeZone,
     ...rest 
 }) => {
     
@@ -113,7 +168,13 @@ const ScheduleList = ({
         const interval = parseInt(frequency_interval, 10) || 1;
         let text = '';
         switch (frequency) {
-            case 'daily': text = interval === 1 ? 'Daily' : `Every ${interval} days`; break;
+            case 'daily':
+                if (frequency_details === 'business') {
+                    text = interval === 1 ? 'Every business day' : `Every ${interval} business days`;
+                } else {
+                    text = interval === 1 ? 'Daily' : `Every ${interval} days`;
+                }
+                break;
             case 'weekly':
                 const dayNames = frequency_details ? frequency_details.split(',').map(d => DAYS_OF_WEEK.find(day => day.id === d)?.name).filter(Boolean).join(', ') : '';
                 text = interval === 1 ? 'Weekly' : `Every ${interval} weeks`;
@@ -121,7 +182,16 @@ const ScheduleList = ({
                 break;
             case 'monthly':
                 text = interval === 1 ? 'Monthly' : `Every ${interval} months`;
-                if (frequency_details) text += ` on the ${frequency_details}`;
+                if (frequency_details && frequency_details.includes(':')) {
+                    const [ordinalId, dayId] = frequency_details.split(':');
+                    const ordinalName = WEEK_ORDINALS.find(o => o.id === ordinalId)?.name;
+                    const dayName = DAYS_OF_WEEK.find(day => day.id === dayId)?.name;
+                    if (ordinalName && dayName) text += ` on the ${ordinalName} ${dayName}`;
+                } else if (frequency_details === 'last_business') {
+                    text += ' on the last business day';
+                } else if (frequency_details) {
+                    text += ` on the ${frequency_details}`;
+                }
                 break;
             case 'yearly':
                 text = interval === 1 ? 'Yearly' : `Every ${interval} years`;
@@ -131,6 +201,14 @@ const ScheduleList = ({
                     if(monthName && day) text += ` on ${monthName} ${day}`;
                 }
                 break;
+            case 'rrule':
+                try {
+                    const ruleText = RRule.fromString((schedule.rrule || '').replace(/^RRULE:/i, '')).toText();
+                    text = ruleText.charAt(0).toUpperCase() + ruleText.slice(1);
+                } catch (err) {
+                    text = `Custom rule (${schedule.rrule})`;
+                }
+                break;
             default: text = 'Once';
         }
 
@@ -138,6 +216,8 @@ const ScheduleList = ({
             const hour = String(trigger_hour).padStart(2, '0');
             const minute = String(trigger_minute).padStart(2, '0');
             text += ` at ${hour}:${minute} ${trigger_ampm.toUpperCase()}`;
+            const timeZone = schedule.time_zone || defaultTimeZone;
+            if (timeZone) text += ` (${timeZone})`;
         }
         return text;
     };
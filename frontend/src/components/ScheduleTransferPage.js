@@ -0,0 +1,191 @@
+/**
+ * @file frontend/src/components/ScheduleTransferPage.js
+ * @description Exports all schedules as a JSON or CSV file, and imports such a file again, for
+ * backups or for moving schedules to another installation or board.
+ */
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../api';
+import { useSchedules } from '../context/SchedulesContext';
+
+const ACTION_LABELS = { create: 'Create', overwrite: 'Overwrite', skip: 'Skip', invalid: 'Invalid' };
+
+/**
+ * @description The export and import page.
+ * @param {object} props - The component props.
+ * @param {function} props.onImported - Called after schedules have been imported.
+ */
+const ScheduleTransferPage = ({ onImported }) => {
+    const { trelloMembers, trelloLabels } = useSchedules();
+    const [file, setFile] = useState(null);
+    const [payload, setPayload] = useState(null);
+    const [options, setOptions] = useState({ conflict: 'skip', use_default_board: false });
+    const [memberMap, setMemberMap] = useState({});
+    const [labelMap, setLabelMap] = useState({});
+    const [report, setReport] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+
+    const handleExport = async (format) => {
+        try {
+            const res = await apiClient.get('/api/schedules/export', { params: { format }, responseType: 'blob' });
+            const url = URL.createObjectURL(res.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `schedules-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            toast.error('Failed to export the schedules.');
+        }
+    };
+
+    const handleFileChange = async (e) => {
+        const selected = e.target.files[0];
+        setFile(selected || null);
+        setPayload(null);
+        setReport(null);
+        setMemberMap({});
+        setLabelMap({});
+        if (!selected) return;
+
+        const text = await selected.text();
+        if (selected.name.toLowerCase().endsWith('.csv')) {
+            setPayload({ csv: text });
+            return;
+        }
+        try {
+            const parsed = JSON.parse(text);
+            // Accept both a full export and a bare list of schedules.
+            setPayload({ schedules: Array.isArray(parsed) ? parsed : parsed.schedules });
+        } catch (err) {
+            toast.error('The file is not valid JSON.');
+        }
+    };
+
+    const handleOptionChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setOptions(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+        setReport(null);
+    };
+
+    const submit = async (dryRun) => {
+        setIsWorking(true);
+        try {
+            const res = await apiClient.post('/api/schedules/import', {
+                ...payload,
+                ...options,
+                member_map: memberMap,
+                label_map: labelMap,
+                dry_run: dryRun,
+            });
+            setReport(res.data);
+            if (!dryRun) {
+                const { create, overwrite } = res.data.summary;
+                toast.success(`Imported ${create + overwrite} schedule(s).`);
+                onImported();
+            }
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to import the schedules.');
+            if (err.response?.data?.results) setReport(err.response.data);
+        }
+        setIsWorking(false);
+    };
+
+    const knownMemberIds = new Set(trelloMembers.map(member => member.id));
+    const knownLabelIds = new Set(trelloLabels.map(label => label.id));
+    const unknownMemberIds = (report?.member_ids || []).filter(id => !knownMemberIds.has(id));
+    const unknownLabelIds = (report?.label_ids || []).filter(id => !knownLabelIds.has(id));
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-text-primary">Export &amp; Import Schedules</h2>
+                <p className="text-sm text-text-muted">Download every schedule with its checklists, or load schedules from an earlier export.</p>
+            </div>
+
+            <div className="p-4 border border-border-color rounded-lg space-y-4">
+                <h3 className="font-semibold text-lg">Export</h3>
+                <div className="flex space-x-2">
+                    <button type="button" onClick={() => handleExport('json')} className="form-button-secondary">Download JSON</button>
+                    <button type="button" onClick={() => handleExport('csv')} className="form-button-secondary">Download CSV</button>
+                </div>
+                <p className="text-xs text-text-muted">In CSV files, lists and checklists are written as JSON within their cell.</p>
+            </div>
+
+            <div className="p-4 border border-border-color rounded-lg space-y-4">
+                <h3 className="font-semibold text-lg">Import</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                        <label htmlFor="transfer_file" className="form-label">File</label>
+                        <input type="file" id="transfer_file" accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} className="form-input" />
+                    </div>
+                    <div>
+                        <label htmlFor="transfer_conflict" className="form-label">If a Schedule with the Same Title Exists</label>
+                        <select id="transfer_conflict" name="conflict" value={options.conflict} onChange={handleOptionChange} className="form-input">
+                            <option value="skip">Skip it</option>
+                            <option value="overwrite">Overwrite the existing schedule</option>
+                            <option value="duplicate">Import it as another schedule</option>
+                        </select>
+                    </div>
+                    <div className="flex items-end">
+                        <label className="flex items-center space-x-2 text-sm cursor-pointer">
+                            <input type="checkbox" name="use_default_board" checked={options.use_default_board} onChange={handleOptionChange} className="h-4 w-4 rounded border-border-color text-primary focus:ring-primary" />
+                            <span>Use the default board and lists</span>
+                        </label>
+                    </div>
+                </div>
+
+                {report && (unknownMemberIds.length > 0 || unknownLabelIds.length > 0) && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-text-muted">The file refers to members or labels that are not on the default board. Pick what they become, or leave them as they are.</p>
+                        {unknownMemberIds.map(id => (
+                            <div key={id} className="grid grid-cols-2 gap-4 items-center">
+                                <span className="text-sm font-mono">Member {id}</span>
+                                <select value={memberMap[id] || ''} onChange={(e) => setMemberMap(prev => ({ ...prev, [id]: e.target.value }))} className="form-input" aria-label={`New member for ${id}`}>
+                                    <option value="">Keep as it is</option>
+                                    {trelloMembers.map(member => <option key={member.id} value={member.id}>{member.fullName}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                        {unknownLabelIds.map(id => (
+                            <div key={id} className="grid grid-cols-2 gap-4 items-center">
+                                <span className="text-sm font-mono">Label {id}</span>
+                                <select value={labelMap[id] || ''} onChange={(e) => setLabelMap(prev => ({ ...prev, [id]: e.target.value }))} className="form-input" aria-label={`New label for ${id}`}>
+                                    <option value="">Keep as it is</option>
+                                    {trelloLabels.map(label => <option key={label.id} value={label.id}>{label.name || label.color}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {report && (
+                    <div className="space-y-2">
+                        <p className="text-sm font-semibold">
+                            {report.dry_run ? 'Check result' : 'Result'}: {report.summary.create} to create, {report.summary.overwrite} to overwrite, {report.summary.skip} skipped, {report.summary.invalid} invalid.
+                        </p>
+                        <ul className="divide-y divide-border-color max-h-80 overflow-y-auto">
+                            {report.results.map(result => (
+                                <li key={result.index} className="py-2 text-sm">
+                                    <span className={`font-medium ${result.action === 'invalid' ? 'text-danger' : 'text-text-primary'}`}>{ACTION_LABELS[result.action]}:</span>{' '}
+                                    {result.title || `Schedule ${result.index + 1}`}
+                                    {result.errors && <span className="block text-xs text-danger">{result.errors.map(error => error.message).join(' ')}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={() => submit(true)} disabled={!payload || isWorking} className="form-button-secondary disabled:opacity-50">Check</button>
+                    <button type="button" onClick={() => submit(false)} disabled={!payload || isWorking || !report?.dry_run || report.summary.invalid > 0} className="form-button-primary disabled:opacity-50">
+                        {isWorking ? 'Working...' : 'Import'}
+                    </button>
+                </div>
+                {file && !report && <p className="text-xs text-text-muted">Check the file first to see what will be imported.</p>}
+            </div>
+        </div>
+    );
+};
+
+export default ScheduleTransferPage;
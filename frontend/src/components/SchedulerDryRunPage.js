@@ -0,0 +1,109 @@
+/**
+ * @file frontend/src/components/SchedulerDryRunPage.js
+ * @description Simulates a scheduler run at a chosen time and reports which cards it would create,
+ * without creating any.
+ */
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../api';
+
+const OUTCOMES = {
+    would_create: { label: 'Would create', className: 'text-success' },
+    blocked: { label: 'Blocked', className: 'text-warning' },
+    deferred: { label: 'Deferred', className: 'text-text-muted' },
+    out_of_range: { label: 'Out of range', className: 'text-text-muted' },
+    failed: { label: 'Would fail', className: 'text-danger' },
+};
+
+/**
+ * @description Formats a date for a datetime-local input, in the browser's time zone.
+ * @param {Date} date - The date.
+ * @returns {string} The date as 'YYYY-MM-DDTHH:mm'.
+ */
+const toDateTimeLocal = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const SchedulerDryRunPage = () => {
+    const [runAt, setRunAt] = useState('');
+    const [report, setReport] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    // Start from the next real run, which is usually the one in question.
+    useEffect(() => {
+        apiClient.get('/api/scheduler/status')
+            .then(res => setRunAt(prev => prev || toDateTimeLocal(new Date(res.data.nextRun))))
+            .catch(() => setRunAt(prev => prev || toDateTimeLocal(new Date())));
+    }, []);
+
+    const handleRun = async () => {
+        setIsRunning(true);
+        try {
+            const res = await apiClient.post('/api/scheduler/dry-run', null, { params: { at: new Date(runAt).toISOString() } });
+            setReport(res.data);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'The dry run failed.');
+        }
+        setIsRunning(false);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h2 className="text-2xl font-bold text-text-primary">Scheduler Dry Run</h2>
+                <p className="text-sm text-text-muted">Checks every active schedule as a run at the chosen time would, and lists the cards it would create. Nothing is created on Trello.</p>
+            </div>
+
+            <div className="p-4 border border-border-color rounded-lg flex flex-wrap items-end gap-4">
+                <div>
+                    <label htmlFor="dry_run_at" className="form-label">Simulate a Run At</label>
+                    <input type="datetime-local" id="dry_run_at" value={runAt} onChange={(e) => setRunAt(e.target.value)} className="form-input" />
+                </div>
+                <button type="button" onClick={handleRun} disabled={!runAt || isRunning} className="form-button-primary disabled:opacity-50">
+                    {isRunning ? 'Running...' : 'Run Dry Run'}
+                </button>
+            </div>
+
+            {report && (
+                <div className="space-y-4">
+                    <p className="text-sm font-semibold">
+                        A run at {new Date(report.at).toLocaleString()} would create {report.summary.would_create} card(s).
+                        {' '}{report.summary.blocked} blocked, {report.summary.deferred} deferred, {report.summary.out_of_range} out of range, {report.summary.failed} failing.
+                    </p>
+                    {report.results.length === 0 ? (
+                        <p className="text-sm text-text-muted">There are no active schedules.</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-text-muted border-b border-border-color">
+                                        <th className="py-2 pr-4">Schedule</th>
+                                        <th className="py-2 pr-4">Outcome</th>
+                                        <th className="py-2 pr-4">Card</th>
+                                        <th className="py-2">Due</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-border-color">
+                                    {report.results.map(result => {
+                                        const outcome = OUTCOMES[result.outcome] || { label: result.outcome, className: '' };
+                                        return (
+                                            <tr key={result.schedule_id}>
+                                                <td className="py-2 pr-4 font-medium text-text-primary">{result.title}</td>
+                                                <td className={`py-2 pr-4 ${outcome.className}`}>{outcome.label}</td>
+                                                <td className="py-2 pr-4">{result.card ? result.card.name : <span className="text-text-muted">{result.message}</span>}</td>
+                                                <td className="py-2">{result.card ? new Date(result.card.due).toLocaleString() : ''}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SchedulerDryRunPage;
@@ -0,0 +1,176 @@
+/**
+ * @file frontend/src/components/SchedulerRunsPage.js
+ * @description Lists past scheduler runs and shows the outcome of every schedule in a chosen run.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import apiClient from '../api';
+
+const RUNS_PER_PAGE = 20;
+
+const OUTCOME_LABELS = {
+    created: { label: 'Created', className: 'text-success' },
+    blocked: { label: 'Blocked', className: 'text-warning' },
+    deferred: { label: 'Deferred', className: 'text-text-muted' },
+    out_of_range: { label: 'Out of range', className: 'text-text-muted' },
+    failed: { label: 'Failed', className: 'text-danger' },
+};
+
+const pagerButtonClass = 'px-4 py-2 text-sm rounded-lg bg-surface-muted text-text-secondary font-semibold hover:bg-surface-hover disabled:bg-slate-50 disabled:text-slate-400 disabled:cursor-not-allowed';
+
+/**
+ * @description Formats a run's duration.
+ * @param {object} run - The scheduler run.
+ * @returns {string} The duration, or 'In progress...' for an unfinished run.
+ */
+const formatDuration = (run) => (run.duration_ms === null ? 'In progress...' : `${run.duration_ms} ms`);
+
+/**
+ * @description Describes what started a run.
+ * @param {object} run - The scheduler run.
+ * @returns {string} The trigger, with the admin's name for a manual run.
+ */
+const formatTrigger = (run) => {
+    if (run.trigger_type === 'manual') return `Manual (${run.triggered_by || 'unknown'})`;
+    if (run.trigger_type === 'catch_up') return 'Catch-up';
+    return 'Scheduled';
+};
+
+/**
+ * @description The outcome of every schedule in one run.
+ * @param {object} props - The component props.
+ * @param {string} props.runId - The run to show.
+ * @param {function} props.onBack - Returns to the list of runs.
+ */
+const RunDetail = ({ runId, onBack }) => {
+    const [run, setRun] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        apiClient.get(`/api/scheduler/runs/${runId}`)
+            .then(res => setRun(res.data))
+            .catch(err => setError(err.response?.data?.message || 'Could not load the run.'));
+    }, [runId]);
+
+    return (
+        <div className="space-y-4">
+            <button type="button" onClick={onBack} className="text-sm text-text-accent hover:text-primary-hover">&larr; All runs</button>
+            {error && <p className="text-danger">{error}</p>}
+            {!run && !error && <p className="text-text-muted">Loading run...</p>}
+            {run && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-surface-muted rounded-lg text-sm">
+                        <div><p className="text-text-muted">Started</p><p className="font-semibold">{new Date(run.started_at).toLocaleString()}</p></div>
+                        <div><p className="text-text-muted">Trigger</p><p className="font-semibold">{formatTrigger(run)}</p></div>
+                        <div><p className="text-text-muted">Duration</p><p className="font-semibold">{formatDuration(run)}</p></div>
+                        <div><p className="text-text-muted">Created / Blocked / Failed</p><p className="font-semibold">{run.cards_created} / {run.cards_blocked} / {run.cards_failed}</p></div>
+                    </div>
+                    {run.error && <p className="text-sm text-danger">The run stopped early: {run.error}</p>}
+                    {run.results.length === 0 ? (
+                        <p className="text-sm text-text-muted">No schedules were evaluated in this run.</p>
+                    ) : (
+                        <ul className="divide-y divide-border-color">
+                            {run.results.map((result, index) => {
+                                const outcome = OUTCOME_LABELS[result.outcome] || { label: result.outcome, className: '' };
+                                return (
+                                    <li key={index} className="py-2 text-sm">
+                                        <div className="flex justify-between">
+                                            <span className="font-medium text-text-primary">{result.schedule_title || `Schedule ${result.schedule_id}`}{result.schedule_id === null && ' (deleted)'}</span>
+                                            <span className={outcome.className}>{outcome.label}</span>
+                                        </div>
+                                        <p className="text-xs text-text-muted">
+                                            {result.message}
+                                            {result.trello_card_id && <> (<a href={`https://trello.com/c/${result.trello_card_id}`} target="_blank" rel="noopener noreferrer" className="text-text-accent hover:underline">open card</a>)</>}
+                                        </p>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const SchedulerRunsPage = () => {
+    const [runs, setRuns] = useState([]);
+    const [totalRuns, setTotalRuns] = useState(0);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [selectedRunId, setSelectedRunId] = useState(null);
+    const totalPages = Math.max(1, Math.ceil(totalRuns / RUNS_PER_PAGE));
+
+    const fetchRuns = useCallback(async (page) => {
+        setLoading(true);
+        try {
+            const res = await apiClient.get('/api/scheduler/runs', { params: { page, limit: RUNS_PER_PAGE } });
+            setRuns(res.data.runs);
+            setTotalRuns(res.data.totalCount);
+        } catch (error) {
+            console.error('Failed to fetch scheduler runs', error);
+        }
+        setLoading(false);
+    }, []);
+
+    useEffect(() => {
+        fetchRuns(currentPage);
+    }, [currentPage, fetchRuns]);
+
+    return (
+        <div className="bg-surface p-6 rounded-2xl shadow-lg max-w-5xl mx-auto">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-3xl font-semibold text-text-primary">Scheduler Runs</h2>
+                {!selectedRunId && (
+                    <button onClick={() => fetchRuns(currentPage)} disabled={loading} className={pagerButtonClass}>
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                )}
+            </div>
+            {selectedRunId ? <RunDetail runId={selectedRunId} onBack={() => setSelectedRunId(null)} /> : (
+                <>
+                    {!loading && runs.length === 0 ? <p className="text-text-muted">The scheduler has not run yet.</p> : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-text-muted border-b border-border-color">
+                                        <th className="py-2 pr-4">Started</th>
+                                        <th className="py-2 pr-4">Trigger</th>
+                                        <th className="py-2 pr-4">Duration</th>
+                                        <th className="py-2 pr-4">Schedules</th>
+                                        <th className="py-2 pr-4">Created</th>
+                                        <th className="py-2 pr-4">Blocked</th>
+                                        <th className="py-2">Failed</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-border-color">
+                                    {runs.map(run => (
+                                        <tr key={run.run_id} onClick={() => setSelectedRunId(run.run_id)} className="cursor-pointer hover:bg-surface-hover">
+                                            <td className="py-2 pr-4">{new Date(run.started_at).toLocaleString()}</td>
+                                            <td className="py-2 pr-4">{formatTrigger(run)}</td>
+                                            <td className="py-2 pr-4">{formatDuration(run)}</td>
+                                            <td className="py-2 pr-4">{run.schedules_evaluated}</td>
+                                            <td className="py-2 pr-4">{run.cards_created}</td>
+                                            <td className="py-2 pr-4">{run.cards_blocked}</td>
+                                            <td className={`py-2 ${run.cards_failed > 0 || run.error ? 'text-danger font-semibold' : ''}`}>{run.cards_failed}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    <div className="flex justify-between items-center mt-6">
+                        <button onClick={() => setCurrentPage(p => Math.max(1, p - 1))} disabled={currentPage === 1 || loading} className={pagerButtonClass}>
+                            Previous
+                        </button>
+                        <span className="text-sm text-text-muted">Page {currentPage} of {totalPages}</span>
+                        <button onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))} disabled={currentPage === totalPages || loading} className={pagerButtonClass}>
+                            Next
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SchedulerRunsPage;
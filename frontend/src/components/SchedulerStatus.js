@@ -1,13 +1,18 @@
 /**
  * @file frontend/src/components/SchedulerStatus.js
- * @description Refactored to use semantic color classes.
+ * @description Refactored to use semantic color classes. Admins can run the scheduler now and
+ * pause or resume it.
  */
 import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
 import apiClient from '../api';
+import { useAuth } from '../context/AuthContext';
 
 const SchedulerStatus = ({ isConfigured }) => {
     const [status, setStatus] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [isUpdating, setIsUpdating] = useState(false);
+    const { isAdmin } = useAuth();
 
     const fetchStatus = useCallback(async () => {
         if (!isConfigured) {
@@ -30,14 +35,48 @@ const SchedulerStatus = ({ isConfigured }) => {
         fetchStatus();
     }, [fetchStatus]);
 
+    /**
+     * @description Sends a scheduler control request and refreshes the status afterwards.
+     * @param {'run'|'pause'|'resume'} action - The control endpoint to call.
+     */
+    const controlScheduler = async (action) => {
+        setIsUpdating(true);
+        try {
+            const res = await apiClient.post(`/api/scheduler/${action}`);
+            if (action === 'run') toast.info(res.data.message);
+            else toast.success(action === 'pause' ? 'Scheduler paused.' : 'Scheduler resumed.');
+        } catch (error) {
+            toast.error(error.response?.data?.message || `Failed to ${action} the scheduler.`);
+        }
+        setIsUpdating(false);
+        fetchStatus();
+    };
+
     return (
         <div className="bg-surface p-4 rounded-xl shadow-md mb-8 max-w-5xl mx-auto">
             <div className="flex justify-between items-center">
                 <h3 className="text-xl font-semibold text-text-secondary">Scheduler Status</h3>
-                <button onClick={fetchStatus} disabled={loading || !isConfigured} className="text-sm text-text-accent hover:text-primary-hover disabled:text-text-muted">
-                    {loading ? 'Refreshing...' : 'Refresh'}
-                </button>
+                <div className="flex items-center space-x-4">
+                    {isAdmin && status && !status.error && (
+                        <>
+                            <button onClick={() => controlScheduler('run')} disabled={loading || isUpdating || status.running} className="text-sm text-text-accent hover:text-primary-hover disabled:text-text-muted">
+                                {status.running ? 'Running...' : 'Run Now'}
+                            </button>
+                            <button onClick={() => controlScheduler(status.paused ? 'resume' : 'pause')} disabled={loading || isUpdating} className="text-sm text-text-accent hover:text-primary-hover disabled:text-text-muted">
+                                {status.paused ? 'Resume' : 'Pause'}
+                            </button>
+                        </>
+                    )}
+                    <button onClick={fetchStatus} disabled={loading || !isConfigured} className="text-sm text-text-accent hover:text-primary-hover disabled:text-text-muted">
+                        {loading ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                </div>
             </div>
+            {status?.paused && !loading && (
+                <p className="mt-4 p-2 rounded-md bg-warning-surface text-warning-text-on-surface text-sm text-center">
+                    Paused by {status.pausedBy || 'an unknown user'} on {new Date(status.pausedAt).toLocaleString()}. No cards are created on schedule until it is resumed.
+                </p>
+            )}
             {!status || loading ? <div className="text-center p-4">Loading status...</div> : (
                 status.error ? <p className="text-center p-4 text-danger">{status.error}</p> :
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 text-center">
@@ -55,10 +94,17 @@ const SchedulerStatus = ({ isConfigured }) => {
                     </div>
                     <div>
                         <p className="text-sm text-text-muted">Next Scheduled Run</p>
-                        <p className="text-lg font-bold text-text-primary">{new Date(status.nextRun).toLocaleString()}</p>
+                        <p className="text-lg font-bold text-text-primary">{status.paused ? 'Paused' : new Date(status.nextRun).toLocaleString()}</p>
                     </div>
                 </div>
             )}
+            {status && !status.error && !loading && (
+                <p className="mt-4 text-xs text-text-muted text-center">
+                    {status.leader
+                        ? <>Runs on {status.leader.instanceId}{status.isLeader && ' (this server)'}, leading since {new Date(status.leader.since).toLocaleString()}.</>
+                        : 'No server is leading the scheduler at the moment.'}
+                </p>
+            )}
         </div>
     );
 };
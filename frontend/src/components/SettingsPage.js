@@ -4,6 +4,9 @@
  */
 import React, { useState, useEffect } from 'react';
 import apiClient from '../api';
+import HolidayCalendar from './HolidayCalendar';
+import TrelloConnections from './TrelloConnections';
+import { TIME_ZONES } from '../timeZones';
 
 // --- Helper Components ---
 const Spinner = () => <div className="flex justify-center items-center p-10"><div className="w-10 h-10 border-4 border-primary border-t-transparent rounded-full animate-spin"></div></div>;
@@ -25,6 +28,12 @@ const SettingsPage = ({ onSettingsSaved }) => {
     const [isTesting, setIsTesting] = useState(false);
     const [testResult, setTestResult] = useState({ status: '', message: '' });
     const [areCredentialsSaved, setAreCredentialsSaved] = useState(false);
+    const [apiSecret, setApiSecret] = useState('');
+    const [isSecretSaved, setIsSecretSaved] = useState(false);
+
+    // Webhook State
+    const [isWebhookRegistered, setIsWebhookRegistered] = useState(false);
+    const [isUpdatingWebhook, setIsUpdatingWebhook] = useState(false);
 
     // Step 2: Board/List State
     const [boards, setBoards] = useState([]);
@@ -38,6 +47,8 @@ const SettingsPage = ({ onSettingsSaved }) => {
         TRELLO_TO_DO_LIST_ID: '',
         TRELLO_DONE_LIST_ID: '',
         CRON_SCHEDULE: '0 1 * * *',
+        DEFAULT_TIME_ZONE: '',
+        TRELLO_WEBHOOK_CALLBACK_URL: '',
     });
 
     // --- Helper Functions ---
@@ -69,11 +80,15 @@ const SettingsPage = ({ onSettingsSaved }) => {
             try {
                 const res = await apiClient.get('/api/settings');
                 setAreCredentialsSaved(res.data.areCredentialsSaved);
+                setIsSecretSaved(res.data.isSecretSaved);
+                setIsWebhookRegistered(res.data.isWebhookRegistered);
                 setFormData({
                     TRELLO_BOARD_ID: res.data.TRELLO_BOARD_ID || '',
                     TRELLO_TO_DO_LIST_ID: res.data.TRELLO_TO_DO_LIST_ID || '',
                     TRELLO_DONE_LIST_ID: res.data.TRELLO_DONE_LIST_ID || '',
                     CRON_SCHEDULE: res.data.CRON_SCHEDULE || '0 1 * * *',
+                    DEFAULT_TIME_ZONE: res.data.DEFAULT_TIME_ZONE || '',
+                    TRELLO_WEBHOOK_CALLBACK_URL: res.data.TRELLO_WEBHOOK_CALLBACK_URL || '',
                 });
             } catch (err) {
                 setError('Failed to load settings.');
@@ -120,11 +135,13 @@ const SettingsPage = ({ onSettingsSaved }) => {
 
     const handleCredentialSave = async () => {
         try {
-            await apiClient.put('/api/settings/credentials', { TRELLO_API_KEY: apiKey, TRELLO_API_TOKEN: apiToken });
+            await apiClient.put('/api/settings/credentials', { TRELLO_API_KEY: apiKey, TRELLO_API_TOKEN: apiToken, TRELLO_API_SECRET: apiSecret || undefined });
             setSuccess('Credentials saved successfully!');
             setAreCredentialsSaved(true);
+            if (apiSecret) setIsSecretSaved(true);
             setApiKey('');
             setApiToken('');
+            setApiSecret('');
             setTestResult({ status: '', message: '' });
         } catch (err) {
             setError(err.response?.data?.message || 'Failed to save credentials.');
@@ -143,16 +160,40 @@ const SettingsPage = ({ onSettingsSaved }) => {
         setFormData(prev => ({ ...prev, CRON_SCHEDULE: timeToCron(newTime.hour, newTime.minute, newTime.ampm) }));
     };
 
+    const handleWebhookToggle = async () => {
+        setError('');
+        setSuccess('');
+        setIsUpdatingWebhook(true);
+        try {
+            if (isWebhookRegistered) {
+                await apiClient.delete('/api/settings/webhook');
+                setIsWebhookRegistered(false);
+                setSuccess('Webhook removed. Card changes will be picked up by the periodic sync.');
+            } else {
+                await apiClient.post('/api/settings/webhook');
+                setIsWebhookRegistered(true);
+                setSuccess('Webhook registered. Card changes on the board are now handled as they happen.');
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update the webhook.');
+        }
+        setIsUpdatingWebhook(false);
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
         setSuccess('');
         try {
-            await apiClient.put('/api/settings', formData);
+            const res = await apiClient.put('/api/settings', formData);
             setSuccess('Settings saved successfully! The scheduler has been updated.');
+            if (res.data.warning) {
+                setError(res.data.warning);
+                setIsWebhookRegistered(res.data.isWebhookRegistered);
+            }
             if (onSettingsSaved) onSettingsSaved();
         } catch (err) {
-            setError('Failed to save settings.');
+            setError(err.response?.data?.message || 'Failed to save settings.');
         }
     };
 
@@ -175,6 +216,10 @@ const SettingsPage = ({ onSettingsSaved }) => {
                             <label className="form-label">Trello API Token</label>
                             <input type="password" value={apiToken} onChange={(e) => setApiToken(e.target.value)} className="form-input" placeholder={areCredentialsSaved ? 'Saved (update if needed)' : 'Enter your Trello API Token'} />
                         </div>
+                        <div>
+                            <label className="form-label">Trello API Secret <span className="text-text-muted font-normal">(optional, for webhooks)</span></label>
+                            <input type="password" value={apiSecret} onChange={(e) => setApiSecret(e.target.value)} className="form-input" placeholder={isSecretSaved ? 'Saved (update if needed)' : 'Enter your Trello API Secret'} />
+                        </div>
                         {testResult.message && (
                             <div className={`p-3 rounded-lg text-center text-sm ${testResult.status === 'success' ? 'bg-green-100 text-success-text' : 'bg-red-100 text-danger-text'}`}>
                                 {testResult.message}
@@ -222,7 +267,7 @@ const SettingsPage = ({ onSettingsSaved }) => {
                 {/* --- Step 3: Scheduler Configuration --- */}
                 <div className="p-4 border rounded-lg">
                     <h3 className="font-semibold text-lg mb-1">Step 3: Scheduler Configuration</h3>
-                    <p className="text-sm text-text-muted mb-4">Set the time of day for the scheduler to run.</p>
+                    <p className="text-sm text-text-muted mb-4">Set the time of day for the scheduler to run and the default time zone for schedules.</p>
                     <div className="space-y-4">
                         <div>
                             <label className="form-label">Daily Run Time</label>
@@ -255,6 +300,36 @@ const SettingsPage = ({ onSettingsSaved }) => {
                                 </select>
                             </div>
                         </div>
+                        <div>
+                            <label htmlFor="DEFAULT_TIME_ZONE" className="form-label">Default Time Zone</label>
+                            <select name="DEFAULT_TIME_ZONE" id="DEFAULT_TIME_ZONE" value={formData.DEFAULT_TIME_ZONE} onChange={handleFormChange} className="form-input">
+                                {formData.DEFAULT_TIME_ZONE && !TIME_ZONES.includes(formData.DEFAULT_TIME_ZONE) && <option value={formData.DEFAULT_TIME_ZONE}>{formData.DEFAULT_TIME_ZONE}</option>}
+                                {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+                            </select>
+                            <p className="text-xs text-text-muted mt-1">The daily run time above uses this zone, as do schedules without their own time zone.</p>
+                        </div>
+                    </div>
+                </div>
+
+                {/* --- Step 4: Real-Time Updates --- */}
+                <div className={`p-4 border rounded-lg ${!areCredentialsSaved && 'opacity-50'}`}>
+                    <h3 className="font-semibold text-lg mb-1">Step 4: Real-Time Updates (Optional)</h3>
+                    <p className="text-sm text-text-muted mb-4">Register a Trello webhook so cards moved to Done or archived are noticed immediately, instead of at the next sync.</p>
+                    <div className={`space-y-4 ${!areCredentialsSaved && 'pointer-events-none'}`}>
+                        <div>
+                            <label htmlFor="TRELLO_WEBHOOK_CALLBACK_URL" className="form-label">Webhook Callback URL</label>
+                            <input type="url" name="TRELLO_WEBHOOK_CALLBACK_URL" id="TRELLO_WEBHOOK_CALLBACK_URL" value={formData.TRELLO_WEBHOOK_CALLBACK_URL} onChange={handleFormChange} className="form-input" placeholder="https://scheduler.example.com/api/webhooks/trello" />
+                            <p className="text-xs text-text-muted mt-1">The public address of this server's <code>/api/webhooks/trello</code> endpoint. Save the settings before registering.</p>
+                        </div>
+                        <div className="flex items-center justify-between">
+                            <span className="text-sm text-text-secondary">
+                                Status: <strong>{isWebhookRegistered ? 'Registered' : 'Not registered'}</strong>
+                                {!isSecretSaved && <span className="text-text-muted"> (save the API secret to enable)</span>}
+                            </span>
+                            <button type="button" onClick={handleWebhookToggle} disabled={isUpdatingWebhook || (!isWebhookRegistered && !isSecretSaved)} className="form-button-secondary">
+                                {isUpdatingWebhook ? 'Working...' : (isWebhookRegistered ? 'Remove Webhook' : 'Register Webhook')}
+                            </button>
+                        </div>
                     </div>
                 </div>
 
@@ -267,6 +342,14 @@ const SettingsPage = ({ onSettingsSaved }) => {
                     </button>
                 </div>
             </form>
+
+            <div className="mt-8">
+                <TrelloConnections />
+            </div>
+
+            <div className="mt-8">
+                <HolidayCalendar />
+            </div>
         </div>
     );
 };
@@ -0,0 +1,113 @@
+/**
+ * @file frontend/src/components/TrelloConnections.js
+ * @description Lets administrators manage additional Trello credential sets that schedules can use
+ * instead of the default credentials, e.g. one per client workspace.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../api';
+
+const EMPTY_CONNECTION = { name: '', api_key: '', api_token: '' };
+
+const TrelloConnections = () => {
+    const [connections, setConnections] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [newConnection, setNewConnection] = useState(EMPTY_CONNECTION);
+    const [testingId, setTestingId] = useState(null);
+
+    const fetchConnections = useCallback(async () => {
+        try {
+            const res = await apiClient.get('/api/connections');
+            setConnections(res.data);
+        } catch (err) {
+            toast.error('Failed to load Trello connections.');
+        }
+        setIsLoading(false);
+    }, []);
+
+    useEffect(() => {
+        fetchConnections();
+    }, [fetchConnections]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setNewConnection(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        try {
+            // The same check as the default credentials, before anything is saved.
+            await apiClient.post('/api/trello/credentials/test', { apiKey: newConnection.api_key, apiToken: newConnection.api_token });
+            await apiClient.post('/api/connections', newConnection);
+            setNewConnection(EMPTY_CONNECTION);
+            toast.success('Connection added.');
+            fetchConnections();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to add connection.');
+        }
+    };
+
+    const handleTest = async (id) => {
+        setTestingId(id);
+        try {
+            const res = await apiClient.post(`/api/connections/${id}/test`);
+            toast.success(res.data.message);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Connection test failed.');
+        }
+        setTestingId(null);
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await apiClient.delete(`/api/connections/${id}`);
+            setConnections(prev => prev.filter(connection => connection.id !== id));
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to delete connection.');
+        }
+    };
+
+    return (
+        <div className="p-4 border rounded-lg">
+            <h3 className="font-semibold text-lg mb-1">Trello Connections</h3>
+            <p className="text-sm text-text-muted mb-4">Extra Trello accounts, e.g. for client workspaces. Schedules use the credentials above unless they pick one of these.</p>
+            <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 items-end gap-2 mb-4">
+                <div>
+                    <label htmlFor="connection_name" className="form-label">Name</label>
+                    <input type="text" id="connection_name" name="name" value={newConnection.name} onChange={handleChange} className="form-input" placeholder="e.g., Client A" required />
+                </div>
+                <div>
+                    <label htmlFor="connection_api_key" className="form-label">API Key</label>
+                    <input type="password" id="connection_api_key" name="api_key" value={newConnection.api_key} onChange={handleChange} className="form-input" required />
+                </div>
+                <div>
+                    <label htmlFor="connection_api_token" className="form-label">API Token</label>
+                    <input type="password" id="connection_api_token" name="api_token" value={newConnection.api_token} onChange={handleChange} className="form-input" required />
+                </div>
+                <button type="submit" className="form-button-primary">Test &amp; Add</button>
+            </form>
+            {isLoading ? (
+                <p className="text-center text-sm text-text-muted p-4">Loading...</p>
+            ) : connections.length === 0 ? (
+                <p className="text-center text-sm text-text-muted p-4">No additional connections.</p>
+            ) : (
+                <ul className="divide-y divide-border-color">
+                    {connections.map(connection => (
+                        <li key={connection.id} className="flex justify-between items-center py-2">
+                            <span className="text-sm font-medium text-text-primary">{connection.name}</span>
+                            <span className="space-x-4">
+                                <button type="button" onClick={() => handleTest(connection.id)} disabled={testingId === connection.id} className="text-sm text-blue-600 hover:underline disabled:opacity-50">
+                                    {testingId === connection.id ? 'Testing...' : 'Test'}
+                                </button>
+                                <button type="button" onClick={() => handleDelete(connection.id)} className="text-sm text-danger hover:underline">Delete</button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TrelloConnections;
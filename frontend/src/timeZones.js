@@ -0,0 +1,21 @@
+/**
+ * @file frontend/src/timeZones.js
+ * @description The list of IANA time zones offered in the schedule and settings forms.
+ */
+
+// Older browsers lack Intl.supportedValuesOf, so fall back to a short list of common zones.
+const FALLBACK_TIME_ZONES = [
+    'UTC',
+    'America/New_York',
+    'America/Chicago',
+    'America/Denver',
+    'America/Los_Angeles',
+    'Europe/London',
+    'Europe/Paris',
+    'Asia/Tokyo',
+    'Australia/Sydney',
+];
+
+export const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIME_ZONES;